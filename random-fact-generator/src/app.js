@@ -17,10 +17,24 @@ import errorHandler from './middleware/errorHandler.js';
 import authMiddleware from './middleware/auth.js';
 import rateLimiter from './middleware/rateLimiter.js';
 
+// Import services
+import systemLoadService from './services/systemLoadService.js';
+import meteringService from './services/meteringService.js';
+import usageEventService from './services/usageEventService.js';
+import webhookService from './services/webhookService.js';
+import jobService from './services/jobService.js';
+import { closeQueues } from './config/queue.js';
+
+// Import models
+import ApiKey from './models/ApiKey.js';
+
 // Import routes
 import factRoutes from './routes/facts.js';
 import userRoutes from './routes/users.js';
 import aiRoutes from './routes/ai.js';
+import adminRoutes from './routes/admin.js';
+import billingRoutes, { webhookRouter as billingWebhookRoutes } from './routes/billing.js';
+import jobRoutes from './routes/jobs.js';
 
 // Import utilities
 import logger from './utils/logger.js';
@@ -99,6 +113,10 @@ app.use(morgan('combined', {
   }
 }));
 
+// Stripe webhooks verify signatures over the raw body, so they must be
+// mounted before the JSON parser
+app.use('/api/v1/billing/webhook', billingWebhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -130,18 +148,27 @@ app.get('/api/v1/info', (req, res) => {
     endpoints: {
       facts: '/api/v1/facts',
       users: '/api/v1/users',
-      ai: '/api/v1/ai'
+      ai: '/api/v1/ai',
+      admin: '/api/v1/admin',
+      billing: '/api/v1/billing',
+      jobs: '/api/v1/jobs'
     }
   });
 });
 
 // Apply rate limiting to API routes
-app.use('/api', rateLimiter);
+app.use('/api', rateLimiter.general);
+
+// Usage metering and API key analytics, recorded when each response finishes
+app.use('/api', authMiddleware.trackRequest);
 
 // Routes
 app.use('/api/v1/facts', factRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/billing', billingRoutes);
+app.use('/api/v1/jobs', jobRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -164,11 +191,14 @@ const gracefulShutdown = (signal) => {
   server.close(() => {
     logger.info('HTTP server closed');
     
-    // Close database connections
+    // Write buffered usage events and finish running jobs, then close database connections
     Promise.all([
+      usageEventService.stop(),
+      closeQueues()
+    ]).then(() => Promise.all([
       connectToDatabase.close?.(),
       connectToRedis.close?.()
-    ]).then(() => {
+    ])).then(() => {
       logger.info('Database connections closed');
       process.exit(0);
     }).catch((err) => {
@@ -194,11 +224,29 @@ async function startServer() {
     // Connect to database
     await connectToDatabase();
     logger.info('Connected to MongoDB');
+
+    // New API keys can't be created while the pre-hashing key index exists
+    if (await ApiKey.dropLegacyKeyIndex()) {
+      logger.info('Replaced legacy unique API key index key_1 with a sparse one');
+    }
     
     // Connect to Redis
     await connectToRedis();
     logger.info('Connected to Redis');
     
+    // Sample system load for adaptive rate limiting
+    systemLoadService.start();
+
+    // Write buffered usage events in batches
+    usageEventService.start();
+
+    // Close last month's usage statements and bill overage
+    meteringService.start();
+
+    // Deliver outbound webhooks and run background jobs
+    await webhookService.start();
+    await jobService.start();
+    
     // Start the server
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Server is running on http://localhost:${PORT}`);
@@ -0,0 +1,87 @@
+import config from './index.js';
+
+/**
+ * AI model registry: what each model can do, how much it may be asked for
+ * and what it costs.
+ *
+ * `costs` are US dollars per 1,000 tokens. `limits.max_output_tokens` caps
+ * the max_tokens sent with each request and `limits.context_window` is the
+ * prompt plus completion size the model accepts. Models a provider offers
+ * that are not listed here (e.g. whatever a self-hosted server has loaded)
+ * get DEFAULT_MODEL_SPEC. Prices can be overridden with AI_MODEL_PRICES.
+ */
+
+export const AI_CAPABILITIES = ['generate', 'moderate', 'suggest', 'stream', 'verify', 'analyze'];
+
+export const AI_MODELS = {
+  'xai/grok-3': {
+    name: 'Grok 3',
+    provider: 'github',
+    limits: { context_window: 131072, max_output_tokens: 4096 },
+    costs: { input_per_1k: 0.003, output_per_1k: 0.015 },
+    capabilities: ['generate', 'moderate', 'suggest', 'stream', 'verify', 'analyze']
+  },
+  'meta-llama/Llama-3.2-11B-Vision-Instruct': {
+    name: 'Llama 3.2 11B Vision Instruct',
+    provider: 'github',
+    limits: { context_window: 128000, max_output_tokens: 4096 },
+    costs: { input_per_1k: 0.00037, output_per_1k: 0.00037 },
+    capabilities: ['generate', 'suggest', 'stream', 'analyze']
+  },
+  'openai/gpt-4o-mini': {
+    name: 'GPT-4o mini',
+    provider: 'github',
+    limits: { context_window: 128000, max_output_tokens: 16384 },
+    costs: { input_per_1k: 0.00015, output_per_1k: 0.0006 },
+    capabilities: ['generate', 'moderate', 'suggest', 'stream', 'verify', 'analyze']
+  },
+  'mock/fact-model': {
+    name: 'Mock fact model',
+    provider: 'mock',
+    limits: { context_window: 8192, max_output_tokens: 1024 },
+    costs: { input_per_1k: 0, output_per_1k: 0 },
+    capabilities: ['generate', 'moderate', 'suggest', 'stream', 'verify', 'analyze']
+  },
+  'mock/fact-model-mini': {
+    name: 'Mock fact model (mini)',
+    provider: 'mock',
+    limits: { context_window: 4096, max_output_tokens: 256 },
+    costs: { input_per_1k: 0, output_per_1k: 0 },
+    capabilities: ['generate', 'suggest', 'stream', 'analyze']
+  }
+};
+
+export const DEFAULT_MODEL_SPEC = {
+  limits: { context_window: 8192, max_output_tokens: 1024 },
+  costs: { input_per_1k: 0, output_per_1k: 0 },
+  capabilities: AI_CAPABILITIES
+};
+
+// Registry entry for a model, or the defaults for an unregistered one
+export const getModelSpec = (id) => {
+  const spec = AI_MODELS[id];
+  const merged = {
+    id,
+    name: spec?.name || id,
+    registered: Boolean(spec),
+    ...DEFAULT_MODEL_SPEC,
+    ...spec
+  };
+
+  if (config.ai.modelPrices[id]) {
+    merged.costs = { ...merged.costs, ...config.ai.modelPrices[id] };
+  }
+  return merged;
+};
+
+// Cost of a call in millionths of a dollar, kept integral so sums stay exact
+export const calculateCostMicros = (id, { prompt_tokens = 0, completion_tokens = 0 } = {}) => {
+  const { costs } = getModelSpec(id);
+  return Math.round(
+    (prompt_tokens / 1000) * costs.input_per_1k * 1e6 +
+    (completion_tokens / 1000) * costs.output_per_1k * 1e6
+  );
+};
+
+export const hasCapability = (id, capability) =>
+  getModelSpec(id).capabilities.includes(capability);
@@ -0,0 +1,153 @@
+/**
+ * Built-in AI prompt templates, used until a template is edited through
+ * /api/v1/ai/prompts (see services/promptTemplateService.js) and again
+ * after a rollback to version 0.
+ *
+ * Templates are plain text with `{{variable}}` placeholders; each template
+ * may only use the variables listed for it. `response_format` is not
+ * editable: it is appended to the system prompt so edited prompts still
+ * produce replies the schemas in utils/aiOutput.js accept.
+ */
+
+export const PROMPT_VARIABLE_DEFAULTS = {
+  difficulty: 'intermediate',
+  language: 'en',
+  audience: 'general audiences'
+};
+
+export const PROMPT_TEMPLATES = {
+  generate: {
+    description: 'Fact generation',
+    variables: ['category', 'topic', 'difficulty', 'language', 'audience'],
+    system: `You are an expert fact generator. Create fascinating, accurate, and verified facts.
+
+Requirements:
+- Facts must be 100% accurate and verifiable
+- Include interesting details that engage readers
+- Keep facts concise but informative (50-150 words)
+- Provide source context when possible
+- Make facts appropriate for {{audience}}
+- Pitch the detail at {{difficulty}} level
+- Write the fact in {{language}}
+
+Category focus: {{category}}`,
+    user: 'Generate an interesting fact about: {{topic}}',
+    response_format: `Response format:
+{
+  "fact": "The actual fact text",
+  "category": "{{category}}",
+  "source_context": "Brief context about where this fact comes from",
+  "verification_level": "high|medium|low",
+  "tags": ["tag1", "tag2", "tag3"]
+}`
+  },
+
+  moderate: {
+    description: 'Content moderation',
+    variables: ['text', 'language', 'audience'],
+    system: `You are a content moderator. The content is meant for {{audience}}. Analyze the following text for:
+- Inappropriate content
+- Misinformation
+- Harmful content
+- Copyright violations`,
+    user: 'Moderate this content: "{{text}}"',
+    response_format: `Respond with JSON:
+{
+  "approved": true/false,
+  "confidence": 0.0-1.0,
+  "issues": ["issue1", "issue2"],
+  "recommendation": "explanation"
+}`
+  },
+
+  suggest: {
+    description: 'Fact topic suggestions',
+    variables: ['theme', 'count', 'difficulty', 'language', 'audience'],
+    system: `Generate {{count}} diverse fact ideas related to: {{theme}}.
+Ideas should suit {{audience}} at {{difficulty}} level, with titles written in {{language}}.`,
+    user: 'Suggest interesting facts about: {{theme}}',
+    response_format: `Respond with a JSON array of objects:
+[
+  {
+    "title": "Brief fact title",
+    "category": "suggested category",
+    "complexity": "simple|intermediate|advanced",
+    "estimated_interest": 1-10
+  }
+]`
+  },
+
+  analyze: {
+    description: 'Categorization, keywords and summary of a text',
+    variables: ['text', 'categories', 'max_keywords'],
+    system: `You categorize and index short factual texts.
+- category: the best match among: {{categories}}
+- keywords: up to {{max_keywords}} lowercase keywords (single words or short phrases), most important first
+- summary: one sentence of at most 30 words`,
+    user: 'Analyze this text: "{{text}}"',
+    response_format: `Respond with JSON:
+{
+  "category": "one of the categories",
+  "confidence": 0.0-1.0,
+  "keywords": ["keyword1", "keyword2"],
+  "summary": "One sentence"
+}`
+  },
+
+  extract_claims: {
+    description: 'Splitting a fact into claims for verification',
+    variables: ['text', 'max_claims'],
+    system: `You are a fact checker. Split the text into at most {{max_claims}} separate factual claims that could be checked against a reference source.
+Each claim must stand on its own (replace pronouns with what they refer to). Leave out opinions and filler.`,
+    user: 'Extract the claims from: "{{text}}"',
+    response_format: `Respond with JSON:
+{
+  "claims": ["claim 1", "claim 2"]
+}`
+  },
+
+  judge_claims: {
+    description: 'Judging claims against reference evidence',
+    variables: ['claims'],
+    system: `You are a fact checker. Judge each claim using ONLY the evidence listed under it, not your own knowledge.
+- "supported": the evidence states the claim
+- "contradicted": the evidence states something incompatible with the claim
+- "unverifiable": the evidence does not settle the claim either way`,
+    user: '{{claims}}',
+    response_format: `Respond with JSON:
+{
+  "results": [
+    {
+      "claim": 1,
+      "verdict": "supported|contradicted|unverifiable",
+      "confidence": 0.0-1.0,
+      "evidence": ["E1"],
+      "explanation": "one sentence on why"
+    }
+  ]
+}`
+  }
+};
+
+export const PROMPT_NAMES = Object.keys(PROMPT_TEMPLATES);
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+// Names of the variables a template text uses
+export const templateVariables = (text = '') =>
+  [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+// Fill in placeholders in one pass, so values are never expanded themselves
+export const renderTemplate = (text, values) =>
+  text.replace(PLACEHOLDER, (placeholder, name) => (values[name] ?? '').toString());
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// "en" -> "English"; unknown codes are used as they are
+export const languageName = (code) => {
+  try {
+    return languageNames.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
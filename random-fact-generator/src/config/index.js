@@ -7,6 +7,7 @@ const config = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   apiVersion: process.env.API_VERSION || 'v1',
+  publicUrl: process.env.PUBLIC_URL || 'http://localhost:3000', // Base URL used in links sent by email
   
   // Database configuration
   database: {
@@ -34,14 +35,92 @@ const config = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your_super_secret_jwt_key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access tokens; renewed with a refresh token
+    refreshTokenTtlMs: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  },
+  
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Random Fact Generator',
+    // Roles that must use 2FA, e.g. "admin,moderator"
+    requiredRoles: process.env.TWO_FACTOR_REQUIRED_ROLES?.split(',').map(role => role.trim()).filter(Boolean) || [],
+    // Key used to encrypt TOTP secrets at rest
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your_super_secret_jwt_key',
+    challengeExpiresIn: '5m', // Between password and code
+    setupExpiresIn: '15m', // Enrolment-only token when 2FA is required but not set up
+    recoveryCodeCount: 10,
   },
   
   // AI configuration
   ai: {
+    // github, openai-compatible or mock; mock answers offline and deterministically
+    provider: process.env.AI_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'github'),
     githubToken: process.env.GITHUB_TOKEN,
     endpoint: process.env.GITHUB_AI_ENDPOINT || 'https://models.github.ai/inference',
     model: process.env.GITHUB_AI_MODEL || 'xai/grok-3',
+    githubModels: (process.env.GITHUB_AI_MODELS || 'xai/grok-3,meta-llama/Llama-3.2-11B-Vision-Instruct,openai/gpt-4o-mini')
+      .split(',').map(model => model.trim()).filter(Boolean),
+    // Self-hosted servers speaking the OpenAI chat completions API (vLLM, Ollama, ...)
+    openaiCompatible: {
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1'
+    },
+    // How often each instance reloads model selections made through /ai/models
+    settingsRefreshMs: parseInt(process.env.AI_SETTINGS_REFRESH_MS) || 30 * 1000,
+    // Repair requests sent after a reply fails validation (0 disables them)
+    repairAttempts: process.env.AI_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.AI_REPAIR_ATTEMPTS) : 1,
+    // Provider calls: a timeout per operation (AI_TIMEOUTS_MS overrides, as
+    // JSON: {"generate": 15000}), retries of 429 and 5xx answers with jittered
+    // exponential backoff, and a circuit breaker that stops calling a provider
+    // after `failureThreshold` failures in a row for `resetTimeoutMs`
+    resilience: {
+      timeoutsMs: {
+        generate: 20 * 1000,
+        stream: 60 * 1000,
+        moderate: 10 * 1000,
+        suggest: 20 * 1000,
+        verify: 20 * 1000,
+        analyze: 10 * 1000,
+        health: 5 * 1000,
+        models: 10 * 1000,
+        ...(process.env.AI_TIMEOUTS_MS ? JSON.parse(process.env.AI_TIMEOUTS_MS) : {})
+      },
+      maxRetries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) : 2,
+      retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+      retryMaxDelayMs: 8 * 1000,
+      breaker: {
+        failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD) || 5,
+        resetTimeoutMs: parseInt(process.env.AI_BREAKER_RESET_MS) || 30 * 1000
+      }
+    },
+    // Per-model prices overriding config/aiModels.js, as JSON:
+    // {"xai/grok-3": {"input_per_1k": 0.003, "output_per_1k": 0.015}}
+    modelPrices: process.env.AI_MODEL_PRICES ? JSON.parse(process.env.AI_MODEL_PRICES) : {},
+    // Monthly AI spend allowed per plan in US dollars; -1 is unlimited
+    monthlyBudgets: {
+      basic: 0,
+      premium: process.env.AI_BUDGET_PREMIUM_USD ? parseFloat(process.env.AI_BUDGET_PREMIUM_USD) : 5,
+      platinum: process.env.AI_BUDGET_PLATINUM_USD ? parseFloat(process.env.AI_BUDGET_PLATINUM_USD) : 50
+    },
+    // Fact verification against the local reference corpus
+    verification: {
+      // Where evidence comes from: verified facts and/or reference sources
+      corpus: (process.env.AI_VERIFICATION_CORPUS || 'facts,references')
+        .split(',').map(source => source.trim()).filter(Boolean),
+      maxClaims: parseInt(process.env.AI_VERIFICATION_MAX_CLAIMS) || 5,
+      evidencePerClaim: parseInt(process.env.AI_VERIFICATION_EVIDENCE_PER_CLAIM) || 3,
+      // Confidence needed before a verdict becomes an approve/reject recommendation
+      recommendThreshold: parseFloat(process.env.AI_VERIFICATION_THRESHOLD) || 0.75
+    },
+    // Categorization and keywords for submissions and data processing tasks.
+    // Without AI (or when it fails) a TF-IDF classifier trained on verified
+    // facts is used, retrained every `retrainIntervalMs`.
+    analysis: {
+      maxKeywords: 10,
+      trainingLimit: parseInt(process.env.AI_CLASSIFIER_TRAINING_LIMIT) || 5000,
+      retrainIntervalMs: parseInt(process.env.AI_CLASSIFIER_RETRAIN_MS) || 60 * 60 * 1000
+    },
     enabled: process.env.AI_FACT_GENERATION_ENABLED === 'true',
     fallbackEnabled: process.env.AI_FALLBACK_ENABLED === 'true',
     contentModerationEnabled: process.env.AI_CONTENT_MODERATION_ENABLED === 'true',
@@ -53,18 +132,98 @@ const config = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   },
   
+  // Adaptive rate limiting: plan limits are scaled down as system load rises
+  adaptiveRateLimit: {
+    enabled: process.env.ADAPTIVE_RATE_LIMIT_ENABLED !== 'false',
+    sampleIntervalMs: parseInt(process.env.ADAPTIVE_RATE_LIMIT_SAMPLE_MS) || 10000,
+    minAiSamples: 10,
+    thresholds: {
+      eventLoopLagMs: { elevated: 100, high: 250, critical: 500 },
+      mongoLatencyMs: { elevated: 100, high: 300, critical: 1000 },
+      aiErrorRate: { elevated: 0.1, high: 0.25, critical: 0.5 }
+    },
+    // Share of each plan's normal limit allowed at each load level
+    multipliers: {
+      healthy: { basic: 1, premium: 1, platinum: 1 },
+      elevated: { basic: 0.5, premium: 0.8, platinum: 1 },
+      high: { basic: 0.25, premium: 0.5, platinum: 0.9 },
+      critical: { basic: 0.1, premium: 0.25, platinum: 0.6 }
+    }
+  },
+  
+  // Usage metering and overage billing (weights and prices in config/metering.js)
+  metering: {
+    enabled: process.env.METERING_ENABLED !== 'false',
+    overageCentsPerBlock: parseInt(process.env.OVERAGE_CENTS_PER_BLOCK) || 10, // premium, per 1,000 units
+    finalizeIntervalMs: 60 * 60 * 1000 // check hourly whether last month needs closing
+  },
+  
+  // Per-request usage events: buffered in memory and written in batches
+  usageEvents: {
+    retentionDays: parseInt(process.env.USAGE_EVENT_RETENTION_DAYS) || 30,
+    flushIntervalMs: parseInt(process.env.USAGE_EVENT_FLUSH_MS) || 5000,
+    maxBatchSize: 500, // flush early once this many events are waiting
+    maxBufferedEvents: 10000 // events kept for retry while MongoDB is unavailable
+  },
+  
+  // Background jobs (BullMQ, on the Redis configured above)
+  queue: {
+    prefix: process.env.QUEUE_PREFIX || 'rfg',
+  },
+
+  // Bulk generation, import, export and moderation backfill jobs
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 7, // job records and export files
+    exportDir: process.env.JOB_EXPORT_DIR || 'exports',
+    maxStoredResults: 1000, // partial results kept on the job record
+    maxImportFacts: 10000,
+    batchSize: 100 // items between progress updates and cancellation checks
+  },
+
+  // Outbound webhooks configured per API key
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    backoffDelayMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 30000, // doubled after each failed attempt
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true', // local development only
+    deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30,
+    expiryNoticeDays: 7, // key.expiring is sent this long before a key expires
+    usageThresholds: [80, 100], // usage.threshold_reached at these percentages of the plan allowance
+    expiryScanIntervalMs: 60 * 60 * 1000
+  },
+
   // Email configuration
   email: {
+    // smtp, json or stream; json/stream build the message without sending it
+    transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'json' : 'smtp'),
+    from: process.env.EMAIL_FROM || 'Random Fact Generator <no-reply@randomfacts.com>',
     host: process.env.SMTP_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
     user: process.env.SMTP_USER,
     pass: process.env.SMTP_PASS,
+    verificationTokenTtlMs: 24 * 60 * 60 * 1000, // 24 hours
+    passwordResetTokenTtlMs: 60 * 60 * 1000, // 1 hour
   },
   
   // Stripe configuration
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    apiVersion: '2022-11-15',
+    // Recurring price for each paid plan
+    prices: {
+      premium: process.env.STRIPE_PRICE_PREMIUM,
+      platinum: process.env.STRIPE_PRICE_PLATINUM,
+    },
+    // Point the client at a local fake Stripe server (e.g. stripe-mock) in tests
+    apiHost: process.env.STRIPE_API_HOST,
+    apiPort: process.env.STRIPE_API_PORT ? parseInt(process.env.STRIPE_API_PORT) : undefined,
+    apiProtocol: process.env.STRIPE_API_PROTOCOL,
+    successUrl: process.env.STRIPE_SUCCESS_URL || `${process.env.PUBLIC_URL || 'http://localhost:3000'}/billing/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: process.env.STRIPE_CANCEL_URL || `${process.env.PUBLIC_URL || 'http://localhost:3000'}/billing/cancel`,
+    portalReturnUrl: process.env.STRIPE_PORTAL_RETURN_URL || `${process.env.PUBLIC_URL || 'http://localhost:3000'}/account`,
   },
   
   // External APIs
@@ -103,7 +262,7 @@ if (config.nodeEnv === 'production') {
   const requiredEnvVars = [
     'MONGODB_URI',
     'JWT_SECRET',
-    'GITHUB_TOKEN'
+    ...(config.ai.provider === 'github' ? ['GITHUB_TOKEN'] : [])
   ];
   
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -0,0 +1,75 @@
+/**
+ * Usage metering: which requests are billable and what they cost.
+ *
+ * Every metered request is worth a number of usage units. A plain fact read
+ * is 1 unit, so a plan's `monthly_requests` allowance is an allowance of
+ * read-equivalent units. Requests that cost us more (AI calls, bulk exports)
+ * use more units.
+ */
+
+import config from './index.js';
+
+export const USAGE_CATEGORIES = {
+  fact_read: { units: 1, description: 'Fact reads, search and statistics' },
+  fact_write: { units: 1, description: 'Fact submissions, edits and votes' },
+  bulk: { units: 25, description: 'Bulk import and export' },
+  ai_moderation: { units: 2, description: 'AI content moderation' },
+  ai_verification: { units: 10, description: 'AI fact verification against the reference corpus' },
+  ai_generation: { units: 10, description: 'AI fact generation and suggestions' }
+};
+
+// Matched in order against `<baseUrl><route path>`; the first match wins.
+// Endpoints that match nothing (accounts, billing, admin) or match a rule
+// with a null category (staff moderation) are not metered.
+export const ENDPOINT_CATEGORIES = [
+  { pattern: /^\/api\/v1\/facts\/(moderation\/|:id\/(verify|reject)$)/, category: null },
+  { pattern: /^\/api\/v1\/ai\/(generate|suggest|batch)/, category: 'ai_generation' },
+  { pattern: /^\/api\/v1\/ai\/moderate/, category: 'ai_moderation' },
+  { pattern: /^\/api\/v1\/facts\/:id\/ai-verification$/, category: 'ai_verification' },
+  { pattern: /^\/api\/v1\/facts\/bulk\//, category: 'bulk' },
+  { pattern: /^\/api\/v1\/facts/, method: 'GET', category: 'fact_read' },
+  { pattern: /^\/api\/v1\/facts/, category: 'fact_write' }
+];
+
+// Prices in cents. `overage` is null when usage past the allowance is
+// refused (basic) or cannot happen (unlimited platinum).
+export const PLAN_PRICING = {
+  basic: { base_cents: 0, overage: null },
+  premium: {
+    base_cents: 1000,
+    overage: {
+      cents_per_block: config.metering.overageCentsPerBlock,
+      block_units: 1000
+    }
+  },
+  platinum: { base_cents: 5000, overage: null }
+};
+
+export const CURRENCY = 'usd';
+
+export const classifyEndpoint = (method, path) =>
+  ENDPOINT_CATEGORIES.find(rule =>
+    rule.pattern.test(path) && (!rule.method || rule.method === method)
+  )?.category || null;
+
+export const getUnits = (category) => USAGE_CATEGORIES[category]?.units || 0;
+
+export const getPlanPricing = (plan) => PLAN_PRICING[plan] || PLAN_PRICING.basic;
+
+// Overage is charged per started block of units
+export const calculateOverageCents = (plan, overageUnits) => {
+  const { overage } = getPlanPricing(plan);
+  if (!overage || overageUnits <= 0) return 0;
+  return Math.ceil(overageUnits / overage.block_units) * overage.cents_per_block;
+};
+
+export default {
+  USAGE_CATEGORIES,
+  ENDPOINT_CATEGORIES,
+  PLAN_PRICING,
+  CURRENCY,
+  classifyEndpoint,
+  getUnits,
+  getPlanPricing,
+  calculateOverageCents
+};
@@ -0,0 +1,112 @@
+/**
+ * Permission model shared by both kinds of credentials.
+ *
+ * - JWT users get the permissions of their role.
+ * - API keys carry OAuth-style scopes. A key can never do more than its
+ *   owner's role allows, so a request made with a key needs the scope on the
+ *   key AND the permission on the owner's role.
+ *
+ * Permissions and scopes use the same `resource:action` names. `resource:*`
+ * grants every action on a resource and `*` grants everything.
+ */
+
+export const SCOPES = {
+  'facts:read': 'Read facts, categories and statistics',
+  'facts:create': 'Submit new facts',
+  'facts:update': 'Edit existing facts',
+  'facts:delete': 'Delete facts',
+  'facts:moderate': 'Verify, reject and review queued facts',
+  'facts:import': 'Bulk import facts',
+  'facts:export': 'Bulk export facts',
+  'ai:generate': 'Generate and suggest facts with AI',
+  'ai:moderate': 'Run AI content moderation',
+  'ai:manage': 'AI health, usage statistics, batch jobs and model settings',
+  'users:read': 'Read own profile and usage',
+  'analytics:read': 'Read usage analytics',
+  'admin': 'Full administrative access'
+};
+
+export const ROLE_PERMISSIONS = {
+  user: [
+    'facts:read',
+    'facts:create',
+    'ai:generate',
+    'users:read',
+    'analytics:read'
+  ],
+  moderator: [
+    'facts:read',
+    'facts:create',
+    'facts:update',
+    'facts:moderate',
+    'facts:export',
+    'ai:generate',
+    'ai:moderate',
+    'users:read',
+    'analytics:read'
+  ],
+  admin: ['*']
+};
+
+// Scopes granted by the endpoint groups that API keys used before scopes existed
+export const LEGACY_ENDPOINT_SCOPES = {
+  facts: ['facts:read'],
+  ai: ['ai:generate'],
+  users: ['users:read'],
+  analytics: ['analytics:read'],
+  admin: ['*']
+};
+
+// Older permission names still accepted by requirePermission()
+export const PERMISSION_ALIASES = {
+  create_facts: 'facts:create',
+  edit_facts: 'facts:update',
+  delete_facts: 'facts:delete',
+  moderate_facts: 'facts:moderate',
+  bulk_import: 'facts:import',
+  bulk_export: 'facts:export',
+  moderate_content: 'ai:moderate',
+  facts: 'facts:read',
+  ai: 'ai:generate',
+  users: 'users:read',
+  analytics: 'analytics:read'
+};
+
+export const DEFAULT_API_KEY_SCOPES = ['facts:read'];
+
+export const resolvePermission = (permission) => PERMISSION_ALIASES[permission] || permission;
+
+// Does a list of granted permissions/scopes cover `permission`?
+export const grants = (granted, permission) => {
+  const required = resolvePermission(permission);
+  return granted.some(scope =>
+    scope === '*' ||
+    scope === 'admin' ||
+    scope === required ||
+    (scope.endsWith(':*') && required.startsWith(scope.slice(0, -1)))
+  );
+};
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.user;
+
+export const roleHasPermission = (role, permission) => grants(getRolePermissions(role), permission);
+
+export const isValidScope = (scope) =>
+  scope === '*' ||
+  Object.hasOwn(SCOPES, scope) ||
+  (scope.endsWith(':*') && Object.keys(SCOPES).some(name => name.startsWith(scope.slice(0, -1))));
+
+export const expandLegacyEndpoints = (endpoints = []) =>
+  [...new Set(endpoints.flatMap(endpoint => LEGACY_ENDPOINT_SCOPES[endpoint] || []))];
+
+export default {
+  SCOPES,
+  ROLE_PERMISSIONS,
+  DEFAULT_API_KEY_SCOPES,
+  resolvePermission,
+  grants,
+  getRolePermissions,
+  roleHasPermission,
+  isValidScope,
+  expandLegacyEndpoints
+};
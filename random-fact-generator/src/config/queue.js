@@ -0,0 +1,79 @@
+import { Queue, Worker } from 'bullmq';
+import { Redis } from 'ioredis';
+import config from './index.js';
+import logger from '../utils/logger.js';
+
+const queues = new Map();
+const workers = [];
+let producerConnection = null;
+
+const connectionOptions = () => ({
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password || undefined,
+  db: config.redis.db
+});
+
+// Shared by every queue in the process. Without an offline queue, adding a
+// job while Redis is down fails at once instead of hanging the caller.
+const getProducerConnection = () => {
+  if (!producerConnection) {
+    producerConnection = new Redis({
+      ...connectionOptions(),
+      enableOfflineQueue: false
+    });
+
+    producerConnection.on('error', (error) => {
+      logger.error('Queue Redis connection error:', error);
+    });
+  }
+  return producerConnection;
+};
+
+// One Queue instance per name, shared by every producer in the process
+export const createQueue = (name, defaultJobOptions = {}) => {
+  if (!queues.has(name)) {
+    queues.set(name, new Queue(name, {
+      connection: getProducerConnection(),
+      prefix: config.queue.prefix,
+      defaultJobOptions: {
+        removeOnComplete: 1000,
+        removeOnFail: 5000,
+        ...defaultJobOptions
+      }
+    }));
+  }
+  return queues.get(name);
+};
+
+export const createWorker = (name, processor, options = {}) => {
+  // Workers block on their connection and must wait out Redis outages
+  const worker = new Worker(name, processor, {
+    connection: { ...connectionOptions(), maxRetriesPerRequest: null },
+    prefix: config.queue.prefix,
+    concurrency: 5,
+    ...options
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.warn(`Job ${name}:${job?.id} failed (attempt ${job?.attemptsMade}): ${error.message}`);
+  });
+  worker.on('error', (error) => {
+    logger.error(`Queue worker ${name} error:`, error);
+  });
+
+  workers.push(worker);
+  return worker;
+};
+
+// Let running jobs finish, then close every queue, worker and the connection
+export const closeQueues = async () => {
+  await Promise.all(workers.splice(0).map(worker => worker.close()));
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+
+  if (producerConnection) {
+    await producerConnection.quit();
+    producerConnection = null;
+  }
+};
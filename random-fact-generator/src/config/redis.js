@@ -2,6 +2,35 @@ import { Redis } from 'ioredis';
 import config from './index.js';
 import logger from '../utils/logger.js';
 
+// Atomic sliding-window hit. Uses the Redis server clock so every instance
+// shares one notion of "now". Returns { allowed, count, oldestTimestamp }.
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local member = ARGV[3]
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', key, now, member)
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', key, window)
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+local oldestTimestamp = now
+if oldest[2] then
+  oldestTimestamp = tonumber(oldest[2])
+end
+
+return { allowed, count, oldestTimestamp, now }
+`;
+
 class RedisConnection {
   constructor() {
     this.client = null;
@@ -28,6 +57,11 @@ class RedisConnection {
         commandTimeout: 5000,
       });
 
+      this.client.defineCommand('slidingWindowHit', {
+        numberOfKeys: 1,
+        lua: SLIDING_WINDOW_SCRIPT
+      });
+
       // Event handlers
       this.client.on('connect', () => {
         this.isConnected = true;
@@ -154,6 +188,40 @@ class RedisConnection {
     }
   }
 
+  // Record a hit in a sliding window; returns null when Redis is unavailable
+  async slidingWindowHit(key, windowMs, limit, member) {
+    try {
+      if (!this.isConnectionReady()) {
+        return null;
+      }
+
+      const [allowed, count, oldestTimestamp, now] = await this.client.slidingWindowHit(key, windowMs, limit, member);
+      return {
+        allowed: allowed === 1,
+        count,
+        oldestTimestamp: Number(oldestTimestamp),
+        now: Number(now)
+      };
+    } catch (error) {
+      logger.error(`Redis sliding window error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  // Remove a single hit from a sliding window (e.g. to not count a successful login)
+  async slidingWindowRemove(key, member) {
+    try {
+      if (!this.isConnectionReady()) {
+        return false;
+      }
+      await this.client.zrem(key, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis ZREM error for key ${key}:`, error);
+      return false;
+    }
+  }
+
   // Health check method
   async healthCheck() {
     try {
@@ -193,6 +261,8 @@ export const cache = {
   set: (key, value, ttl) => redisConnection.set(key, value, ttl),
   del: (key) => redisConnection.del(key),
   increment: (key, ttl) => redisConnection.increment(key, ttl),
+  slidingWindowHit: (key, windowMs, limit, member) => redisConnection.slidingWindowHit(key, windowMs, limit, member),
+  slidingWindowRemove: (key, member) => redisConnection.slidingWindowRemove(key, member),
 };
 
 export default redisConnection;
\ No newline at end of file
@@ -0,0 +1,74 @@
+import systemLoadService from '../services/systemLoadService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import meteringService from '../services/meteringService.js';
+import usageEventService from '../services/usageEventService.js';
+
+class AdminController {
+  /**
+   * @swagger
+   * /api/v1/admin/system/load:
+   *   get:
+   *     summary: Current system load and adaptive rate limit multipliers (admin only)
+   *     tags: [Admin]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Load level, sampled signals and per-plan multipliers
+   */
+  async getSystemLoad(req, res, next) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...systemLoadService.getStatus(),
+          rate_limit_store: rateLimitService.getStatus(),
+          usage_events: usageEventService.getStatus()
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/admin/billing/statements/{period}/finalize:
+   *   post:
+   *     summary: Close a past month's usage statements and invoice overage (admin only)
+   *     description: Runs automatically every hour for the previous month; safe to repeat.
+   *     tags: [Admin]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: period
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: 2024-03
+   */
+  async finalizeStatements(req, res, next) {
+    try {
+      const summary = await meteringService.finalizePeriod(req.params.period);
+
+      res.status(200).json({
+        status: 'success',
+        data: summary
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const adminController = new AdminController();
+
+// Export methods bound to the instance
+export const getSystemLoad = adminController.getSystemLoad.bind(adminController);
+export const finalizeStatements = adminController.finalizeStatements.bind(adminController);
+
+export default adminController;
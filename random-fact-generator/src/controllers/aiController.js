@@ -1,7 +1,17 @@
 import aiService from '../services/aiService.js';
 import factService from '../services/factService.js';
+import jobService from '../services/jobService.js';
+import aiUsageService from '../services/aiUsageService.js';
+import factVerificationService from '../services/factVerificationService.js';
+import factAnalysisService from '../services/factAnalysisService.js';
+import promptTemplateService from '../services/promptTemplateService.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
+import { grants, getRolePermissions } from '../config/permissions.js';
+import { AppError, forbidden, badRequest } from '../utils/errors.js';
+
+// Who an AI call's token usage is billed to
+const actorFrom = (req) => ({ userId: req.user?._id, apiKeyId: req.apiKey?._id });
 
 class AIController {
   /**
@@ -25,6 +35,15 @@ class AIController {
    *               specific_request:
    *                 type: string
    *                 description: Specific topic or theme for the fact
+   *               difficulty:
+   *                 type: string
+   *                 enum: [beginner, intermediate, advanced]
+   *               language:
+   *                 type: string
+   *                 description: ISO 639-1 code of the language to write the fact in
+   *               audience:
+   *                 type: string
+   *                 description: Who the fact is for, e.g. "primary school pupils"
    *               temperature:
    *                 type: number
    *                 minimum: 0
@@ -62,14 +81,21 @@ class AIController {
       const {
         category = 'general',
         specific_request,
+        difficulty,
+        language,
+        audience,
         temperature = 0.8,
         save_to_database = true
       } = req.body;
 
       const options = {
         specificRequest: specific_request,
+        difficulty,
+        language,
+        audience,
         temperature: Math.min(Math.max(temperature, 0), 2),
-        forceNew: true
+        forceNew: true,
+        actor: actorFrom(req)
       };
 
       const generatedFact = await aiService.generateFact(category, options);
@@ -83,7 +109,7 @@ class AIController {
             created_by: req.user?.id,
             verified: false, // AI facts need verification
             ai_generated: true
-          });
+          }, { actor: actorFrom(req) });
         } catch (saveError) {
           logger.logError(saveError, req, { operation: 'save_ai_fact' });
           // Continue without saving - still return the generated fact
@@ -100,7 +126,8 @@ class AIController {
           database_id: savedFact?._id
         },
         meta: {
-          ai_model: config.ai.model,
+          ai_model: generatedFact.ai_model,
+          prompt_version: generatedFact.ai_prompt.version,
           response_time: responseTime,
           category,
           generated_at: new Date().toISOString()
@@ -119,6 +146,193 @@ class AIController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/v1/ai/generate/fact/stream:
+   *   post:
+   *     summary: Generate a fact using AI, streaming the text as it is written
+   *     description: |
+   *       Responds with Server-Sent Events. `token` events carry each piece of
+   *       text as the model writes it. A final `fact` event carries the parsed,
+   *       moderated fact and its database ID when saved; an `error` event is
+   *       sent instead if generation fails. Closing the connection cancels
+   *       the generation.
+   *     tags: [AI]
+   *     security:
+   *       - ApiKeyAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               category:
+   *                 type: string
+   *               specific_request:
+   *                 type: string
+   *               difficulty:
+   *                 type: string
+   *                 enum: [beginner, intermediate, advanced]
+   *               language:
+   *                 type: string
+   *               audience:
+   *                 type: string
+   *               temperature:
+   *                 type: number
+   *                 minimum: 0
+   *                 maximum: 2
+   *               save_to_database:
+   *                 type: boolean
+   *                 default: true
+   *     responses:
+   *       200:
+   *         description: Event stream of token events followed by a fact or error event
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *       403:
+   *         description: AI features not enabled for this plan
+   */
+  async generateFactStream(req, res, next) {
+    const startTime = Date.now();
+
+    // Check if user has access to AI features
+    if (!req.user?.hasFeature('ai_facts')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'AI fact generation requires a Premium or Platinum plan',
+        upgrade_url: '/upgrade'
+      });
+    }
+
+    if (!config.ai.enabled) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'AI service is temporarily unavailable'
+      });
+    }
+
+    const {
+      category = 'general',
+      specific_request,
+      difficulty,
+      language,
+      audience,
+      temperature = 0.8,
+      max_tokens,
+      save_to_database = true
+    } = req.body;
+
+    // Cancel the upstream completion if the client goes away first
+    const upstream = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        upstream.abort();
+      }
+    });
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression buffers writes until flushed
+      res.flush?.();
+    };
+
+    sendEvent('start', { category, ai_model: aiService.getActiveModel(category) });
+
+    try {
+      const generatedFact = await aiService.streamFact(category, {
+        specificRequest: specific_request,
+        difficulty,
+        language,
+        audience,
+        temperature: Math.min(Math.max(temperature, 0), 2),
+        maxTokens: max_tokens
+      }, {
+        signal: upstream.signal,
+        onToken: (text) => sendEvent('token', { text }),
+        actor: actorFrom(req)
+      });
+
+      const moderation = config.ai.contentModerationEnabled
+        ? await aiService.moderateContent(generatedFact.fact, actorFrom(req))
+        : { approved: true, confidence: 1.0 };
+
+      let savedFact = null;
+      if (save_to_database && moderation.approved && !upstream.signal.aborted) {
+        try {
+          savedFact = await factService.addFact({
+            ...generatedFact,
+            created_by: req.user?.id,
+            verified: false, // AI facts need verification
+            ai_generated: true
+          }, { actor: actorFrom(req), moderation });
+        } catch (saveError) {
+          logger.logError(saveError, req, { operation: 'save_ai_fact' });
+          // Continue without saving - still send the generated fact
+        }
+      }
+
+      const responseTime = Date.now() - startTime;
+
+      sendEvent('fact', {
+        fact: generatedFact,
+        moderation: {
+          approved: moderation.approved,
+          confidence: moderation.confidence,
+          issues: moderation.issues || [],
+          requires_manual_review: !!moderation.requiresManualReview
+        },
+        saved_to_database: !!savedFact,
+        database_id: savedFact?._id,
+        meta: {
+          ai_model: generatedFact.ai_model,
+          prompt_version: generatedFact.ai_prompt.version,
+          response_time: responseTime,
+          category,
+          generated_at: new Date().toISOString()
+        }
+      });
+
+      logger.logBusiness('AI Fact Streamed', {
+        category,
+        userId: req.user?.id,
+        responseTime,
+        approved: moderation.approved,
+        saved: !!savedFact
+      });
+
+    } catch (error) {
+      if (upstream.signal.aborted) {
+        logger.logBusiness('AI Fact Stream Cancelled', {
+          category,
+          userId: req.user?.id,
+          duration: Date.now() - startTime
+        });
+      } else {
+        logger.logError(error, req, { operation: 'generateFactStream', category });
+        // The status was already sent, so the error's own code goes in the event
+        sendEvent('error', error instanceof AppError
+          ? { message: error.message, error_code: error.errorCode, status_code: error.statusCode }
+          : { message: 'Failed to generate AI fact', error_code: 'AI_GENERATION_FAILED' });
+      }
+    } finally {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  }
+
   /**
    * @swagger
    * /api/v1/ai/moderate-content:
@@ -159,7 +373,7 @@ class AIController {
         });
       }
 
-      const moderationResult = await aiService.moderateContent(content);
+      const moderationResult = await aiService.moderateContent(content, actorFrom(req));
       const responseTime = Date.now() - startTime;
 
       res.status(200).json({
@@ -214,11 +428,18 @@ class AIController {
    *                 minimum: 1
    *                 maximum: 20
    *                 description: Number of suggestions to generate
+   *               difficulty:
+   *                 type: string
+   *                 enum: [beginner, intermediate, advanced]
+   *               language:
+   *                 type: string
+   *               audience:
+   *                 type: string
    */
   async suggestTopics(req, res, next) {
     try {
       const startTime = Date.now();
-      const { theme, count = 5 } = req.body;
+      const { theme, count = 5, difficulty, language, audience } = req.body;
 
       if (!theme || typeof theme !== 'string') {
         return res.status(400).json({
@@ -228,7 +449,11 @@ class AIController {
       }
 
       const suggestionCount = Math.min(Math.max(count, 1), 20);
-      const suggestions = await aiService.generateFactSuggestions(theme, suggestionCount);
+      const suggestions = await aiService.generateFactSuggestions(theme, suggestionCount, actorFrom(req), {
+        difficulty,
+        language,
+        audience
+      });
       
       const responseTime = Date.now() - startTime;
 
@@ -241,7 +466,7 @@ class AIController {
         },
         meta: {
           response_time: responseTime,
-          ai_model: config.ai.model
+          ai_model: aiService.getActiveModel()
         }
       });
 
@@ -294,23 +519,40 @@ class AIController {
         });
       }
 
+      // Bulk generation is too slow for one request; it runs as a background job
+      if (task_type === 'bulk_generation') {
+        const categories = [...new Set(parameters.categories || [])];
+        const countPerCategory = parameters.count_per_category || 10;
+        const job = await jobService.create(req.user, 'bulk_generation', {
+          categories,
+          count_per_category: countPerCategory,
+          themes: parameters.themes || [],
+          save_to_database: parameters.save_to_database || false
+        }, categories.length * countPerCategory);
+
+        return res.status(202).json({
+          status: 'success',
+          data: job,
+          meta: {
+            task_type,
+            status_url: `/api/v1/jobs/${job.id}`
+          }
+        });
+      }
+
       let result;
       
       switch (task_type) {
-        case 'bulk_generation':
-          result = await this.handleBulkGeneration(parameters);
-          break;
-          
         case 'content_analysis':
-          result = await this.handleContentAnalysis(parameters);
+          result = await this.handleContentAnalysis(parameters, actorFrom(req));
           break;
           
         case 'fact_verification':
-          result = await this.handleFactVerification(parameters);
+          result = await this.handleFactVerification(parameters, actorFrom(req));
           break;
           
         case 'data_processing':
-          result = await this.handleDataProcessing(parameters);
+          result = await this.handleDataProcessing(parameters, actorFrom(req));
           break;
           
         default:
@@ -348,6 +590,11 @@ class AIController {
    * /api/v1/ai/health:
    *   get:
    *     summary: Check AI service health
+   *     description: |
+   *       Sends a test request to the provider and reports the circuit breaker:
+   *       `closed` (calls go through), `open` (calls are refused until
+   *       `retry_at` after repeated failures) or `half_open` (the next call
+   *       is a trial).
    *     tags: [AI]
    */
   async healthCheck(req, res, next) {
@@ -360,12 +607,14 @@ class AIController {
         data: {
           service_status: healthStatus.status,
           ai_enabled: config.ai.enabled,
-          model: config.ai.model,
+          provider: config.ai.provider,
+          model: aiService.getActiveModel(),
           features: {
             fact_generation: config.ai.enabled,
             content_moderation: config.ai.contentModerationEnabled,
             fallback: config.ai.fallbackEnabled
           },
+          circuit_breaker: aiService.breaker.getStatus(),
           usage_stats: usageStats
         },
         meta: {
@@ -380,39 +629,539 @@ class AIController {
   }
 
   // Helper methods for heavy tasks
-  async handleBulkGeneration(parameters) {
-    const { categories, count_per_category = 10, themes = [] } = parameters;
-    const results = {};
+  /**
+   * @swagger
+   * /api/v1/ai/stats:
+   *   get:
+   *     summary: AI token usage and cost
+   *     description: >
+   *       Your own AI usage and monthly AI budget. Users with the ai:manage
+   *       permission see everyone's usage (or one user's, with user_id) and the
+   *       live counters of this instance.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: First day (UTC), defaults to the start of the month
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Last day (UTC), defaults to today
+   *       - in: query
+   *         name: group_by
+   *         schema:
+   *           type: string
+   *           default: model,operation
+   *         description: Comma-separated list of model, operation, day, userId, apiKeyId
+   *       - in: query
+   *         name: user_id
+   *         schema:
+   *           type: string
+   *         description: Only with ai:manage
+   */
+  async getUsageStats(req, res, next) {
+    try {
+      const { from, to, group_by, user_id } = req.query;
+      const { fromDay, toDay } = aiUsageService.parseRange(from, to);
+      const groupBy = group_by ? group_by.split(',') : undefined;
 
-    for (const category of categories) {
-      results[category] = [];
-      
-      for (let i = 0; i < count_per_category; i++) {
-        try {
-          const theme = themes[i % themes.length] || undefined;
-          const fact = await aiService.generateFact(category, { specificRequest: theme });
-          results[category].push(fact);
-        } catch (error) {
-          logger.logError(error, null, { operation: 'bulk_generation', category });
-          results[category].push({ error: error.message });
+      const keyScopes = req.apiKey ? req.apiKey.getScopes() : null;
+      const canManage = grants(getRolePermissions(req.user.role), 'ai:manage') &&
+        (!keyScopes || grants(keyScopes, 'ai:manage'));
+
+      if (user_id && !canManage) {
+        throw forbidden('You can only view your own AI usage', 'INSUFFICIENT_PERMISSIONS');
+      }
+
+      const userId = canManage ? user_id : req.user._id;
+      const usage = await aiUsageService.getStats({ userId, fromDay, toDay, groupBy });
+
+      const data = canManage
+        ? {
+          scope: user_id ? 'user' : 'all',
+          usage,
+          service: {
+            ...aiService.getUsageStats(),
+            error_rate: aiService.getErrorRate()
+          }
         }
+        : {
+          scope: 'self',
+          usage,
+          budget: await aiUsageService.getBudgetStatus(req.user)
+        };
+
+      res.status(200).json({
+        status: 'success',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/batch/generate:
+   *   post:
+   *     summary: Generate a batch of facts in the background
+   *     description: Queues a bulk generation job with one fact per request. Poll status_url for progress and results.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - requests
+   *             properties:
+   *               requests:
+   *                 type: array
+   *                 maxItems: 50
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     category:
+   *                       type: string
+   *                     specific_request:
+   *                       type: string
+   *               save_to_database:
+   *                 type: boolean
+   *                 default: false
+   *     responses:
+   *       202:
+   *         description: Job queued
+   */
+  async batchGenerateFacts(req, res, next) {
+    try {
+      if (!config.ai.enabled) {
+        return res.status(503).json({
+          status: 'error',
+          message: 'AI service is temporarily unavailable'
+        });
       }
+
+      const { requests, save_to_database = false } = req.body;
+      const job = await jobService.create(req.user, 'bulk_generation', {
+        requests: requests.map(({ category, specific_request }) => ({ category, specific_request })),
+        save_to_database
+      }, requests.length);
+
+      res.status(202).json({
+        status: 'success',
+        data: job,
+        meta: {
+          status_url: `/api/v1/jobs/${job.id}`
+        }
+      });
+
+    } catch (error) {
+      next(error);
     }
+  }
 
-    return {
-      generated_facts: results,
-      total_generated: Object.values(results).flat().filter(f => !f.error).length,
-      errors: Object.values(results).flat().filter(f => f.error).length
-    };
+  /**
+   * @swagger
+   * /api/v1/ai/models:
+   *   get:
+   *     summary: List the models offered by the configured AI provider
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Models, with the active one flagged
+   *       502:
+   *         description: The provider could not be reached
+   */
+  async getAvailableModels(req, res, next) {
+    try {
+      const models = await aiService.listModels();
+
+      res.status(200).json({
+        status: 'success',
+        data: models,
+        meta: {
+          provider: config.ai.provider,
+          active_model: aiService.getActiveModel(),
+          category_models: Object.fromEntries(models.flatMap(model => model.categories.map(category => [category, model.id])))
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
   }
 
-  async handleContentAnalysis(parameters) {
+  /**
+   * @swagger
+   * /api/v1/ai/models/switch:
+   *   post:
+   *     summary: Switch the model used for AI operations
+   *     description: |
+   *       The model must be one the configured provider offers (see GET /api/v1/ai/models)
+   *       and able to generate facts. With `category`, the model is used only for fact
+   *       generation in that category. The choice is stored and reaches every instance.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - model
+   *             properties:
+   *               model:
+   *                 type: string
+   *               category:
+   *                 type: string
+   *                 description: Use the model only for this category
+   *     responses:
+   *       200:
+   *         description: Model switched
+   *       400:
+   *         description: The provider does not offer this model
+   */
+  async switchModel(req, res, next) {
+    try {
+      const { model, category } = req.body;
+      const result = await aiService.switchModel(model, req.user?.id, { category });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+        meta: {
+          message: category
+            ? `Now using ${result.model} for ${category} facts`
+            : `Now using ${result.model}`
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/models/categories/{category}:
+   *   delete:
+   *     summary: Remove a category's model override so it uses the active model
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async resetCategoryModel(req, res, next) {
+    try {
+      const result = await aiService.resetCategoryModel(req.params.category, req.user?.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+        meta: {
+          message: `${req.params.category} facts now use ${result.model}`
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/references:
+   *   get:
+   *     summary: List reference sources used as evidence by fact verification
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: active
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   */
+  async listReferences(req, res, next) {
+    try {
+      const options = {
+        category: req.query.category,
+        active: req.query.active === undefined ? undefined : req.query.active === 'true',
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100)
+      };
+
+      const result = await factVerificationService.listReferences(options);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.references,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/references:
+   *   post:
+   *     summary: Add a reference source to the verification corpus
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - title
+   *               - content
+   *             properties:
+   *               title:
+   *                 type: string
+   *                 maxLength: 200
+   *               content:
+   *                 type: string
+   *                 maxLength: 2000
+   *               url:
+   *                 type: string
+   *               category:
+   *                 type: string
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   */
+  async createReference(req, res, next) {
+    try {
+      const reference = await factVerificationService.createReference(req.body, req.user?._id);
+
+      res.status(201).json({
+        status: 'success',
+        data: reference
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/references/{id}:
+   *   delete:
+   *     summary: Stop citing a reference source
+   *     description: The source is deactivated rather than deleted, so stored verifications that cite it still resolve.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async deactivateReference(req, res, next) {
+    try {
+      const reference = await factVerificationService.deactivateReference(req.params.id, req.user?._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: reference,
+        meta: {
+          message: 'Reference source deactivated'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/prompts:
+   *   get:
+   *     summary: List the AI prompt templates and the version each one uses
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async listPrompts(req, res, next) {
+    try {
+      const prompts = await promptTemplateService.list();
+
+      res.status(200).json({
+        status: 'success',
+        data: prompts
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/prompts/{name}:
+   *   get:
+   *     summary: Get a prompt template with its version history
+   *     description: |
+   *       Version 0 is the built-in template. Each version lists how the facts
+   *       generated with it fared (generated, verified, rejected, likes, dislikes),
+   *       for comparing prompt versions.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [generate, moderate, suggest, analyze, extract_claims, judge_claims]
+   */
+  async getPrompt(req, res, next) {
+    try {
+      const prompt = await promptTemplateService.get(req.params.name);
+
+      res.status(200).json({
+        status: 'success',
+        data: prompt
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/prompts/{name}:
+   *   put:
+   *     summary: Save a new version of a prompt template and start using it
+   *     description: |
+   *       Templates may use `{{variable}}` placeholders from the template's
+   *       `variables` list. The response format instructions are added
+   *       automatically and can't be edited.
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - system
+   *               - user
+   *             properties:
+   *               system:
+   *                 type: string
+   *                 maxLength: 8000
+   *               user:
+   *                 type: string
+   *                 maxLength: 2000
+   *               note:
+   *                 type: string
+   *                 description: What changed in this version
+   *     responses:
+   *       201:
+   *         description: Version created and made active
+   *       400:
+   *         description: The template uses an unknown variable
+   */
+  async updatePrompt(req, res, next) {
+    try {
+      const { system, user, note } = req.body;
+      const result = await promptTemplateService.createVersion(req.params.name, { system, user, note }, req.user?._id);
+
+      res.status(201).json({
+        status: 'success',
+        data: result,
+        meta: {
+          message: `The ${req.params.name} prompt now uses version ${result.active_version}`
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/ai/prompts/{name}/rollback:
+   *   post:
+   *     summary: Go back to an earlier version of a prompt template
+   *     tags: [AI]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - version
+   *             properties:
+   *               version:
+   *                 type: integer
+   *                 minimum: 0
+   *                 description: Version to use; 0 is the built-in template
+   */
+  async rollbackPrompt(req, res, next) {
+    try {
+      const result = await promptTemplateService.rollback(req.params.name, req.body.version, req.user?._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+        meta: {
+          message: `The ${req.params.name} prompt now uses version ${result.active_version}`
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async handleContentAnalysis(parameters, actor) {
     const { content_items } = parameters;
     const results = [];
 
     for (const item of content_items) {
       try {
-        const moderation = await aiService.moderateContent(item.content);
+        const moderation = await aiService.moderateContent(item.content, actor);
         results.push({
           id: item.id,
           content_preview: item.content.substring(0, 100) + '...',
@@ -434,51 +1183,57 @@ class AIController {
     };
   }
 
-  async handleFactVerification(parameters) {
-    // This would integrate with external fact-checking APIs
-    // For now, return a placeholder implementation
+  // Verify up to 10 texts against the reference corpus; nothing is stored
+  async handleFactVerification(parameters, actor) {
     const { facts } = parameters;
-    
-    return {
-      verified_facts: facts.map(fact => ({
-        id: fact.id,
-        original_fact: fact.content,
-        verification_status: 'pending_manual_review',
-        confidence: 0.5,
-        sources_needed: true
-      })),
-      message: 'Fact verification requires manual review and external source validation'
-    };
+    if (!Array.isArray(facts) || facts.length === 0 || facts.length > 10) {
+      throw badRequest('parameters.facts must be an array of 1 to 10 facts', 'INVALID_PARAMETERS');
+    }
+
+    const verified = [];
+    for (const fact of facts) {
+      const verification = await factVerificationService.verifyText(String(fact.content || ''), {
+        excludeId: fact.id,
+        actor
+      });
+      verified.push({ id: fact.id, original_fact: fact.content, ...verification });
+    }
+
+    return { verified_facts: verified };
   }
 
-  async handleDataProcessing(parameters) {
+  async handleDataProcessing(parameters, actor) {
     const { operation, data } = parameters;
+
+    if (!Array.isArray(data) || data.length === 0 || data.length > 50) {
+      throw badRequest('parameters.data must be an array of 1 to 50 items', 'INVALID_PARAMETERS');
+    }
     
     // Implement various data processing operations
     switch (operation) {
       case 'categorize':
-        return this.categorizeData(data);
+        return this.categorizeData(data, actor);
       case 'summarize':
-        return this.summarizeData(data);
+        return this.summarizeData(data, actor);
       case 'extract_keywords':
-        return this.extractKeywords(data);
+        return this.extractKeywords(data, actor);
       default:
-        throw new Error('Unknown data processing operation');
+        throw badRequest('Unknown data processing operation', 'INVALID_OPERATION');
     }
   }
 
-  async categorizeData(data) {
-    // Use AI to categorize content
+  // Run text analysis on each item, recording per-item failures
+  async analyzeItems(data, actor, pick) {
     const results = [];
-    
+
     for (const item of data) {
       try {
-        // This would use AI to determine the best category
+        const analysis = await factAnalysisService.analyze(String(item.content || ''), { actor });
         results.push({
           id: item.id,
-          content: item.content,
-          suggested_category: 'general', // Placeholder
-          confidence: 0.8
+          ...pick(analysis),
+          method: analysis.method,
+          prompt_version: analysis.prompt?.version
         });
       } catch (error) {
         results.push({
@@ -487,23 +1242,47 @@ class AIController {
         });
       }
     }
-    
+
+    return results;
+  }
+
+  async categorizeData(data, actor) {
+    const results = await this.analyzeItems(data, actor, ({ category, confidence }) => ({
+      suggested_category: category,
+      confidence
+    }));
+
     return { categorized_items: results };
   }
 
-  async summarizeData(data) {
-    // Use AI to create summaries
+  async summarizeData(data, actor) {
+    const results = await this.analyzeItems(data, actor, ({ summary }) => ({ summary }));
+
     return {
-      summary: 'Data processing completed',
+      summaries: results,
       processed_items: data.length,
       timestamp: new Date().toISOString()
     };
   }
 
-  async extractKeywords(data) {
-    // Use AI to extract keywords
+  // Keywords per item, and across all items ranked by how many items share them
+  async extractKeywords(data, actor) {
+    const results = await this.analyzeItems(data, actor, ({ keywords }) => ({ keywords }));
+
+    const counts = new Map();
+    for (const { keywords = [] } of results) {
+      keywords.forEach((keyword, rank) => {
+        const entry = counts.get(keyword) || { items: 0, rank: 0 };
+        counts.set(keyword, { items: entry.items + 1, rank: entry.rank + rank });
+      });
+    }
+
     return {
-      keywords: ['science', 'technology', 'nature'],
+      keywords: [...counts.entries()]
+        .sort(([, a], [, b]) => b.items - a.items || a.rank - b.rank)
+        .slice(0, config.ai.analysis.maxKeywords)
+        .map(([keyword]) => keyword),
+      items: results,
       processed_items: data.length
     };
   }
@@ -514,22 +1293,22 @@ const aiController = new AIController();
 
 // Export methods bound to the instance
 export const generateFact = aiController.generateFact.bind(aiController);
+export const generateFactStream = aiController.generateFactStream.bind(aiController);
 export const moderateContent = aiController.moderateContent.bind(aiController);
 export const suggestTopics = aiController.suggestTopics.bind(aiController);
 export const handleHeavyTask = aiController.handleHeavyTask.bind(aiController);
 export const healthCheck = aiController.healthCheck.bind(aiController);
+export const getUsageStats = aiController.getUsageStats.bind(aiController);
+export const batchGenerateFacts = aiController.batchGenerateFacts.bind(aiController);
+export const getAvailableModels = aiController.getAvailableModels.bind(aiController);
+export const switchModel = aiController.switchModel.bind(aiController);
+export const resetCategoryModel = aiController.resetCategoryModel.bind(aiController);
+export const listReferences = aiController.listReferences.bind(aiController);
+export const createReference = aiController.createReference.bind(aiController);
+export const deactivateReference = aiController.deactivateReference.bind(aiController);
+export const listPrompts = aiController.listPrompts.bind(aiController);
+export const getPrompt = aiController.getPrompt.bind(aiController);
+export const updatePrompt = aiController.updatePrompt.bind(aiController);
+export const rollbackPrompt = aiController.rollbackPrompt.bind(aiController);
 
 export default aiController;
-  try {
-    const userMessage = req.body.message;
-    const messages = [
-      { role: "system", content: "You are a helpful assistant." },
-      { role: "user", content: userMessage }
-    ];
-
-    const aiResponse = await generateAIResponse(messages);
-    res.status(200).json({ status: "success", response: aiResponse });
-  } catch (error) {
-    res.status(500).json({ status: "error", message: error.message });
-  }
-}
\ No newline at end of file
@@ -0,0 +1,334 @@
+import apiKeyService from '../services/apiKeyService.js';
+import usageEventService from '../services/usageEventService.js';
+
+const KEY_DISCLOSURE_NOTICE = 'Store this key securely. It will not be shown again.';
+
+class ApiKeyController {
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys:
+   *   get:
+   *     summary: List the current user's API keys (masked)
+   *     tags: [API Keys]
+   *     parameters:
+   *       - in: query
+   *         name: include_revoked
+   *         schema:
+   *           type: boolean
+   */
+  async listApiKeys(req, res, next) {
+    try {
+      const apiKeys = await apiKeyService.listKeys(req.user._id, {
+        includeRevoked: req.query.include_revoked === 'true'
+      });
+      const activeCount = await apiKeyService.countActiveKeys(req.user._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: apiKeys,
+        meta: {
+          count: apiKeys.length,
+          plan: req.user.plan,
+          key_limit: apiKeyService.getPlanKeyLimit(req.user.plan),
+          keys_in_use: activeCount
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys:
+   *   post:
+   *     summary: Create an API key
+   *     tags: [API Keys]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               scopes:
+   *                 type: array
+   *                 description: OAuth-style scopes such as facts:read or ai:generate; limited to what your role allows
+   *                 items:
+   *                   type: string
+   *               permissions:
+   *                 type: array
+   *                 description: Deprecated endpoint groups, used when scopes is omitted
+   *                 items:
+   *                   type: string
+   *                   enum: [facts, ai, users, analytics, admin]
+   *               expires_at:
+   *                 type: string
+   *                 format: date-time
+   *               ip_whitelist:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               allowed_origins:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: Key created; the plaintext key is only returned in this response
+   *       403:
+   *         description: Plan key limit reached, or a scope your role does not grant
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { apiKey, key } = await apiKeyService.createKey(req.user, req.body, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          ...apiKey.toJSON(),
+          key
+        },
+        meta: {
+          message: KEY_DISCLOSURE_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}:
+   *   patch:
+   *     summary: Rename, describe, re-scope, suspend, reactivate or revoke an API key
+   *     tags: [API Keys]
+   */
+  async updateApiKey(req, res, next) {
+    try {
+      const { name, description, scopes, status } = req.body;
+      const apiKey = await apiKeyService.updateKey(req.user, req.params.id, {
+        name,
+        description,
+        scopes,
+        status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: apiKey,
+        meta: {
+          message: 'API key updated successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/rotate:
+   *   post:
+   *     summary: Replace an API key's secret; the old value stops working immediately
+   *     tags: [API Keys]
+   */
+  async rotateApiKey(req, res, next) {
+    try {
+      const { apiKey, key } = await apiKeyService.rotateKey(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...apiKey.toJSON(),
+          key
+        },
+        meta: {
+          message: KEY_DISCLOSURE_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}:
+   *   delete:
+   *     summary: Revoke an API key
+   *     tags: [API Keys]
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: apiKey._id,
+          status: apiKey.status
+        },
+        meta: {
+          message: 'API key revoked successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/restrictions:
+   *   put:
+   *     summary: Replace the IP whitelist and/or allowed origins of an API key
+   *     tags: [API Keys]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               ip_whitelist:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               allowed_origins:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   */
+  async updateApiKeyRestrictions(req, res, next) {
+    try {
+      const { ip_whitelist, allowed_origins } = req.body;
+      const apiKey = await apiKeyService.updateRestrictions(req.user._id, req.params.id, {
+        ip_whitelist,
+        allowed_origins
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: apiKey._id,
+          ip_whitelist: apiKey.permissions.ip_whitelist,
+          allowed_origins: apiKey.permissions.allowed_origins
+        },
+        meta: {
+          message: 'API key restrictions updated successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/analytics:
+   *   get:
+   *     summary: Requests, error rate and p50/p95 latency for each of the user's keys
+   *     tags: [API Keys]
+   *     parameters:
+   *       - in: query
+   *         name: interval
+   *         schema:
+   *           type: string
+   *           enum: [hour, day]
+   *           default: hour
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   */
+  async getApiKeysAnalytics(req, res, next) {
+    try {
+      const overview = await usageEventService.getKeysOverview(req.user._id, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        data: overview
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/analytics:
+   *   get:
+   *     summary: Time series of requests, error rate and p50/p95 latency for one key
+   *     description: Buckets by hour (up to 7 days, default last 24 hours) or day (up to 90 days, default last 30). Events are kept for USAGE_EVENT_RETENTION_DAYS.
+   *     tags: [API Keys]
+   *     parameters:
+   *       - in: query
+   *         name: interval
+   *         schema:
+   *           type: string
+   *           enum: [hour, day]
+   *           default: hour
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   */
+  async getApiKeyAnalytics(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.getKey(req.user._id, req.params.id);
+      const analytics = await usageEventService.getKeyAnalytics(apiKey, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        data: analytics
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const apiKeyController = new ApiKeyController();
+
+// Export methods bound to the instance
+export const listApiKeys = apiKeyController.listApiKeys.bind(apiKeyController);
+export const createApiKey = apiKeyController.createApiKey.bind(apiKeyController);
+export const updateApiKey = apiKeyController.updateApiKey.bind(apiKeyController);
+export const rotateApiKey = apiKeyController.rotateApiKey.bind(apiKeyController);
+export const revokeApiKey = apiKeyController.revokeApiKey.bind(apiKeyController);
+export const updateApiKeyRestrictions = apiKeyController.updateApiKeyRestrictions.bind(apiKeyController);
+export const getApiKeysAnalytics = apiKeyController.getApiKeysAnalytics.bind(apiKeyController);
+export const getApiKeyAnalytics = apiKeyController.getApiKeyAnalytics.bind(apiKeyController);
+
+export default apiKeyController;
@@ -0,0 +1,290 @@
+import billingService from '../services/billingService.js';
+import meteringService from '../services/meteringService.js';
+
+class BillingController {
+  /**
+   * @swagger
+   * /api/v1/billing/checkout:
+   *   post:
+   *     summary: Start a Stripe Checkout session for a paid plan
+   *     description: The plan changes only after Stripe confirms the payment through the webhook.
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - plan
+   *             properties:
+   *               plan:
+   *                 type: string
+   *                 enum: [premium, platinum]
+   *     responses:
+   *       201:
+   *         description: Checkout session created; redirect the user to `url`
+   *       409:
+   *         description: Already subscribed; use the billing portal to change plans
+   */
+  async createCheckoutSession(req, res, next) {
+    try {
+      const session = await billingService.createCheckoutSession(req.user, req.body.plan);
+
+      res.status(201).json({
+        status: 'success',
+        data: session
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/portal:
+   *   post:
+   *     summary: Open the Stripe billing portal to manage payment details, plan and invoices
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       201:
+   *         description: Portal session created; redirect the user to `url`
+   *       400:
+   *         description: The user has no billing account yet
+   */
+  async createPortalSession(req, res, next) {
+    try {
+      const session = await billingService.createPortalSession(req.user);
+
+      res.status(201).json({
+        status: 'success',
+        data: session
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/subscription:
+   *   get:
+   *     summary: Current plan, payment status and next billing date
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async getSubscription(req, res, next) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: billingService.getSubscription(req.user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/overage:
+   *   put:
+   *     summary: Turn overage billing on or off
+   *     description: With overage on, requests past the plan allowance are billed per 1,000 units instead of being refused with 429.
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - enabled
+   *             properties:
+   *               enabled:
+   *                 type: boolean
+   */
+  async setOverage(req, res, next) {
+    try {
+      const subscription = await billingService.setOverageEnabled(req.user, req.body.enabled);
+
+      res.status(200).json({
+        status: 'success',
+        data: subscription
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/usage:
+   *   get:
+   *     summary: Itemized metered usage
+   *     description: Requests and weighted usage units between two UTC days (default this month). AI calls use more units than fact reads.
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: group_by
+   *         schema:
+   *           type: string
+   *           enum: [endpoint, day, key, category]
+   *           default: endpoint
+   */
+  async getUsage(req, res, next) {
+    try {
+      const usage = await meteringService.getItemizedUsage(req.user, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        data: usage
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/usage/projection:
+   *   get:
+   *     summary: Bill so far this month and projected to the end of the month
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async getProjection(req, res, next) {
+    try {
+      const projection = await meteringService.projectBill(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: projection
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/statements:
+   *   get:
+   *     summary: Monthly usage statements, newest first
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async listStatements(req, res, next) {
+    try {
+      const statements = await meteringService.listStatements(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: statements,
+        meta: {
+          count: statements.length
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/statements/{period}:
+   *   get:
+   *     summary: One monthly statement with line items per endpoint
+   *     tags: [Billing]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: period
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: 2024-03
+   */
+  async getStatement(req, res, next) {
+    try {
+      const statement = await meteringService.getStatement(req.user, req.params.period);
+
+      res.status(200).json({
+        status: 'success',
+        data: statement
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/billing/webhook:
+   *   post:
+   *     summary: Stripe webhook receiver
+   *     description: Requires a valid Stripe-Signature header computed over the raw request body.
+   *     tags: [Billing]
+   *     responses:
+   *       200:
+   *         description: Event processed
+   *       400:
+   *         description: Missing or invalid signature
+   */
+  async handleWebhook(req, res, next) {
+    try {
+      const event = billingService.constructEvent(req.body, req.get('Stripe-Signature'));
+      await billingService.handleEvent(event);
+
+      res.status(200).json({ received: true });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const billingController = new BillingController();
+
+// Export methods bound to the instance
+export const createCheckoutSession = billingController.createCheckoutSession.bind(billingController);
+export const createPortalSession = billingController.createPortalSession.bind(billingController);
+export const getSubscription = billingController.getSubscription.bind(billingController);
+export const setOverage = billingController.setOverage.bind(billingController);
+export const getUsage = billingController.getUsage.bind(billingController);
+export const getProjection = billingController.getProjection.bind(billingController);
+export const listStatements = billingController.listStatements.bind(billingController);
+export const getStatement = billingController.getStatement.bind(billingController);
+export const handleWebhook = billingController.handleWebhook.bind(billingController);
+
+export default billingController;
@@ -1,7 +1,22 @@
 import factService from '../services/factService.js';
 import aiService from '../services/aiService.js';
+import factVerificationService from '../services/factVerificationService.js';
 import logger from '../utils/logger.js';
 import { validateFactInput, validatePaginationParams } from '../utils/validators.js';
+import { resolveExportFormat, createExportSerializer, EXPORT_FORMATS } from '../utils/factExport.js';
+
+// Resolve once the response can take more data or the client has gone away
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
 class FactController {
   /**
@@ -52,7 +67,8 @@ class FactController {
       const options = {
         category: category?.toLowerCase(),
         forceNew: req.query.force_new === 'true',
-        saveAIFacts: ai_fallback !== 'false'
+        saveAIFacts: ai_fallback !== 'false',
+        actor: { userId: req.user?._id, apiKeyId: req.apiKey?._id }
       };
 
       const fact = await factService.getRandomFact(options);
@@ -108,7 +124,8 @@ class FactController {
       const { exclude_ai } = req.query;
 
       const options = {
-        excludeAI: exclude_ai === 'true'
+        excludeAI: exclude_ai === 'true',
+        actor: { userId: req.user?._id, apiKeyId: req.apiKey?._id }
       };
 
       const fact = await factService.getFactByCategory(category.toLowerCase(), options);
@@ -195,6 +212,10 @@ class FactController {
         category: req.query.category?.toLowerCase(),
         verified: req.query.verified !== undefined ? req.query.verified === 'true' : true,
         search: req.query.search,
+        ai_generated: req.query.ai_generated !== undefined ? req.query.ai_generated === 'true' : undefined,
+        createdFrom: req.query.created_from,
+        createdTo: req.query.created_to,
+        tags: req.query.tags ? req.query.tags.split(',') : undefined,
         sortBy: req.query.sort_by || 'created_at',
         sortOrder: req.query.sort_order || 'desc'
       };
@@ -239,7 +260,6 @@ class FactController {
    *             type: object
    *             required:
    *               - fact
-   *               - category
    *             properties:
    *               fact:
    *                 type: string
@@ -247,34 +267,28 @@ class FactController {
    *                 maxLength: 1000
    *               category:
    *                 type: string
+   *                 description: Chosen automatically when left out
    *               source:
    *                 type: string
    *               tags:
    *                 type: array
+   *                 description: Filled from the category and keywords when left out
    *                 items:
    *                   type: string
    */
   async createFact(req, res, next) {
     try {
       const startTime = Date.now();
-      
-      // Validate input
-      const validationResult = validateFactInput(req.body);
-      if (!validationResult.isValid) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Invalid fact data',
-          errors: validationResult.errors
-        });
-      }
 
       const factData = {
         ...req.body,
         created_by: req.user?.id,
-        category: req.body.category.toLowerCase()
+        category: req.body.category?.toLowerCase()
       };
 
-      const newFact = await factService.addFact(factData);
+      const newFact = await factService.addFact(factData, {
+        actor: { userId: req.user?._id, apiKeyId: req.apiKey?._id }
+      });
       const responseTime = Date.now() - startTime;
 
       res.status(201).json({
@@ -538,42 +552,438 @@ class FactController {
 
   /**
    * @swagger
-   * /api/v1/facts/bulk:
+   * /api/v1/facts/recent:
+   *   get:
+   *     summary: Get recently added facts
+   *     tags: [Facts]
+   */
+  async getRecentFacts(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const Fact = (await import('../models/Fact.js')).default;
+      const recentFacts = await Fact.getRecentlyAdded(limit);
+
+      res.status(200).json({
+        status: 'success',
+        data: recentFacts,
+        meta: {
+          count: recentFacts.length
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/top-rated:
+   *   get:
+   *     summary: Get the most liked facts
+   *     tags: [Facts]
+   */
+  async getTopRatedFacts(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const Fact = (await import('../models/Fact.js')).default;
+      const topRatedFacts = await Fact.getTopRated(limit);
+
+      res.status(200).json({
+        status: 'success',
+        data: topRatedFacts,
+        meta: {
+          count: topRatedFacts.length
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/stats:
+   *   get:
+   *     summary: Get fact counts per category
+   *     tags: [Facts]
+   */
+  async getFactStats(req, res, next) {
+    try {
+      const stats = await factService.getFactStats();
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          by_category: stats.byCategory,
+          total: stats.total
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/{id}:
+   *   get:
+   *     summary: Get a fact by ID
+   *     tags: [Facts]
+   *     security:
+   *       - ApiKeyAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   */
+  async getFactById(req, res, next) {
+    try {
+      const fact = await factService.getFactById(req.params.id, req.user?._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: fact
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/{id}/view:
    *   post:
-   *     summary: Bulk import facts
+   *     summary: Record a view of a fact
    *     tags: [Facts]
    *     security:
    *       - ApiKeyAuth: []
    */
-  async bulkImportFacts(req, res, next) {
+  async incrementViews(req, res, next) {
     try {
-      const { facts } = req.body;
+      const fact = await factService.incrementViews(req.params.id);
 
-      if (!Array.isArray(facts) || facts.length === 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Facts array is required and cannot be empty'
-        });
-      }
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: fact._id,
+          view_count: fact.view_count
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/moderation/queue:
+   *   get:
+   *     summary: List pending AI-generated and user-submitted facts
+   *     tags: [Moderation]
+   *     parameters:
+   *       - in: query
+   *         name: source
+   *         schema:
+   *           type: string
+   *           enum: [all, ai, user]
+   *         description: Restrict the queue to AI-generated or user-submitted facts
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   */
+  async getModerationQueue(req, res, next) {
+    try {
+      const options = {
+        source: req.query.source || 'all',
+        category: req.query.category?.toLowerCase(),
+        verification: req.query.verification,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100)
+      };
+
+      const result = await factService.getModerationQueue(options);
 
-      if (facts.length > 1000) {
+      res.status(200).json({
+        status: 'success',
+        data: result.facts,
+        pagination: result.pagination,
+        meta: {
+          source: options.source,
+          category: options.category,
+          verification: options.verification
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/{id}/verify:
+   *   post:
+   *     summary: Approve a fact
+   *     tags: [Moderation]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *                 maxLength: 500
+   */
+  async verifyFact(req, res, next) {
+    try {
+      const { id } = req.params;
+      const fact = await factService.verifyFact(id, req.user?._id, req.body.reason);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: fact._id,
+          verified: fact.verified,
+          moderation_status: fact.moderation_status,
+          verified_by: fact.verified_by,
+          verification_date: fact.verification_date
+        },
+        meta: {
+          message: 'Fact verified successfully'
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/facts/{id}/reject:
+   *   post:
+   *     summary: Reject a fact
+   *     tags: [Moderation]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *                 maxLength: 500
+   */
+  async rejectFact(req, res, next) {
+    try {
+      const { id } = req.params;
+      const fact = await factService.rejectFact(id, req.user?._id, req.body.reason);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: fact._id,
+          verified: fact.verified,
+          moderation_status: fact.moderation_status,
+          moderation_reason: fact.moderation_reason,
+          rejected_by: fact.rejected_by,
+          rejection_date: fact.rejection_date
+        },
+        meta: {
+          message: 'Fact rejected successfully'
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+  /**
+   * @swagger
+   * /api/v1/facts/{id}/ai-verification:
+   *   post:
+   *     summary: Check a fact's claims against the reference corpus with AI
+   *     description: >
+   *       Extracts the fact's claims, looks up evidence among verified facts and
+   *       reference sources, and has the model judge each claim against it. The
+   *       result is stored in the fact's ai_verification with per-claim
+   *       verdicts and evidence. It is a recommendation; the fact's moderation
+   *       status does not change.
+   *     tags: [Moderation]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   */
+  async runAIVerification(req, res, next) {
+    try {
+      const { id } = req.params;
+      const fact = await factVerificationService.verifyFact(id, {
+        actor: { userId: req.user?._id, apiKeyId: req.apiKey?._id },
+        userId: req.user?._id
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: fact._id,
+          moderation_status: fact.moderation_status,
+          ai_verification: fact.ai_verification
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+
+  /**
+   * @swagger
+   * /api/v1/facts/bulk/export:
+   *   post:
+   *     summary: Stream every fact matching the filters as JSON, NDJSON or CSV
+   *     tags: [Facts]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               format:
+   *                 type: string
+   *                 enum: [json, ndjson, csv]
+   *                 description: Output format; defaults to the Accept header, then JSON
+   *               category:
+   *                 type: string
+   *               verified:
+   *                 type: boolean
+   *               ai_generated:
+   *                 type: boolean
+   *               created_from:
+   *                 type: string
+   *                 format: date-time
+   *               created_to:
+   *                 type: string
+   *                 format: date-time
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   */
+  async bulkExportFacts(req, res, next) {
+    let cursor = null;
+
+    try {
+      const startTime = Date.now();
+      const format = resolveExportFormat(req.body.format, req.get('Accept'));
+
+      if (!format) {
         return res.status(400).json({
           status: 'error',
-          message: 'Maximum 1000 facts allowed per bulk import'
+          message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+          error_code: 'INVALID_EXPORT_FORMAT'
         });
       }
 
-      const result = await factService.bulkImportFacts(facts);
+      const filters = {
+        category: req.body.category?.toLowerCase(),
+        verified: req.body.verified,
+        ai_generated: req.body.ai_generated,
+        createdFrom: req.body.created_from,
+        createdTo: req.body.created_to,
+        tags: req.body.tags
+      };
 
-      res.status(200).json({
-        status: 'success',
-        data: result,
-        meta: {
-          message: `Bulk import completed: ${result.successful} successful, ${result.errors.length} errors`
+      const serializer = createExportSerializer(format);
+      cursor = factService.exportFacts(filters);
+
+      let clientGone = false;
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          clientGone = true;
+          cursor.close().catch(() => {});
         }
       });
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      res.status(200).set({
+        'Content-Type': serializer.contentType,
+        'Content-Disposition': `attachment; filename="facts-export-${timestamp}.${serializer.extension}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      const write = async (chunk) => {
+        if (chunk && !res.write(chunk)) {
+          await waitForDrain(res);
+        }
+      };
+
+      await write(serializer.header());
+
+      let count = 0;
+      for await (const doc of cursor) {
+        if (clientGone) break;
+        await write(serializer.item(doc, count));
+        count++;
+      }
+
+      if (clientGone) {
+        logger.warn('Fact export aborted by client', { format, exported: count, userId: req.user?.id });
+        return;
+      }
+
+      res.end(serializer.footer(count));
+
+      logger.logBusiness('Facts Exported', {
+        format,
+        count,
+        filters,
+        userId: req.user?.id,
+        responseTime: Date.now() - startTime
+      });
       
     } catch (error) {
+      if (res.headersSent) {
+        // The body is already streaming, so the status can no longer change
+        logger.logError(error, req, { operation: 'bulkExportFacts' });
+        cursor?.close().catch(() => {});
+        res.destroy(error);
+        return;
+      }
       next(error);
     }
   }
@@ -593,6 +1003,15 @@ export const likeFact = factController.likeFact.bind(factController);
 export const getCategories = factController.getCategories.bind(factController);
 export const searchFacts = factController.searchFacts.bind(factController);
 export const getTrendingFacts = factController.getTrendingFacts.bind(factController);
-export const bulkImportFacts = factController.bulkImportFacts.bind(factController);
+export const getRecentFacts = factController.getRecentFacts.bind(factController);
+export const getTopRatedFacts = factController.getTopRatedFacts.bind(factController);
+export const getFactStats = factController.getFactStats.bind(factController);
+export const getFactById = factController.getFactById.bind(factController);
+export const incrementViews = factController.incrementViews.bind(factController);
+export const bulkExportFacts = factController.bulkExportFacts.bind(factController);
+export const getModerationQueue = factController.getModerationQueue.bind(factController);
+export const verifyFact = factController.verifyFact.bind(factController);
+export const rejectFact = factController.rejectFact.bind(factController);
+export const runAIVerification = factController.runAIVerification.bind(factController);
 
 export default factController;
\ No newline at end of file
@@ -0,0 +1,342 @@
+import jobService from '../services/jobService.js';
+import config from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+
+// 202 response for a newly queued job
+const sendQueued = (res, job) => {
+  res.status(202).json({
+    status: 'success',
+    data: job,
+    meta: {
+      status_url: `/api/v1/jobs/${job.id}`,
+      message: 'Job queued'
+    }
+  });
+};
+
+class JobController {
+  /**
+   * @swagger
+   * /api/v1/jobs/generation:
+   *   post:
+   *     summary: Generate facts for several categories in the background
+   *     tags: [Jobs]
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - categories
+   *             properties:
+   *               categories:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               count_per_category:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 50
+   *                 default: 10
+   *               themes:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               save_to_database:
+   *                 type: boolean
+   *                 default: false
+   *     responses:
+   *       202:
+   *         description: Job queued; poll status_url for progress
+   */
+  async createGenerationJob(req, res, next) {
+    try {
+      if (!config.ai.enabled) {
+        throw new AppError('AI service is temporarily unavailable', 503, 'AI_UNAVAILABLE');
+      }
+
+      const { categories, count_per_category = 10, themes = [], save_to_database = false } = req.body;
+      const uniqueCategories = [...new Set(categories)];
+
+      const job = await jobService.create(req.user, 'bulk_generation', {
+        categories: uniqueCategories,
+        count_per_category,
+        themes,
+        save_to_database
+      }, uniqueCategories.length * count_per_category);
+
+      sendQueued(res, job);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/import:
+   *   post:
+   *     summary: Import up to 10,000 facts in the background
+   *     description: POST /api/v1/facts/bulk/import queues the same job, limited to 1,000 facts.
+   *     tags: [Jobs]
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - facts
+   *             properties:
+   *               facts:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *     responses:
+   *       202:
+   *         description: Job queued; invalid facts are listed in the job's failures by index
+   */
+  async createImportJob(req, res, next) {
+    try {
+      const { facts } = req.body;
+      const job = await jobService.create(req.user, 'bulk_import', { facts }, facts.length);
+
+      sendQueued(res, job);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/export:
+   *   post:
+   *     summary: Export facts to a file in the background
+   *     description: Takes the same filters as POST /api/v1/facts/bulk/export. Download the file from /api/v1/jobs/{id}/download once the job completes.
+   *     tags: [Jobs]
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   */
+  async createExportJob(req, res, next) {
+    try {
+      const job = await jobService.create(req.user, 'export', {
+        format: req.body.format || 'json',
+        filters: {
+          category: req.body.category?.toLowerCase(),
+          verified: req.body.verified,
+          ai_generated: req.body.ai_generated,
+          createdFrom: req.body.created_from,
+          createdTo: req.body.created_to,
+          tags: req.body.tags
+        }
+      });
+
+      sendQueued(res, job);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/moderation-backfill:
+   *   post:
+   *     summary: Run AI moderation over existing facts and store their scores
+   *     tags: [Jobs]
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               category:
+   *                 type: string
+   *               moderation_status:
+   *                 type: string
+   *                 enum: [pending, approved, rejected]
+   *                 default: pending
+   *               only_unscored:
+   *                 type: boolean
+   *                 default: true
+   *               auto_reject:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Reject facts the model rejects, instead of leaving them for a moderator
+   *               limit:
+   *                 type: integer
+   *                 maximum: 5000
+   *                 default: 1000
+   */
+  async createModerationBackfillJob(req, res, next) {
+    try {
+      if (!config.ai.contentModerationEnabled) {
+        throw new AppError('AI content moderation is disabled', 503, 'AI_MODERATION_DISABLED');
+      }
+
+      const {
+        category,
+        moderation_status = 'pending',
+        only_unscored = true,
+        auto_reject = false,
+        limit = 1000
+      } = req.body;
+
+      const job = await jobService.create(req.user, 'moderation_backfill', {
+        category,
+        moderation_status,
+        only_unscored,
+        auto_reject,
+        limit
+      });
+
+      sendQueued(res, job);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs:
+   *   get:
+   *     summary: The current user's jobs, newest first
+   *     tags: [Jobs]
+   *     parameters:
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [bulk_generation, bulk_import, export, moderation_backfill]
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [queued, running, completed, failed, cancelled]
+   */
+  async listJobs(req, res, next) {
+    try {
+      const { jobs, pagination } = await jobService.list(req.user._id, {
+        type: req.query.type,
+        status: req.query.status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: jobs,
+        pagination
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/{id}:
+   *   get:
+   *     summary: Job status, progress and the results so far
+   *     tags: [Jobs]
+   */
+  async getJob(req, res, next) {
+    try {
+      const job = await jobService.get(req.user, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: job,
+        meta: job.type === 'export' && job.status === 'completed'
+          ? { download_url: `/api/v1/jobs/${job.id}/download` }
+          : undefined
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/{id}/download:
+   *   get:
+   *     summary: Download the file produced by a completed export job
+   *     tags: [Jobs]
+   */
+  async downloadJobResult(req, res, next) {
+    try {
+      const { file, filename, contentType } = await jobService.getExportFile(req.user, req.params.id);
+
+      res.set({
+        'Content-Type': contentType,
+        'Cache-Control': 'no-store'
+      });
+      res.download(file, filename, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/jobs/{id}:
+   *   delete:
+   *     summary: Cancel a job
+   *     description: A queued job is cancelled at once. A running job stops after its current batch and keeps the results it already produced.
+   *     tags: [Jobs]
+   *     responses:
+   *       200:
+   *         description: Cancelled, or cancellation requested
+   *       409:
+   *         description: The job has already finished
+   */
+  async cancelJob(req, res, next) {
+    try {
+      const job = await jobService.cancel(req.user, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: job,
+        meta: {
+          message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const jobController = new JobController();
+
+// Export methods bound to the instance
+export const createGenerationJob = jobController.createGenerationJob.bind(jobController);
+export const createImportJob = jobController.createImportJob.bind(jobController);
+export const createExportJob = jobController.createExportJob.bind(jobController);
+export const createModerationBackfillJob = jobController.createModerationBackfillJob.bind(jobController);
+export const listJobs = jobController.listJobs.bind(jobController);
+export const getJob = jobController.getJob.bind(jobController);
+export const downloadJobResult = jobController.downloadJobResult.bind(jobController);
+export const cancelJob = jobController.cancelJob.bind(jobController);
+
+export default jobController;
@@ -0,0 +1,169 @@
+import sessionService from '../services/sessionService.js';
+
+class SessionController {
+  /**
+   * @swagger
+   * /api/v1/users/token/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for new access and refresh tokens
+   *     description: Refresh tokens are single-use. Reusing an old one logs out the whole session.
+   *     tags: [Sessions]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refresh_token
+   *             properties:
+   *               refresh_token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New access and refresh tokens
+   *       401:
+   *         description: Refresh token invalid, expired, revoked or reused
+   */
+  async refreshToken(req, res, next) {
+    try {
+      const tokens = await sessionService.refresh(req.body.refresh_token, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: tokens
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/logout:
+   *   post:
+   *     summary: Log out the current session
+   *     tags: [Sessions]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async logout(req, res, next) {
+    try {
+      if (req.sessionId) {
+        await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        meta: {
+          message: 'Logged out'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/logout-all:
+   *   post:
+   *     summary: Log out every session on every device
+   *     description: Revokes all refresh tokens and invalidates all access tokens already issued.
+   *     tags: [Sessions]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async logoutAll(req, res, next) {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user, 'logout_all');
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          sessions_revoked: revoked
+        },
+        meta: {
+          message: 'Logged out of all sessions'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/sessions:
+   *   get:
+   *     summary: List active sessions with device and IP address
+   *     tags: [Sessions]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+      res.status(200).json({
+        status: 'success',
+        data: sessions,
+        meta: {
+          count: sessions.length
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/sessions/{id}:
+   *   delete:
+   *     summary: Log out one session
+   *     tags: [Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await sessionService.revokeSession(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        meta: {
+          message: 'Session revoked'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const sessionController = new SessionController();
+
+// Export methods bound to the instance
+export const refreshToken = sessionController.refreshToken.bind(sessionController);
+export const logout = sessionController.logout.bind(sessionController);
+export const logoutAll = sessionController.logoutAll.bind(sessionController);
+export const listSessions = sessionController.listSessions.bind(sessionController);
+export const revokeSession = sessionController.revokeSession.bind(sessionController);
+
+export default sessionController;
@@ -0,0 +1,289 @@
+import twoFactorService from '../services/twoFactorService.js';
+import sessionService from '../services/sessionService.js';
+
+const RECOVERY_CODES_NOTICE = 'Store these recovery codes somewhere safe. Each works once and they will not be shown again.';
+
+class TwoFactorController {
+  /**
+   * @swagger
+   * /api/v1/users/login/2fa:
+   *   post:
+   *     summary: Complete a login with a TOTP or recovery code
+   *     tags: [Two-Factor Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - challenge_token
+   *               - code
+   *             properties:
+   *               challenge_token:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 description: 6-digit TOTP code or a recovery code
+   *     responses:
+   *       200:
+   *         description: Access and refresh tokens
+   *       401:
+   *         description: Invalid or expired challenge, or wrong code
+   */
+  async completeLogin(req, res, next) {
+    try {
+      const { user, tokens } = await twoFactorService.completeLogin(req.body.challenge_token, req.body.code, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user,
+          ...tokens
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/2fa:
+   *   get:
+   *     summary: Two-factor status for the current user
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async getStatus(req, res, next) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: twoFactorService.getStatus(req.user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/2fa/setup:
+   *   post:
+   *     summary: Start 2FA enrolment
+   *     description: Returns a new TOTP secret and an otpauth URI to show as a QR code. 2FA is not active until confirmed.
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async beginSetup(req, res, next) {
+    try {
+      const setup = await twoFactorService.beginSetup(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: setup,
+        meta: {
+          message: 'Add this secret to your authenticator app, then confirm with a code'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/2fa/confirm:
+   *   post:
+   *     summary: Confirm 2FA enrolment with a code from the authenticator app
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: 2FA enabled; returns one-time recovery codes (and session tokens when enrolling from a setup token)
+   */
+  async confirmSetup(req, res, next) {
+    try {
+      const { recoveryCodes } = await twoFactorService.confirmSetup(req.user, req.body.code);
+
+      let data = { recovery_codes: recoveryCodes };
+
+      // Enrolment forced at login: this completes the login
+      if (req.tokenType === '2fa_setup') {
+        const tokens = await sessionService.createSession(req.user, {
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+        data = { ...data, ...tokens };
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data,
+        meta: {
+          message: 'Two-factor authentication enabled',
+          notice: RECOVERY_CODES_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/2fa/disable:
+   *   post:
+   *     summary: Turn off 2FA
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *               - code
+   *             properties:
+   *               password:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *     responses:
+   *       403:
+   *         description: 2FA is required for this account
+   */
+  async disable(req, res, next) {
+    try {
+      await twoFactorService.disable(req.user, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        meta: {
+          message: 'Two-factor authentication disabled'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/2fa/recovery-codes:
+   *   post:
+   *     summary: Replace all recovery codes
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 description: Current 6-digit TOTP code
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          recovery_codes: recoveryCodes
+        },
+        meta: {
+          notice: RECOVERY_CODES_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/{id}/2fa-requirement:
+   *   put:
+   *     summary: Require or stop requiring 2FA for an account (admin/moderator)
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - required
+   *             properties:
+   *               required:
+   *                 type: boolean
+   */
+  async setRequirement(req, res, next) {
+    try {
+      const result = await twoFactorService.setRequirement(req.user, req.params.id, req.body.required);
+
+      res.status(200).json({
+        status: 'success',
+        data: result
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const twoFactorController = new TwoFactorController();
+
+// Export methods bound to the instance
+export const completeLogin = twoFactorController.completeLogin.bind(twoFactorController);
+export const getStatus = twoFactorController.getStatus.bind(twoFactorController);
+export const beginSetup = twoFactorController.beginSetup.bind(twoFactorController);
+export const confirmSetup = twoFactorController.confirmSetup.bind(twoFactorController);
+export const disable = twoFactorController.disable.bind(twoFactorController);
+export const regenerateRecoveryCodes = twoFactorController.regenerateRecoveryCodes.bind(twoFactorController);
+export const setRequirement = twoFactorController.setRequirement.bind(twoFactorController);
+
+export default twoFactorController;
@@ -1,35 +1,502 @@
-const User = require('../models/User');
-const userService = require('../services/userService');
+import userService from '../services/userService.js';
 
-// User registration
-exports.registerUser = async (req, res) => {
+const KEY_DISCLOSURE_NOTICE = 'Store this API key securely. It will not be shown again.';
+const EMAIL_SENT_NOTICE = 'If an account matches this address, an email is on its way.';
+
+class UserController {
+  /**
+   * @swagger
+   * /api/v1/users/register:
+   *   post:
+   *     summary: Create an account
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - username
+   *               - email
+   *               - password
+   *             properties:
+   *               username:
+   *                 type: string
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *                 format: password
+   *               firstName:
+   *                 type: string
+   *               lastName:
+   *                 type: string
+   *               company:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Account created in pending_verification; includes a first API key that works once the email is confirmed
+   *       409:
+   *         description: Email or username already taken
+   */
+  async registerUser(req, res, next) {
+    try {
+      const { user, apiKey, key } = await userService.register(req.body, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          user,
+          api_key: {
+            ...apiKey.toJSON(),
+            key
+          }
+        },
+        meta: {
+          message: 'User registered successfully. Check your email to confirm your address.',
+          notice: KEY_DISCLOSURE_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/login:
+   *   post:
+   *     summary: Log in with email and password
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *               - password
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *                 format: password
+   *     responses:
+   *       200:
+   *         description: Access and refresh tokens, or a 2FA challenge/setup token when a second step is needed
+   *       401:
+   *         description: Invalid credentials
+   *       403:
+   *         description: Email address not confirmed yet
+   *       423:
+   *         description: Account locked after repeated failures
+   */
+  async authenticateUser(req, res, next) {
+    try {
+      const { user, tokens, twoFactor, twoFactorToken } = await userService.authenticate(req.body.email, req.body.password, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (twoFactor === 'challenge') {
+        return res.status(200).json({
+          status: 'success',
+          data: {
+            two_factor_required: true,
+            challenge_token: twoFactorToken
+          },
+          meta: {
+            message: 'Enter the code from your authenticator app at /api/v1/users/login/2fa'
+          }
+        });
+      }
+
+      if (twoFactor === 'setup') {
+        return res.status(200).json({
+          status: 'success',
+          data: {
+            two_factor_setup_required: true,
+            setup_token: twoFactorToken
+          },
+          meta: {
+            message: 'Two-factor authentication is required. Use this token to set it up at /api/v1/users/me/2fa/setup'
+          }
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user,
+          ...tokens
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/verify-email:
+   *   post:
+   *     summary: Confirm an email address with the token from the verification email
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Account activated; includes access and refresh tokens
+   *       400:
+   *         description: Token invalid or expired
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      const { user, tokens } = await userService.verifyEmail(req.body.token, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user,
+          ...tokens
+        },
+        meta: {
+          message: 'Email address confirmed'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/verify-email/resend:
+   *   post:
+   *     summary: Send a new verification email
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       202:
+   *         description: Accepted; the response does not reveal whether the account exists
+   */
+  async resendVerification(req, res, next) {
+    try {
+      await userService.resendVerification(req.body.email);
+
+      res.status(202).json({
+        status: 'success',
+        meta: {
+          message: EMAIL_SENT_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/forgot-password:
+   *   post:
+   *     summary: Email a password reset link
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       202:
+   *         description: Accepted; the response does not reveal whether the account exists
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      await userService.requestPasswordReset(req.body.email, { ip: req.ip });
+
+      res.status(202).json({
+        status: 'success',
+        meta: {
+          message: EMAIL_SENT_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/reset-password:
+   *   post:
+   *     summary: Set a new password with the token from the reset email
+   *     tags: [Users]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *                 format: password
+   *     responses:
+   *       200:
+   *         description: Password changed; all sessions are logged out
+   *       400:
+   *         description: Token invalid or expired
+   */
+  async resetPassword(req, res, next) {
+    try {
+      await userService.resetPassword(req.body.token, req.body.password, { ip: req.ip });
+
+      res.status(200).json({
+        status: 'success',
+        meta: {
+          message: 'Password has been reset and all sessions were logged out. You can now log in with your new password.'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me:
+   *   get:
+   *     summary: Get the current user's profile
+   *     tags: [Users]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async getProfile(req, res, next) {
+    try {
+      const user = await userService.getUser(req.user._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: user
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me:
+   *   patch:
+   *     summary: Update the current user's profile and preferences
+   *     tags: [Users]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               firstName:
+   *                 type: string
+   *               lastName:
+   *                 type: string
+   *               company:
+   *                 type: string
+   *               bio:
+   *                 type: string
+   *               preferences:
+   *                 type: object
+   *                 properties:
+   *                   email_notifications:
+   *                     type: boolean
+   *                   marketing_emails:
+   *                     type: boolean
+   *                   preferred_categories:
+   *                     type: array
+   *                     items:
+   *                       type: string
+   *                   default_language:
+   *                     type: string
+   */
+  async updateProfile(req, res, next) {
     try {
-        const { username, password, email } = req.body;
-        const newUser = await userService.createUser({ username, password, email });
-        res.status(201).json({ message: 'User registered successfully', user: newUser });
+      const user = await userService.updateProfile(req.user._id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: user,
+        meta: {
+          message: 'Profile updated successfully'
+        }
+      });
+
     } catch (error) {
-        res.status(500).json({ message: 'Error registering user', error: error.message });
+      next(error);
     }
-};
+  }
 
-// User authentication
-exports.authenticateUser = async (req, res) => {
+  /**
+   * @swagger
+   * /api/v1/users/me/password:
+   *   put:
+   *     summary: Change password
+   *     description: Logs out every session, including other devices, and returns tokens for a new session.
+   *     tags: [Users]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *               - newPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   */
+  async changePassword(req, res, next) {
     try {
-        const { username, password } = req.body;
-        const token = await userService.authenticateUser(username, password);
-        res.status(200).json({ message: 'User authenticated successfully', token });
+      const { tokens } = await userService.changePassword(
+        req.user._id,
+        req.body.currentPassword,
+        req.body.newPassword,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: tokens,
+        meta: {
+          message: 'Password changed. All other sessions have been logged out.'
+        }
+      });
+
     } catch (error) {
-        res.status(401).json({ message: 'Authentication failed', error: error.message });
+      next(error);
     }
-};
+  }
 
-// Get user usage statistics
-exports.getUserStats = async (req, res) => {
+  /**
+   * @swagger
+   * /api/v1/users/me/usage:
+   *   get:
+   *     summary: Get the current user's request usage for this billing month
+   *     tags: [Users]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Monthly quota, remainingRequests and usagePercentage
+   */
+  async getUsage(req, res, next) {
     try {
-        const userId = req.user.id; // Assuming user ID is stored in req.user
-        const stats = await userService.getUserUsageStats(userId);
-        res.status(200).json({ message: 'User statistics retrieved successfully', stats });
+      const usage = await userService.getUsage(req.user._id);
+
+      res.status(200).json({
+        status: 'success',
+        data: usage
+      });
+
     } catch (error) {
-        res.status(500).json({ message: 'Error retrieving user statistics', error: error.message });
+      next(error);
     }
-};
\ No newline at end of file
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/stats:
+   *   get:
+   *     summary: Account statistics across all users (admin only)
+   *     tags: [Users]
+   *     security:
+   *       - BearerAuth: []
+   */
+  async getUserStats(req, res, next) {
+    try {
+      const stats = await userService.getUserStats();
+
+      res.status(200).json({
+        status: 'success',
+        data: stats
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const userController = new UserController();
+
+// Export methods bound to the instance
+export const registerUser = userController.registerUser.bind(userController);
+export const authenticateUser = userController.authenticateUser.bind(userController);
+export const verifyEmail = userController.verifyEmail.bind(userController);
+export const resendVerification = userController.resendVerification.bind(userController);
+export const forgotPassword = userController.forgotPassword.bind(userController);
+export const resetPassword = userController.resetPassword.bind(userController);
+export const getProfile = userController.getProfile.bind(userController);
+export const updateProfile = userController.updateProfile.bind(userController);
+export const changePassword = userController.changePassword.bind(userController);
+export const getUsage = userController.getUsage.bind(userController);
+export const getUserStats = userController.getUserStats.bind(userController);
+
+export default userController;
@@ -0,0 +1,218 @@
+import apiKeyService from '../services/apiKeyService.js';
+import webhookService from '../services/webhookService.js';
+
+const SECRET_DISCLOSURE_NOTICE = 'Store this signing secret securely. It will not be shown again.';
+
+// Webhook settings as shown to the key's owner
+const toWebhookSettings = (apiKey, secret) => ({
+  api_key_id: apiKey._id,
+  url: apiKey.metadata.webhook_url || null,
+  events: apiKey.webhook.events.length > 0 ? apiKey.webhook.events : 'all',
+  consecutive_failures: apiKey.webhook.consecutive_failures,
+  last_delivery_at: apiKey.webhook.last_delivery_at,
+  ...(secret ? { secret } : {})
+});
+
+class WebhookController {
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/webhook:
+   *   put:
+   *     summary: Set the webhook URL and subscribed events of an API key
+   *     description: The signing secret is generated the first time a webhook is set and returned only in that response.
+   *     tags: [Webhooks]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               url:
+   *                 type: string
+   *                 description: Must be https in production
+   *               events:
+   *                 type: array
+   *                 description: Empty for every event
+   *                 items:
+   *                   type: string
+   *                   enum: [fact.created, fact.verified, fact.rejected, usage.threshold_reached, key.expiring]
+   */
+  async updateWebhook(req, res, next) {
+    try {
+      const { url, events } = req.body;
+      const { apiKey, secret } = await apiKeyService.updateWebhook(req.user._id, req.params.id, { url, events });
+
+      res.status(200).json({
+        status: 'success',
+        data: toWebhookSettings(apiKey, secret),
+        meta: {
+          message: secret ? SECRET_DISCLOSURE_NOTICE : 'Webhook updated successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/webhook/rotate-secret:
+   *   post:
+   *     summary: Replace a webhook's signing secret; the old one stops being used immediately
+   *     tags: [Webhooks]
+   */
+  async rotateWebhookSecret(req, res, next) {
+    try {
+      const { apiKey, secret } = await apiKeyService.rotateWebhookSecret(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: toWebhookSettings(apiKey, secret),
+        meta: {
+          message: SECRET_DISCLOSURE_NOTICE
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/api-keys/{id}/webhook:
+   *   delete:
+   *     summary: Remove an API key's webhook
+   *     tags: [Webhooks]
+   */
+  async removeWebhook(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.removeWebhook(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: toWebhookSettings(apiKey),
+        meta: {
+          message: 'Webhook removed successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/webhooks/deliveries:
+   *   get:
+   *     summary: Delivery log of the current user's webhooks, newest first
+   *     tags: [Webhooks]
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, delivered, failed]
+   *       - in: query
+   *         name: event
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: api_key_id
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const { deliveries, pagination } = await webhookService.listDeliveries(req.user._id, {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: deliveries,
+        pagination
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/webhooks/deliveries/{id}:
+   *   get:
+   *     summary: One delivery with its payload and every attempt
+   *     tags: [Webhooks]
+   */
+  async getDelivery(req, res, next) {
+    try {
+      const delivery = await webhookService.getDelivery(req.user._id, req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: delivery
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/webhooks/deliveries/{id}/redeliver:
+   *   post:
+   *     summary: Send a delivery again
+   *     description: Sends the same payload and event ID to the key's current webhook URL, once, as a new delivery.
+   *     tags: [Webhooks]
+   *     responses:
+   *       202:
+   *         description: Redelivery queued
+   *       409:
+   *         description: The key no longer has an active webhook
+   */
+  async redeliver(req, res, next) {
+    try {
+      const delivery = await webhookService.redeliver(req.user._id, req.params.id);
+
+      res.status(202).json({
+        status: 'success',
+        data: delivery,
+        meta: {
+          message: 'Redelivery queued'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Create controller instance
+const webhookController = new WebhookController();
+
+// Export methods bound to the instance
+export const updateWebhook = webhookController.updateWebhook.bind(webhookController);
+export const rotateWebhookSecret = webhookController.rotateWebhookSecret.bind(webhookController);
+export const removeWebhook = webhookController.removeWebhook.bind(webhookController);
+export const listDeliveries = webhookController.listDeliveries.bind(webhookController);
+export const getDelivery = webhookController.getDelivery.bind(webhookController);
+export const redeliver = webhookController.redeliver.bind(webhookController);
+
+export default webhookController;
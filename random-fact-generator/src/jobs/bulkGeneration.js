@@ -0,0 +1,63 @@
+import aiService from '../services/aiService.js';
+import factService from '../services/factService.js';
+
+/**
+ * Generate `count_per_category` facts for each category, cycling through
+ * `themes`, or one fact per entry of `requests` ({ category, specific_request })
+ * when given. With `save_to_database` the facts are stored unverified, like
+ * single AI generations.
+ */
+export default async function runBulkGeneration(ctx) {
+  const {
+    categories = [],
+    count_per_category: count = 10,
+    themes = [],
+    requests,
+    save_to_database: save = false
+  } = ctx.params;
+  let saved = 0;
+
+  const items = requests
+    ? requests.map((request, i) => ({
+      category: request.category || 'general',
+      theme: request.specific_request,
+      label: `#${i + 1}`
+    }))
+    : categories.flatMap(category => Array.from({ length: count }, (_, i) => ({
+      category,
+      theme: themes.length > 0 ? themes[i % themes.length] : undefined,
+      label: `${category}#${i + 1}`
+    })));
+
+  for (const { category, theme, label } of items) {
+    try {
+      const fact = await aiService.generateFact(category, {
+        specificRequest: theme,
+        forceNew: true,
+        actor: { userId: ctx.userId }
+      });
+      const savedFact = save
+        ? await factService.addFact({
+          ...fact,
+          created_by: ctx.userId,
+          verified: false,
+          ai_generated: true
+        })
+        : null;
+      if (savedFact) saved += 1;
+
+      await ctx.report({
+        succeeded: 1,
+        results: [{ category, theme, ...fact, database_id: savedFact?._id }]
+      });
+    } catch (error) {
+      await ctx.report({ failed: 1, failures: [{ item: label, message: error.message }] });
+    }
+
+    if (ctx.cancelled) {
+      return { saved };
+    }
+  }
+
+  return { saved };
+}
@@ -0,0 +1,31 @@
+import factService from '../services/factService.js';
+
+// Import `params.facts` in batches; invalid facts are reported by index
+export default async function runBulkImport(ctx) {
+  const { facts } = ctx.params;
+  const { batchSize } = ctx;
+
+  for (let offset = 0; offset < facts.length; offset += batchSize) {
+    const batch = facts.slice(offset, offset + batchSize);
+
+    try {
+      const { successful, errors, imported } = await factService.bulkImportFacts(batch);
+      await ctx.report({
+        succeeded: successful,
+        failed: batch.length - successful,
+        results: imported.map(fact => ({ id: fact._id, category: fact.category })),
+        failures: errors.map(({ index, error }) => ({ item: offset + index, message: error }))
+      });
+    } catch (error) {
+      // insertMany failed as a whole (e.g. the database is unavailable)
+      await ctx.report({
+        failed: batch.length,
+        failures: [{ item: `${offset}-${offset + batch.length - 1}`, message: error.message }]
+      });
+    }
+
+    if (ctx.cancelled) break;
+  }
+
+  return { imported: ctx.progress.succeeded };
+}
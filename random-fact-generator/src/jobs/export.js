@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import Fact from '../models/Fact.js';
+import factService from '../services/factService.js';
+import { createExportSerializer } from '../utils/factExport.js';
+import config from '../config/index.js';
+
+// Write every fact matching `params.filters` to a file for later download
+export default async function runExport(ctx) {
+  const { format = 'json', filters = {} } = ctx.params;
+  const serializer = createExportSerializer(format);
+
+  await fs.promises.mkdir(config.jobs.exportDir, { recursive: true });
+  const file = path.resolve(config.jobs.exportDir, `${ctx.jobId}.${serializer.extension}`);
+
+  await ctx.setTotal(await Fact.countDocuments(factService.buildFactQuery(filters)));
+
+  const cursor = factService.exportFacts(filters);
+  const out = fs.createWriteStream(file);
+  const write = async (chunk) => {
+    if (chunk && !out.write(chunk)) {
+      await once(out, 'drain');
+    }
+  };
+
+  let count = 0;
+  let pending = 0;
+  try {
+    await write(serializer.header());
+
+    for await (const doc of cursor) {
+      await write(serializer.item(doc, count));
+      count++;
+      pending++;
+
+      if (pending === ctx.batchSize) {
+        await ctx.report({ succeeded: pending });
+        pending = 0;
+        if (ctx.cancelled) break;
+      }
+    }
+
+    if (!ctx.cancelled) {
+      await write(serializer.footer(count));
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+    out.end();
+    await once(out, 'close');
+  }
+
+  if (ctx.cancelled) {
+    await fs.promises.unlink(file).catch(() => {});
+    return { count };
+  }
+
+  if (pending > 0) {
+    await ctx.report({ succeeded: pending });
+  }
+
+  const { size } = await fs.promises.stat(file);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return {
+    file,
+    filename: `facts-export-${timestamp}.${serializer.extension}`,
+    format,
+    content_type: serializer.contentType,
+    count,
+    bytes: size
+  };
+}
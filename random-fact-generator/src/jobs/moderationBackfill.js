@@ -0,0 +1,59 @@
+import Fact from '../models/Fact.js';
+import aiService from '../services/aiService.js';
+import factService from '../services/factService.js';
+
+/**
+ * Run AI moderation over existing facts and store the score. With
+ * `auto_reject`, facts the model confidently rejects are rejected on behalf
+ * of the user who started the job; everything else stays for a moderator.
+ */
+export default async function runModerationBackfill(ctx) {
+  const {
+    category,
+    moderation_status: status = 'pending',
+    only_unscored: onlyUnscored = true,
+    auto_reject: autoReject = false,
+    limit = 1000
+  } = ctx.params;
+
+  const query = { moderation_status: status };
+  if (category) query.category = category;
+  if (onlyUnscored) query.moderation_score = { $exists: false };
+
+  const ids = (await Fact.find(query).sort({ created_at: 1 }).limit(limit).select('_id').lean())
+    .map(fact => fact._id);
+  await ctx.setTotal(ids.length);
+
+  let rejected = 0;
+  for (const id of ids) {
+    try {
+      const fact = await Fact.findById(id);
+      if (!fact) {
+        await ctx.report({ failed: 1, failures: [{ item: id, message: 'Fact no longer exists' }] });
+        continue;
+      }
+
+      const moderation = await aiService.moderateContent(fact.fact, { userId: ctx.userId });
+      fact.moderation_score = moderation.confidence;
+      await fact.save();
+
+      let action = 'scored';
+      if (autoReject && !moderation.approved && !moderation.requiresManualReview && fact.moderation_status !== 'rejected') {
+        await factService.rejectFact(id, ctx.userId, `Automated moderation: ${moderation.recommendation || 'failed moderation'}`.slice(0, 500));
+        action = 'rejected';
+        rejected += 1;
+      }
+
+      await ctx.report({
+        succeeded: 1,
+        results: [{ id, approved: moderation.approved, confidence: moderation.confidence, issues: moderation.issues, action }]
+      });
+    } catch (error) {
+      await ctx.report({ failed: 1, failures: [{ item: id, message: error.message }] });
+    }
+
+    if (ctx.cancelled) break;
+  }
+
+  return { rejected };
+}
@@ -1,7 +1,12 @@
 import jwt from 'jsonwebtoken';
 import ApiKey from '../models/ApiKey.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import config from '../config/index.js';
+import { grants, resolvePermission, getRolePermissions } from '../config/permissions.js';
+import { getPlanPricing } from '../config/metering.js';
+import meteringService from '../services/meteringService.js';
+import usageEventService from '../services/usageEventService.js';
 import logger from '../utils/logger.js';
 
 class AuthMiddleware {
@@ -71,7 +76,9 @@ class AuthMiddleware {
           message: 'Request limit exceeded for your plan',
           error_code: 'LIMIT_EXCEEDED',
           remaining_requests: user.remainingRequests,
-          reset_date: user.usage.monthly_reset_date
+          reset_date: user.usage.monthly_reset_date,
+          // Plans with overage pricing can keep going past the allowance
+          overage_billing: getPlanPricing(user.plan).overage ? '/api/v1/billing/overage' : undefined
         });
       }
 
@@ -81,7 +88,7 @@ class AuthMiddleware {
       req.clientIP = clientIP;
 
       // Track request start time for analytics
-      req.requestStartTime = Date.now();
+      req.requestStartTime = req.requestStartTime || Date.now();
 
       next();
     } catch (error) {
@@ -96,6 +103,16 @@ class AuthMiddleware {
 
   // JWT authentication middleware (for user sessions)
   static async jwtAuth(req, res, next) {
+    return AuthMiddleware.authenticateJwt(req, res, next, ['access']);
+  }
+
+  // JWT authentication for 2FA enrolment routes: also accepts the setup token
+  // issued at login when 2FA is required but not yet enabled
+  static async twoFactorSetupAuth(req, res, next) {
+    return AuthMiddleware.authenticateJwt(req, res, next, ['access', '2fa_setup']);
+  }
+
+  static async authenticateJwt(req, res, next, allowedTypes) {
     try {
       const token = req.headers['authorization']?.replace('Bearer ', '') ||
                    req.headers['x-auth-token'] ||
@@ -111,6 +128,16 @@ class AuthMiddleware {
 
       // Verify JWT token
       const decoded = jwt.verify(token, config.jwt.secret);
+
+      // Tokens issued before token types existed are access tokens
+      const tokenType = decoded.type || 'access';
+      if (!allowedTypes.includes(tokenType)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'This token cannot be used for this request',
+          error_code: 'INVALID_TOKEN_TYPE'
+        });
+      }
       
       // Find user by ID
       const user = await User.findById(decoded.id).select('+security');
@@ -142,7 +169,37 @@ class AuthMiddleware {
         });
       }
 
+      // Revoked by "log out everywhere" or a password change
+      if (tokenType === 'access' && (decoded.tv || 0) !== (user.security.token_version || 0)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has been revoked, please log in again',
+          error_code: 'TOKEN_REVOKED'
+        });
+      }
+
+      // Revoked by logging out of this session
+      if (decoded.sid && !(await Session.isActiveSession(decoded.sid, user._id))) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has been revoked, please log in again',
+          error_code: 'SESSION_REVOKED'
+        });
+      }
+
+      // Accounts that must use 2FA can only reach the enrolment routes until it is on
+      if (!allowedTypes.includes('2fa_setup') &&
+          user.isTwoFactorRequired() && !user.security.two_factor_enabled) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Two-factor authentication must be set up for this account',
+          error_code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
       req.user = user;
+      req.tokenType = tokenType;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       if (error.name === 'JsonWebTokenError') {
@@ -161,7 +218,7 @@ class AuthMiddleware {
         });
       }
 
-      logger.logError(error, req, { middleware: 'jwtAuth' });
+      logger.logError(error, req, { middleware: 'jwtAuth', allowedTypes });
       return res.status(500).json({
         status: 'error',
         message: 'Authentication error',
@@ -170,6 +227,17 @@ class AuthMiddleware {
     }
   }
 
+  // Accept either an API key or a user JWT
+  static async requireAuth(req, res, next) {
+    const bearer = req.headers['authorization']?.replace('Bearer ', '');
+    const looksLikeJwt = bearer && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(bearer);
+
+    if (req.headers['x-api-key'] || (bearer && !looksLikeJwt)) {
+      return AuthMiddleware.apiKeyAuth(req, res, next);
+    }
+    return AuthMiddleware.jwtAuth(req, res, next);
+  }
+
   // Optional authentication (for public endpoints with enhanced features for authenticated users)
   static async optionalAuth(req, res, next) {
     try {
@@ -237,63 +305,117 @@ class AuthMiddleware {
     };
   }
 
-  // API endpoint permission check
-  static requirePermission(endpoint) {
+  // Paid plan check middleware. Admins always pass; a past_due subscription
+  // keeps access while Stripe retries the payment.
+  static requireSubscription(plans) {
     return (req, res, next) => {
-      if (!req.apiKey || !req.apiKey.hasPermission(endpoint)) {
+      if (!req.user) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Authentication required',
+          error_code: 'AUTHENTICATION_REQUIRED'
+        });
+      }
+
+      if (req.user.role === 'admin') {
+        return next();
+      }
+
+      const inactive = ['canceled', 'unpaid'].includes(req.user.billing?.payment_status);
+
+      if (!plans.includes(req.user.plan) || inactive) {
         return res.status(403).json({
           status: 'error',
-          message: `API key does not have permission for: ${endpoint}`,
-          error_code: 'INSUFFICIENT_PERMISSIONS',
-          required_permission: endpoint,
-          available_permissions: req.apiKey?.permissions.endpoints || []
+          message: inactive
+            ? 'Your subscription is not active. Please update your payment details.'
+            : `This endpoint requires one of the following plans: ${plans.join(', ')}`,
+          error_code: 'SUBSCRIPTION_REQUIRED',
+          required_plans: plans,
+          current_plan: req.user.plan,
+          payment_status: req.user.billing?.payment_status,
+          upgrade_url: '/api/v1/billing/checkout'
         });
       }
       next();
     };
   }
 
-  // Request tracking middleware (to be used after authentication)
-  static async trackRequest(req, res, next) {
-    const originalSend = res.send;
-    const originalJson = res.json;
+  // Permission check for either credential type (see config/permissions.js).
+  // JWT users need the permission on their role; API keys need the scope on
+  // the key and the permission on the owner's role.
+  static requirePermission(permission) {
+    const required = resolvePermission(permission);
 
-    // Override response methods to track usage
-    res.send = function(data) {
-      trackRequestCompletion(req, res);
-      return originalSend.call(this, data);
-    };
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Authentication required',
+          error_code: 'AUTHENTICATION_REQUIRED'
+        });
+      }
+
+      const rolePermissions = getRolePermissions(req.user.role);
+      const keyScopes = req.apiKey ? req.apiKey.getScopes() : null;
+      const allowed = grants(rolePermissions, required) && (!keyScopes || grants(keyScopes, required));
+
+      if (!allowed) {
+        logger.logSecurity('Permission Denied', {
+          userId: req.user._id,
+          apiKeyId: req.apiKey?._id,
+          role: req.user.role,
+          required,
+          endpoint: req.originalUrl
+        });
 
-    res.json = function(data) {
-      trackRequestCompletion(req, res);
-      return originalJson.call(this, data);
+        return res.status(403).json({
+          status: 'error',
+          message: req.apiKey && grants(rolePermissions, required)
+            ? `API key is missing the required scope: ${required}`
+            : `You do not have permission to perform this action: ${required}`,
+          error_code: 'INSUFFICIENT_PERMISSIONS',
+          required_permission: required,
+          granted: keyScopes || rolePermissions
+        });
+      }
+      next();
     };
+  }
 
+  // Request tracking middleware. Mount it before the routes: it only
+  // registers a listener, and by the time the response finishes the route's
+  // auth middleware has set req.user / req.apiKey.
+  static trackRequest(req, res, next) {
+    req.requestStartTime = req.requestStartTime || Date.now();
+    res.on('finish', () => trackRequestCompletion(req, res));
     next();
   }
 }
 
-// Helper function to track request completion
-async function trackRequestCompletion(req, res) {
-  try {
-    const responseTime = Date.now() - (req.requestStartTime || Date.now());
-    const endpoint = req.route?.path || req.path;
-
-    // Update user usage
-    if (req.user && res.statusCode < 400) {
-      await req.user.incrementUsage();
-    }
+// Helper function to track request completion. Only queues an event; the
+// writes happen in batches (see usageEventService).
+function trackRequestCompletion(req, res) {
+  if (!req.user) return;
 
-    // Update API key usage and analytics
-    if (req.apiKey && res.statusCode < 400) {
-      await req.apiKey.incrementUsage(endpoint);
-      await req.apiKey.updateResponseTime(responseTime);
-    }
-
-    // Record errors
-    if (req.apiKey && res.statusCode >= 400) {
-      await req.apiKey.recordError();
-    }
+  try {
+    const responseTime = Date.now() - req.requestStartTime;
+    const endpoint = req.route ? meteringService.getEndpoint(req) : req.originalUrl;
+    const metered = meteringService.meterRequest(req);
+
+    usageEventService.record({
+      userId: req.user._id,
+      apiKeyId: req.apiKey?._id || null,
+      method: req.method,
+      endpoint,
+      status_code: res.statusCode,
+      response_time_ms: responseTime,
+      timestamp: new Date(),
+      category: metered?.category,
+      units: metered?.units || 0,
+      // What the units are billed under, as of this request
+      plan: req.user.plan,
+      overage_enabled: Boolean(metered && req.user.allowsOverage?.())
+    });
 
     // Log successful requests
     if (res.statusCode < 400) {
@@ -302,7 +424,7 @@ async function trackRequestCompletion(req, res) {
         method: req.method,
         statusCode: res.statusCode,
         responseTime,
-        userId: req.user?._id,
+        userId: req.user._id,
         apiKeyId: req.apiKey?._id,
         ip: req.ip
       });
@@ -315,10 +437,13 @@ async function trackRequestCompletion(req, res) {
 // Export individual middleware functions for backward compatibility
 export const apiKeyAuth = AuthMiddleware.apiKeyAuth;
 export const jwtAuth = AuthMiddleware.jwtAuth;
+export const twoFactorSetupAuth = AuthMiddleware.twoFactorSetupAuth;
+export const requireAuth = AuthMiddleware.requireAuth;
 export const optionalAuth = AuthMiddleware.optionalAuth;
 export const requireAdmin = AuthMiddleware.requireAdmin;
 export const requireModerator = AuthMiddleware.requireModerator;
 export const requireFeature = AuthMiddleware.requireFeature;
+export const requireSubscription = AuthMiddleware.requireSubscription;
 export const requirePermission = AuthMiddleware.requirePermission;
 export const trackRequest = AuthMiddleware.trackRequest;
 
@@ -1,6 +1,6 @@
 const errorHandler = (err, req, res, next) => {
     console.error(err.stack);
-    
+
     const statusCode = err.statusCode || 500;
     const message = err.message || 'Internal Server Error';
 
@@ -8,6 +8,7 @@ const errorHandler = (err, req, res, next) => {
         status: 'error',
         statusCode: statusCode,
         message: message,
+        error_code: err.errorCode,
     });
 };
 
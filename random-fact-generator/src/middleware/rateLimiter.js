@@ -1,15 +1,104 @@
-import rateLimit from 'express-rate-limit';
-import { cache } from '../config/redis.js';
+import rateLimitService from '../services/rateLimitService.js';
+import systemLoadService from '../services/systemLoadService.js';
+import aiUsageService from '../services/aiUsageService.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
+// Identify the caller: API key first, then user, then client IP
+function defaultKeyGenerator(req) {
+  if (req.apiKey?._id) return `key:${req.apiKey._id}`;
+  if (req.user?._id) return `user:${req.user._id}`;
+  return `ip:${req.ip}`;
+}
+
+function setRateLimitHeaders(res, result) {
+  res.set({
+    'RateLimit-Limit': result.limit,
+    'RateLimit-Remaining': result.remaining,
+    'RateLimit-Reset': Math.max(0, Math.ceil((result.resetTime.getTime() - Date.now()) / 1000))
+  });
+}
+
+/**
+ * Create a sliding-window rate limiting middleware backed by Redis (see
+ * services/rateLimitService.js for the in-memory fallback).
+ *
+ * Options:
+ * - windowMs / max: window length and requests allowed in it; `max` may be a
+ *   function of the request
+ * - name (required): counter namespace, unique per limiter; limiters given
+ *   the same name share counters
+ * - keyGenerator(req): who the limit applies to (API key, user or IP)
+ * - skip(req): bypass the limiter for this request
+ * - skipSuccessfulRequests: only count responses with status >= 400
+ * - message: JSON body sent with the 429
+ * - onLimitReached(req, res): called when a request is rejected
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    windowMs = config.rateLimit.windowMs,
+    max = config.rateLimit.maxRequests,
+    name,
+    keyGenerator = defaultKeyGenerator,
+    skip,
+    skipSuccessfulRequests = false,
+    message,
+    onLimitReached
+  } = options;
+
+  if (!name) {
+    throw new Error('createRateLimiter needs a unique name');
+  }
+  const limiterName = name;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    try {
+      if (skip && skip(req)) {
+        return next();
+      }
+
+      const limit = typeof max === 'function' ? await max(req) : max;
+      const key = `${limiterName}:${keyGenerator(req)}`;
+      const result = await rateLimitService.hit(key, { windowMs, max: limit });
+
+      setRateLimitHeaders(res, result);
+
+      if (!result.allowed) {
+        res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+        onLimitReached?.(req, res);
+
+        return res.status(429).json(message || {
+          status: 'error',
+          message: 'Too many requests, please try again later',
+          error_code: 'RATE_LIMIT_EXCEEDED',
+          retry_after: Math.ceil(result.retryAfterMs / 1000)
+        });
+      }
+
+      if (skipSuccessfulRequests) {
+        res.on('finish', () => {
+          if (res.statusCode < 400) {
+            rateLimitService.release(key, result).catch(() => {});
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.logError(error, req, { middleware: 'rateLimiter', limiter: limiterName });
+      // On error, allow the request to continue (fail open)
+      next();
+    }
+  };
+}
+
 class RateLimiter {
   // General rate limiter for unauthenticated requests
-  static general = rateLimit({
+  static general = createRateLimiter({
+    name: 'general',
     windowMs: config.rateLimit.windowMs, // 15 minutes default
     max: config.rateLimit.maxRequests, // 100 requests default
-    standardHeaders: true,
-    legacyHeaders: false,
+    keyGenerator: (req) => `ip:${req.ip}`,
     message: {
       status: 'error',
       message: 'Too many requests, please try again later',
@@ -30,11 +119,11 @@ class RateLimiter {
   });
 
   // Strict rate limiter for sensitive endpoints
-  static strict = rateLimit({
+  static strict = createRateLimiter({
+    name: 'strict',
     windowMs: 60 * 1000, // 1 minute
     max: 5, // 5 requests per minute
-    standardHeaders: true,
-    legacyHeaders: false,
+    keyGenerator: (req) => `ip:${req.ip}`,
     message: {
       status: 'error',
       message: 'Rate limit exceeded for sensitive endpoint',
@@ -58,52 +147,7 @@ class RateLimiter {
         return next();
       }
 
-      const keyId = req.apiKey._id.toString();
-      const now = new Date();
-      const windowStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), Math.floor(now.getMinutes() / 15) * 15);
-      const cacheKey = `rate_limit:${keyId}:${windowStart.getTime()}`;
-
-      // Get current request count
-      let requestCount = await cache.get(cacheKey);
-      requestCount = requestCount ? parseInt(requestCount) : 0;
-
-      // Get rate limit for this API key/user
-      const rateLimit = RateLimiter.getRateLimitForUser(req.user, req.apiKey);
-      
-      // Check if limit exceeded
-      if (requestCount >= rateLimit.max) {
-        logger.logSecurity('User Rate Limit Exceeded', {
-          userId: req.user._id,
-          apiKeyId: req.apiKey._id,
-          currentCount: requestCount,
-          limit: rateLimit.max,
-          plan: req.user.plan
-        });
-
-        return res.status(429).json({
-          status: 'error',
-          message: 'Rate limit exceeded for your plan',
-          error_code: 'USER_RATE_LIMIT_EXCEEDED',
-          current_usage: requestCount,
-          limit: rateLimit.max,
-          window_minutes: rateLimit.windowMinutes,
-          reset_time: new Date(windowStart.getTime() + (rateLimit.windowMinutes * 60 * 1000)),
-          plan: req.user.plan,
-          upgrade_url: req.user.plan === 'basic' ? '/upgrade' : undefined
-        });
-      }
-
-      // Increment counter
-      await cache.increment(cacheKey, rateLimit.windowMinutes * 60);
-      
-      // Add rate limit headers
-      res.set({
-        'X-RateLimit-Limit': rateLimit.max,
-        'X-RateLimit-Remaining': Math.max(0, rateLimit.max - requestCount - 1),
-        'X-RateLimit-Reset': new Date(windowStart.getTime() + (rateLimit.windowMinutes * 60 * 1000)).toISOString()
-      });
-
-      next();
+      return await RateLimiter.enforcePlanLimit(req, res, next);
     } catch (error) {
       logger.logError(error, req, { middleware: 'customRateLimit' });
       // On error, allow the request to continue (fail open)
@@ -111,6 +155,58 @@ class RateLimiter {
     }
   }
 
+  // Apply the plan limit for req.apiKey, scaled by `multiplier`
+  static async enforcePlanLimit(req, res, next, multiplier = 1) {
+    const baseLimit = RateLimiter.getRateLimitForUser(req.user, req.apiKey);
+    const rateLimit = {
+      ...baseLimit,
+      max: Math.max(1, Math.floor(baseLimit.max * multiplier))
+    };
+
+    const result = await rateLimitService.hit(`plan:${req.apiKey._id}`, {
+      windowMs: rateLimit.windowMinutes * 60 * 1000,
+      max: rateLimit.max
+    });
+
+    // Check if limit exceeded
+    if (!result.allowed) {
+      logger.logSecurity('User Rate Limit Exceeded', {
+        userId: req.user._id,
+        apiKeyId: req.apiKey._id,
+        currentCount: result.count,
+        limit: rateLimit.max,
+        baseLimit: baseLimit.max,
+        multiplier,
+        plan: req.user.plan
+      });
+
+      res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+
+      return res.status(429).json({
+        status: 'error',
+        message: multiplier < 1
+          ? 'Rate limit exceeded for your plan (temporarily reduced due to high system load)'
+          : 'Rate limit exceeded for your plan',
+        error_code: 'USER_RATE_LIMIT_EXCEEDED',
+        current_usage: result.count,
+        limit: rateLimit.max,
+        window_minutes: rateLimit.windowMinutes,
+        reset_time: result.resetTime,
+        plan: req.user.plan,
+        upgrade_url: req.user.plan === 'basic' ? '/upgrade' : undefined
+      });
+    }
+
+    // Add rate limit headers
+    res.set({
+      'X-RateLimit-Limit': rateLimit.max,
+      'X-RateLimit-Remaining': result.remaining,
+      'X-RateLimit-Reset': result.resetTime.toISOString()
+    });
+
+    next();
+  }
+
   // AI endpoint rate limiter (more restrictive)
   static async aiRateLimit(req, res, next) {
     try {
@@ -130,14 +226,6 @@ class RateLimiter {
         });
       }
 
-      const userId = req.user._id.toString();
-      const now = Date.now();
-      const windowStart = now - (now % (60 * 1000)); // 1-minute windows
-      const cacheKey = `ai_rate_limit:${userId}:${windowStart}`;
-
-      let requestCount = await cache.get(cacheKey);
-      requestCount = requestCount ? parseInt(requestCount) : 0;
-
       // AI rate limits based on plan
       const aiLimits = {
         basic: { max: 0, windowMinutes: 1 }, // No AI access
@@ -146,23 +234,27 @@ class RateLimiter {
       };
 
       const limit = aiLimits[req.user.plan] || aiLimits.basic;
+      const result = await rateLimitService.hit(`ai:${req.user._id}`, {
+        windowMs: limit.windowMinutes * 60 * 1000,
+        max: limit.max
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
 
-      if (requestCount >= limit.max) {
         return res.status(429).json({
           status: 'error',
           message: 'AI rate limit exceeded',
           error_code: 'AI_RATE_LIMIT_EXCEEDED',
-          current_usage: requestCount,
+          current_usage: result.count,
           limit: limit.max,
           plan: req.user.plan
         });
       }
 
-      await cache.increment(cacheKey, 60); // 1-minute TTL
-
       res.set({
         'X-AI-RateLimit-Limit': limit.max,
-        'X-AI-RateLimit-Remaining': Math.max(0, limit.max - requestCount - 1)
+        'X-AI-RateLimit-Remaining': result.remaining
       });
 
       next();
@@ -172,6 +264,53 @@ class RateLimiter {
     }
   }
 
+  // Monthly AI spend limit per plan (config.ai.monthlyBudgets). Spend is
+  // the cost of the tokens recorded by aiUsageService this calendar month.
+  static async aiBudgetLimit(req, res, next) {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Authentication required for AI endpoints'
+        });
+      }
+
+      const budget = await aiUsageService.getBudgetStatus(req.user);
+
+      if (budget.exceeded) {
+        logger.logBusiness('AI Budget Exceeded', {
+          userId: req.user._id,
+          plan: req.user.plan,
+          budget: budget.budget_usd,
+          spent: budget.spent_usd
+        });
+
+        return res.status(429).json({
+          status: 'error',
+          message: 'Monthly AI budget exhausted for your plan',
+          error_code: 'AI_BUDGET_EXCEEDED',
+          budget_usd: budget.budget_usd,
+          spent_usd: budget.spent_usd,
+          reset_date: budget.resets_at,
+          plan: req.user.plan,
+          upgrade_url: req.user.plan !== 'platinum' ? '/upgrade' : undefined
+        });
+      }
+
+      if (budget.budget_usd !== null) {
+        res.set({
+          'X-AI-Budget-Limit': budget.budget_usd.toFixed(2),
+          'X-AI-Budget-Remaining': budget.remaining_usd.toFixed(2)
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.logError(error, req, { middleware: 'aiBudgetLimit' });
+      next();
+    }
+  }
+
   // Bulk operation rate limiter
   static async bulkOperationLimit(req, res, next) {
     try {
@@ -182,14 +321,6 @@ class RateLimiter {
         });
       }
 
-      const userId = req.user._id.toString();
-      const now = Date.now();
-      const windowStart = now - (now % (60 * 60 * 1000)); // 1-hour windows
-      const cacheKey = `bulk_limit:${userId}:${windowStart}`;
-
-      let operationCount = await cache.get(cacheKey);
-      operationCount = operationCount ? parseInt(operationCount) : 0;
-
       // Bulk operation limits
       const bulkLimits = {
         basic: { max: 1, windowHours: 1 },
@@ -198,20 +329,24 @@ class RateLimiter {
       };
 
       const limit = bulkLimits[req.user.plan] || bulkLimits.basic;
+      const result = await rateLimitService.hit(`bulk:${req.user._id}`, {
+        windowMs: limit.windowHours * 60 * 60 * 1000,
+        max: limit.max
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
 
-      if (operationCount >= limit.max) {
         return res.status(429).json({
           status: 'error',
           message: 'Bulk operation limit exceeded',
           error_code: 'BULK_LIMIT_EXCEEDED',
-          current_usage: operationCount,
+          current_usage: result.count,
           limit: limit.max,
           plan: req.user.plan
         });
       }
 
-      await cache.increment(cacheKey, 60 * 60); // 1-hour TTL
-
       next();
     } catch (error) {
       logger.logError(error, req, { middleware: 'bulkOperationLimit' });
@@ -248,12 +383,22 @@ class RateLimiter {
     return planLimits[user.plan] || planLimits.basic;
   }
 
-  // Dynamic rate limiter that adjusts based on system load
+  // Dynamic rate limiter that scales plan limits with system load
   static async adaptiveRateLimit(req, res, next) {
     try {
-      // This could integrate with system metrics to adjust rates
-      // For now, use standard rate limiting
-      return RateLimiter.customRateLimit(req, res, next);
+      if (!req.apiKey) {
+        return next();
+      }
+
+      const status = systemLoadService.getStatus();
+      const multiplier = systemLoadService.getMultiplier(req.user.plan);
+
+      res.set({
+        'X-RateLimit-Adaptive-Multiplier': multiplier,
+        'X-System-Load-Level': status.level
+      });
+
+      return await RateLimiter.enforcePlanLimit(req, res, next, multiplier);
     } catch (error) {
       logger.logError(error, req, { middleware: 'adaptiveRateLimit' });
       next();
@@ -261,9 +406,11 @@ class RateLimiter {
   }
 
   // Rate limiter for login attempts
-  static loginAttemptLimit = rateLimit({
+  static loginAttemptLimit = createRateLimiter({
+    name: 'login',
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 5, // 5 login attempts per 15 minutes per IP
+    keyGenerator: (req) => `ip:${req.ip}`,
     skipSuccessfulRequests: true,
     message: {
       status: 'error',
@@ -279,9 +426,11 @@ class RateLimiter {
   });
 
   // Rate limiter for password reset requests
-  static passwordResetLimit = rateLimit({
+  static passwordResetLimit = createRateLimiter({
+    name: 'password_reset',
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 3, // 3 password reset attempts per hour per IP
+    keyGenerator: (req) => `ip:${req.ip}`,
     message: {
       status: 'error',
       message: 'Too many password reset attempts, please try again later',
@@ -301,9 +450,10 @@ export const generalRateLimit = RateLimiter.general;
 export const strictRateLimit = RateLimiter.strict;
 export const customRateLimit = RateLimiter.customRateLimit;
 export const aiRateLimit = RateLimiter.aiRateLimit;
+export const aiBudgetLimit = RateLimiter.aiBudgetLimit;
 export const bulkOperationLimit = RateLimiter.bulkOperationLimit;
 export const adaptiveRateLimit = RateLimiter.adaptiveRateLimit;
 export const loginAttemptLimit = RateLimiter.loginAttemptLimit;
 export const passwordResetLimit = RateLimiter.passwordResetLimit;
 
-export default RateLimiter;
\ No newline at end of file
+export default RateLimiter;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/**
+ * Runtime AI model selection, one document per provider so switching
+ * AI_PROVIDER never leaves a model from another provider active. Unset
+ * fields fall back to the provider's default model.
+ */
+const aiSettingsSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  active_model: String,
+  // Overrides of the active model for fact generation in a category
+  category_models: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const AISettings = mongoose.model('AISettings', aiSettingsSchema);
+
+export default AISettings;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+/**
+ * AI token usage and cost for one day, user, API key, model and operation.
+ * Calls without a user (e.g. the AI fallback of anonymous fact reads) are
+ * recorded with `userId: null`, calls made with a user token with
+ * `apiKeyId: null`.
+ *
+ * Costs are in millionths of a dollar so that summing many small calls
+ * stays exact. `estimated_requests` counts calls whose provider reported no
+ * usage, so their tokens were estimated from the text length.
+ */
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // UTC day, e.g. 2024-03-09
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  operation: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failed_requests: {
+    type: Number,
+    default: 0
+  },
+  estimated_requests: {
+    type: Number,
+    default: 0
+  },
+  prompt_tokens: {
+    type: Number,
+    default: 0
+  },
+  completion_tokens: {
+    type: Number,
+    default: 0
+  },
+  total_tokens: {
+    type: Number,
+    default: 0
+  },
+  cost_micros: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Indexes
+aiUsageSchema.index({ userId: 1, apiKeyId: 1, day: 1, model: 1, operation: 1 }, { unique: true });
+aiUsageSchema.index({ day: 1 });
+
+// Static methods
+aiUsageSchema.statics.toDay = function(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+};
+
+// Add one call's counts to its daily document
+aiUsageSchema.statics.record = function({ userId = null, apiKeyId = null, day, model, operation, provider, counts }) {
+  return this.updateOne(
+    { userId, apiKeyId, day, model, operation },
+    {
+      $setOnInsert: { provider },
+      $inc: counts
+    },
+    { upsert: true }
+  );
+};
+
+// Totals between two days (inclusive) for one user, or everyone when
+// `userId` is undefined, grouped by the given fields
+aiUsageSchema.statics.summarize = function({ userId, fromDay, toDay, groupBy = ['model'] }) {
+  const match = { day: { $gte: fromDay, $lte: toDay } };
+  if (userId !== undefined) {
+    match.userId = userId && new mongoose.Types.ObjectId(String(userId));
+  }
+
+  const _id = Object.fromEntries(groupBy.map(field => [field, `$${field}`]));
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id,
+        requests: { $sum: '$requests' },
+        failed_requests: { $sum: '$failed_requests' },
+        estimated_requests: { $sum: '$estimated_requests' },
+        prompt_tokens: { $sum: '$prompt_tokens' },
+        completion_tokens: { $sum: '$completion_tokens' },
+        total_tokens: { $sum: '$total_tokens' },
+        cost_micros: { $sum: '$cost_micros' }
+      }
+    },
+    { $sort: { cost_micros: -1, total_tokens: -1 } }
+  ]);
+};
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+export default AIUsage;
@@ -1,13 +1,34 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { grants, expandLegacyEndpoints } from '../config/permissions.js';
+import { WEBHOOK_EVENTS } from './WebhookDelivery.js';
+
+// Length of the non-secret key prefix stored in clear for lookups,
+// e.g. "rfg_lq2x9k1a_3f9c0b1" (prefix, timestamp and 7 of the 40 random hex chars)
+export const KEY_PREFIX_LENGTH = 20;
+
+// How long the answer to "are any plaintext keys left?" is trusted while some are
+const LEGACY_KEY_RECHECK_MS = 60 * 1000;
 
 const apiKeySchema = new mongoose.Schema({
-  key: {
+  key_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  key_prefix: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
+  // Legacy plaintext key from before keys were hashed; cleared by the
+  // hash-api-keys migration or on the key's first successful use. The index
+  // is sparse: new keys have no `key` and must not collide on null.
+  key: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
   name: {
     type: String,
     required: true,
@@ -52,6 +73,11 @@ const apiKeySchema = new mongoose.Schema({
       }
     }
   },
+  // OAuth-style scopes (see config/permissions.js). Keys created before
+  // scopes existed have none and fall back to permissions.endpoints.
+  scopes: [{
+    type: String
+  }],
   permissions: {
     endpoints: [{
       type: String,
@@ -79,16 +105,28 @@ const apiKeySchema = new mongoose.Schema({
     integration_type: String,
     webhook_url: String
   },
-  analytics: {
-    popular_endpoints: [{
-      endpoint: String,
-      count: { type: Number, default: 0 }
+  // Outbound webhook settings; the URL is metadata.webhook_url
+  webhook: {
+    // HMAC-SHA256 signing key, shown once when set or rotated
+    secret: {
+      type: String,
+      select: false
+    },
+    // Subscribed events; empty means all of them
+    events: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
     }],
-    error_count: {
+    consecutive_failures: {
       type: Number,
       default: 0
     },
-    avg_response_time: {
+    last_delivery_at: Date,
+    expiry_notified_at: Date
+  },
+  // Per-endpoint counts and latency percentiles come from UsageEvent
+  analytics: {
+    error_count: {
       type: Number,
       default: 0
     }
@@ -101,10 +139,14 @@ const apiKeySchema = new mongoose.Schema({
   toJSON: { 
     virtuals: true,
     transform: function(doc, ret) {
-      // Mask the API key in responses (show only first and last 4 characters)
-      if (ret.key && ret.key.length > 8) {
-        ret.masked_key = ret.key.substring(0, 4) + '...' + ret.key.substring(ret.key.length - 4);
-        delete ret.key;
+      // Only the non-secret prefix is ever shown after creation
+      if (ret.key_prefix) {
+        ret.masked_key = `${ret.key_prefix}...`;
+      }
+      delete ret.key;
+      delete ret.key_hash;
+      if (ret.webhook) {
+        delete ret.webhook.secret;
       }
       delete ret.__v;
       return ret;
@@ -134,13 +176,16 @@ apiKeySchema.virtual('days_until_expiry').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Issue a key before validation so the required hash and prefix are present
+apiKeySchema.pre('validate', function(next) {
+  if (this.isNew && !this.key_hash) {
+    this.issueKey();
+  }
+  next();
+});
+
 // Pre-save middleware
 apiKeySchema.pre('save', function(next) {
-  // Generate API key if not provided
-  if (!this.key) {
-    this.key = this.generateApiKey();
-  }
-  
   // Reset monthly usage if needed
   if (new Date() >= this.usage.monthly_reset_date) {
     this.resetMonthlyUsage();
@@ -162,32 +207,27 @@ apiKeySchema.methods.generateApiKey = function() {
   return `${prefix}_${timestamp}_${randomBytes}`;
 };
 
-apiKeySchema.methods.incrementUsage = function(endpoint = 'unknown') {
-  this.usage.total_requests += 1;
-  this.usage.monthly_requests += 1;
-  this.usage.last_used = new Date();
-  
-  // Track endpoint usage
-  const endpointStat = this.analytics.popular_endpoints.find(e => e.endpoint === endpoint);
-  if (endpointStat) {
-    endpointStat.count += 1;
-  } else {
-    this.analytics.popular_endpoints.push({ endpoint, count: 1 });
-  }
-  
-  return this.save();
+// Store the hash and prefix of a plaintext key. The plaintext is kept only in
+// $locals so the creating request can show it once; it is never persisted.
+apiKeySchema.methods.setKey = function(plainKey) {
+  this.key_hash = hashApiKey(plainKey);
+  this.key_prefix = getKeyPrefix(plainKey);
+  this.key = undefined;
+  this.$locals.plainKey = plainKey;
+  return plainKey;
 };
 
-apiKeySchema.methods.recordError = function() {
-  this.analytics.error_count += 1;
-  return this.save();
+// Generate and set a fresh key, returning the plaintext
+apiKeySchema.methods.issueKey = function() {
+  return this.setKey(this.generateApiKey());
 };
 
-apiKeySchema.methods.updateResponseTime = function(responseTime) {
-  const currentAvg = this.analytics.avg_response_time || 0;
-  const totalRequests = this.usage.total_requests;
-  this.analytics.avg_response_time = ((currentAvg * (totalRequests - 1)) + responseTime) / totalRequests;
-  return this.save();
+// Constant-time comparison of a presented key against the stored hash
+apiKeySchema.methods.matchesKey = function(plainKey) {
+  if (!this.key_hash) return false;
+  const expected = Buffer.from(this.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(plainKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 apiKeySchema.methods.resetMonthlyUsage = function() {
@@ -214,8 +254,20 @@ apiKeySchema.methods.activate = function() {
   return this.save();
 };
 
+apiKeySchema.methods.getScopes = function() {
+  if (this.scopes && this.scopes.length > 0) {
+    return [...this.scopes];
+  }
+  return expandLegacyEndpoints(this.permissions.endpoints);
+};
+
+// Scope check only; requirePermission also checks the owner's role
+apiKeySchema.methods.hasScope = function(permission) {
+  return grants(this.getScopes(), permission);
+};
+
 apiKeySchema.methods.hasPermission = function(endpoint) {
-  return this.permissions.endpoints.includes(endpoint) || this.permissions.endpoints.includes('admin');
+  return this.hasScope(endpoint);
 };
 
 apiKeySchema.methods.isValidForRequest = function(ip, origin) {
@@ -238,9 +290,137 @@ apiKeySchema.methods.isValidForRequest = function(ip, origin) {
   return true;
 };
 
+apiKeySchema.methods.subscribesTo = function(event) {
+  return Boolean(this.metadata.webhook_url) &&
+    (!this.webhook.events || this.webhook.events.length === 0 || this.webhook.events.includes(event));
+};
+
 // Static methods
-apiKeySchema.statics.findByKey = function(key) {
-  return this.findOne({ key, status: 'active' }).populate('userId');
+apiKeySchema.statics.findByKey = async function(key) {
+  if (typeof key !== 'string' || key.length <= KEY_PREFIX_LENGTH) {
+    return null;
+  }
+
+  const candidates = await this.find({ key_prefix: getKeyPrefix(key), status: 'active' })
+    .select('+key_hash')
+    .populate('userId');
+
+  const match = candidates.find(candidate => candidate.matchesKey(key));
+  if (match) {
+    return match;
+  }
+
+  // Keys issued before hashing was introduced are still stored in plaintext.
+  // Upgrade them in place the first time they are used.
+  if (!(await this.hasLegacyKeys())) {
+    return null;
+  }
+
+  const legacyKey = await this.findOne({ key, status: 'active' })
+    .select('+key')
+    .populate('userId');
+
+  if (!legacyKey) {
+    return null;
+  }
+
+  legacyKey.setKey(key);
+  await legacyKey.save();
+  return legacyKey;
+};
+
+/**
+ * Whether any plaintext keys are left, so unknown keys need the legacy lookup.
+ * Checked at most once a minute; once none are left the answer can't change
+ * (new keys are always hashed), so the lookup stays off for good.
+ */
+const legacyKeyCheck = { remaining: true, checkedAt: 0, pending: null };
+
+apiKeySchema.statics.hasLegacyKeys = async function() {
+  if (!legacyKeyCheck.remaining || Date.now() - legacyKeyCheck.checkedAt < LEGACY_KEY_RECHECK_MS) {
+    return legacyKeyCheck.remaining;
+  }
+
+  if (!legacyKeyCheck.pending) {
+    legacyKeyCheck.pending = this.exists({ key: { $exists: true, $ne: null } })
+      .then((found) => {
+        legacyKeyCheck.remaining = Boolean(found);
+        legacyKeyCheck.checkedAt = Date.now();
+      })
+      .finally(() => {
+        legacyKeyCheck.pending = null;
+      });
+  }
+
+  await legacyKeyCheck.pending;
+  return legacyKeyCheck.remaining;
+};
+
+/**
+ * Replace the unique, non-sparse `key` index of releases that stored keys in
+ * plaintext, which indexes every new key as a null duplicate, with the
+ * sparse one. Run at startup; resolves to whether it was replaced.
+ */
+apiKeySchema.statics.dropLegacyKeyIndex = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: no collection yet, so no legacy index either
+    if (error.code === 26) return false;
+    throw error;
+  }
+
+  if (!indexes.some(index => index.name === 'key_1' && !index.sparse)) {
+    return false;
+  }
+
+  await this.collection.dropIndex('key_1');
+  await this.createIndexes();
+  return true;
+};
+
+/**
+ * Apply batched request counts ({ apiKeyId, requests, errors, lastUsed }) with
+ * one update per key. The update pipeline starts a new month itself, as the
+ * pre-save hook would, because these updates never load the document.
+ */
+apiKeySchema.statics.applyUsageBatch = function(counts, now = new Date()) {
+  if (counts.length === 0) return null;
+
+  const resetDate = new Date(now);
+  resetDate.setMonth(resetDate.getMonth() + 1);
+  resetDate.setDate(1);
+  resetDate.setHours(0, 0, 0, 0);
+  const resetDue = { $gte: [now, { $ifNull: ['$usage.monthly_reset_date', now] }] };
+
+  return this.bulkWrite(counts.map(({ apiKeyId, requests, errors, lastUsed }) => ({
+    updateOne: {
+      filter: { _id: apiKeyId },
+      update: [{
+        $set: {
+          'usage.total_requests': { $add: [{ $ifNull: ['$usage.total_requests', 0] }, requests] },
+          'usage.monthly_requests': {
+            $cond: [resetDue, requests, { $add: [{ $ifNull: ['$usage.monthly_requests', 0] }, requests] }]
+          },
+          'usage.monthly_reset_date': { $cond: [resetDue, resetDate, '$usage.monthly_reset_date'] },
+          'usage.last_used': { $max: ['$usage.last_used', lastUsed] },
+          'analytics.error_count': { $add: [{ $ifNull: ['$analytics.error_count', 0] }, errors] }
+        }
+      }]
+    }
+  })), { ordered: false });
+};
+
+// Active keys of a user with a webhook subscribed to `event`, with their secrets
+apiKeySchema.statics.findWebhookTargets = async function(userId, event) {
+  const keys = await this.find({
+    userId,
+    status: 'active',
+    'metadata.webhook_url': { $exists: true, $ne: null }
+  }).select('+webhook.secret');
+
+  return keys.filter(key => key.subscribesTo(event) && key.webhook.secret);
 };
 
 apiKeySchema.statics.findActiveByUser = function(userId) {
@@ -284,6 +464,17 @@ apiKeySchema.statics.getTopUsers = function(limit = 10) {
   ]);
 };
 
+function hashApiKey(plainKey) {
+  return crypto.createHash('sha256').update(plainKey).digest('hex');
+}
+
+function getKeyPrefix(plainKey) {
+  return plainKey.substring(0, KEY_PREFIX_LENGTH);
+}
+
+apiKeySchema.statics.hashKey = hashApiKey;
+apiKeySchema.statics.getKeyPrefix = getKeyPrefix;
+
 const ApiKey = mongoose.model('ApiKey', apiKeySchema);
 
 export default ApiKey;
\ No newline at end of file
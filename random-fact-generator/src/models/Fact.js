@@ -44,6 +44,24 @@ const factSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  moderation_status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  moderation_reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation reason must be less than 500 characters']
+  },
+  rejected_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejection_date: {
+    type: Date
+  },
   tags: [{
     type: String,
     lowercase: true,
@@ -74,14 +92,84 @@ const factSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Registry ID of the model that generated the fact (see config/aiModels.js)
   ai_model: {
     type: String
   },
+  // Prompt template version the fact was generated with (see
+  // services/promptTemplateService.js); version 0 is the built-in prompt
+  ai_prompt: {
+    name: String,
+    version: Number
+  },
+  // Model and prompt template version that chose the category, tags or
+  // keywords a submission left out (see services/factAnalysisService.js)
+  ai_analysis: {
+    model: String,
+    prompt: {
+      name: String,
+      version: Number
+    }
+  },
   moderation_score: {
     type: Number,
     min: 0,
     max: 1
   },
+  // Latest AI verification against the reference corpus (see
+  // services/factVerificationService.js). Advisory: moderators decide.
+  ai_verification: {
+    status: {
+      type: String,
+      enum: ['supported', 'contradicted', 'unverified']
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    recommendation: {
+      type: String,
+      enum: ['approve', 'reject', 'review']
+    },
+    summary: String,
+    claims: [{
+      _id: false,
+      claim: String,
+      verdict: {
+        type: String,
+        enum: ['supported', 'contradicted', 'unverifiable']
+      },
+      confidence: Number,
+      model_confidence: Number,
+      explanation: String,
+      evidence: [{
+        _id: false,
+        source_type: {
+          type: String,
+          enum: ['fact', 'reference']
+        },
+        source_id: mongoose.Schema.Types.ObjectId,
+        title: String,
+        excerpt: String,
+        url: String,
+        overlap: Number
+      }]
+    }],
+    model: String,
+    // Prompt template versions used to extract and judge the claims
+    prompts: [{
+      _id: false,
+      name: String,
+      version: Number
+    }],
+    corpus: [String],
+    verified_at: Date,
+    requested_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   language: {
     type: String,
     default: 'en',
@@ -131,6 +219,10 @@ factSchema.index({ view_count: -1 });
 factSchema.index({ likes: -1 });
 factSchema.index({ tags: 1 });
 factSchema.index({ ai_generated: 1 });
+factSchema.index({ ai_model: 1 }, { sparse: true });
+factSchema.index({ 'ai_prompt.name': 1, 'ai_prompt.version': 1 }, { sparse: true });
+factSchema.index({ moderation_status: 1, created_at: 1 });
+factSchema.index({ 'ai_verification.status': 1 }, { sparse: true });
 
 // Text index for search functionality
 factSchema.index({ 
@@ -182,6 +274,11 @@ factSchema.pre('save', function(next) {
     this.verified = true;
     this.verification_date = new Date();
   }
+
+  // Facts created as verified (seed data, admin imports) skip the moderation queue
+  if (this.isNew && this.verified && this.moderation_status === 'pending') {
+    this.moderation_status = 'approved';
+  }
   
   next();
 });
@@ -202,15 +299,32 @@ factSchema.methods.addDislike = function() {
   return this.save();
 };
 
-factSchema.methods.verify = function(verifiedBy) {
+factSchema.methods.verify = function(verifiedBy, reason) {
   this.verified = true;
   this.verification_date = new Date();
+  this.moderation_status = 'approved';
+  this.moderation_reason = reason;
+  this.rejected_by = undefined;
+  this.rejection_date = undefined;
   if (verifiedBy) {
     this.verified_by = verifiedBy;
   }
   return this.save();
 };
 
+factSchema.methods.reject = function(rejectedBy, reason) {
+  this.verified = false;
+  this.verification_date = undefined;
+  this.verified_by = undefined;
+  this.moderation_status = 'rejected';
+  this.moderation_reason = reason;
+  this.rejection_date = new Date();
+  if (rejectedBy) {
+    this.rejected_by = rejectedBy;
+  }
+  return this.save();
+};
+
 // Static methods
 factSchema.statics.getRandomByCategory = function(category) {
   const query = category ? { category, verified: true } : { verified: true };
@@ -243,6 +357,43 @@ factSchema.statics.getTrending = function(limit = 10) {
   .limit(limit);
 };
 
+// Pending AI-generated and user-submitted facts, oldest first
+factSchema.statics.getModerationQueue = function(options = {}) {
+  const { source = 'all', category, verification, page = 1, limit = 20 } = options;
+  const query = { moderation_status: 'pending' };
+
+  if (source === 'ai') {
+    query.ai_generated = true;
+  } else if (source === 'user') {
+    query.ai_generated = { $ne: true };
+    query.created_by = { $exists: true };
+  } else {
+    query.$or = [
+      { ai_generated: true },
+      { created_by: { $exists: true } }
+    ];
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  // AI verification status, or 'none' for facts not checked yet
+  if (verification) {
+    query['ai_verification.status'] = verification === 'none' ? { $exists: false } : verification;
+  }
+
+  return Promise.all([
+    this.find(query)
+      .sort({ created_at: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('created_by', 'username email')
+      .lean(),
+    this.countDocuments(query)
+  ]);
+};
+
 factSchema.statics.searchFacts = function(query, options = {}) {
   const searchQuery = {
     $text: { $search: query },
@@ -258,6 +409,20 @@ factSchema.statics.searchFacts = function(query, options = {}) {
     .limit(options.limit || 20);
 };
 
+// Verified facts sharing words with `text`, best match first
+factSchema.statics.searchEvidence = function(text, { excludeId, limit = 3 } = {}) {
+  const query = { $text: { $search: text }, verified: true };
+  if (excludeId && mongoose.isValidObjectId(excludeId)) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .select('fact category source source_url')
+    .lean();
+};
+
 const Fact = mongoose.model('Fact', factSchema);
 
 export default Fact;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+export const JOB_TYPES = ['bulk_generation', 'bulk_import', 'export', 'moderation_backfill'];
+
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * A background job run by a jobService worker. The queue only carries the
+ * job's ID; parameters, progress and results live here so any instance can
+ * report on a job and a cancellation is seen by whichever worker runs it.
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', ...FINISHED_STATUSES],
+    default: 'queued'
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    succeeded: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Per-item output, appended as the job runs (capped at jobs.maxStoredResults)
+  results: [mongoose.Schema.Types.Mixed],
+  failures: [{
+    _id: false,
+    item: mongoose.Schema.Types.Mixed, // index or ID of the failed item
+    message: String
+  }],
+  // Summary written when the job finishes (e.g. the export file)
+  result: mongoose.Schema.Types.Mixed,
+  error_message: String,
+  cancel_requested: {
+    type: Boolean,
+    default: false
+  },
+  started_at: Date,
+  finished_at: Date
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  minimize: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      delete ret.params?.facts; // import payloads can be large
+      if (ret.result) {
+        delete ret.result.file;
+      }
+      return ret;
+    }
+  }
+});
+
+// Indexes
+jobSchema.index({ userId: 1, created_at: -1 });
+jobSchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: config.jobs.retentionDays * 24 * 60 * 60 }
+);
+
+// Virtual properties
+jobSchema.virtual('percent_complete').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress.total) return 0;
+  return Math.min(100, Math.round((this.progress.processed / this.progress.total) * 100));
+});
+
+jobSchema.virtual('is_finished').get(function() {
+  return FINISHED_STATUSES.includes(this.status);
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { PROMPT_NAMES } from '../config/aiPrompts.js';
+
+const promptVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  system: {
+    type: String,
+    required: true,
+    maxlength: [8000, 'System prompt must be less than 8000 characters']
+  },
+  user: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'User prompt must be less than 2000 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note must be less than 500 characters']
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Edited AI prompt templates, one document per template with every version
+ * kept. `active_version` is the one in use; 0 means the built-in template
+ * from config/aiPrompts.js. Versions are never changed or removed, so facts
+ * that record a version can always be traced to its text.
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: PROMPT_NAMES
+  },
+  active_version: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  versions: [promptVersionSchema],
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+export default PromptTemplate;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+/**
+ * A trusted source snippet (an encyclopedia paragraph, a reference table
+ * entry, ...) that AI fact verification can cite as evidence, alongside
+ * verified facts. Inactive sources are kept but no longer searched.
+ */
+const referenceSourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title must be less than 200 characters']
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: [10, 'Content must be at least 10 characters long'],
+    maxlength: [2000, 'Content must be less than 2000 characters']
+  },
+  url: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/.test(v);
+      },
+      message: 'URL must be a valid HTTP/HTTPS URL'
+    }
+  },
+  category: {
+    type: String,
+    lowercase: true,
+    enum: [
+      'science', 'history', 'technology', 'nature', 'space', 'animals',
+      'geography', 'sports', 'entertainment', 'health', 'food', 'general'
+    ],
+    index: true
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Text index for evidence search
+referenceSourceSchema.index({
+  title: 'text',
+  content: 'text',
+  tags: 'text'
+}, {
+  weights: {
+    content: 10,
+    title: 5,
+    tags: 3
+  }
+});
+
+// Static methods
+referenceSourceSchema.statics.searchEvidence = function(text, limit = 3) {
+  return this.find(
+    { $text: { $search: text }, active: true },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+};
+
+const ReferenceSource = mongoose.model('ReferenceSource', referenceSourceSchema);
+
+export default ReferenceSource;
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// How many rotated-out refresh tokens are remembered for reuse detection
+const PREVIOUS_TOKEN_HISTORY = 20;
+
+/**
+ * A login session. Each session holds one refresh token (stored hashed) that is
+ * replaced every time it is used. Presenting a refresh token that was already
+ * rotated out means it was copied, so the whole session is revoked.
+ *
+ * Refresh tokens have the form `<sessionId>.<secret>`.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previous_token_hashes: {
+    type: [String],
+    select: false
+  },
+  metadata: {
+    ip_address: String,
+    user_agent: String,
+    device: String,
+    last_ip_address: String
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: Date,
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'token_reuse', 'revoked_by_user']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.refresh_token_hash;
+      delete ret.previous_token_hashes;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revoked_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // Drop sessions once they expire
+
+// Virtual properties
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+// Instance methods
+
+// Replace the refresh token; returns the new plaintext token
+sessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  if (this.refresh_token_hash) {
+    this.previous_token_hashes = [
+      ...(this.previous_token_hashes || []),
+      this.refresh_token_hash
+    ].slice(-PREVIOUS_TOKEN_HISTORY);
+  }
+  this.refresh_token_hash = hashSecret(secret);
+
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * Swap the presented refresh secret for a new one in a single conditional
+ * update, so two requests racing with the same token cannot both win.
+ * Resolves to the new plaintext token, or null when the presented secret was
+ * no longer the current one by the time of the write.
+ */
+sessionSchema.methods.rotateRefreshToken = async function(secret, ip) {
+  const presentedHash = hashSecret(secret);
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refresh_token_hash: presentedHash, revoked_at: null },
+    {
+      $set: {
+        refresh_token_hash: hashSecret(nextSecret),
+        last_used_at: new Date(),
+        'metadata.last_ip_address': ip
+      },
+      $push: {
+        previous_token_hashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKEN_HISTORY }
+      }
+    },
+    { new: true }
+  );
+
+  return rotated ? `${this._id}.${nextSecret}` : null;
+};
+
+// 'current', 'reused' (an earlier token of this session) or 'invalid'
+sessionSchema.methods.checkRefreshSecret = function(secret) {
+  const hash = hashSecret(secret);
+
+  if (safeEqual(hash, this.refresh_token_hash)) {
+    return 'current';
+  }
+  if ((this.previous_token_hashes || []).includes(hash)) {
+    return 'reused';
+  }
+  return 'invalid';
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revoked_at = new Date();
+  this.revoked_reason = reason;
+  return this.save();
+};
+
+// Static methods
+sessionSchema.statics.parseRefreshToken = function(token) {
+  const [sessionId, secret] = String(token).split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !/^[a-f0-9]{64}$/.test(secret || '')) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_used_at: -1 });
+};
+
+sessionSchema.statics.isActiveSession = async function(sessionId, userId) {
+  return Boolean(await this.exists({
+    _id: sessionId,
+    userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }));
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
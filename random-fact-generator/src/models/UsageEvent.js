@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * One authenticated API request. Append-only: events are inserted in batches
+ * by usageEventService and expire after `usageEvents.retentionDays`.
+ * Requests made with a user token have `apiKeyId: null`.
+ */
+const usageEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  method: String,
+  endpoint: String, // route template, e.g. /api/v1/facts/:id
+  status_code: Number,
+  response_time_ms: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+usageEventSchema.index({ apiKeyId: 1, timestamp: -1 });
+usageEventSchema.index({ userId: 1, timestamp: -1 });
+usageEventSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: config.usageEvents.retentionDays * 24 * 60 * 60 }
+);
+
+// Static methods
+
+/**
+ * Request counts, error rate and p50/p95 latency per hour or day.
+ * `$percentile` needs MongoDB 7.0 or newer.
+ */
+usageEventSchema.statics.timeSeries = function(match, { interval = 'hour', from, to }) {
+  return this.aggregate([
+    { $match: { ...match, timestamp: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: interval } },
+        requests: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $gte: ['$status_code', 400] }, 1, 0] } },
+        latency: {
+          $percentile: { input: '$response_time_ms', p: [0.5, 0.95], method: 'approximate' }
+        }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        bucket: '$_id',
+        requests: 1,
+        errors: 1,
+        error_rate: { $round: [{ $divide: ['$errors', '$requests'] }, 4] },
+        p50_ms: { $arrayElemAt: ['$latency', 0] },
+        p95_ms: { $arrayElemAt: ['$latency', 1] }
+      }
+    }
+  ]);
+};
+
+// The same figures for the whole range, one row per value of `groupField`
+// (or a single row without one)
+usageEventSchema.statics.totals = function(match, { from, to }, groupField = null, limit = 0) {
+  return this.aggregate([
+    { $match: { ...match, timestamp: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: groupField ? `$${groupField}` : null,
+        requests: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $gte: ['$status_code', 400] }, 1, 0] } },
+        latency: {
+          $percentile: { input: '$response_time_ms', p: [0.5, 0.95], method: 'approximate' }
+        },
+        last_request: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { requests: -1 } },
+    ...(limit > 0 ? [{ $limit: limit }] : []),
+    {
+      $project: {
+        _id: 0,
+        ...(groupField ? { [groupField]: '$_id' } : {}),
+        requests: 1,
+        errors: 1,
+        error_rate: { $round: [{ $divide: ['$errors', '$requests'] }, 4] },
+        p50_ms: { $arrayElemAt: ['$latency', 0] },
+        p95_ms: { $arrayElemAt: ['$latency', 1] },
+        last_request: 1
+      }
+    }
+  ]);
+};
+
+const UsageEvent = mongoose.model('UsageEvent', usageEventSchema);
+
+export default UsageEvent;
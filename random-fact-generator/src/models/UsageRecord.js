@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+/**
+ * Metered usage for one day, one API key and one endpoint. Requests made with
+ * a user token (no API key) are recorded with `apiKeyId: null`.
+ *
+ * One document per (user, key, day, endpoint). Counts are added in batches by
+ * usageEventService with atomic upserts, so concurrent writers never lose counts.
+ */
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // UTC day, e.g. 2024-03-09
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  failed_requests: {
+    type: Number,
+    default: 0
+  },
+  // Of `units`, those used while the user's overage billing was on
+  // (User#allowsOverage); only these can be billed past the allowance
+  overage_enabled_units: {
+    type: Number,
+    default: 0
+  },
+  // `units` split by the plan the user was on when making the requests
+  plan_units: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Indexes
+usageRecordSchema.index({ userId: 1, apiKeyId: 1, day: 1, endpoint: 1 }, { unique: true });
+usageRecordSchema.index({ userId: 1, day: 1 });
+usageRecordSchema.index({ day: 1 });
+
+// Static methods
+
+usageRecordSchema.statics.toDay = function(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+};
+
+// Apply pre-aggregated counts, one entry per (user, key, day, endpoint).
+// Failed requests are counted but not billed.
+usageRecordSchema.statics.recordBatch = function(entries) {
+  if (entries.length === 0) return null;
+
+  return this.bulkWrite(entries.map(({
+    userId, apiKeyId = null, day, endpoint, category, requests, units, failed_requests,
+    overage_enabled_units = 0, plan_units = {}
+  }) => ({
+    updateOne: {
+      filter: { userId, apiKeyId, day, endpoint },
+      update: {
+        $setOnInsert: { category },
+        $inc: {
+          requests,
+          units,
+          failed_requests,
+          overage_enabled_units,
+          ...Object.fromEntries(Object.entries(plan_units).map(([plan, planUnits]) => [`plan_units.${plan}`, planUnits]))
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Totals for a user between two days (inclusive), grouped by the given fields
+usageRecordSchema.statics.summarize = function(userId, fromDay, toDay, groupBy = ['endpoint']) {
+  const _id = Object.fromEntries(groupBy.map(field => [field, `$${field}`]));
+
+  return this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        day: { $gte: fromDay, $lte: toDay }
+      }
+    },
+    {
+      $group: {
+        _id,
+        category: { $first: '$category' },
+        requests: { $sum: '$requests' },
+        units: { $sum: '$units' },
+        failed_requests: { $sum: '$failed_requests' }
+      }
+    },
+    { $sort: { units: -1 } }
+  ]);
+};
+
+// Units per day for a user between two days (inclusive), in day order, with
+// the units used while overage billing was on and the units per plan
+usageRecordSchema.statics.dailyBillingTotals = async function(userId, fromDay, toDay) {
+  const records = await this.find({
+    userId,
+    day: { $gte: fromDay, $lte: toDay }
+  }).select('day units overage_enabled_units plan_units').lean();
+
+  const days = new Map();
+  for (const record of records) {
+    const day = days.get(record.day) || { day: record.day, units: 0, overage_enabled_units: 0, plan_units: {} };
+    day.units += record.units;
+    day.overage_enabled_units += record.overage_enabled_units || 0;
+    for (const [plan, units] of Object.entries(record.plan_units || {})) {
+      day.plan_units[plan] = (day.plan_units[plan] || 0) + units;
+    }
+    days.set(record.day, day);
+  }
+
+  return [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+};
+
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+
+export default UsageRecord;
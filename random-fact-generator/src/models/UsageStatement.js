@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+/**
+ * Monthly roll-up of a user's UsageRecords with the amounts owed. A statement
+ * stays `open` during its month and is recalculated on demand; it is
+ * `finalized` once the month ends and `invoiced` after any overage has been
+ * added to the customer's next Stripe invoice.
+ */
+const lineItemSchema = new mongoose.Schema({
+  endpoint: String,
+  category: String,
+  requests: Number,
+  units: Number
+}, { _id: false });
+
+const usageStatementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar month (UTC), e.g. 2024-03
+  period: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}$/
+  },
+  plan: {
+    type: String,
+    required: true
+  },
+  included_units: {
+    type: Number,
+    default: null // null when unlimited
+  },
+  total_requests: {
+    type: Number,
+    default: 0
+  },
+  total_units: {
+    type: Number,
+    default: 0
+  },
+  overage_units: {
+    type: Number,
+    default: 0
+  },
+  // Units past the allowance used while overage billing was off: not billed
+  unbilled_overage_units: {
+    type: Number,
+    default: 0
+  },
+  base_amount_cents: {
+    type: Number,
+    default: 0
+  },
+  overage_amount_cents: {
+    type: Number,
+    default: 0
+  },
+  total_amount_cents: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  line_items: [lineItemSchema],
+  status: {
+    type: String,
+    enum: ['open', 'finalized', 'invoiced'],
+    default: 'open'
+  },
+  finalized_at: Date,
+  stripe_invoice_item_id: String
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+usageStatementSchema.index({ userId: 1, period: -1 }, { unique: true });
+usageStatementSchema.index({ period: 1, status: 1 });
+
+const UsageStatement = mongoose.model('UsageStatement', usageStatementSchema);
+
+export default UsageStatement;
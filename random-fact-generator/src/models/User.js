@@ -1,7 +1,27 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
+import { getPlanPricing } from '../config/metering.js';
+
+// Allowance (in usage units; -1 is unlimited) and features of each plan
+const PLAN_LIMITS = {
+  basic: {
+    monthly_requests: 1000,
+    features: ['basic_facts']
+  },
+  premium: {
+    monthly_requests: 100000,
+    features: ['basic_facts', 'all_categories', 'ai_facts', 'priority_support']
+  },
+  platinum: {
+    monthly_requests: -1, // Unlimited
+    features: ['basic_facts', 'all_categories', 'ai_facts', 'priority_support', 'custom_integration']
+  }
+};
+
+const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS.basic;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -42,6 +62,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Company name must be less than 100 characters']
   },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio must be less than 500 characters']
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
@@ -71,9 +96,18 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Weighted usage units this month (see config/metering.js)
+    monthly_units: {
+      type: Number,
+      default: 0
+    },
     last_request: {
       type: Date
     },
+    // Allowance percentages already announced by webhook this month
+    thresholds_notified: [{
+      type: Number
+    }],
     monthly_reset_date: {
       type: Date,
       default: () => {
@@ -95,7 +129,12 @@ const userSchema = new mongoose.Schema({
     },
     billing_email: String,
     last_payment: Date,
-    next_billing_date: Date
+    next_billing_date: Date,
+    // Bill usage past the plan allowance instead of refusing requests
+    overage_enabled: {
+      type: Boolean,
+      default: false
+    }
   },
   preferences: {
     email_notifications: {
@@ -124,7 +163,7 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    email_verification_token: String,
+    email_verification_token: String, // SHA-256 hash; the plaintext is only emailed
     email_verification_expires: Date,
     phone_verified: {
       type: Boolean,
@@ -132,7 +171,7 @@ const userSchema = new mongoose.Schema({
     }
   },
   security: {
-    password_reset_token: String,
+    password_reset_token: String, // SHA-256 hash; the plaintext is only emailed
     password_reset_expires: Date,
     last_login: Date,
     login_attempts: {
@@ -140,10 +179,25 @@ const userSchema = new mongoose.Schema({
       default: 0
     },
     locked_until: Date,
+    // Bumped to invalidate every access token at once (log out everywhere, password change)
+    token_version: {
+      type: Number,
+      default: 0
+    },
     two_factor_enabled: {
       type: Boolean,
       default: false
-    }
+    },
+    // Set by an admin or moderator to force 2FA for this account
+    two_factor_required: {
+      type: Boolean,
+      default: false
+    },
+    two_factor_secret: String, // Encrypted TOTP secret
+    two_factor_pending_secret: String, // Encrypted secret awaiting confirmation
+    two_factor_recovery_codes: [String], // SHA-256 hashes of unused recovery codes
+    two_factor_last_step: Number, // Last accepted TOTP step, to reject replays
+    two_factor_enabled_at: Date
   },
   metadata: {
     ip_address: String,
@@ -171,27 +225,33 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ plan: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ 'usage.monthly_reset_date': 1 });
+userSchema.index({ 'verification.email_verification_token': 1 }, { sparse: true });
+userSchema.index({ 'security.password_reset_token': 1 }, { sparse: true });
+userSchema.index({ 'billing.customer_id': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName || ''} ${this.lastName || ''}`.trim();
 });
 
-// Virtual for remaining requests this month
+// Virtual for remaining usage units this month
 userSchema.virtual('remainingRequests').get(function() {
-  return Math.max(0, this.planLimits.monthly_requests - this.usage.monthly_requests);
+  if (this.planLimits.monthly_requests === -1) return null; // Unlimited
+  return Math.max(0, this.planLimits.monthly_requests - (this.usage.monthly_units || 0));
 });
 
 // Virtual for usage percentage
 userSchema.virtual('usagePercentage').get(function() {
-  if (this.planLimits.monthly_requests === 0) return 0;
-  return Math.min(100, (this.usage.monthly_requests / this.planLimits.monthly_requests) * 100);
+  if (this.planLimits.monthly_requests <= 0) return 0; // Unlimited or no allowance
+  return Math.min(100, ((this.usage.monthly_units || 0) / this.planLimits.monthly_requests) * 100);
 });
 
 // Pre-save middleware
@@ -220,28 +280,51 @@ userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateJWT = function() {
+// Short-lived access token bound to a login session (see services/sessionService.js)
+userSchema.methods.generateJWT = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
       username: this.username,
       email: this.email,
-      role: this.role 
+      role: this.role,
+      type: 'access',
+      sid: sessionId,
+      tv: this.security.token_version || 0
     },
     config.jwt.secret,
     { expiresIn: config.jwt.expiresIn }
   );
 };
 
-userSchema.methods.incrementUsage = function() {
+// Short-lived token for one step of the 2FA flow ('2fa_challenge' or '2fa_setup').
+// jwtAuth only accepts access tokens, so these cannot be used as a session.
+userSchema.methods.generateTwoFactorToken = function(type) {
+  const expiresIn = type === '2fa_setup'
+    ? config.twoFactor.setupExpiresIn
+    : config.twoFactor.challengeExpiresIn;
+
+  return jwt.sign({ id: this._id, type }, config.jwt.secret, { expiresIn });
+};
+
+// 2FA is required by role policy or by an admin/moderator for this account
+userSchema.methods.isTwoFactorRequired = function() {
+  return Boolean(this.security.two_factor_required) ||
+    config.twoFactor.requiredRoles.includes(this.role);
+};
+
+userSchema.methods.incrementUsage = function(units = 1) {
   this.usage.total_requests += 1;
   this.usage.monthly_requests += 1;
+  this.usage.monthly_units = (this.usage.monthly_units || 0) + units;
   this.usage.last_request = new Date();
   return this.save();
 };
 
 userSchema.methods.resetMonthlyUsage = function() {
   this.usage.monthly_requests = 0;
+  this.usage.monthly_units = 0;
+  this.usage.thresholds_notified = [];
   const resetDate = new Date();
   resetDate.setMonth(resetDate.getMonth() + 1);
   resetDate.setDate(1);
@@ -250,22 +333,7 @@ userSchema.methods.resetMonthlyUsage = function() {
 };
 
 userSchema.methods.updatePlanLimits = function() {
-  const planConfig = {
-    basic: {
-      monthly_requests: 1000,
-      features: ['basic_facts']
-    },
-    premium: {
-      monthly_requests: 100000,
-      features: ['basic_facts', 'all_categories', 'ai_facts', 'priority_support']
-    },
-    platinum: {
-      monthly_requests: -1, // Unlimited
-      features: ['basic_facts', 'all_categories', 'ai_facts', 'priority_support', 'custom_integration']
-    }
-  };
-  
-  const config = planConfig[this.plan] || planConfig.basic;
+  const config = getPlanLimits(this.plan);
   this.planLimits.monthly_requests = config.monthly_requests;
   this.planLimits.features = config.features;
 };
@@ -274,10 +342,24 @@ userSchema.methods.hasFeature = function(feature) {
   return this.planLimits.features.includes(feature);
 };
 
+// Usage past the allowance is billed rather than refused when the plan has
+// overage pricing, the user opted in and the subscription is paid up
+userSchema.methods.allowsOverage = function() {
+  return Boolean(getPlanPricing(this.plan).overage) &&
+    this.billing.overage_enabled &&
+    this.billing.payment_status === 'active' &&
+    Boolean(this.billing.customer_id);
+};
+
+userSchema.methods.isInOverage = function() {
+  return this.planLimits.monthly_requests !== -1 &&
+    (this.usage.monthly_units || 0) >= this.planLimits.monthly_requests;
+};
+
 userSchema.methods.canMakeRequest = function() {
   if (this.status !== 'active') return false;
   if (this.planLimits.monthly_requests === -1) return true; // Unlimited
-  return this.usage.monthly_requests < this.planLimits.monthly_requests;
+  return !this.isInOverage() || this.allowsOverage();
 };
 
 userSchema.methods.isAccountLocked = function() {
@@ -301,6 +383,41 @@ userSchema.methods.recordFailedLogin = function() {
   return this.save();
 };
 
+// Issue an email verification token; returns the plaintext, stores only its hash
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verification.email_verification_token = hashToken(token);
+  this.verification.email_verification_expires = new Date(Date.now() + config.email.verificationTokenTtlMs);
+  return token;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.verification.email_verified = true;
+  this.verification.email_verification_token = undefined;
+  this.verification.email_verification_expires = undefined;
+  if (this.status === 'pending_verification') {
+    this.status = 'active';
+  }
+  return this.save();
+};
+
+// Issue a password reset token; returns the plaintext, stores only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.security.password_reset_token = hashToken(token);
+  this.security.password_reset_expires = new Date(Date.now() + config.email.passwordResetTokenTtlMs);
+  return token;
+};
+
+userSchema.methods.resetPassword = function(password) {
+  this.password = password;
+  this.security.password_reset_token = undefined;
+  this.security.password_reset_expires = undefined;
+  this.security.login_attempts = 0;
+  this.security.locked_until = undefined;
+  return this.save();
+};
+
 userSchema.methods.recordSuccessfulLogin = function() {
   this.security.login_attempts = 0;
   this.security.locked_until = undefined;
@@ -309,6 +426,20 @@ userSchema.methods.recordSuccessfulLogin = function() {
 };
 
 // Static methods
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    'verification.email_verification_token': hashToken(token),
+    'verification.email_verification_expires': { $gt: new Date() }
+  });
+};
+
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    'security.password_reset_token': hashToken(token),
+    'security.password_reset_expires': { $gt: new Date() }
+  });
+};
+
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
@@ -333,6 +464,43 @@ userSchema.statics.getUserStats = function() {
   ]);
 };
 
+/**
+ * Apply batched metered usage ({ userId, requests, units, lastRequest }) with
+ * one update per user. The update pipeline starts a new month itself, as the
+ * pre-save hook would, because these updates never load the document.
+ */
+userSchema.statics.getPlanLimits = getPlanLimits;
+
+userSchema.statics.applyUsageBatch = function(totals, now = new Date()) {
+  if (totals.length === 0) return null;
+
+  const resetDate = new Date(now);
+  resetDate.setMonth(resetDate.getMonth() + 1);
+  resetDate.setDate(1);
+  resetDate.setHours(0, 0, 0, 0);
+  const resetDue = { $gte: [now, { $ifNull: ['$usage.monthly_reset_date', now] }] };
+
+  return this.bulkWrite(totals.map(({ userId, requests, units, lastRequest }) => ({
+    updateOne: {
+      filter: { _id: userId },
+      update: [{
+        $set: {
+          'usage.total_requests': { $add: [{ $ifNull: ['$usage.total_requests', 0] }, requests] },
+          'usage.monthly_requests': {
+            $cond: [resetDue, requests, { $add: [{ $ifNull: ['$usage.monthly_requests', 0] }, requests] }]
+          },
+          'usage.monthly_units': {
+            $cond: [resetDue, units, { $add: [{ $ifNull: ['$usage.monthly_units', 0] }, units] }]
+          },
+          'usage.thresholds_notified': { $cond: [resetDue, [], { $ifNull: ['$usage.thresholds_notified', []] }] },
+          'usage.monthly_reset_date': { $cond: [resetDue, resetDate, '$usage.monthly_reset_date'] },
+          'usage.last_request': { $max: ['$usage.last_request', lastRequest] }
+        }
+      }]
+    }
+  })), { ordered: false });
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
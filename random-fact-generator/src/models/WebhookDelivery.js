@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+// Events an API key's webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  'fact.created',
+  'fact.verified',
+  'fact.rejected',
+  'usage.threshold_reached',
+  'key.expiring'
+];
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  status_code: Number, // absent when no response was received
+  duration_ms: Number,
+  error: String
+}, { _id: false });
+
+/**
+ * One event sent to one webhook URL, with every attempt made to deliver it.
+ * The payload is stored exactly as signed so a redelivery sends the same body.
+ * Deliveries expire after `webhooks.deliveryRetentionDays`.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  // Same for every delivery of one event, so receivers can de-duplicate
+  event_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  delivered_at: Date,
+  // Set when this delivery was requested by hand
+  redelivery_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      ret.payload = JSON.parse(ret.payload);
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookDeliverySchema.index({ userId: 1, created_at: -1 });
+webhookDeliverySchema.index({ apiKeyId: 1, created_at: -1 });
+webhookDeliverySchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: config.webhooks.deliveryRetentionDays * 24 * 60 * 60 }
+);
+
+// Instance methods
+webhookDeliverySchema.methods.recordAttempt = function(attempt, { delivered, final }) {
+  this.attempts.push(attempt);
+  if (delivered) {
+    this.status = 'delivered';
+    this.delivered_at = attempt.at;
+  } else if (final) {
+    this.status = 'failed';
+  }
+  return this.save();
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
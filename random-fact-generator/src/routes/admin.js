@@ -0,0 +1,21 @@
+import express from 'express';
+import AdminController from '../controllers/adminController.js';
+import AuthMiddleware from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { billingValidators } from '../utils/validators.js';
+
+const router = express.Router();
+
+// All admin endpoints require an authenticated administrator
+router.use(AuthMiddleware.jwtAuth, AuthMiddleware.requireAdmin);
+
+// Adaptive rate limiting status
+router.get('/system/load', AdminController.getSystemLoad);
+
+// Usage statements
+router.post('/billing/statements/:period/finalize',
+  validateRequest(billingValidators.period),
+  AdminController.finalizeStatements
+);
+
+export default router;
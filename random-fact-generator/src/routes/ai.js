@@ -1,7 +1,7 @@
 import express from 'express';
 import AIController from '../controllers/aiController.js';
 import AuthMiddleware from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rateLimiter.js';
+import { createRateLimiter, aiBudgetLimit } from '../middleware/rateLimiter.js';
 import { validateRequest } from '../middleware/validation.js';
 import { aiValidators } from '../utils/validators.js';
 
@@ -9,6 +9,7 @@ const router = express.Router();
 
 // Strict rate limiting for AI endpoints
 const aiRateLimit = createRateLimiter({ 
+  name: 'ai',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 20, // 20 AI requests per 15 minutes
   message: {
@@ -19,6 +20,7 @@ const aiRateLimit = createRateLimiter({
 });
 
 const moderationRateLimit = createRateLimiter({ 
+  name: 'ai_moderation',
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 100 // 100 moderation requests per 5 minutes
 });
@@ -48,6 +50,14 @@ const moderationRateLimit = createRateLimiter({
  *           format: date-time
  *         ai_model:
  *           type: string
+ *         ai_prompt:
+ *           type: object
+ *           description: Prompt template and version the fact was generated with
+ *           properties:
+ *             name:
+ *               type: string
+ *             version:
+ *               type: integer
  */
 
 // AI fact generation endpoint
@@ -96,64 +106,137 @@ const moderationRateLimit = createRateLimiter({
 router.post('/generate/fact', 
   AuthMiddleware.apiKeyAuth,
   AuthMiddleware.requireSubscription(['premium', 'platinum']),
+  AuthMiddleware.requirePermission('ai:generate'),
   aiRateLimit,
+  aiBudgetLimit,
   validateRequest(aiValidators.generateFact),
   AIController.generateFact
 );
 
+// Streamed AI fact generation (Server-Sent Events)
+router.post('/generate/fact/stream', 
+  AuthMiddleware.apiKeyAuth,
+  AuthMiddleware.requireSubscription(['premium', 'platinum']),
+  AuthMiddleware.requirePermission('ai:generate'),
+  aiRateLimit,
+  aiBudgetLimit,
+  validateRequest(aiValidators.generateFact),
+  AIController.generateFactStream
+);
+
 // AI fact suggestions endpoint
 router.post('/suggest/facts', 
   AuthMiddleware.apiKeyAuth,
   AuthMiddleware.requireSubscription(['premium', 'platinum']),
+  AuthMiddleware.requirePermission('ai:generate'),
   aiRateLimit,
+  aiBudgetLimit,
   validateRequest(aiValidators.suggestFacts),
-  AIController.suggestFacts
+  AIController.suggestTopics
 );
 
 // Content moderation endpoint
 router.post('/moderate/content', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('moderate_content'),
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:moderate'),
   moderationRateLimit,
+  aiBudgetLimit,
   validateRequest(aiValidators.moderateContent),
   AIController.moderateContent
 );
 
 // AI health check
 router.get('/health', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('admin'),
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
   AIController.healthCheck
 );
 
-// AI usage statistics
+// AI usage statistics: token usage and cost, your own or (ai:manage) everyone's
 router.get('/stats', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('admin'),
+  AuthMiddleware.requireAuth,
+  validateRequest(aiValidators.stats),
   AIController.getUsageStats
 );
 
 // Batch AI operations (admin only)
 router.post('/batch/generate', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('admin'),
-  createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 }), // 5 per hour
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  createRateLimiter({ name: 'ai_batch', windowMs: 60 * 60 * 1000, max: 5 }), // 5 per hour
   validateRequest(aiValidators.batchGenerate),
   AIController.batchGenerateFacts
 );
 
 // AI model configuration (admin only)
 router.get('/models', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('admin'),
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
   AIController.getAvailableModels
 );
 
 router.post('/models/switch', 
-  AuthMiddleware.jwtAuth,
-  AuthMiddleware.requirePermission('admin'),
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
   validateRequest(aiValidators.switchModel),
   AIController.switchModel
 );
 
+router.delete('/models/categories/:category', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.categoryModel),
+  AIController.resetCategoryModel
+);
+
+// Reference corpus for fact verification (admin only)
+router.get('/references', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.listReferences),
+  AIController.listReferences
+);
+
+router.post('/references', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.createReference),
+  AIController.createReference
+);
+
+router.delete('/references/:id', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.referenceId),
+  AIController.deactivateReference
+);
+
+// Prompt templates with version history (admin only)
+router.get('/prompts', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  AIController.listPrompts
+);
+
+router.get('/prompts/:name', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.promptName),
+  AIController.getPrompt
+);
+
+router.put('/prompts/:name', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.updatePrompt),
+  AIController.updatePrompt
+);
+
+router.post('/prompts/:name/rollback', 
+  AuthMiddleware.requireAuth,
+  AuthMiddleware.requirePermission('ai:manage'),
+  validateRequest(aiValidators.rollbackPrompt),
+  AIController.rollbackPrompt
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+import express from 'express';
+import BillingController from '../controllers/billingController.js';
+import AuthMiddleware from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimiter.js';
+import { validateRequest } from '../middleware/validation.js';
+import { billingValidators } from '../utils/validators.js';
+
+const router = express.Router();
+
+const checkoutRateLimit = createRateLimiter({ name: 'billing_checkout', windowMs: 60 * 60 * 1000, max: 10 }); // 10 checkout/portal sessions per hour
+
+router.use(AuthMiddleware.jwtAuth);
+
+router.post('/checkout',
+  checkoutRateLimit,
+  validateRequest(billingValidators.checkout),
+  BillingController.createCheckoutSession
+);
+
+router.post('/portal',
+  checkoutRateLimit,
+  BillingController.createPortalSession
+);
+
+router.get('/subscription', BillingController.getSubscription);
+
+router.put('/overage',
+  validateRequest(billingValidators.overage),
+  BillingController.setOverage
+);
+
+// Metered usage and statements
+router.get('/usage',
+  validateRequest(billingValidators.usage),
+  BillingController.getUsage
+);
+
+router.get('/usage/projection', BillingController.getProjection);
+
+router.get('/statements', BillingController.listStatements);
+
+router.get('/statements/:period',
+  validateRequest(billingValidators.period),
+  BillingController.getStatement
+);
+
+// Stripe signs the exact bytes it sends, so the webhook needs the raw body.
+// Mounted in app.js before the JSON body parser.
+export const webhookRouter = express.Router();
+
+webhookRouter.post('/',
+  express.raw({ type: 'application/json', limit: '1mb' }),
+  BillingController.handleWebhook
+);
+
+export default router;
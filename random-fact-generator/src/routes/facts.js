@@ -1,16 +1,18 @@
 import express from 'express';
 import FactController from '../controllers/factController.js';
+import JobController from '../controllers/jobController.js';
 import AuthMiddleware from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rateLimiter.js';
+import RateLimiter, { createRateLimiter } from '../middleware/rateLimiter.js';
 import { validateRequest } from '../middleware/validation.js';
 import { factValidators } from '../utils/validators.js';
 
 const router = express.Router();
 
 // Rate limiters for different endpoints
-const generalRateLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 100 }); // 100 requests per 15 minutes
-const searchRateLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 50 }); // 50 searches per 15 minutes
-const bulkRateLimit = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 }); // 10 bulk operations per hour
+const generalRateLimit = createRateLimiter({ name: 'facts', windowMs: 15 * 60 * 1000, max: 100 }); // 100 requests per 15 minutes
+const searchRateLimit = createRateLimiter({ name: 'fact_search', windowMs: 15 * 60 * 1000, max: 50 }); // 50 searches per 15 minutes
+const bulkRateLimit = createRateLimiter({ name: 'fact_bulk', windowMs: 60 * 60 * 1000, max: 10 }); // 10 bulk operations per hour
+const verificationRateLimit = createRateLimiter({ name: 'fact_ai_verification', windowMs: 15 * 60 * 1000, max: 30 }); // 30 AI verifications per 15 minutes
 
 /**
  * @swagger
@@ -50,133 +52,174 @@ const bulkRateLimit = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
 // Public endpoints (with API key)
 router.get('/random', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getRandomFact
 );
 
 router.get('/category/:category', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   validateRequest(factValidators.getByCategory),
   FactController.getFactByCategory
 );
 
 router.get('/search', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   searchRateLimit,
+  RateLimiter.adaptiveRateLimit,
   validateRequest(factValidators.search),
   FactController.searchFacts
 );
 
 router.get('/trending', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getTrendingFacts
 );
 
 router.get('/recent', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getRecentFacts
 );
 
 router.get('/top-rated', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getTopRatedFacts
 );
 
 router.get('/categories', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getCategories
 );
 
 router.get('/stats', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   FactController.getFactStats
 );
 
+// Moderation queue (moderator only)
+router.get('/moderation/queue', 
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:moderate'),
+  generalRateLimit,
+  validateRequest(factValidators.moderationQueue),
+  FactController.getModerationQueue
+);
+
 // Get specific fact by ID
 router.get('/:id', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   validateRequest(factValidators.getById),
   FactController.getFactById
 );
 
-// Admin/authenticated user endpoints (with JWT)
+// Write endpoints (user JWT or API key with the matching scope)
 router.post('/', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('create_facts'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:create'),
   generalRateLimit,
   validateRequest(factValidators.create),
   FactController.createFact
 );
 
 router.put('/:id', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('edit_facts'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:update'),
   generalRateLimit,
   validateRequest(factValidators.update),
   FactController.updateFact
 );
 
 router.delete('/:id', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('delete_facts'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:delete'),
   generalRateLimit,
   validateRequest(factValidators.delete),
   FactController.deleteFact
 );
 
-// Bulk operations (admin only)
+// Bulk operations. Imports run as a background job (see routes/jobs.js).
 router.post('/bulk/import', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('bulk_import'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:import'),
   bulkRateLimit,
   validateRequest(factValidators.bulkImport),
-  FactController.bulkImportFacts
+  JobController.createImportJob
 );
 
 router.post('/bulk/export', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('bulk_export'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:export'),
   bulkRateLimit,
+  validateRequest(factValidators.bulkExport),
   FactController.bulkExportFacts
 );
 
 // Fact interaction endpoints
 router.post('/:id/like', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   validateRequest(factValidators.interaction),
   FactController.likeFact
 );
 
 router.post('/:id/view', 
   AuthMiddleware.apiKeyAuth, 
+  AuthMiddleware.requirePermission('facts:read'),
   generalRateLimit,
+  RateLimiter.adaptiveRateLimit,
   validateRequest(factValidators.interaction),
   FactController.incrementViews
 );
 
 // Moderation endpoints (moderator only)
 router.post('/:id/verify', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('moderate_facts'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:moderate'),
   generalRateLimit,
   validateRequest(factValidators.moderate),
   FactController.verifyFact
 );
 
 router.post('/:id/reject', 
-  AuthMiddleware.jwtAuth, 
-  AuthMiddleware.requirePermission('moderate_facts'),
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:moderate'),
   generalRateLimit,
   validateRequest(factValidators.moderate),
   FactController.rejectFact
 );
 
+router.post('/:id/ai-verification', 
+  AuthMiddleware.requireAuth, 
+  AuthMiddleware.requirePermission('facts:moderate'),
+  verificationRateLimit,
+  RateLimiter.aiBudgetLimit,
+  validateRequest(factValidators.interaction),
+  FactController.runAIVerification
+);
+
 export default router;
\ No newline at end of file
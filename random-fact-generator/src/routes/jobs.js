@@ -0,0 +1,68 @@
+import express from 'express';
+import JobController from '../controllers/jobController.js';
+import AuthMiddleware from '../middleware/auth.js';
+import { createRateLimiter, aiBudgetLimit } from '../middleware/rateLimiter.js';
+import { validateRequest } from '../middleware/validation.js';
+import { factValidators, jobValidators } from '../utils/validators.js';
+
+const router = express.Router();
+
+const jobRateLimit = createRateLimiter({ name: 'jobs', windowMs: 60 * 60 * 1000, max: 20 }); // 20 new jobs per hour
+
+// Jobs accept either an API key or a user token
+router.use(AuthMiddleware.requireAuth);
+
+// Start a job; each returns 202 with the job and its status URL
+router.post('/generation',
+  AuthMiddleware.requireSubscription(['platinum']),
+  AuthMiddleware.requirePermission('ai:generate'),
+  jobRateLimit,
+  aiBudgetLimit,
+  validateRequest(jobValidators.generation),
+  JobController.createGenerationJob
+);
+
+router.post('/import',
+  AuthMiddleware.requirePermission('facts:import'),
+  jobRateLimit,
+  validateRequest(jobValidators.import),
+  JobController.createImportJob
+);
+
+router.post('/export',
+  AuthMiddleware.requirePermission('facts:export'),
+  jobRateLimit,
+  validateRequest(factValidators.bulkExport),
+  JobController.createExportJob
+);
+
+router.post('/moderation-backfill',
+  AuthMiddleware.requirePermission('ai:moderate'),
+  jobRateLimit,
+  aiBudgetLimit,
+  validateRequest(jobValidators.moderationBackfill),
+  JobController.createModerationBackfillJob
+);
+
+// Progress, results and cancellation
+router.get('/',
+  validateRequest(jobValidators.list),
+  JobController.listJobs
+);
+
+router.get('/:id',
+  validateRequest(jobValidators.byId),
+  JobController.getJob
+);
+
+router.get('/:id/download',
+  validateRequest(jobValidators.byId),
+  JobController.downloadJobResult
+);
+
+router.delete('/:id',
+  validateRequest(jobValidators.byId),
+  JobController.cancelJob
+);
+
+export default router;
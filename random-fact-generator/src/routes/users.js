@@ -1,15 +1,255 @@
 import express from 'express';
-import { registerUser, authenticateUser, getUserStats } from '../controllers/userController.js';
+import UserController from '../controllers/userController.js';
+import TwoFactorController from '../controllers/twoFactorController.js';
+import SessionController from '../controllers/sessionController.js';
+import ApiKeyController from '../controllers/apiKeyController.js';
+import WebhookController from '../controllers/webhookController.js';
+import AuthMiddleware from '../middleware/auth.js';
+import RateLimiter, { createRateLimiter } from '../middleware/rateLimiter.js';
+import { validateRequest } from '../middleware/validation.js';
+import { userValidators, apiKeyValidators, webhookValidators } from '../utils/validators.js';
 
 const router = express.Router();
 
-// Route for user registration
-router.post('/register', registerUser);
+const registerRateLimit = createRateLimiter({ name: 'register', windowMs: 60 * 60 * 1000, max: 5, keyGenerator: (req) => `ip:${req.ip}` }); // 5 signups per hour per IP
+const verificationEmailRateLimit = createRateLimiter({ name: 'verification_email', windowMs: 60 * 60 * 1000, max: 3, keyGenerator: (req) => `ip:${req.ip}` }); // 3 resends per hour per IP
+const refreshRateLimit = createRateLimiter({ name: 'token_refresh', windowMs: 15 * 60 * 1000, max: 60, keyGenerator: (req) => `ip:${req.ip}` }); // 60 refreshes per 15 minutes per IP
+const apiKeyRateLimit = createRateLimiter({ name: 'api_keys', windowMs: 15 * 60 * 1000, max: 30 }); // 30 key changes per 15 minutes
 
-// Route for user authentication
-router.post('/login', authenticateUser);
+// Account creation and login
+router.post('/register',
+  registerRateLimit,
+  validateRequest(userValidators.register),
+  UserController.registerUser
+);
 
-// Route for getting user statistics
-router.get('/stats', getUserStats);
+router.post('/login',
+  RateLimiter.loginAttemptLimit,
+  validateRequest(userValidators.login),
+  UserController.authenticateUser
+);
 
-export default router;
\ No newline at end of file
+router.post('/login/2fa',
+  RateLimiter.loginAttemptLimit,
+  validateRequest(userValidators.twoFactorLogin),
+  TwoFactorController.completeLogin
+);
+
+// Sessions
+router.post('/token/refresh',
+  refreshRateLimit,
+  validateRequest(userValidators.refreshToken),
+  SessionController.refreshToken
+);
+
+router.post('/logout',
+  AuthMiddleware.jwtAuth,
+  SessionController.logout
+);
+
+router.post('/logout-all',
+  AuthMiddleware.jwtAuth,
+  SessionController.logoutAll
+);
+
+router.get('/me/sessions',
+  AuthMiddleware.jwtAuth,
+  SessionController.listSessions
+);
+
+router.delete('/me/sessions/:id',
+  AuthMiddleware.jwtAuth,
+  validateRequest(userValidators.sessionId),
+  SessionController.revokeSession
+);
+
+// Email verification and password reset
+router.post('/verify-email',
+  RateLimiter.strict,
+  validateRequest(userValidators.verifyEmail),
+  UserController.verifyEmail
+);
+
+router.post('/verify-email/resend',
+  verificationEmailRateLimit,
+  validateRequest(userValidators.emailOnly),
+  UserController.resendVerification
+);
+
+router.post('/forgot-password',
+  RateLimiter.passwordResetLimit,
+  validateRequest(userValidators.emailOnly),
+  UserController.forgotPassword
+);
+
+router.post('/reset-password',
+  RateLimiter.strict,
+  validateRequest(userValidators.resetPassword),
+  UserController.resetPassword
+);
+
+// Current user profile and usage
+router.get('/me',
+  AuthMiddleware.jwtAuth,
+  UserController.getProfile
+);
+
+router.patch('/me',
+  AuthMiddleware.jwtAuth,
+  validateRequest(userValidators.updateProfile),
+  UserController.updateProfile
+);
+
+router.put('/me/password',
+  AuthMiddleware.jwtAuth,
+  RateLimiter.strict,
+  validateRequest(userValidators.changePassword),
+  UserController.changePassword
+);
+
+router.get('/me/usage',
+  AuthMiddleware.jwtAuth,
+  UserController.getUsage
+);
+
+// Two-factor authentication
+router.get('/me/2fa',
+  AuthMiddleware.jwtAuth,
+  TwoFactorController.getStatus
+);
+
+router.post('/me/2fa/setup',
+  AuthMiddleware.twoFactorSetupAuth,
+  TwoFactorController.beginSetup
+);
+
+router.post('/me/2fa/confirm',
+  AuthMiddleware.twoFactorSetupAuth,
+  RateLimiter.strict,
+  validateRequest(userValidators.twoFactorCode),
+  TwoFactorController.confirmSetup
+);
+
+router.post('/me/2fa/disable',
+  AuthMiddleware.jwtAuth,
+  RateLimiter.strict,
+  validateRequest(userValidators.disableTwoFactor),
+  TwoFactorController.disable
+);
+
+router.post('/me/2fa/recovery-codes',
+  AuthMiddleware.jwtAuth,
+  RateLimiter.strict,
+  validateRequest(userValidators.twoFactorCode),
+  TwoFactorController.regenerateRecoveryCodes
+);
+
+router.put('/:id/2fa-requirement',
+  AuthMiddleware.jwtAuth,
+  AuthMiddleware.requireModerator,
+  validateRequest(userValidators.twoFactorRequirement),
+  TwoFactorController.setRequirement
+);
+
+// Account statistics (admin only)
+router.get('/stats',
+  AuthMiddleware.jwtAuth,
+  AuthMiddleware.requireAdmin,
+  UserController.getUserStats
+);
+
+// API key self-service
+router.get('/me/api-keys',
+  AuthMiddleware.jwtAuth,
+  ApiKeyController.listApiKeys
+);
+
+router.get('/me/api-keys/analytics',
+  AuthMiddleware.jwtAuth,
+  validateRequest(apiKeyValidators.analytics),
+  ApiKeyController.getApiKeysAnalytics
+);
+
+router.get('/me/api-keys/:id/analytics',
+  AuthMiddleware.jwtAuth,
+  validateRequest([...apiKeyValidators.byId, ...apiKeyValidators.analytics]),
+  ApiKeyController.getApiKeyAnalytics
+);
+
+router.post('/me/api-keys',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.create),
+  ApiKeyController.createApiKey
+);
+
+router.patch('/me/api-keys/:id',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.update),
+  ApiKeyController.updateApiKey
+);
+
+router.post('/me/api-keys/:id/rotate',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.byId),
+  ApiKeyController.rotateApiKey
+);
+
+router.put('/me/api-keys/:id/restrictions',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.restrictions),
+  ApiKeyController.updateApiKeyRestrictions
+);
+
+router.delete('/me/api-keys/:id',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.byId),
+  ApiKeyController.revokeApiKey
+);
+
+// Outbound webhooks, one per API key
+router.put('/me/api-keys/:id/webhook',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(webhookValidators.update),
+  WebhookController.updateWebhook
+);
+
+router.post('/me/api-keys/:id/webhook/rotate-secret',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.byId),
+  WebhookController.rotateWebhookSecret
+);
+
+router.delete('/me/api-keys/:id/webhook',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(apiKeyValidators.byId),
+  WebhookController.removeWebhook
+);
+
+router.get('/me/webhooks/deliveries',
+  AuthMiddleware.jwtAuth,
+  validateRequest(webhookValidators.deliveries),
+  WebhookController.listDeliveries
+);
+
+router.get('/me/webhooks/deliveries/:id',
+  AuthMiddleware.jwtAuth,
+  validateRequest(webhookValidators.deliveryId),
+  WebhookController.getDelivery
+);
+
+router.post('/me/webhooks/deliveries/:id/redeliver',
+  AuthMiddleware.jwtAuth,
+  apiKeyRateLimit,
+  validateRequest(webhookValidators.deliveryId),
+  WebhookController.redeliver
+);
+
+export default router;
@@ -0,0 +1,89 @@
+import AISettings from '../models/AISettings.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getDefaultModel } from './aiProviders/index.js';
+
+const toSnapshot = (doc) => ({
+  active_model: doc?.active_model || null,
+  category_models: { ...(doc?.category_models || {}) },
+  updated_at: doc?.updated_at || null
+});
+
+/**
+ * Which model each AI call uses. Selections are stored in AISettings and
+ * cached in memory; the cache is reloaded every `ai.settingsRefreshMs`, so a
+ * switch made on one instance reaches the others within that interval.
+ */
+class AIModelService {
+  constructor() {
+    this.settings = toSnapshot(null);
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async getSettings() {
+    if (Date.now() - this.loadedAt < config.ai.settingsRefreshMs) {
+      return this.settings;
+    }
+
+    if (!this.loading) {
+      this.loading = AISettings.findOne({ provider: config.ai.provider }).lean()
+        .then((doc) => {
+          this.settings = toSnapshot(doc);
+          return this.settings;
+        })
+        .catch((error) => {
+          // Keep serving the last known selection rather than failing AI calls
+          logger.logError(error, null, { operation: 'loadAISettings' });
+          return this.settings;
+        })
+        .finally(() => {
+          this.loadedAt = Date.now();
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  getDefaultModel() {
+    return getDefaultModel(config.ai.provider);
+  }
+
+  getActiveModel() {
+    return this.settings.active_model || this.getDefaultModel();
+  }
+
+  // Model for fact generation in a category: its override, else the active model
+  resolve(category) {
+    return (category && this.settings.category_models[category]) || this.getActiveModel();
+  }
+
+  async setActiveModel(model, userId) {
+    return this.save({ $set: { active_model: model, updated_by: userId } });
+  }
+
+  async setCategoryModel(category, model, userId) {
+    const update = model
+      ? { $set: { [`category_models.${category}`]: model, updated_by: userId } }
+      : { $unset: { [`category_models.${category}`]: '' }, $set: { updated_by: userId } };
+    return this.save(update);
+  }
+
+  async save(update) {
+    const doc = await AISettings.findOneAndUpdate(
+      { provider: config.ai.provider },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.settings = toSnapshot(doc);
+    this.loadedAt = Date.now();
+    return this.settings;
+  }
+}
+
+// Create singleton instance
+const aiModelService = new AIModelService();
+
+export default aiModelService;
@@ -0,0 +1,96 @@
+import { createSseStream } from '@azure/core-sse';
+
+/**
+ * A provider call that got an error response, or (`timeout`) no answer in
+ * time. `status` is the HTTP status the provider answered with.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status, provider, timeout = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.provider = provider;
+    this.timeout = timeout;
+  }
+}
+
+// Roughly four characters per token, as with English text on real models.
+// Used when a provider does not report usage (e.g. most streamed replies).
+export const estimateUsage = (messages, content) => {
+  const promptChars = messages.reduce((sum, message) => sum + message.content.length, 0);
+  const prompt_tokens = Math.ceil(promptChars / 4);
+  const completion_tokens = Math.ceil(content.length / 4);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+};
+
+/**
+ * The interface AIService talks to. Providers only move chat messages to a
+ * model and back; prompts and response parsing stay in AIService.
+ *
+ * Every call takes the operation it serves (generate, moderate, suggest,
+ * verify, analyze or health) and that operation's inputs as `context`.
+ * Remote providers ignore both; the mock provider answers from them.
+ */
+export class AIProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Resolves with { content, model, usage }
+  async complete({ operation, context, messages, model, temperature, topP, maxTokens, signal }) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  // Like complete(), calling onToken with each piece of text as it arrives
+  async stream({ operation, context, messages, model, temperature, topP, maxTokens, signal, onToken }) {
+    throw new Error(`${this.name} provider does not implement stream()`);
+  }
+
+  // Resolves with [{ id, name, provider }]
+  async listModels({ signal } = {}) {
+    throw new Error(`${this.name} provider does not implement listModels()`);
+  }
+
+  // Chat completion request body shared by the OpenAI-style APIs
+  buildRequestBody({ messages, model, temperature, topP, maxTokens }, stream = false) {
+    return {
+      messages,
+      model,
+      temperature,
+      top_p: topP,
+      max_tokens: maxTokens,
+      ...(stream && { stream: true })
+    };
+  }
+
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+
+  // Read an OpenAI-style SSE completion stream from a Node readable stream
+  async readChatStream(body, onToken) {
+    let content = '';
+    let usage = null;
+
+    for await (const event of createSseStream(body)) {
+      if (event.data === '[DONE]') break;
+
+      const chunk = JSON.parse(event.data);
+      const token = chunk.choices?.[0]?.delta?.content;
+      if (token) {
+        content += token;
+        onToken?.(token);
+      }
+      if (chunk.usage) {
+        usage = this.normalizeUsage(chunk.usage);
+      }
+    }
+
+    return { content, usage };
+  }
+}
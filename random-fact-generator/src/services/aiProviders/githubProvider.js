@@ -0,0 +1,69 @@
+import ModelClient, { isUnexpected } from '@azure-rest/ai-inference';
+import { AzureKeyCredential } from '@azure/core-auth';
+import config from '../../config/index.js';
+import { AIProvider, ProviderError } from './baseProvider.js';
+
+/**
+ * GitHub Models, through the Azure AI inference client.
+ */
+export class GitHubProvider extends AIProvider {
+  static defaultModel = config.ai.model;
+
+  constructor() {
+    super('github');
+
+    if (!config.ai.githubToken) {
+      throw new Error('GitHub token not configured');
+    }
+
+    this.client = ModelClient(
+      config.ai.endpoint,
+      new AzureKeyCredential(config.ai.githubToken)
+    );
+  }
+
+  async complete(request) {
+    const response = await this.client.path('/chat/completions').post({
+      body: this.buildRequestBody(request),
+      abortSignal: request.signal
+    });
+
+    if (isUnexpected(response)) {
+      throw new ProviderError(`AI API Error: ${response.body?.error?.message || 'Unknown error'}`, {
+        status: Number(response.status),
+        provider: this.name
+      });
+    }
+
+    return {
+      content: response.body.choices[0].message.content,
+      model: response.body.model || request.model,
+      usage: this.normalizeUsage(response.body.usage)
+    };
+  }
+
+  async stream(request) {
+    const response = await this.client.path('/chat/completions').post({
+      body: this.buildRequestBody(request, true),
+      abortSignal: request.signal
+    }).asNodeStream();
+
+    if (response.status !== '200') {
+      response.body?.destroy?.();
+      throw new ProviderError(`AI API Error: status ${response.status}`, {
+        status: Number(response.status),
+        provider: this.name
+      });
+    }
+
+    const { content, usage } = await this.readChatStream(response.body, request.onToken);
+    return { content, model: request.model, usage };
+  }
+
+  // GitHub Models has no per-token model listing; offer the configured catalogue
+  async listModels() {
+    return config.ai.githubModels.map(id => ({ id, name: id, provider: this.name }));
+  }
+}
+
+export default GitHubProvider;
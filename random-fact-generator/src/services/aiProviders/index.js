@@ -0,0 +1,26 @@
+import GitHubProvider from './githubProvider.js';
+import OpenAICompatibleProvider from './openaiCompatibleProvider.js';
+import MockProvider from './mockProvider.js';
+
+export { ProviderError, estimateUsage } from './baseProvider.js';
+
+const PROVIDERS = {
+  github: GitHubProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const getProviderClass = (name) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return Provider;
+};
+
+export const createProvider = (name) => new (getProviderClass(name))();
+
+// The model a provider uses until an admin switches it
+export const getDefaultModel = (name) => getProviderClass(name).defaultModel;
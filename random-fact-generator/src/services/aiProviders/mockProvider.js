@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { AIProvider, estimateUsage } from './baseProvider.js';
+
+// Content containing this marker fails mock moderation
+export const MOCK_REJECT_MARKER = '[mock-reject]';
+
+const MOCK_MODELS = ['mock/fact-model', 'mock/fact-model-mini'];
+
+const COMPLEXITIES = ['simple', 'intermediate', 'advanced'];
+
+/**
+ * Offline provider for tests and local development. Answers are built from
+ * the operation's inputs, so the same request always gets the same answer
+ * and no network or token is needed.
+ */
+export class MockProvider extends AIProvider {
+  static defaultModel = MOCK_MODELS[0];
+
+  constructor() {
+    super('mock');
+  }
+
+  async complete({ operation, context = {}, messages, model }) {
+    const content = this.respond(operation, context, messages);
+    return { content, model, usage: estimateUsage(messages, content) };
+  }
+
+  async stream({ operation, context = {}, messages, model, signal, onToken }) {
+    const content = this.respond(operation, context, messages);
+
+    for (const token of content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onToken?.(token);
+      // Yield so the caller can flush each token and notice aborts
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { content, model, usage: estimateUsage(messages, content) };
+  }
+
+  async listModels() {
+    return MOCK_MODELS.map(id => ({ id, name: id, provider: this.name }));
+  }
+
+  respond(operation, context, messages) {
+    const seed = this.seed(messages);
+
+    switch (operation) {
+      case 'generate': {
+        const category = context.category || 'general';
+        const topic = context.specificRequest || category;
+        return JSON.stringify({
+          fact: `Mock fact ${seed.toString(16)} about ${topic}: this text comes from the offline mock AI provider and is the same every time for the same request.`,
+          category,
+          source_context: 'Mock AI provider',
+          verification_level: 'medium',
+          tags: [category, 'mock']
+        });
+      }
+
+      case 'moderate': {
+        const approved = !String(context.text || '').includes(MOCK_REJECT_MARKER);
+        return JSON.stringify({
+          approved,
+          confidence: approved ? 0.95 : 0.9,
+          issues: approved ? [] : ['Flagged by the mock provider'],
+          recommendation: approved ? 'Content is appropriate' : 'Content contains the mock rejection marker'
+        });
+      }
+
+      case 'suggest': {
+        const count = context.count || 5;
+        return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+          title: `${context.theme} idea ${i + 1}`,
+          category: 'general',
+          complexity: COMPLEXITIES[(seed + i) % COMPLEXITIES.length],
+          estimated_interest: ((seed + i) % 10) + 1
+        })));
+      }
+
+      case 'verify':
+        return JSON.stringify(context.step === 'extract'
+          ? { claims: this.splitClaims(context.text, context.maxClaims) }
+          : { results: (context.claims || []).map((item, index) => this.judgeClaim(item, index)) });
+
+      case 'analyze': {
+        // The first category named in the text, and its longest words
+        const text = String(context.text || '');
+        const lower = text.toLowerCase();
+        const categories = context.categories || [];
+        const words = [...new Set(lower.match(/[a-z]{5,}/g) || [])]
+          .sort((a, b) => b.length - a.length || a.localeCompare(b));
+        return JSON.stringify({
+          category: categories.find(category => lower.includes(category)) || 'general',
+          confidence: 0.8,
+          keywords: words.slice(0, Math.min(context.maxKeywords || 10, 5)),
+          summary: (text.match(/[^.!?]+[.!?]*/) || [text])[0].trim()
+        });
+      }
+
+      default:
+        return 'OK';
+    }
+  }
+
+  splitClaims(text = '', maxClaims = 5) {
+    return (text.match(/[^.!?]+[.!?]*/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.split(/\s+/).length >= 3)
+      .slice(0, maxClaims);
+  }
+
+  // Supported by the evidence sharing the most words with the claim, when
+  // that is at least a third of the claim's words
+  judgeClaim({ claim, evidence = [] }, index) {
+    if (claim.includes(MOCK_REJECT_MARKER)) {
+      return {
+        claim: index + 1,
+        verdict: 'contradicted',
+        confidence: 0.9,
+        evidence: evidence.slice(0, 1).map(item => item.id),
+        explanation: 'Claim contains the mock rejection marker'
+      };
+    }
+
+    const words = new Set(claim.toLowerCase().match(/[a-z0-9]+/g) || []);
+    const overlap = (text) => {
+      const shared = new Set((text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => words.has(word)));
+      return words.size > 0 ? shared.size / words.size : 0;
+    };
+    const best = evidence
+      .map(item => ({ id: item.id, score: overlap(item.text) }))
+      .sort((a, b) => b.score - a.score)[0];
+
+    return best && best.score >= 1 / 3
+      ? { claim: index + 1, verdict: 'supported', confidence: 0.85, evidence: [best.id], explanation: 'Evidence restates the claim' }
+      : { claim: index + 1, verdict: 'unverifiable', confidence: 0.6, evidence: [], explanation: 'No evidence covers the claim' };
+  }
+
+  seed(messages) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest();
+    return digest.readUInt32BE(0);
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,78 @@
+import axios from 'axios';
+import config from '../../config/index.js';
+import { AIProvider, ProviderError } from './baseProvider.js';
+
+/**
+ * Any server speaking the OpenAI chat completions API: vLLM, Ollama,
+ * llama.cpp, LocalAI, LM Studio and similar self-hosted endpoints.
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  static defaultModel = config.ai.openaiCompatible.model;
+
+  constructor() {
+    super('openai-compatible');
+
+    this.http = axios.create({
+      baseURL: config.ai.openaiCompatible.baseUrl.replace(/\/+$/, ''),
+      headers: config.ai.openaiCompatible.apiKey
+        ? { Authorization: `Bearer ${config.ai.openaiCompatible.apiKey}` }
+        : {},
+      validateStatus: () => true
+    });
+  }
+
+  async complete(request) {
+    const response = await this.http.post('/chat/completions', this.buildRequestBody(request), {
+      signal: request.signal
+    });
+
+    if (response.status !== 200) {
+      throw this.errorFrom(response.status, response.data);
+    }
+
+    return {
+      content: response.data.choices[0].message.content,
+      model: response.data.model || request.model,
+      usage: this.normalizeUsage(response.data.usage)
+    };
+  }
+
+  async stream(request) {
+    const response = await this.http.post('/chat/completions', this.buildRequestBody(request, true), {
+      signal: request.signal,
+      responseType: 'stream'
+    });
+
+    if (response.status !== 200) {
+      response.data.destroy();
+      throw this.errorFrom(response.status);
+    }
+
+    const { content, usage } = await this.readChatStream(response.data, request.onToken);
+    return { content, model: request.model, usage };
+  }
+
+  async listModels({ signal } = {}) {
+    const response = await this.http.get('/models', { signal });
+
+    if (response.status !== 200) {
+      throw this.errorFrom(response.status, response.data);
+    }
+
+    return (response.data.data || []).map(model => ({
+      id: model.id,
+      name: model.id,
+      provider: this.name,
+      owned_by: model.owned_by
+    }));
+  }
+
+  errorFrom(status, data) {
+    return new ProviderError(`AI API Error: ${data?.error?.message || `status ${status}`}`, {
+      status,
+      provider: this.name
+    });
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -1,44 +1,88 @@
-import ModelClient, { isUnexpected } from "@azure-rest/ai-inference";
-import { AzureKeyCredential } from "@azure/core-auth";
+import { setTimeout as sleep } from 'timers/promises';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
 import { cache } from '../config/redis.js';
+import aiModelService from './aiModelService.js';
+import aiUsageService from './aiUsageService.js';
+import promptTemplateService from './promptTemplateService.js';
+import { createProvider, estimateUsage, ProviderError } from './aiProviders/index.js';
+import { getModelSpec, hasCapability } from '../config/aiModels.js';
+import { AppError, badRequest } from '../utils/errors.js';
+import { parseStructured, AIOutputError, AI_OUTPUT_SCHEMAS } from '../utils/aiOutput.js';
+
+// Provider failures that say nothing about the request itself
+const RETRYABLE = (error) => error instanceof ProviderError && (error.status === 429 || error.status >= 500);
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const PROVIDER_DOWN = (error) => RETRYABLE(error) || error.timeout === true || CONNECTION_ERRORS.includes(error.code);
+
+/**
+ * Run `call(signal)`, rejecting after `timeoutMs` (with a ProviderError) or
+ * when `signal` aborts, even if the call ignores the signal it was given.
+ */
+const withTimeout = (call, timeoutMs, signal, provider) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(
+    new ProviderError(`AI provider did not answer within ${timeoutMs}ms`, { provider, timeout: true })
+  ), timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (signal?.aborted) onAbort();
+
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  return Promise.race([call(controller.signal), aborted]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+};
 
 class AIService {
   constructor() {
-    this.client = null;
+    this.provider = null;
     this.isInitialized = false;
     this.requestCount = 0;
     this.lastRequestTime = null;
+    // Outcomes of recent provider calls, used to derive the AI error rate
+    this.recentOutcomes = [];
+    this.outcomeWindowMs = 5 * 60 * 1000;
+    // Replies that failed validation: counts per operation and the latest few
+    this.outputFailureCounts = {};
+    this.recentOutputFailures = [];
+    this.breaker = new CircuitBreaker('ai-provider', config.ai.resilience.breaker);
   }
 
   async initialize() {
     try {
-      if (!config.ai.githubToken) {
-        throw new Error('GitHub token not configured');
-      }
-
-      this.client = ModelClient(
-        config.ai.endpoint,
-        new AzureKeyCredential(config.ai.githubToken)
-      );
+      this.provider = createProvider(config.ai.provider);
+      await aiModelService.getSettings();
 
       this.isInitialized = true;
-      logger.info('AI Service initialized successfully');
+      logger.info('AI Service initialized successfully', {
+        provider: this.provider.name,
+        model: this.getActiveModel()
+      });
     } catch (error) {
       logger.error('Failed to initialize AI Service:', error);
       throw error;
     }
   }
 
-  async generateFact(category = 'general', options = {}) {
+  // `options.actor` ({ userId, apiKeyId }) is who the call's usage is billed to
+  async generateFact(category = 'general', { actor, ...options } = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
+      await aiModelService.getSettings();
+      const model = this.modelFor('generate', category);
+      const { messages, prompt } = await this.buildFactGenerationMessages(category, options);
+
       // Check cache first
-      const cacheKey = `ai_fact_${category}_${JSON.stringify(options)}`;
+      const cacheKey = `ai_fact_${model}_${category}_v${prompt.version}_${JSON.stringify(options)}`;
       const cachedFact = await cache.get(cacheKey);
       
       if (cachedFact && !options.forceNew) {
@@ -49,147 +93,164 @@ class AIService {
       // Rate limiting check
       this.updateRequestTracking();
 
-      const messages = this.buildFactGenerationMessages(category, options);
-      
       const startTime = Date.now();
-      const response = await this.client.path("/chat/completions").post({
-        body: {
-          messages,
-          temperature: options.temperature || 0.8,
-          top_p: options.topP || 0.9,
-          max_tokens: options.maxTokens || 200,
-          model: config.ai.model
-        }
-      });
+      const { value } = await this.completeStructured('generate', {
+        messages,
+        model,
+        temperature: options.temperature || 0.8,
+        topP: options.topP || 0.9,
+        maxTokens: options.maxTokens || 200
+      }, { category, specificRequest: options.specificRequest }, actor, AI_OUTPUT_SCHEMAS.generate);
 
       const responseTime = Date.now() - startTime;
-      logger.logPerformance('AI Fact Generation', responseTime, { category });
+      logger.logPerformance('AI Fact Generation', responseTime, { category, model });
 
-      if (isUnexpected(response)) {
-        throw new Error(`AI API Error: ${response.body.error?.message || 'Unknown error'}`);
-      }
-
-      const factText = response.body.choices[0].message.content;
-      const factData = this.parseFactResponse(factText, category);
+      const factData = this.toFactData(value, category, model, { prompt, options });
 
       // Cache the result
       await cache.set(cacheKey, JSON.stringify(factData), 3600); // 1 hour cache
 
       logger.logBusiness('AI Fact Generated', {
         category,
-        factLength: factText.length,
+        factLength: factData.fact.length,
         responseTime,
-        model: config.ai.model
+        model,
+        promptVersion: prompt.version
       });
 
       return factData;
     } catch (error) {
       logger.logError(error, null, { operation: 'generateFact', category });
+      // Keep the status of errors that have one (provider unavailable, unusable reply)
+      if (error instanceof AppError) throw error;
       throw new Error(`Failed to generate AI fact: ${error.message}`);
     }
   }
 
-  buildFactGenerationMessages(category, options) {
-    const systemPrompt = `You are an expert fact generator. Create fascinating, accurate, and verified facts.
-    
-    Requirements:
-    - Facts must be 100% accurate and verifiable
-    - Include interesting details that engage readers
-    - Keep facts concise but informative (50-150 words)
-    - Provide source context when possible
-    - Make facts appropriate for general audiences
-    
-    Category focus: ${category}
-    
-    Response format:
-    {
-      "fact": "The actual fact text",
-      "category": "${category}",
-      "source_context": "Brief context about where this fact comes from",
-      "verification_level": "high|medium|low",
-      "tags": ["tag1", "tag2", "tag3"]
-    }`;
-
-    const userPrompt = options.specificRequest 
-      ? `Generate a fact about: ${options.specificRequest}`
-      : `Generate an interesting fact in the ${category} category`;
-
-    return [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ];
-  }
+  /**
+   * Generate a fact with a streamed completion, calling `onToken` with each
+   * piece of text as the model writes it. Resolves with the parsed fact once
+   * the stream ends. Aborting `signal` cancels the upstream request.
+   */
+  async streamFact(category = 'general', options = {}, { signal, onToken, actor } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    this.updateRequestTracking();
+
+    await aiModelService.getSettings();
+    const model = this.modelFor('stream', category);
+    const { messages, prompt } = await this.buildFactGenerationMessages(category, options);
+    const request = {
+      messages,
+      model,
+      temperature: options.temperature || 0.8,
+      topP: options.topP || 0.9,
+      maxTokens: options.maxTokens || 200
+    };
+    const context = { category, specificRequest: options.specificRequest };
+    const startTime = Date.now();
+    let factText = '';
 
-  parseFactResponse(response, category) {
     try {
-      // Try to parse as JSON first
-      const parsed = JSON.parse(response);
-      return {
-        fact: parsed.fact,
-        category: parsed.category || category,
-        source_context: parsed.source_context || 'AI Generated',
-        verification_level: parsed.verification_level || 'medium',
-        tags: parsed.tags || [category],
-        generated_at: new Date().toISOString(),
-        ai_model: config.ai.model
-      };
+      let usage;
+      // Once text has reached the client a retry would repeat it
+      let tokensSent = false;
+      ({ content: factText, usage } = await this.callProvider('stream', (attemptSignal) => this.provider.stream(this.withModelLimits({
+        operation: 'generate',
+        context,
+        ...request,
+        signal: attemptSignal,
+        onToken: (token) => {
+          tokensSent = true;
+          onToken?.(token);
+        }
+      })), { signal, canRetry: () => !tokensSent }));
+
+      this.recordOutcome(true);
+      this.recordUsage({ actor, model, operation: 'generate', messages, content: factText, usage });
     } catch (error) {
-      // Fallback: treat entire response as fact text
-      return {
-        fact: response.trim(),
-        category: category,
-        source_context: 'AI Generated',
-        verification_level: 'medium',
-        tags: [category],
-        generated_at: new Date().toISOString(),
-        ai_model: config.ai.model
-      };
+      // A client hanging up is not a provider failure
+      if (signal?.aborted) throw error;
+
+      this.recordOutcome(false);
+      this.recordUsage({ actor, model, operation: 'generate', success: false });
+      logger.logError(error, null, { operation: 'streamFact', category });
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to generate AI fact: ${error.message}`);
     }
+
+    const responseTime = Date.now() - startTime;
+    logger.logPerformance('AI Fact Stream', responseTime, { category, model });
+
+    logger.logBusiness('AI Fact Generated', {
+      category,
+      factLength: factText.length,
+      responseTime,
+      model,
+      promptVersion: prompt.version,
+      streamed: true
+    });
+
+    // A streamed reply can't be retried in place; a broken one is repaired
+    // with a regular completion and the client gets the result in the final event
+    try {
+      const value = await this.parseOrRepair('generate', {
+        request,
+        context,
+        actor,
+        schema: AI_OUTPUT_SCHEMAS.generate,
+        content: factText,
+        model
+      });
+      return this.toFactData(value, category, model, { prompt, options });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to generate AI fact: ${error.message}`);
+    }
+  }
+
+  // Messages from the active `generate` prompt template, and its version
+  buildFactGenerationMessages(category, options) {
+    return promptTemplateService.render('generate', {
+      category,
+      topic: options.specificRequest || `the ${category} category`,
+      difficulty: options.difficulty,
+      language: options.language,
+      audience: options.audience
+    });
+  }
+
+  // A validated generation reply as fact data
+  toFactData(parsed, category, model = this.getActiveModel(), { prompt, options = {} } = {}) {
+    return {
+      fact: parsed.fact,
+      category: parsed.category || category,
+      source_context: parsed.source_context || 'AI Generated',
+      verification_level: parsed.verification_level,
+      tags: parsed.tags.length > 0 ? parsed.tags : [category],
+      ...(options.difficulty && { difficulty_level: options.difficulty }),
+      ...(options.language && { language: options.language }),
+      generated_at: new Date().toISOString(),
+      ai_model: model,
+      ai_prompt: prompt
+    };
   }
 
-  async moderateContent(text) {
+  async moderateContent(text, actor) {
     try {
       if (!config.ai.contentModerationEnabled) {
         return { approved: true, confidence: 1.0 };
       }
 
-      const messages = [
-        {
-          role: "system",
-          content: `You are a content moderator. Analyze the following text for:
-          - Inappropriate content
-          - Misinformation
-          - Harmful content
-          - Copyright violations
-          
-          Respond with JSON:
-          {
-            "approved": true/false,
-            "confidence": 0.0-1.0,
-            "issues": ["issue1", "issue2"],
-            "recommendation": "explanation"
-          }`
-        },
-        {
-          role: "user",
-          content: `Moderate this content: "${text}"`
-        }
-      ];
+      const { messages } = await promptTemplateService.render('moderate', { text });
 
-      const response = await this.client.path("/chat/completions").post({
-        body: {
-          messages,
-          temperature: 0.1,
-          model: config.ai.model
-        }
-      });
-
-      if (isUnexpected(response)) {
-        logger.warn('Content moderation failed, defaulting to manual review');
-        return { approved: false, confidence: 0.5, requiresManualReview: true };
-      }
+      const { value: result } = await this.completeStructured('moderate', {
+        messages,
+        temperature: 0.1
+      }, { text }, actor, AI_OUTPUT_SCHEMAS.moderate);
 
-      const result = JSON.parse(response.body.choices[0].message.content);
       logger.logSecurity('Content Moderation', { 
         approved: result.approved, 
         confidence: result.confidence 
@@ -197,52 +258,446 @@ class AIService {
 
       return result;
     } catch (error) {
+      if (error instanceof ProviderError) {
+        logger.warn('Content moderation failed, defaulting to manual review');
+        return { approved: false, confidence: 0.5, requiresManualReview: true };
+      }
       logger.logError(error, null, { operation: 'moderateContent' });
-      return { approved: false, confidence: 0.0, requiresManualReview: true };
+      return { approved: false, confidence: 0.0, requiresManualReview: true, recommendation: error.message };
     }
   }
 
-  async generateFactSuggestions(theme, count = 5) {
+  // `options` may set the difficulty, language and audience of the ideas
+  async generateFactSuggestions(theme, count = 5, actor, options = {}) {
     try {
-      const messages = [
-        {
-          role: "system",
-          content: `Generate ${count} diverse fact ideas related to: ${theme}. 
-          Respond with a JSON array of objects:
-          [
-            {
-              "title": "Brief fact title",
-              "category": "suggested category",
-              "complexity": "simple|intermediate|advanced",
-              "estimated_interest": 1-10
-            }
-          ]`
-        },
-        {
-          role: "user",
-          content: `Suggest interesting facts about: ${theme}`
+      const { messages } = await promptTemplateService.render('suggest', {
+        theme,
+        count,
+        difficulty: options.difficulty,
+        language: options.language,
+        audience: options.audience
+      });
+
+      const { value } = await this.completeStructured('suggest', {
+        messages,
+        temperature: 0.9
+      }, { theme, count }, actor, AI_OUTPUT_SCHEMAS.suggest);
+
+      return value.slice(0, count);
+    } catch (error) {
+      logger.logError(error, null, { operation: 'generateFactSuggestions', theme });
+      throw error;
+    }
+  }
+
+  // Category, keywords and a one-sentence summary of a text. Throws when the
+  // reply is unusable so callers can fall back to local analysis.
+  async analyzeContent(text, { categories, maxKeywords = 10 }, actor) {
+    const { messages, prompt } = await promptTemplateService.render('analyze', {
+      text,
+      categories: categories.join(', '),
+      max_keywords: maxKeywords
+    });
+
+    const { value, model } = await this.completeStructured('analyze', {
+      messages,
+      temperature: 0.2
+    }, { text, categories, maxKeywords }, actor, AI_OUTPUT_SCHEMAS.analyze);
+
+    return {
+      category: value.category,
+      confidence: value.confidence,
+      keywords: [...new Set(value.keywords.filter(Boolean))].slice(0, maxKeywords),
+      summary: value.summary,
+      model,
+      prompt
+    };
+  }
+
+  // Split a fact into the separate claims that can be checked against
+  // sources. Falls back to one claim per sentence if the reply is unusable.
+  async extractClaims(text, maxClaims = 5, actor) {
+    const { messages, prompt } = await promptTemplateService.render('extract_claims', { text, max_claims: maxClaims });
+
+    const request = { messages, temperature: 0.1 };
+    const { content, model } = await this.complete('verify', request, { step: 'extract', text, maxClaims }, actor);
+
+    try {
+      const { claims } = await this.parseOrRepair('verify', {
+        request,
+        context: { step: 'extract', text, maxClaims },
+        actor,
+        schema: AI_OUTPUT_SCHEMAS.extractClaims,
+        content,
+        model
+      });
+      return { claims: claims.slice(0, maxClaims), model, prompt };
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      logger.warn('Unusable claim extraction, splitting into sentences', { model });
+    }
+
+    const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+    return {
+      claims: sentences.map(sentence => sentence.trim()).filter(Boolean).slice(0, maxClaims),
+      model,
+      prompt
+    };
+  }
+
+  /**
+   * Judge each claim against only the evidence found for it. `items` is
+   * [{ claim, evidence: [{ id, source_type, text }] }]; resolves with one
+   * { verdict, confidence, evidence_ids, explanation } per item, in order.
+   */
+  async judgeClaims(items, actor) {
+    const evidenceLabel = { fact: 'verified fact', reference: 'reference source' };
+    const claimList = items.map(({ claim, evidence }, index) => {
+      const evidenceText = evidence.length > 0
+        ? evidence.map(item => `  [${item.id}] (${evidenceLabel[item.source_type]}) ${item.text}`).join('\n')
+        : '  (no evidence found)';
+      return `Claim ${index + 1}: ${claim}\nEvidence:\n${evidenceText}`;
+    }).join('\n\n');
+
+    const { messages, prompt } = await promptTemplateService.render('judge_claims', { claims: claimList });
+
+    const { value: { results }, model } = await this.completeStructured('verify', {
+      messages,
+      temperature: 0.1
+    }, {
+      step: 'judge',
+      claims: items.map(({ claim, evidence }) => ({
+        claim,
+        evidence: evidence.map(({ id, text }) => ({ id, text }))
+      }))
+    }, actor, AI_OUTPUT_SCHEMAS.judgeClaims);
+
+    // A claim the reply skipped is unverifiable
+    const verdicts = items.map((item, index) => {
+      const result = results.find(candidate => candidate.claim === index + 1);
+      return result
+        ? {
+          verdict: result.verdict,
+          confidence: result.confidence,
+          evidence_ids: result.evidence,
+          explanation: result.explanation
+        }
+        : { verdict: 'unverifiable', confidence: 0, evidence_ids: [], explanation: 'The model gave no verdict' };
+    });
+
+    return { verdicts, model, prompt };
+  }
+
+  // Send a chat completion for an operation through the configured provider,
+  // recording whether it succeeded and its token usage against `actor`.
+  // Resolves with the provider's { content, usage } and the registry ID of
+  // the model used.
+  async complete(operation, request, context = {}, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    await aiModelService.getSettings();
+    const model = request.model || this.modelFor(operation, context.category);
+
+    try {
+      const response = await this.callProvider(operation, (signal) => this.provider.complete(this.withModelLimits({
+        operation,
+        context,
+        ...request,
+        model,
+        signal
+      })), { signal: request.signal });
+      this.recordOutcome(true);
+      this.recordUsage({ actor, model, operation, messages: request.messages, content: response.content, usage: response.usage });
+      return { ...response, model };
+    } catch (error) {
+      this.recordOutcome(false);
+      this.recordUsage({ actor, model, operation, success: false });
+      throw error;
+    }
+  }
+
+  /**
+   * One provider call through the circuit breaker, with the operation's
+   * timeout (config.ai.resilience.timeoutsMs). 429 and 5xx answers are
+   * retried up to `maxRetries` times after a random delay of up to
+   * retryBaseDelayMs * 2^attempt (full jitter); timeouts are not, so a
+   * call never takes much longer than its timeout. Aborting `signal`
+   * cancels the call and any retry.
+   */
+  async callProvider(operation, call, { signal, canRetry = () => true } = {}) {
+    const { timeoutsMs, maxRetries, retryBaseDelayMs, retryMaxDelayMs } = config.ai.resilience;
+    const timeoutMs = timeoutsMs[operation] || timeoutsMs.generate;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.acquire()) {
+        throw new AppError(
+          `The ${this.provider.name} AI provider is failing; AI calls are paused until ${this.breaker.getStatus().retry_at}`,
+          503,
+          'AI_UNAVAILABLE'
+        );
+      }
+
+      try {
+        const result = await withTimeout(call, timeoutMs, signal, this.provider.name);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal?.aborted) {
+          this.breaker.release();
+          throw error;
+        }
+        if (!PROVIDER_DOWN(error)) {
+          // The provider answered; the request was at fault
+          this.breaker.recordSuccess();
+          throw error;
         }
-      ];
 
-      const response = await this.client.path("/chat/completions").post({
-        body: {
-          messages,
-          temperature: 0.9,
-          model: config.ai.model
+        this.breaker.recordFailure(error);
+        if (!RETRYABLE(error) || attempt >= maxRetries || !canRetry()) {
+          throw error;
         }
-      });
 
-      if (isUnexpected(response)) {
-        throw new Error('Failed to generate suggestions');
+        const delay = Math.round(Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt));
+        logger.warn('Retrying AI provider call', {
+          operation,
+          provider: this.provider.name,
+          status: error.status,
+          attempt: attempt + 1,
+          delay
+        });
+        await sleep(delay, undefined, { signal });
       }
+    }
+  }
+
+  // Whether AI calls are currently let through (the circuit breaker is not open)
+  isAvailable() {
+    return this.breaker.isAvailable();
+  }
+
+  // Send a completion whose reply must be JSON matching a Joi schema.
+  // Resolves with the validated value and the model used.
+  async completeStructured(operation, request, context, actor, schema) {
+    const { content, model } = await this.complete(operation, request, context, actor);
+    const value = await this.parseOrRepair(operation, { request, context, actor, schema, content, model });
+    return { value, model };
+  }
+
+  /**
+   * Validate a reply against `schema`. An unusable reply is sent back to
+   * the model with what was wrong, up to config.ai.repairAttempts times;
+   * after that the call fails with AI_INVALID_OUTPUT. Every failure is
+   * recorded with its reasons.
+   */
+  async parseOrRepair(operation, { request, context = {}, actor, schema, content, model }) {
+    let reply = content;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const value = parseStructured(reply, schema);
+        if (attempt > 0) {
+          logger.logBusiness('AI Reply Repaired', { operation, model, attempts: attempt });
+        }
+        return value;
+      } catch (error) {
+        if (!(error instanceof AIOutputError)) throw error;
+        this.recordOutputFailure(operation, model, error.reasons, attempt > 0);
+
+        if (attempt >= config.ai.repairAttempts) {
+          throw new AppError(`AI ${operation} reply was unusable: ${error.reasons.join('; ')}`, 502, 'AI_INVALID_OUTPUT');
+        }
+
+        ({ content: reply } = await this.complete(operation, {
+          ...request,
+          model,
+          temperature: 0,
+          messages: [
+            ...request.messages,
+            { role: "assistant", content: reply },
+            {
+              role: "user",
+              content: `Your reply could not be used: ${error.reasons.join('; ')}.
+              Reply again with only the JSON described in the instructions: no code fences, no commentary.`
+            }
+          ]
+        }, { ...context, repair: true }, actor));
+      }
+    }
+  }
+
+  recordOutputFailure(operation, model, reasons, repair) {
+    this.outputFailureCounts[operation] = (this.outputFailureCounts[operation] || 0) + 1;
+    this.recentOutputFailures.push({ operation, model, reasons, repair, timestamp: new Date().toISOString() });
+    if (this.recentOutputFailures.length > 20) {
+      this.recentOutputFailures.shift();
+    }
+
+    logger.warn('Unusable AI reply', { operation, model, reasons, repair });
+  }
+
+  // Token accounting runs in the background; estimates tokens when the
+  // provider reported none
+  recordUsage({ actor, model, operation, messages, content, usage, success = true }) {
+    aiUsageService.record({
+      actor,
+      model,
+      operation,
+      usage: success ? usage || estimateUsage(messages, content || '') : null,
+      estimated: success && !usage,
+      success
+    });
+  }
+
+  /**
+   * The model for an operation: the category's override (fact generation
+   * only), else the active model. A model without the capability the
+   * operation needs hands it to the provider's default model.
+   */
+  modelFor(operation, category) {
+    const model = ['generate', 'stream'].includes(operation)
+      ? aiModelService.resolve(category)
+      : aiModelService.getActiveModel();
+
+    if (operation !== 'health' && !hasCapability(model, operation)) {
+      return aiModelService.getDefaultModel();
+    }
+    return model;
+  }
+
+  // Cap the requested completion size at the model's output limit
+  withModelLimits(request) {
+    const { limits } = getModelSpec(request.model);
+    return {
+      ...request,
+      maxTokens: request.maxTokens && Math.min(request.maxTokens, limits.max_output_tokens)
+    };
+  }
+
+  getActiveModel(category) {
+    return category ? aiModelService.resolve(category) : aiModelService.getActiveModel();
+  }
 
-      return JSON.parse(response.body.choices[0].message.content);
+  // Models the configured provider offers, with their registry details and
+  // where each is in use
+  async listModels() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    let models;
+    try {
+      const { timeoutsMs } = config.ai.resilience;
+      models = await withTimeout(
+        signal => this.provider.listModels({ signal }),
+        timeoutsMs.models,
+        null,
+        this.provider.name
+      );
     } catch (error) {
-      logger.logError(error, null, { operation: 'generateFactSuggestions', theme });
-      throw error;
+      logger.logError(error, null, { operation: 'listModels', provider: this.provider.name });
+      throw new AppError('Could not list models from the AI provider', 502, 'AI_PROVIDER_ERROR');
+    }
+
+    const { category_models: categoryModels } = await aiModelService.getSettings();
+    const activeModel = aiModelService.getActiveModel();
+
+    return models.map(model => {
+      const { limits, costs, capabilities, registered } = getModelSpec(model.id);
+      return {
+        ...model,
+        limits,
+        costs,
+        capabilities,
+        registered,
+        active: model.id === activeModel,
+        categories: Object.keys(categoryModels).filter(category => categoryModels[category] === model.id)
+      };
+    });
+  }
+
+  /**
+   * Make `model` the active model, or with `category` the model for fact
+   * generation in that category. Persisted, and picked up by every instance.
+   */
+  async switchModel(model, userId, { category } = {}) {
+    const models = await this.listModels();
+    if (!models.some(candidate => candidate.id === model)) {
+      throw badRequest(`Model "${model}" is not offered by the ${this.provider.name} provider`, 'UNKNOWN_MODEL');
+    }
+    if (!hasCapability(model, 'generate')) {
+      throw badRequest(`Model "${model}" cannot generate facts`, 'MODEL_CAPABILITY_MISSING');
+    }
+
+    const previous = this.getActiveModel(category);
+    const settings = category
+      ? await aiModelService.setCategoryModel(category, model, userId)
+      : await aiModelService.setActiveModel(model, userId);
+
+    logger.logBusiness('AI Model Switched', {
+      provider: this.provider.name,
+      category,
+      from: previous,
+      to: model,
+      userId
+    });
+
+    return this.describeSelection(settings, { category, previous_model: previous, model });
+  }
+
+  // Remove a category's override so it uses the active model again
+  async resetCategoryModel(category, userId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const previous = this.getActiveModel(category);
+    const settings = await aiModelService.setCategoryModel(category, null, userId);
+
+    logger.logBusiness('AI Category Model Reset', {
+      provider: this.provider.name,
+      category,
+      from: previous,
+      userId
+    });
+
+    return this.describeSelection(settings, { category, previous_model: previous, model: this.getActiveModel(category) });
+  }
+
+  describeSelection(settings, change) {
+    return {
+      provider: this.provider.name,
+      ...change,
+      active_model: settings.active_model || aiModelService.getDefaultModel(),
+      category_models: settings.category_models
+    };
+  }
+
+  // Track success/failure of provider calls over a rolling window
+  recordOutcome(success) {
+    const now = Date.now();
+    this.recentOutcomes.push({ timestamp: now, success });
+
+    const cutoff = now - this.outcomeWindowMs;
+    while (this.recentOutcomes.length > 0 && this.recentOutcomes[0].timestamp < cutoff) {
+      this.recentOutcomes.shift();
     }
   }
 
+  getErrorRate() {
+    const cutoff = Date.now() - this.outcomeWindowMs;
+    const recent = this.recentOutcomes.filter(outcome => outcome.timestamp >= cutoff);
+    const failures = recent.filter(outcome => !outcome.success).length;
+
+    return {
+      rate: recent.length > 0 ? failures / recent.length : 0,
+      total: recent.length,
+      failures,
+      window_ms: this.outcomeWindowMs
+    };
+  }
+
   updateRequestTracking() {
     this.requestCount++;
     this.lastRequestTime = Date.now();
@@ -251,7 +706,7 @@ class AIService {
     if (this.requestCount % 100 === 0) {
       logger.logBusiness('AI Service Usage Milestone', {
         totalRequests: this.requestCount,
-        model: config.ai.model
+        model: this.getActiveModel()
       });
     }
   }
@@ -264,32 +719,31 @@ class AIService {
       }
 
       // Simple test request
-      const testResponse = await this.client.path("/chat/completions").post({
-        body: {
-          messages: [
-            { role: "system", content: "You are a helpful assistant." },
-            { role: "user", content: "Say 'OK' if you're working." }
-          ],
-          temperature: 0.1,
-          max_tokens: 10,
-          model: config.ai.model
-        }
-      });
-
-      if (isUnexpected(testResponse)) {
-        throw new Error('AI service test failed');
-      }
+      await this.callProvider('health', (signal) => this.provider.complete({
+        operation: 'health',
+        messages: [
+          { role: "system", content: "You are a helpful assistant." },
+          { role: "user", content: "Say 'OK' if you're working." }
+        ],
+        temperature: 0.1,
+        maxTokens: 10,
+        model: this.getActiveModel(),
+        signal
+      }), { canRetry: () => false });
 
       return { 
         status: 'healthy', 
-        model: config.ai.model,
+        provider: this.provider.name,
+        model: this.getActiveModel(),
         requestCount: this.requestCount,
-        lastRequest: this.lastRequestTime
+        lastRequest: this.lastRequestTime,
+        circuitBreaker: this.breaker.getStatus()
       };
     } catch (error) {
       return { 
         status: 'unhealthy', 
         error: error.message,
+        circuitBreaker: this.breaker.getStatus(),
         timestamp: new Date().toISOString()
       };
     }
@@ -300,8 +754,14 @@ class AIService {
       requestCount: this.requestCount,
       lastRequestTime: this.lastRequestTime,
       isInitialized: this.isInitialized,
-      model: config.ai.model,
-      enabled: config.ai.enabled
+      provider: config.ai.provider,
+      model: this.getActiveModel(),
+      category_models: aiModelService.settings.category_models,
+      enabled: config.ai.enabled,
+      invalid_replies: {
+        by_operation: this.outputFailureCounts,
+        recent: this.recentOutputFailures
+      }
     };
   }
 }
@@ -0,0 +1,148 @@
+import AIUsage from '../models/AIUsage.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { calculateCostMicros } from '../config/aiModels.js';
+import { badRequest } from '../utils/errors.js';
+
+const toUsd = (micros) => micros / 1e6;
+
+const formatTotals = (row) => ({
+  requests: row.requests,
+  failed_requests: row.failed_requests,
+  estimated_requests: row.estimated_requests,
+  prompt_tokens: row.prompt_tokens,
+  completion_tokens: row.completion_tokens,
+  total_tokens: row.total_tokens,
+  cost_usd: toUsd(row.cost_micros)
+});
+
+/**
+ * Token and cost accounting for AI calls, and the monthly AI budgets of the
+ * plans. Every provider call made by aiService is recorded here against the
+ * user and API key it was made for.
+ */
+class AIUsageService {
+  // Record one provider call. Never throws: accounting must not fail AI calls.
+  async record({ actor = {}, model, operation, usage, estimated = false, success = true }) {
+    try {
+      const counts = success
+        ? {
+          requests: 1,
+          estimated_requests: estimated ? 1 : 0,
+          prompt_tokens: usage.prompt_tokens,
+          completion_tokens: usage.completion_tokens,
+          total_tokens: usage.total_tokens,
+          cost_micros: calculateCostMicros(model, usage)
+        }
+        : { requests: 1, failed_requests: 1 };
+
+      await AIUsage.record({
+        userId: actor.userId || null,
+        apiKeyId: actor.apiKeyId || null,
+        day: AIUsage.toDay(),
+        model,
+        operation,
+        provider: config.ai.provider,
+        counts
+      });
+    } catch (error) {
+      logger.logError(error, null, { operation: 'recordAIUsage', model, aiOperation: operation });
+    }
+  }
+
+  // Budgets run by calendar month (UTC), like usage statements
+  getMonth(now = new Date()) {
+    const period = now.toISOString().slice(0, 7);
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { period, fromDay: `${period}-01`, toDay: AIUsage.toDay(now), resetsAt };
+  }
+
+  getMonthlyBudgetUsd(plan) {
+    return config.ai.monthlyBudgets[plan] ?? config.ai.monthlyBudgets.basic;
+  }
+
+  async getBudgetStatus(user, now = new Date()) {
+    const { period, fromDay, toDay, resetsAt } = this.getMonth(now);
+    const [totals] = await AIUsage.summarize({ userId: user._id, fromDay, toDay, groupBy: [] });
+
+    const budget = this.getMonthlyBudgetUsd(user.plan);
+    const spent = toUsd(totals?.cost_micros || 0);
+    const unlimited = budget === -1;
+
+    return {
+      period,
+      plan: user.plan,
+      budget_usd: unlimited ? null : budget,
+      spent_usd: spent,
+      remaining_usd: unlimited ? null : Math.max(0, budget - spent),
+      exceeded: !unlimited && spent >= budget,
+      resets_at: resetsAt
+    };
+  }
+
+  /**
+   * Whether AI calls may still be billed to `actor` this month, for AI work
+   * done on the side of a request that is not an AI endpoint (auto-filling a
+   * submission, the random fact fallback). Calls made for no user have no
+   * budget. Fails open, like aiBudgetLimit.
+   */
+  async hasBudgetLeft(actor = {}) {
+    if (!actor.userId) return true;
+
+    try {
+      const user = await User.findById(actor.userId).select('plan').lean();
+      if (!user) return true;
+
+      const { exceeded } = await this.getBudgetStatus(user);
+      return !exceeded;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'checkAIBudget', userId: actor.userId });
+      return true;
+    }
+  }
+
+  // Defaults to the current month so far
+  parseRange(from, to) {
+    const { fromDay: monthStart, toDay: today } = this.getMonth();
+    const fromDay = from || monthStart;
+    const toDay = to || today;
+
+    if (fromDay > toDay) {
+      throw badRequest('"from" must not be after "to"', 'INVALID_DATE_RANGE');
+    }
+    return { fromDay, toDay };
+  }
+
+  /**
+   * Usage between two days, for one user or (userId undefined) everyone:
+   * overall totals plus a breakdown by `groupBy` (model, operation, day,
+   * userId, apiKeyId).
+   */
+  async getStats({ userId, fromDay, toDay, groupBy = ['model', 'operation'] }) {
+    const [overall, rows] = await Promise.all([
+      AIUsage.summarize({ userId, fromDay, toDay, groupBy: [] }),
+      AIUsage.summarize({ userId, fromDay, toDay, groupBy })
+    ]);
+
+    return {
+      from: fromDay,
+      to: toDay,
+      totals: formatTotals(overall[0] || {
+        requests: 0,
+        failed_requests: 0,
+        estimated_requests: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        cost_micros: 0
+      }),
+      breakdown: rows.map(row => ({ ...row._id, ...formatTotals(row) }))
+    };
+  }
+}
+
+// Create singleton instance
+const aiUsageService = new AIUsageService();
+
+export default aiUsageService;
@@ -0,0 +1,329 @@
+import ApiKey from '../models/ApiKey.js';
+import webhookService from './webhookService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError, notFound, conflict, badRequest, forbidden } from '../utils/errors.js';
+import { assertPublicWebhookUrl } from '../utils/webhookUrl.js';
+import { DEFAULT_API_KEY_SCOPES, roleHasPermission, expandLegacyEndpoints } from '../config/permissions.js';
+
+class ApiKeyService {
+  constructor() {
+    // Maximum number of non-revoked keys a user may hold on each plan
+    this.planKeyLimits = {
+      basic: 2,
+      premium: 10,
+      platinum: 50
+    };
+  }
+
+  getPlanKeyLimit(plan) {
+    return this.planKeyLimits[plan] || this.planKeyLimits.basic;
+  }
+
+  // A key can only carry scopes its owner's role grants
+  assertScopesAllowed(user, scopes) {
+    const denied = scopes.filter(scope => !roleHasPermission(user.role, scope));
+    if (denied.length > 0) {
+      throw forbidden(`Your role cannot grant these scopes: ${denied.join(', ')}`, 'SCOPE_NOT_ALLOWED');
+    }
+  }
+
+  // List a user's keys, newest first
+  async listKeys(userId, options = {}) {
+    const query = { userId };
+    if (!options.includeRevoked) {
+      query.status = { $ne: 'revoked' };
+    }
+
+    return ApiKey.find(query).sort({ created_at: -1 });
+  }
+
+  // Count keys that still occupy a slot in the plan allowance
+  async countActiveKeys(userId) {
+    return ApiKey.countDocuments({ userId, status: { $in: ['active', 'suspended'] } });
+  }
+
+  async getKey(userId, keyId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId });
+    if (!apiKey) {
+      throw notFound('API key not found', 'API_KEY_NOT_FOUND');
+    }
+    return apiKey;
+  }
+
+  // Create a key and return the plaintext value alongside the document
+  async createKey(user, data, requestMeta = {}) {
+    try {
+      const limit = this.getPlanKeyLimit(user.plan);
+      const existing = await this.countActiveKeys(user._id);
+
+      if (existing >= limit) {
+        throw new AppError(
+          `Your ${user.plan} plan allows at most ${limit} API keys`,
+          403,
+          'API_KEY_LIMIT_REACHED'
+        );
+      }
+
+      // `permissions` is the older endpoint-group form of `scopes`
+      const endpoints = data.permissions || ['facts'];
+      const scopes = [...new Set(data.scopes || (data.permissions ? expandLegacyEndpoints(data.permissions) : DEFAULT_API_KEY_SCOPES))];
+      this.assertScopesAllowed(user, scopes);
+
+      const expiry = data.expires_at ? new Date(data.expires_at) : undefined;
+      if (expiry && expiry <= new Date()) {
+        throw badRequest('Expiry date must be in the future', 'INVALID_EXPIRY');
+      }
+
+      const apiKey = new ApiKey({
+        name: data.name,
+        description: data.description,
+        userId: user._id,
+        expiry,
+        scopes,
+        permissions: {
+          endpoints,
+          ip_whitelist: data.ip_whitelist || [],
+          allowed_origins: data.allowed_origins || []
+        },
+        metadata: {
+          created_ip: requestMeta.ip,
+          user_agent: requestMeta.userAgent,
+          environment: data.environment || 'production'
+        }
+      });
+
+      await apiKey.save();
+
+      logger.logBusiness('API Key Created', {
+        keyId: apiKey._id,
+        userId: user._id,
+        plan: user.plan,
+        scopes
+      });
+
+      return { apiKey, key: apiKey.$locals.plainKey };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'createApiKey', userId: user._id });
+      throw error;
+    }
+  }
+
+  // Replace the secret of an existing key, keeping its settings and history
+  async rotateKey(userId, keyId) {
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (apiKey.status === 'revoked') {
+        throw conflict('Revoked API keys cannot be rotated', 'API_KEY_REVOKED');
+      }
+
+      const key = apiKey.issueKey();
+      await apiKey.save();
+
+      logger.logSecurity('API Key Rotated', { keyId, userId });
+
+      return { apiKey, key };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'rotateApiKey', keyId });
+      throw error;
+    }
+  }
+
+  async revokeKey(userId, keyId) {
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (apiKey.status === 'revoked') {
+        throw conflict('API key is already revoked', 'API_KEY_REVOKED');
+      }
+
+      await apiKey.revoke();
+
+      logger.logSecurity('API Key Revoked', { keyId, userId });
+
+      return apiKey;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'revokeApiKey', keyId });
+      throw error;
+    }
+  }
+
+  // Update name, description, scopes or status (active/suspended/revoked)
+  async updateKey(user, keyId, updates) {
+    const userId = user._id;
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (apiKey.status === 'revoked') {
+        throw conflict('Revoked API keys cannot be modified', 'API_KEY_REVOKED');
+      }
+
+      if (updates.name !== undefined) {
+        apiKey.name = updates.name;
+      }
+      if (updates.description !== undefined) {
+        apiKey.description = updates.description;
+      }
+      if (updates.scopes !== undefined) {
+        const scopes = [...new Set(updates.scopes)];
+        this.assertScopesAllowed(user, scopes);
+        apiKey.scopes = scopes;
+      }
+
+      switch (updates.status) {
+        case 'active':
+          await apiKey.activate();
+          break;
+        case 'suspended':
+          await apiKey.suspend();
+          break;
+        case 'revoked':
+          await apiKey.revoke();
+          break;
+        default:
+          await apiKey.save();
+      }
+
+      logger.logBusiness('API Key Updated', { keyId, userId, status: apiKey.status });
+
+      return apiKey;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'updateApiKey', keyId });
+      throw error;
+    }
+  }
+
+  // Replace the IP whitelist and/or allowed origins of a key
+  async updateRestrictions(userId, keyId, restrictions) {
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (apiKey.status === 'revoked') {
+        throw conflict('Revoked API keys cannot be modified', 'API_KEY_REVOKED');
+      }
+
+      if (restrictions.ip_whitelist !== undefined) {
+        apiKey.permissions.ip_whitelist = [...new Set(restrictions.ip_whitelist)];
+      }
+      if (restrictions.allowed_origins !== undefined) {
+        apiKey.permissions.allowed_origins = [...new Set(restrictions.allowed_origins)];
+      }
+
+      await apiKey.save();
+
+      logger.logSecurity('API Key Restrictions Updated', {
+        keyId,
+        userId,
+        ipWhitelist: apiKey.permissions.ip_whitelist.length,
+        allowedOrigins: apiKey.permissions.allowed_origins.length
+      });
+
+      return apiKey;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'updateApiKeyRestrictions', keyId });
+      throw error;
+    }
+  }
+
+  // Set the webhook URL and/or subscribed events. A signing secret is
+  // generated the first time and returned only then.
+  async updateWebhook(userId, keyId, { url, events }) {
+    try {
+      const apiKey = await ApiKey.findOne({ _id: keyId, userId }).select('+webhook.secret');
+      if (!apiKey) {
+        throw notFound('API key not found', 'API_KEY_NOT_FOUND');
+      }
+      if (apiKey.status === 'revoked') {
+        throw conflict('Revoked API keys cannot be modified', 'API_KEY_REVOKED');
+      }
+
+      if (url !== undefined) {
+        if (config.nodeEnv === 'production' && !url.startsWith('https://')) {
+          throw badRequest('Webhook URLs must use https', 'INSECURE_WEBHOOK_URL');
+        }
+        await assertPublicWebhookUrl(url);
+        apiKey.metadata.webhook_url = url;
+      }
+      if (!apiKey.metadata.webhook_url) {
+        throw badRequest('A webhook URL is required', 'WEBHOOK_URL_REQUIRED');
+      }
+      if (events !== undefined) {
+        apiKey.webhook.events = [...new Set(events)];
+      }
+
+      let secret;
+      if (!apiKey.webhook.secret) {
+        secret = webhookService.generateSecret();
+        apiKey.webhook.secret = secret;
+      }
+      apiKey.webhook.consecutive_failures = 0;
+
+      await apiKey.save();
+
+      logger.logSecurity('API Key Webhook Updated', {
+        keyId,
+        userId,
+        events: apiKey.webhook.events.length > 0 ? apiKey.webhook.events : 'all'
+      });
+
+      return { apiKey, secret };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'updateApiKeyWebhook', keyId });
+      throw error;
+    }
+  }
+
+  // New signing secret; deliveries already queued are signed with it too
+  async rotateWebhookSecret(userId, keyId) {
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (!apiKey.metadata.webhook_url) {
+        throw conflict('This API key has no webhook', 'WEBHOOK_NOT_CONFIGURED');
+      }
+
+      const secret = webhookService.generateSecret();
+      apiKey.webhook.secret = secret;
+      await apiKey.save();
+
+      logger.logSecurity('API Key Webhook Secret Rotated', { keyId, userId });
+
+      return { apiKey, secret };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'rotateApiKeyWebhookSecret', keyId });
+      throw error;
+    }
+  }
+
+  // Pending deliveries for a removed webhook fail on their next attempt
+  async removeWebhook(userId, keyId) {
+    try {
+      const apiKey = await this.getKey(userId, keyId);
+
+      if (!apiKey.metadata.webhook_url) {
+        throw conflict('This API key has no webhook', 'WEBHOOK_NOT_CONFIGURED');
+      }
+
+      apiKey.metadata.webhook_url = undefined;
+      apiKey.webhook = {
+        events: [],
+        consecutive_failures: 0,
+        expiry_notified_at: apiKey.webhook.expiry_notified_at
+      };
+      await apiKey.save();
+
+      logger.logSecurity('API Key Webhook Removed', { keyId, userId });
+
+      return apiKey;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'removeApiKeyWebhook', keyId });
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
@@ -0,0 +1,346 @@
+import Stripe from 'stripe';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { getPlanPricing } from '../config/metering.js';
+import logger from '../utils/logger.js';
+import { AppError, badRequest, conflict } from '../utils/errors.js';
+
+// Stripe subscription status -> User.billing.payment_status
+const PAYMENT_STATUS = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  incomplete: 'past_due',
+  unpaid: 'unpaid',
+  canceled: 'canceled',
+  incomplete_expired: 'canceled',
+  paused: 'canceled'
+};
+
+// Statuses that keep the paid plan; past_due is a grace period while Stripe retries
+const PLAN_KEEPING_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Subscription billing through Stripe Checkout and the customer portal.
+ *
+ * Stripe is the source of truth: plan changes happen only when a verified
+ * webhook arrives, never when a checkout session is created. Stripe does not
+ * deliver events in order, so subscription events only say which subscription
+ * changed; its current state is fetched from Stripe before syncing. A
+ * redelivered or late event is therefore harmless.
+ */
+class BillingService {
+  constructor() {
+    this.client = null;
+  }
+
+  getClient() {
+    if (!config.stripe.secretKey) {
+      throw new AppError('Billing is not configured', 503, 'BILLING_NOT_CONFIGURED');
+    }
+
+    if (!this.client) {
+      this.client = new Stripe(config.stripe.secretKey, {
+        apiVersion: config.stripe.apiVersion,
+        host: config.stripe.apiHost,
+        port: config.stripe.apiPort,
+        protocol: config.stripe.apiProtocol,
+        maxNetworkRetries: 2
+      });
+    }
+    return this.client;
+  }
+
+  // Replace the Stripe client, e.g. with a stub in tests
+  setClient(client) {
+    this.client = client;
+  }
+
+  getPlanForPrice(priceId) {
+    return Object.keys(config.stripe.prices).find(plan => config.stripe.prices[plan] === priceId);
+  }
+
+  // Wrap Stripe API failures so they surface as a 502 with a stable error code
+  async callStripe(operation, fn) {
+    try {
+      return await fn(this.getClient());
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      logger.logError(error, null, { operation, stripeCode: error.code });
+      throw new AppError('Payment provider request failed', 502, 'BILLING_PROVIDER_ERROR');
+    }
+  }
+
+  async ensureCustomer(user) {
+    if (user.billing.customer_id) {
+      return user.billing.customer_id;
+    }
+
+    const customer = await this.callStripe('createCustomer', stripe => stripe.customers.create({
+      email: user.billing.billing_email || user.email,
+      name: user.fullName || user.username,
+      metadata: { userId: String(user._id) }
+    }));
+
+    user.billing.customer_id = customer.id;
+    await user.save();
+
+    return customer.id;
+  }
+
+  async createCheckoutSession(user, plan) {
+    const price = config.stripe.prices[plan];
+    if (!price) {
+      throw badRequest(`No price is configured for the ${plan} plan`, 'PLAN_NOT_AVAILABLE');
+    }
+
+    if (user.billing.subscription_id && user.plan === plan && user.billing.payment_status === 'active') {
+      throw conflict(`You are already subscribed to the ${plan} plan`, 'ALREADY_SUBSCRIBED');
+    }
+
+    // Existing subscribers change plans in the portal so Stripe can prorate
+    if (user.billing.subscription_id && user.billing.payment_status !== 'canceled') {
+      throw conflict('Use the billing portal to change an existing subscription', 'SUBSCRIPTION_EXISTS');
+    }
+
+    const customer = await this.ensureCustomer(user);
+    const metadata = { userId: String(user._id), plan };
+
+    const session = await this.callStripe('createCheckoutSession', stripe => stripe.checkout.sessions.create({
+      mode: 'subscription',
+      customer,
+      client_reference_id: String(user._id),
+      line_items: [{ price, quantity: 1 }],
+      success_url: config.stripe.successUrl,
+      cancel_url: config.stripe.cancelUrl,
+      metadata,
+      subscription_data: { metadata }
+    }));
+
+    logger.logBusiness('Checkout Session Created', {
+      userId: user._id,
+      plan,
+      sessionId: session.id
+    });
+
+    return { id: session.id, url: session.url };
+  }
+
+  async createPortalSession(user) {
+    if (!user.billing.customer_id) {
+      throw badRequest('No billing account exists yet; subscribe to a plan first', 'NO_BILLING_ACCOUNT');
+    }
+
+    const session = await this.callStripe('createPortalSession', stripe => stripe.billingPortal.sessions.create({
+      customer: user.billing.customer_id,
+      return_url: config.stripe.portalReturnUrl
+    }));
+
+    return { url: session.url };
+  }
+
+  // Add a month's overage to the customer's next subscription invoice
+  async createOverageInvoiceItem(user, statement) {
+    return this.callStripe('createInvoiceItem', stripe => stripe.invoiceItems.create({
+      customer: user.billing.customer_id,
+      amount: statement.overage_amount_cents,
+      currency: statement.currency,
+      description: `Usage overage ${statement.period}: ${statement.overage_units} units over the ${statement.plan} allowance`,
+      metadata: {
+        userId: String(user._id),
+        period: statement.period
+      }
+    }, {
+      idempotencyKey: `overage-${user._id}-${statement.period}`
+    }));
+  }
+
+  async setOverageEnabled(user, enabled) {
+    if (enabled && !getPlanPricing(user.plan).overage) {
+      throw badRequest(`The ${user.plan} plan does not offer overage billing`, 'OVERAGE_NOT_AVAILABLE');
+    }
+    if (enabled && !user.billing.customer_id) {
+      throw badRequest('Subscribe to a paid plan before enabling overage billing', 'NO_BILLING_ACCOUNT');
+    }
+
+    user.billing.overage_enabled = enabled;
+    await user.save();
+
+    logger.logBusiness('Overage Billing Changed', { userId: user._id, enabled });
+
+    return this.getSubscription(user);
+  }
+
+  getSubscription(user) {
+    return {
+      plan: user.plan,
+      payment_status: user.billing.payment_status,
+      subscription_id: user.billing.subscription_id || null,
+      next_billing_date: user.billing.next_billing_date || null,
+      last_payment: user.billing.last_payment || null,
+      overage_enabled: Boolean(user.billing.overage_enabled),
+      available_plans: Object.keys(config.stripe.prices).filter(plan => config.stripe.prices[plan])
+    };
+  }
+
+  // Verify the Stripe-Signature header against the raw request body
+  constructEvent(rawBody, signature) {
+    if (!config.stripe.webhookSecret) {
+      throw new AppError('Billing webhooks are not configured', 503, 'BILLING_NOT_CONFIGURED');
+    }
+
+    const { webhooks } = this.getClient();
+
+    try {
+      return webhooks.constructEvent(rawBody, signature, config.stripe.webhookSecret);
+    } catch (error) {
+      logger.logSecurity('Invalid Stripe Webhook Signature', { message: error.message });
+      throw badRequest('Invalid webhook signature', 'INVALID_SIGNATURE');
+    }
+  }
+
+  async handleEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return this.handleCheckoutCompleted(object);
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        return this.syncSubscription(await this.retrieveSubscription(object.id));
+      case 'invoice.paid':
+      case 'invoice.payment_succeeded':
+        return this.handleInvoicePaid(object);
+      case 'invoice.payment_failed':
+        return this.handleInvoiceFailed(object);
+      default:
+        logger.info(`Ignoring Stripe event ${event.type}`);
+        return null;
+    }
+  }
+
+  // Cancelled subscriptions can still be retrieved, with status `canceled`
+  async retrieveSubscription(subscriptionId) {
+    return this.callStripe('retrieveSubscription', stripe => stripe.subscriptions.retrieve(subscriptionId));
+  }
+
+  async findUserForObject({ customer, metadata }) {
+    if (metadata?.userId) {
+      const user = await User.findById(metadata.userId);
+      if (user) return user;
+    }
+    return customer ? User.findOne({ 'billing.customer_id': customer }) : null;
+  }
+
+  async handleCheckoutCompleted(session) {
+    const user = await this.findUserForObject({
+      customer: session.customer,
+      metadata: { userId: session.metadata?.userId || session.client_reference_id }
+    });
+    if (!user) {
+      logger.warn('Checkout completed for unknown user', { sessionId: session.id });
+      return null;
+    }
+
+    user.billing.customer_id = session.customer;
+
+    // The subscription may arrive expanded or as an ID
+    const subscription = typeof session.subscription === 'string'
+      ? await this.retrieveSubscription(session.subscription)
+      : session.subscription;
+
+    if (!subscription) {
+      await user.save();
+      return user;
+    }
+
+    return this.syncSubscription(subscription, user);
+  }
+
+  // Copy plan, payment status and renewal date from a Stripe subscription
+  async syncSubscription(subscription, knownUser = null) {
+    const user = knownUser || await this.findUserForObject(subscription);
+    if (!user) {
+      logger.warn('Subscription event for unknown customer', { subscriptionId: subscription.id });
+      return null;
+    }
+
+    // An older subscription being cancelled must not undo a newer one
+    if (user.billing.subscription_id && user.billing.subscription_id !== subscription.id &&
+        !PLAN_KEEPING_STATUSES.includes(subscription.status)) {
+      return user;
+    }
+
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    const paidPlan = this.getPlanForPrice(priceId) || subscription.metadata?.plan;
+    const previousPlan = user.plan;
+
+    user.billing.customer_id = subscription.customer;
+    user.billing.payment_status = PAYMENT_STATUS[subscription.status] || 'unpaid';
+
+    if (PLAN_KEEPING_STATUSES.includes(subscription.status) && paidPlan) {
+      user.plan = paidPlan;
+      user.billing.subscription_id = subscription.id;
+      user.billing.next_billing_date = subscription.current_period_end
+        ? new Date(subscription.current_period_end * 1000)
+        : undefined;
+    } else {
+      user.plan = 'basic';
+      user.billing.next_billing_date = undefined;
+      if (subscription.status !== 'unpaid') {
+        user.billing.subscription_id = undefined;
+      }
+    }
+
+    // Saving with a changed plan applies the new plan limits (see User pre-save)
+    await user.save();
+
+    logger.logBusiness('Subscription Synced', {
+      userId: user._id,
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      previousPlan,
+      plan: user.plan
+    });
+
+    return user;
+  }
+
+  async handleInvoicePaid(invoice) {
+    const user = await this.findUserForObject({ customer: invoice.customer });
+    if (!user) return null;
+
+    user.billing.payment_status = 'active';
+    user.billing.last_payment = new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000);
+
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    if (periodEnd) {
+      user.billing.next_billing_date = new Date(periodEnd * 1000);
+    }
+
+    await user.save();
+
+    logger.logBusiness('Invoice Paid', { userId: user._id, invoiceId: invoice.id, amount: invoice.amount_paid });
+
+    return user;
+  }
+
+  async handleInvoiceFailed(invoice) {
+    const user = await this.findUserForObject({ customer: invoice.customer });
+    if (!user) return null;
+
+    user.billing.payment_status = 'past_due';
+    await user.save();
+
+    logger.logBusiness('Invoice Payment Failed', { userId: user._id, invoiceId: invoice.id });
+
+    return user;
+  }
+}
+
+// Create singleton instance
+const billingService = new BillingService();
+
+export default billingService;
@@ -0,0 +1,105 @@
+import nodemailer from 'nodemailer';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { renderTemplate } from '../utils/emailTemplates.js';
+
+/**
+ * Sends templated transactional email through nodemailer.
+ *
+ * The transport comes from `config.email.transport`: `smtp` delivers mail,
+ * while `json` and `stream` only build the message, which is returned in
+ * `info.message`. Tests can also inject any nodemailer transport with
+ * `setTransport()`.
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  createTransport(type = config.email.transport) {
+    switch (type) {
+      case 'json':
+        return nodemailer.createTransport({ jsonTransport: true });
+      case 'stream':
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      case 'smtp':
+        return nodemailer.createTransport({
+          host: config.email.host,
+          port: config.email.port,
+          secure: config.email.secure,
+          auth: config.email.user ? { user: config.email.user, pass: config.email.pass } : undefined
+        });
+      default:
+        throw new Error(`Unknown email transport: ${type}`);
+    }
+  }
+
+  getTransport() {
+    if (!this.transporter) {
+      this.transporter = this.createTransport();
+    }
+    return this.transporter;
+  }
+
+  // Replace the transport, e.g. with a capturing transport in tests
+  setTransport(transporter) {
+    this.transporter = transporter;
+  }
+
+  async sendTemplate(templateName, to, data = {}) {
+    const { subject, text, html } = renderTemplate(templateName, data);
+
+    try {
+      const info = await this.getTransport().sendMail({
+        from: config.email.from,
+        to,
+        subject,
+        text,
+        html
+      });
+
+      logger.logBusiness('Email Sent', {
+        template: templateName,
+        messageId: info.messageId
+      });
+
+      return info;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'sendEmail', template: templateName });
+      throw error;
+    }
+  }
+
+  buildUrl(path, token) {
+    const url = new URL(path, config.publicUrl);
+    url.searchParams.set('token', token);
+    return url.toString();
+  }
+
+  sendVerificationEmail(user, token) {
+    return this.sendTemplate('verifyEmail', user.email, {
+      username: user.username,
+      url: this.buildUrl('/verify-email', token),
+      expiresInMs: config.email.verificationTokenTtlMs
+    });
+  }
+
+  sendPasswordResetEmail(user, token) {
+    return this.sendTemplate('passwordReset', user.email, {
+      username: user.username,
+      url: this.buildUrl('/reset-password', token),
+      expiresInMs: config.email.passwordResetTokenTtlMs
+    });
+  }
+
+  sendPasswordChangedEmail(user) {
+    return this.sendTemplate('passwordChanged', user.email, {
+      username: user.username
+    });
+  }
+}
+
+// Create singleton instance
+const emailService = new EmailService();
+
+export default emailService;
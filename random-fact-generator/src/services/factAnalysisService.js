@@ -0,0 +1,216 @@
+import Fact from '../models/Fact.js';
+import aiService from './aiService.js';
+import aiUsageService from './aiUsageService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import {
+  tokenize,
+  splitSentences,
+  buildIdf,
+  tfidfVector,
+  normalize,
+  cosine,
+  topTerms
+} from '../utils/textAnalysis.js';
+
+const CATEGORIES = Fact.schema.path('category').enumValues;
+
+const TAG_COUNT = 4;
+const SUMMARY_SENTENCES = 2;
+
+/**
+ * Categorization, keyword extraction and summaries for fact text.
+ *
+ * The AI model is used when AI is enabled and the caller allows it. Without
+ * it, or when it fails, a local model is used instead: TF-IDF keywords and
+ * a nearest-centroid category classifier, both trained on verified facts
+ * and retrained every config.ai.analysis.retrainIntervalMs. Results say
+ * which was used in `method` ('ai' or 'tfidf').
+ */
+class FactAnalysisService {
+  constructor() {
+    this.model = null;
+    this.training = null;
+  }
+
+  // Category, keywords and summary of a text
+  async analyze(text, { ai = true, actor } = {}) {
+    const { maxKeywords } = config.ai.analysis;
+
+    // Over its monthly AI budget, the actor gets the local classifier
+    if (ai && config.ai.enabled && await aiUsageService.hasBudgetLeft(actor)) {
+      try {
+        const result = await aiService.analyzeContent(text, { categories: CATEGORIES, maxKeywords }, actor);
+        return { ...result, method: 'ai' };
+      } catch (error) {
+        logger.warn('AI text analysis failed, using the local classifier', { error: error.message });
+      }
+    }
+
+    const model = await this.getModel();
+    const vector = tfidfVector(tokenize(text), model.idf);
+
+    return {
+      ...this.classify(vector, model),
+      keywords: this.keywordsFrom(vector, maxKeywords),
+      summary: this.summarize(text, model.idf),
+      method: 'tfidf'
+    };
+  }
+
+  /**
+   * Fill in the category, tags and meta.keywords a fact submission left
+   * out, without touching the ones it has. Returns the completed copy and
+   * which fields were filled. When the model filled them, the copy records
+   * the model and prompt version in `ai_analysis`.
+   */
+  async enrich(factData, { ai = true, actor } = {}) {
+    const missing = {
+      category: !factData.category,
+      tags: !factData.tags || factData.tags.length === 0,
+      keywords: !factData.meta?.keywords || factData.meta.keywords.length === 0
+    };
+
+    if (!factData.fact || !Object.values(missing).some(Boolean)) {
+      return { factData, filled: [] };
+    }
+
+    // The AI is only worth a call when the category has to be chosen
+    const analysis = await this.analyze(factData.fact, { ai: ai && missing.category, actor });
+    const category = factData.category || analysis.category;
+    const enriched = { ...factData, category };
+
+    if (missing.tags) {
+      enriched.tags = [...new Set([category, ...analysis.keywords])].slice(0, TAG_COUNT + 1);
+    }
+    if (missing.keywords) {
+      enriched.meta = { ...factData.meta, keywords: analysis.keywords };
+    }
+    if (analysis.method === 'ai') {
+      enriched.ai_analysis = { model: analysis.model, prompt: analysis.prompt };
+    }
+
+    const filled = Object.keys(missing).filter(field => missing[field]);
+    logger.logBusiness('Fact Fields Auto-filled', {
+      filled,
+      category,
+      method: analysis.method,
+      confidence: analysis.confidence,
+      prompt_version: analysis.prompt?.version
+    });
+
+    return { factData: enriched, filled, analysis };
+  }
+
+  // Nearest category centroid by cosine similarity. Confidence is the best
+  // category's share of the similarity it and the runner-up have together.
+  classify(vector, model) {
+    const scores = CATEGORIES
+      .filter(category => model.centroids.has(category))
+      .map(category => ({ category, score: cosine(vector, model.centroids.get(category)) }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (!best || best.score <= 0) {
+      return { category: 'general', confidence: 0 };
+    }
+
+    return {
+      category: best.category,
+      confidence: Math.round((best.score / (best.score + (second?.score || 0))) * 100) / 100
+    };
+  }
+
+  keywordsFrom(vector, limit) {
+    const words = new Map([...vector].filter(([term]) => !/^\d+$/.test(term)));
+    return topTerms(words, limit);
+  }
+
+  // Extractive summary: the sentences with the heaviest terms, in order
+  summarize(text, idf) {
+    const sentences = splitSentences(text);
+    if (sentences.length <= SUMMARY_SENTENCES) {
+      return sentences.join(' ');
+    }
+
+    const weight = (sentence) => {
+      const tokens = tokenize(sentence);
+      if (tokens.length === 0) return 0;
+      return tokens.reduce((sum, token) => sum + (idf.idf.get(token) ?? idf.unseen), 0) / Math.sqrt(tokens.length);
+    };
+
+    const chosen = new Set(
+      sentences
+        .map((sentence, index) => ({ index, weight: weight(sentence) }))
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, SUMMARY_SENTENCES)
+        .map(({ index }) => index)
+    );
+
+    return sentences.filter((sentence, index) => chosen.has(index)).join(' ');
+  }
+
+  // The trained local model, retrained in the background once it is stale
+  async getModel() {
+    const { retrainIntervalMs } = config.ai.analysis;
+
+    if (!this.model) {
+      return this.train();
+    }
+    if (Date.now() - this.model.trainedAt > retrainIntervalMs && !this.training) {
+      this.train().catch(() => {});
+    }
+    return this.model;
+  }
+
+  // Build IDF weights and one TF-IDF centroid per category from verified facts
+  train() {
+    if (this.training) return this.training;
+
+    this.training = (async () => {
+      const startTime = Date.now();
+      try {
+        const facts = await Fact.find({ verified: true })
+          .sort({ created_at: -1 })
+          .limit(config.ai.analysis.trainingLimit)
+          .select('fact category tags')
+          .lean();
+
+        const documents = facts.map(fact => tokenize(`${fact.fact} ${(fact.tags || []).join(' ')}`));
+        const idf = buildIdf(documents);
+
+        const centroids = new Map();
+        facts.forEach((fact, index) => {
+          if (documents[index].length === 0) return;
+
+          const centroid = centroids.get(fact.category) || new Map();
+          for (const [term, weight] of tfidfVector(documents[index], idf)) {
+            centroid.set(term, (centroid.get(term) || 0) + weight);
+          }
+          centroids.set(fact.category, centroid);
+        });
+        centroids.forEach(normalize);
+
+        this.model = { idf, centroids, documents: facts.length, trainedAt: Date.now() };
+        logger.logPerformance('Fact Classifier Training', Date.now() - startTime, {
+          documents: facts.length,
+          categories: centroids.size
+        });
+      } catch (error) {
+        logger.logError(error, null, { operation: 'trainFactClassifier' });
+        // Keep serving the previous model; with none yet, start empty
+        this.model = this.model || { idf: buildIdf([]), centroids: new Map(), documents: 0, trainedAt: Date.now() };
+      } finally {
+        this.training = null;
+      }
+      return this.model;
+    })();
+
+    return this.training;
+  }
+}
+
+// Create singleton instance
+const factAnalysisService = new FactAnalysisService();
+
+export default factAnalysisService;
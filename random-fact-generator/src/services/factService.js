@@ -1,8 +1,24 @@
 import Fact from '../models/Fact.js';
 import aiService from './aiService.js';
+import aiUsageService from './aiUsageService.js';
+import factAnalysisService from './factAnalysisService.js';
+import webhookService from './webhookService.js';
 import { cache } from '../config/redis.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { notFound, conflict } from '../utils/errors.js';
+
+// Fact fields sent in fact.* webhook events
+const toWebhookFact = (fact) => ({
+  id: fact._id,
+  fact: fact.fact,
+  category: fact.category,
+  source: fact.source,
+  verified: fact.verified,
+  moderation_status: fact.moderation_status,
+  ai_generated: fact.ai_generated || false,
+  created_at: fact.created_at
+});
 
 class FactService {
   constructor() {
@@ -29,15 +45,18 @@ class FactService {
 
       // Try database
       if (options.category) {
-        fact = await this.getFactByCategory(options.category, { skipCache: true });
+        fact = await this.getFactByCategory(options.category, { skipCache: true, actor: options.actor });
       } else {
-        const pipeline = [{ $sample: { size: 1 } }];
+        const pipeline = [
+          { $match: { moderation_status: 'approved' } },
+          { $sample: { size: 1 } }
+        ];
         const facts = await Fact.aggregate(pipeline);
         fact = facts.length > 0 ? facts[0] : null;
       }
 
-      // AI fallback if no database fact found
-      if (!fact && config.ai.fallbackEnabled) {
+      // AI fallback if no database fact found, unless the provider is failing
+      if (!fact && config.ai.fallbackEnabled && await this.canUseAIFallback(options.actor)) {
         logger.info('No database fact found, using AI fallback', { category: options.category });
         fact = await aiService.generateFact(options.category || 'general', options);
         
@@ -48,7 +67,7 @@ class FactService {
             source: 'AI Generated',
             verified: false,
             ai_generated: true
-          });
+          }, { actor: options.actor });
         }
       }
 
@@ -71,6 +90,22 @@ class FactService {
     }
   }
 
+  // While the AI circuit breaker is open, fallbacks fail fast instead of
+  // waiting on a provider that is down. Nor do they spend AI budget the
+  // actor no longer has.
+  async canUseAIFallback(actor) {
+    if (!aiService.isAvailable()) {
+      logger.warn('AI provider unavailable, skipping the AI fallback');
+      return false;
+    }
+
+    if (!(await aiUsageService.hasBudgetLeft(actor))) {
+      logger.info('AI budget exhausted, skipping the AI fallback', { userId: actor.userId });
+      return false;
+    }
+    return true;
+  }
+
   // Get fact by category with enhanced logic
   async getFactByCategory(category, options = {}) {
     try {
@@ -98,7 +133,7 @@ class FactService {
 
       const fact = await Fact.findOne(query).lean();
 
-      if (!fact && config.ai.fallbackEnabled && !options.excludeAI) {
+      if (!fact && config.ai.fallbackEnabled && !options.excludeAI && await this.canUseAIFallback(options.actor)) {
         logger.info('No category fact found, using AI fallback', { category });
         const aiFact = await aiService.generateFact(category, options);
         
@@ -124,21 +159,35 @@ class FactService {
     }
   }
 
-  // Add a new fact with validation and moderation
-  async addFact(factData) {
+  // Add a new fact with validation and moderation. Callers that already
+  // moderated the text pass the result to avoid a second AI call; `actor`
+  // is who AI calls are billed to (default: the fact's creator). A missing
+  // category, tags or keywords are filled in from the text first.
+  async addFact(factData, { moderation: priorModeration, actor } = {}) {
     try {
       const startTime = Date.now();
+      const billedTo = actor || { userId: factData.created_by };
+
+      // AI-generated facts come with a category, so the local model is enough
+      ({ factData } = await factAnalysisService.enrich(factData, {
+        ai: !factData.ai_generated,
+        actor: billedTo
+      }));
 
       // Validate fact data
       this.validateFactData(factData);
 
-      // Content moderation if enabled
+      // Content moderation if enabled. Over the AI budget the fact is left
+      // unscored, pending like every submission, for a moderator to review.
       if (config.ai.contentModerationEnabled && factData.fact) {
-        const moderation = await aiService.moderateContent(factData.fact);
-        if (!moderation.approved) {
+        let moderation = priorModeration;
+        if (!moderation && await aiUsageService.hasBudgetLeft(billedTo)) {
+          moderation = await aiService.moderateContent(factData.fact, billedTo);
+        }
+        if (moderation && !moderation.approved) {
           throw new Error(`Content rejected: ${moderation.recommendation || 'Failed moderation'}`);
         }
-        factData.moderation_score = moderation.confidence;
+        factData.moderation_score = moderation?.confidence;
       }
 
       // Create fact with metadata
@@ -167,6 +216,9 @@ class FactService {
 
       logger.logPerformance('Add Fact', Date.now() - startTime);
 
+      // Notify the submitter's webhooks without delaying the response
+      webhookService.emit(newFact.created_by, 'fact.created', { fact: toWebhookFact(newFact) });
+
       return newFact;
     } catch (error) {
       logger.logError(error, null, { operation: 'addFact', factData });
@@ -186,7 +238,7 @@ class FactService {
 
       // Content moderation for updated content
       if (config.ai.contentModerationEnabled && updatedData.fact) {
-        const moderation = await aiService.moderateContent(updatedData.fact);
+        const moderation = await aiService.moderateContent(updatedData.fact, { userId: updatedData.updated_by });
         if (!moderation.approved) {
           throw new Error(`Content update rejected: ${moderation.recommendation}`);
         }
@@ -244,28 +296,14 @@ class FactService {
   async getFacts(options = {}) {
     try {
       const {
-        category,
         page = 1,
         limit = 10,
         sortBy = 'created_at',
         sortOrder = 'desc',
-        verified = true,
-        search
+        verified = true
       } = options;
 
-      const query = {};
-      
-      if (category) {
-        query.category = category;
-      }
-      
-      if (typeof verified === 'boolean') {
-        query.verified = verified;
-      }
-      
-      if (search) {
-        query.$text = { $search: search };
-      }
+      const query = this.buildFactQuery({ ...options, verified });
 
       const skip = (page - 1) * limit;
       const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -294,6 +332,64 @@ class FactService {
     }
   }
 
+  // Open a cursor over every fact matching the filters, for streaming exports
+  exportFacts(filters = {}) {
+    const query = this.buildFactQuery(filters);
+
+    return Fact.find(query)
+      .sort({ created_at: 1, _id: 1 })
+      .lean()
+      .batchSize(500)
+      .cursor();
+  }
+
+  // Translate list/export filters into a Mongo query
+  buildFactQuery(filters = {}) {
+    const {
+      category,
+      verified,
+      ai_generated,
+      createdFrom,
+      createdTo,
+      tags,
+      search
+    } = filters;
+
+    const query = {};
+
+    if (category) {
+      query.category = category;
+    }
+
+    if (typeof verified === 'boolean') {
+      query.verified = verified;
+    }
+
+    if (typeof ai_generated === 'boolean') {
+      query.ai_generated = ai_generated;
+    }
+
+    if (createdFrom || createdTo) {
+      query.created_at = {};
+      if (createdFrom) {
+        query.created_at.$gte = new Date(createdFrom);
+      }
+      if (createdTo) {
+        query.created_at.$lte = new Date(createdTo);
+      }
+    }
+
+    if (tags && tags.length > 0) {
+      query.tags = { $in: tags.map(tag => tag.toLowerCase()) };
+    }
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    return query;
+  }
+
   // Get fact statistics
   async getFactStats() {
     try {
@@ -332,6 +428,42 @@ class FactService {
     }
   }
 
+  // A fact by ID. Facts not yet approved are only shown to their creator.
+  async getFactById(id, viewerId) {
+    try {
+      const fact = await Fact.findById(id);
+      const isCreator = Boolean(viewerId) && String(fact?.created_by) === String(viewerId);
+
+      if (!fact || (fact.moderation_status !== 'approved' && !isCreator)) {
+        throw notFound('Fact not found', 'FACT_NOT_FOUND');
+      }
+
+      return fact;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'getFactById', id });
+      throw error;
+    }
+  }
+
+  // Count a view of an approved fact without a read-modify-write
+  async incrementViews(id) {
+    try {
+      const fact = await Fact.findOneAndUpdate(
+        { _id: id, moderation_status: 'approved' },
+        { $inc: { view_count: 1 } },
+        { new: true }
+      );
+      if (!fact) {
+        throw notFound('Fact not found', 'FACT_NOT_FOUND');
+      }
+
+      return fact;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'incrementViews', id });
+      throw error;
+    }
+  }
+
   // Bulk import facts
   async bulkImportFacts(facts) {
     try {
@@ -340,12 +472,15 @@ class FactService {
 
       for (let i = 0; i < facts.length; i++) {
         try {
-          this.validateFactData(facts[i]);
+          // Imports can be large: fill in missing fields without AI calls
+          const { factData } = await factAnalysisService.enrich(facts[i], { ai: false });
+          this.validateFactData(factData);
           validFacts.push({
-            ...facts[i],
+            ...factData,
             created_at: new Date(),
             updated_at: new Date(),
-            verified: facts[i].verified || false,
+            verified: factData.verified || false,
+            moderation_status: factData.verified ? 'approved' : 'pending',
             view_count: 0,
             likes: 0
           });
@@ -376,6 +511,89 @@ class FactService {
     }
   }
 
+  // Approve a pending or previously rejected fact
+  async verifyFact(id, moderatorId, reason) {
+    try {
+      const fact = await Fact.findById(id);
+      if (!fact) {
+        throw notFound('Fact not found', 'FACT_NOT_FOUND');
+      }
+
+      if (fact.moderation_status === 'approved' && fact.verified) {
+        throw conflict('Fact is already verified', 'ALREADY_VERIFIED');
+      }
+
+      await fact.verify(moderatorId, reason);
+      await this.clearFactCaches(fact.category);
+
+      logger.logBusiness('Fact Verified', {
+        id,
+        category: fact.category,
+        moderatorId,
+        ai_generated: fact.ai_generated
+      });
+
+      webhookService.emit(fact.created_by, 'fact.verified', { fact: toWebhookFact(fact), reason });
+
+      return fact;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'verifyFact', id });
+      throw error;
+    }
+  }
+
+  // Reject a fact so it is no longer served
+  async rejectFact(id, moderatorId, reason) {
+    try {
+      const fact = await Fact.findById(id);
+      if (!fact) {
+        throw notFound('Fact not found', 'FACT_NOT_FOUND');
+      }
+
+      if (fact.moderation_status === 'rejected') {
+        throw conflict('Fact is already rejected', 'ALREADY_REJECTED');
+      }
+
+      await fact.reject(moderatorId, reason);
+      await this.clearFactCaches(fact.category);
+
+      logger.logBusiness('Fact Rejected', {
+        id,
+        category: fact.category,
+        moderatorId,
+        reason
+      });
+
+      webhookService.emit(fact.created_by, 'fact.rejected', { fact: toWebhookFact(fact), reason });
+
+      return fact;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'rejectFact', id });
+      throw error;
+    }
+  }
+
+  // Pending facts awaiting a moderator decision
+  async getModerationQueue(options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const [facts, total] = await Fact.getModerationQueue(options);
+
+      return {
+        facts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'getModerationQueue', options });
+      throw error;
+    }
+  }
+
   // Utility methods
   isValidCategory(category) {
     return this.categories.includes(category.toLowerCase());
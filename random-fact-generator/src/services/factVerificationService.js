@@ -0,0 +1,274 @@
+import Fact from '../models/Fact.js';
+import ReferenceSource from '../models/ReferenceSource.js';
+import aiService from './aiService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { notFound } from '../utils/errors.js';
+import { wordOverlap } from '../utils/textAnalysis.js';
+
+const EXCERPT_LENGTH = 300;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * AI fact verification grounded in a local reference corpus.
+ *
+ * The model splits a fact into claims, evidence for each claim is looked up
+ * in the corpus (verified facts and reference sources, see
+ * config.ai.verification.corpus), and the model then judges each claim
+ * against that evidence only. Its confidences are calibrated against how
+ * much of the claim the cited evidence actually covers, and a verdict that
+ * cites nothing from the corpus counts as unverifiable.
+ *
+ * Results are advisory: they are stored on the fact for moderators, who
+ * still verify or reject it.
+ */
+class FactVerificationService {
+  // Verify free text without storing anything
+  async verifyText(text, { excludeId, actor } = {}) {
+    const { maxClaims, corpus } = config.ai.verification;
+    const { claims, model, prompt: extractPrompt } = await aiService.extractClaims(text, maxClaims, actor);
+
+    if (claims.length === 0) {
+      return this.summarize([], { model, corpus, prompts: [extractPrompt] });
+    }
+
+    let nextId = 1;
+    const items = [];
+    for (const claim of claims) {
+      const evidence = await this.findEvidence(claim, excludeId);
+      items.push({ claim, evidence: evidence.map(item => ({ ...item, id: `E${nextId++}` })) });
+    }
+
+    // Nothing to judge against: skip the second model call
+    if (items.every(item => item.evidence.length === 0)) {
+      return this.summarize(items.map(({ claim }) => ({
+        claim,
+        verdict: 'unverifiable',
+        confidence: 0,
+        model_confidence: null,
+        explanation: 'No evidence found in the reference corpus',
+        evidence: []
+      })), { model, corpus, prompts: [extractPrompt] });
+    }
+
+    const { verdicts, model: judgeModel, prompt: judgePrompt } = await aiService.judgeClaims(items, actor);
+    const results = items.map((item, index) => this.calibrate(item, verdicts[index]));
+
+    return this.summarize(results, { model: judgeModel, corpus, prompts: [extractPrompt, judgePrompt] });
+  }
+
+  // Verify a stored fact and keep the result on it
+  async verifyFact(id, { actor, userId } = {}) {
+    const fact = await Fact.findById(id);
+    if (!fact) {
+      throw notFound('Fact not found', 'FACT_NOT_FOUND');
+    }
+
+    const startTime = Date.now();
+    const verification = {
+      ...await this.verifyText(fact.fact, { excludeId: fact._id, actor }),
+      verified_at: new Date(),
+      requested_by: userId
+    };
+
+    fact.ai_verification = verification;
+    await fact.save();
+
+    logger.logPerformance('AI Fact Verification', Date.now() - startTime, { id, claims: verification.claims.length });
+    logger.logBusiness('Fact AI Verified', {
+      id,
+      category: fact.category,
+      status: verification.status,
+      confidence: verification.confidence,
+      recommendation: verification.recommendation,
+      userId
+    });
+
+    return fact;
+  }
+
+  // Best evidence for a claim from every configured corpus, by word overlap
+  async findEvidence(claim, excludeId) {
+    const { corpus, evidencePerClaim } = config.ai.verification;
+
+    const [facts, references] = await Promise.all([
+      corpus.includes('facts')
+        ? Fact.searchEvidence(claim, { excludeId, limit: evidencePerClaim })
+        : [],
+      corpus.includes('references')
+        ? ReferenceSource.searchEvidence(claim, evidencePerClaim)
+        : []
+    ]);
+
+    const candidates = [
+      ...facts.map(fact => ({
+        source_type: 'fact',
+        source_id: fact._id,
+        title: fact.source && fact.source !== 'Unknown' ? fact.source : `Verified ${fact.category} fact`,
+        text: fact.fact,
+        url: fact.source_url
+      })),
+      ...references.map(reference => ({
+        source_type: 'reference',
+        source_id: reference._id,
+        title: reference.title,
+        text: reference.content,
+        url: reference.url
+      }))
+    ];
+
+    return candidates
+      .map(candidate => ({ ...candidate, overlap: round(wordOverlap(claim, candidate.text)) }))
+      .filter(candidate => candidate.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, evidencePerClaim);
+  }
+
+  /**
+   * Turn the model's verdict on a claim into a stored result. Supported and
+   * contradicted verdicts must cite evidence listed for the claim; their
+   * confidence is scaled from half to all of the model's, by how much of
+   * the claim the best cited evidence covers. Unverifiable verdicts are
+   * capped at 0.5 so they never drive a recommendation on their own.
+   */
+  calibrate({ claim, evidence }, verdict) {
+    const cited = evidence.filter(item => verdict.evidence_ids.includes(item.id));
+    const grounding = Math.max(0, ...cited.map(item => item.overlap));
+
+    let result = verdict.verdict;
+    let explanation = verdict.explanation;
+    let confidence;
+
+    if (result !== 'unverifiable' && cited.length === 0) {
+      result = 'unverifiable';
+      explanation = `${explanation} (no evidence from the reference corpus was cited)`.trim();
+    }
+
+    if (result === 'unverifiable') {
+      confidence = Math.min(verdict.confidence, 0.5);
+    } else {
+      confidence = verdict.confidence * (0.5 + 0.5 * grounding);
+    }
+
+    return {
+      claim,
+      verdict: result,
+      confidence: round(confidence),
+      model_confidence: verdict.confidence,
+      explanation,
+      evidence: cited.map(({ source_type, source_id, title, text, url, overlap }) => ({
+        source_type,
+        source_id,
+        title,
+        excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text,
+        url,
+        overlap
+      }))
+    };
+  }
+
+  // Overall status, confidence and recommendation from the claim results.
+  // `prompts` are the template versions the claims were extracted and
+  // judged with.
+  summarize(claims, { model, corpus, prompts }) {
+    const { recommendThreshold } = config.ai.verification;
+    const contradicted = claims.filter(claim => claim.verdict === 'contradicted');
+    const supported = claims.filter(claim => claim.verdict === 'supported');
+
+    let status;
+    let confidence;
+    if (contradicted.length > 0) {
+      status = 'contradicted';
+      confidence = Math.max(...contradicted.map(claim => claim.confidence));
+    } else if (claims.length > 0 && supported.length === claims.length) {
+      status = 'supported';
+      confidence = Math.min(...supported.map(claim => claim.confidence));
+    } else {
+      status = 'unverified';
+      confidence = claims.length > 0
+        ? claims.reduce((sum, claim) => sum + claim.confidence, 0) / claims.length
+        : 0;
+    }
+
+    let recommendation = 'review';
+    if (confidence >= recommendThreshold && status === 'supported') recommendation = 'approve';
+    if (confidence >= recommendThreshold && status === 'contradicted') recommendation = 'reject';
+
+    let summary;
+    if (claims.length === 0) {
+      summary = 'No checkable claims found';
+    } else if (status === 'contradicted') {
+      summary = `Contradicted: "${contradicted[0].claim}" (${contradicted[0].explanation})`;
+    } else {
+      summary = `${supported.length} of ${claims.length} claims supported by the reference corpus`;
+    }
+
+    return {
+      status,
+      confidence: round(confidence),
+      recommendation,
+      summary,
+      claims,
+      model,
+      prompts,
+      corpus
+    };
+  }
+
+  // Reference corpus management
+  async listReferences({ category, active, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (category) query.category = category;
+    if (active !== undefined) query.active = active;
+
+    const [references, total] = await Promise.all([
+      ReferenceSource.find(query)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReferenceSource.countDocuments(query)
+    ]);
+
+    return {
+      references,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async createReference(data, userId) {
+    const reference = await ReferenceSource.create({
+      title: data.title,
+      content: data.content,
+      url: data.url,
+      category: data.category,
+      tags: data.tags,
+      created_by: userId
+    });
+
+    logger.logBusiness('Reference Source Added', { id: reference._id, category: reference.category, userId });
+    return reference;
+  }
+
+  // Stop citing a source; kept so stored verifications still resolve
+  async deactivateReference(id, userId) {
+    const reference = await ReferenceSource.findByIdAndUpdate(id, { active: false }, { new: true });
+    if (!reference) {
+      throw notFound('Reference source not found', 'REFERENCE_NOT_FOUND');
+    }
+
+    logger.logBusiness('Reference Source Deactivated', { id, userId });
+    return reference;
+  }
+}
+
+// Create singleton instance
+const factVerificationService = new FactVerificationService();
+
+export default factVerificationService;
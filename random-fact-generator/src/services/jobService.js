@@ -0,0 +1,304 @@
+import fs from 'fs';
+import path from 'path';
+import Job, { FINISHED_STATUSES } from '../models/Job.js';
+import { createQueue, createWorker } from '../config/queue.js';
+import runBulkGeneration from '../jobs/bulkGeneration.js';
+import runBulkImport from '../jobs/bulkImport.js';
+import runExport from '../jobs/export.js';
+import runModerationBackfill from '../jobs/moderationBackfill.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError, notFound, conflict } from '../utils/errors.js';
+
+const QUEUE_NAME = 'jobs';
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const PROCESSORS = {
+  bulk_generation: runBulkGeneration,
+  bulk_import: runBulkImport,
+  export: runExport,
+  moderation_backfill: runModerationBackfill
+};
+
+/**
+ * What a processor sees of its job: the parameters, and `report()` to record
+ * progress and partial results. `report()` also picks up cancellation, so
+ * processors check `ctx.cancelled` after each call and stop early.
+ */
+class JobContext {
+  constructor(job) {
+    this.jobId = String(job._id);
+    this.userId = job.userId;
+    this.params = job.params;
+    this.progress = job.progress.toObject();
+    this.batchSize = config.jobs.batchSize;
+    this.cancelled = false;
+  }
+
+  async setTotal(total) {
+    this.progress.total = total;
+    await Job.updateOne({ _id: this.jobId }, { $set: { 'progress.total': total } });
+  }
+
+  async report({ succeeded = 0, failed = 0, results = [], failures = [] }) {
+    const update = {
+      $inc: {
+        'progress.processed': succeeded + failed,
+        'progress.succeeded': succeeded,
+        'progress.failed': failed
+      }
+    };
+
+    const push = {};
+    if (results.length > 0) {
+      push.results = { $each: results, $slice: config.jobs.maxStoredResults };
+    }
+    if (failures.length > 0) {
+      push.failures = { $each: failures, $slice: config.jobs.maxStoredResults };
+    }
+    if (Object.keys(push).length > 0) {
+      update.$push = push;
+    }
+
+    const job = await Job.findByIdAndUpdate(this.jobId, update, {
+      new: true,
+      projection: { progress: 1, cancel_requested: 1 }
+    });
+
+    this.cancelled = !job || job.cancel_requested;
+    if (job) {
+      this.progress = job.progress.toObject();
+    }
+    return this.cancelled;
+  }
+}
+
+/**
+ * Background jobs for work too large for one HTTP request: bulk AI
+ * generation, bulk import, export to a file and moderation backfills.
+ * Jobs run on a BullMQ worker and are tracked in the Job collection.
+ */
+class JobService {
+  constructor() {
+    this.queue = null;
+    this.worker = null;
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      // Not retried: a job that fails halfway has already done part of its work
+      this.queue = createQueue(QUEUE_NAME, { attempts: 1 });
+    }
+    return this.queue;
+  }
+
+  async start() {
+    if (this.worker) return;
+
+    this.worker = createWorker(QUEUE_NAME, (job) => {
+      if (job.name === 'cleanup') {
+        return this.removeExpiredExports();
+      }
+      return this.run(job.data.jobId);
+    }, { concurrency: config.jobs.concurrency });
+
+    // A job that stalled too often is failed by BullMQ without running again
+    this.worker.on('failed', (job, error) => {
+      if (job && job.name !== 'cleanup') {
+        this.failInterrupted(job.data.jobId, error.message).catch((updateError) => {
+          logger.logError(updateError, null, { operation: 'failStalledJob', jobId: job.data.jobId });
+        });
+      }
+    });
+
+    await this.getQueue().add('cleanup', {}, {
+      jobId: 'cleanup',
+      repeat: { every: CLEANUP_INTERVAL_MS }
+    });
+  }
+
+  // Record the job and queue it; the caller polls GET /jobs/:id
+  async create(user, type, params, total = 0) {
+    const job = await Job.create({
+      type,
+      userId: user._id,
+      params,
+      progress: { total }
+    });
+
+    try {
+      await this.getQueue().add(type, { jobId: String(job._id) }, { jobId: String(job._id) });
+    } catch (error) {
+      logger.logError(error, null, { operation: 'enqueueJob', jobId: job._id, type });
+      job.status = 'failed';
+      job.error_message = 'Job queue unavailable';
+      job.finished_at = new Date();
+      await job.save();
+      throw new AppError('Background jobs are temporarily unavailable', 503, 'JOB_QUEUE_UNAVAILABLE');
+    }
+
+    logger.logBusiness('Job Queued', { jobId: job._id, type, userId: user._id, total });
+
+    return job;
+  }
+
+  // Worker: run one job to completion, cancellation or failure
+  async run(jobId) {
+    // Claim the job; a job cancelled while queued is skipped
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'running', started_at: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      // BullMQ runs a job again when its worker stalled (crashed or lost its
+      // lock). The record is still running and part of the work may be done,
+      // so it is failed rather than run twice or left running forever.
+      await this.failInterrupted(jobId, 'Job was interrupted before it finished');
+      return;
+    }
+
+    const ctx = new JobContext(job);
+    const startTime = Date.now();
+
+    try {
+      const result = await PROCESSORS[job.type](ctx);
+      const status = ctx.cancelled ? 'cancelled' : 'completed';
+
+      await Job.updateOne({ _id: jobId }, { $set: { status, result, finished_at: new Date() } });
+
+      logger.logBusiness(ctx.cancelled ? 'Job Cancelled' : 'Job Completed', {
+        jobId,
+        type: job.type,
+        userId: job.userId,
+        ...ctx.progress,
+        duration: Date.now() - startTime
+      });
+    } catch (error) {
+      await Job.updateOne({ _id: jobId }, {
+        $set: { status: 'failed', error_message: error.message, finished_at: new Date() }
+      });
+      logger.logError(error, null, { operation: 'runJob', jobId, type: job.type });
+      throw error;
+    }
+  }
+
+  // Fail a job whose run ended without the worker recording an outcome
+  async failInterrupted(jobId, message) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { $set: { status: 'failed', error_message: message, finished_at: new Date() } },
+      { new: true }
+    );
+    if (job) {
+      logger.warn('Interrupted job marked as failed', { jobId, type: job.type, userId: job.userId, reason: message });
+    }
+    return Boolean(job);
+  }
+
+  // Owners see their own jobs; admins see every job
+  async get(user, jobId) {
+    const job = await Job.findById(jobId).select('-params.facts');
+    if (!job || (String(job.userId) !== String(user._id) && user.role !== 'admin')) {
+      throw notFound('Job not found', 'JOB_NOT_FOUND');
+    }
+    return job;
+  }
+
+  async list(userId, { type, status, page = 1, limit = 20 } = {}) {
+    const query = { userId };
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .select('-params.facts -results -failures')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(query)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Queued jobs are cancelled at once; running jobs stop at their next progress report
+  async cancel(user, jobId) {
+    const job = await this.get(user, jobId);
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw conflict(`Job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`, 'JOB_FINISHED');
+    }
+
+    const dequeued = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', cancel_requested: true, finished_at: new Date() } },
+      { new: true }
+    );
+
+    if (dequeued) {
+      await this.getQueue().remove(String(jobId)).catch(() => {});
+    } else {
+      await Job.updateOne({ _id: jobId }, { $set: { cancel_requested: true } });
+    }
+
+    logger.logBusiness('Job Cancellation Requested', { jobId, type: job.type, userId: user._id, wasQueued: Boolean(dequeued) });
+
+    return this.get(user, jobId);
+  }
+
+  // The finished export file of an export job
+  async getExportFile(user, jobId) {
+    const job = await this.get(user, jobId);
+
+    if (job.type !== 'export') {
+      throw conflict('Only export jobs have a file to download', 'NOT_AN_EXPORT_JOB');
+    }
+    if (job.status !== 'completed' || !job.result?.file) {
+      throw conflict('The export has not completed', 'JOB_NOT_COMPLETED');
+    }
+
+    try {
+      await fs.promises.access(job.result.file);
+    } catch {
+      throw notFound('The export file has expired', 'EXPORT_FILE_EXPIRED');
+    }
+
+    return {
+      file: job.result.file,
+      filename: job.result.filename,
+      contentType: job.result.content_type
+    };
+  }
+
+  // Export files are kept as long as their job records
+  async removeExpiredExports(now = Date.now()) {
+    const maxAge = config.jobs.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    const entries = await fs.promises.readdir(config.jobs.exportDir).catch(() => []);
+    for (const entry of entries) {
+      const file = path.join(config.jobs.exportDir, entry);
+      const { mtimeMs } = await fs.promises.stat(file);
+      if (now - mtimeMs > maxAge) {
+        await fs.promises.unlink(file);
+        removed += 1;
+      }
+    }
+
+    return { removed };
+  }
+}
+
+// Create singleton instance
+const jobService = new JobService();
+
+export default jobService;
@@ -0,0 +1,360 @@
+import UsageRecord from '../models/UsageRecord.js';
+import UsageStatement from '../models/UsageStatement.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import billingService from './billingService.js';
+import config from '../config/index.js';
+import {
+  classifyEndpoint,
+  getUnits,
+  getPlanPricing,
+  calculateOverageCents,
+  CURRENCY
+} from '../config/metering.js';
+import logger from '../utils/logger.js';
+import { badRequest, notFound } from '../utils/errors.js';
+
+const GROUP_FIELDS = {
+  endpoint: 'endpoint',
+  day: 'day',
+  key: 'apiKeyId',
+  category: 'category'
+};
+
+// Calendar month helpers (UTC)
+const toPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const periodBounds = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+  const lastDay = new Date(end.getTime() - 24 * 60 * 60 * 1000);
+  return { start, end, fromDay: UsageRecord.toDay(start), toDay: UsageRecord.toDay(lastDay) };
+};
+
+const previousPeriod = (date = new Date()) =>
+  toPeriod(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+
+/**
+ * Per-request usage metering and the monthly statements built from it.
+ *
+ * Usage is recorded per day, API key and endpoint in UsageRecord, written in
+ * batches by usageEventService. Statements are rolled up from those records
+ * per calendar month (UTC); when a month closes, any overage is added to the
+ * customer's next Stripe invoice.
+ */
+class MeteringService {
+  constructor() {
+    this.timer = null;
+    this.lastClosedPeriod = null;
+  }
+
+  start() {
+    if (!config.metering.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.closePreviousPeriod().catch(error => {
+        logger.logError(error, null, { operation: 'close_usage_period' });
+      });
+    }, config.metering.finalizeIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Route template rather than the raw URL so /facts/:id is one line item
+  getEndpoint(req) {
+    return `${req.baseUrl}${req.route?.path === '/' ? '' : req.route?.path || ''}`;
+  }
+
+  // Billing category and units for a finished request, or null when the
+  // endpoint is not metered. usageEventService does the writing.
+  meterRequest(req) {
+    if (!config.metering.enabled || !req.route) return null;
+
+    const category = classifyEndpoint(req.method, this.getEndpoint(req));
+    return category ? { category, units: getUnits(category) } : null;
+  }
+
+  parseRange(from, to) {
+    const today = UsageRecord.toDay();
+    const fromDay = from || periodBounds(toPeriod()).fromDay;
+    const toDay = to || today;
+
+    if (fromDay > toDay) {
+      throw badRequest('"from" must not be after "to"', 'INVALID_DATE_RANGE');
+    }
+    return { fromDay, toDay };
+  }
+
+  // Itemized usage between two days, grouped by endpoint, day, key or category
+  async getItemizedUsage(user, { from, to, group_by = 'endpoint' } = {}) {
+    const field = GROUP_FIELDS[group_by];
+    if (!field) {
+      throw badRequest(`Cannot group usage by ${group_by}`, 'INVALID_GROUP_BY');
+    }
+
+    const { fromDay, toDay } = this.parseRange(from, to);
+    const rows = await UsageRecord.summarize(user._id, fromDay, toDay, [field]);
+
+    let keyNames = {};
+    if (group_by === 'key') {
+      const keys = await ApiKey.find({ _id: { $in: rows.map(row => row._id.apiKeyId).filter(Boolean) } }).select('name');
+      keyNames = Object.fromEntries(keys.map(key => [String(key._id), key.name]));
+    }
+
+    const items = rows.map(({ _id, category, requests, units, failed_requests }) => {
+      const item = { [group_by]: _id[field], requests, units, failed_requests };
+      if (group_by === 'endpoint') item.category = category;
+      if (group_by === 'key') {
+        item.key = _id.apiKeyId ? String(_id.apiKeyId) : null;
+        item.name = _id.apiKeyId ? keyNames[String(_id.apiKeyId)] || 'Deleted key' : 'User session';
+      }
+      return item;
+    });
+
+    if (group_by === 'day') {
+      items.sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    return {
+      from: fromDay,
+      to: toDay,
+      group_by,
+      totals: items.reduce((totals, item) => ({
+        requests: totals.requests + item.requests,
+        units: totals.units + item.units,
+        failed_requests: totals.failed_requests + item.failed_requests
+      }), { requests: 0, units: 0, failed_requests: 0 }),
+      items
+    };
+  }
+
+  /**
+   * Amounts owed for `totalUnits` on `plan`. At most `billableOverageUnits`
+   * of the units past the allowance are charged; the rest were used while
+   * overage billing was off and are reported as `unbilled_overage_units`.
+   */
+  price(plan, totalUnits, billableOverageUnits = Infinity) {
+    const allowance = User.getPlanLimits(plan).monthly_requests;
+    const unlimited = allowance === -1;
+    const includedUnits = unlimited ? null : allowance;
+    const unitsPastAllowance = unlimited ? 0 : Math.max(0, totalUnits - includedUnits);
+    const overageUnits = Math.min(unitsPastAllowance, billableOverageUnits);
+    const baseCents = getPlanPricing(plan).base_cents;
+    const overageCents = calculateOverageCents(plan, overageUnits);
+
+    return {
+      included_units: includedUnits,
+      overage_units: overageUnits,
+      unbilled_overage_units: unitsPastAllowance - overageUnits,
+      base_amount_cents: baseCents,
+      overage_amount_cents: overageCents,
+      total_amount_cents: baseCents + overageCents
+    };
+  }
+
+  /**
+   * The plan a period is billed on, and how many of its units past that
+   * plan's allowance may be billed. The plan is the one the last usage of
+   * the period was made on (the user's current plan for usage recorded
+   * before plans were tracked). Days are walked in order; a day's units past
+   * the remaining allowance are billable only as far as they were used with
+   * overage billing on, counting units used with it off as the excess first.
+   */
+  async billingBasis(user, fromDay, toDay) {
+    const days = await UsageRecord.dailyBillingTotals(user._id, fromDay, toDay);
+
+    const lastPlans = Object.entries(days[days.length - 1]?.plan_units || {}).sort((a, b) => b[1] - a[1]);
+    const plan = lastPlans[0]?.[0] || user.plan;
+    const allowance = User.getPlanLimits(plan).monthly_requests;
+    if (allowance === -1) {
+      return { plan, billableOverageUnits: 0 };
+    }
+
+    let remaining = allowance;
+    let billableOverageUnits = 0;
+    for (const { units, overage_enabled_units } of days) {
+      const pastAllowance = Math.max(0, units - remaining);
+      billableOverageUnits += Math.max(0, pastAllowance - (units - overage_enabled_units));
+      remaining = Math.max(0, remaining - units);
+    }
+
+    return { plan, billableOverageUnits };
+  }
+
+  async buildStatement(user, period) {
+    const { fromDay, toDay } = periodBounds(period);
+    const [rows, { plan, billableOverageUnits }] = await Promise.all([
+      UsageRecord.summarize(user._id, fromDay, toDay, ['endpoint']),
+      this.billingBasis(user, fromDay, toDay)
+    ]);
+
+    const lineItems = rows.map(({ _id, category, requests, units }) => ({
+      endpoint: _id.endpoint,
+      category,
+      requests,
+      units
+    }));
+    const totalRequests = lineItems.reduce((sum, item) => sum + item.requests, 0);
+    const totalUnits = lineItems.reduce((sum, item) => sum + item.units, 0);
+
+    return {
+      userId: user._id,
+      period,
+      plan,
+      total_requests: totalRequests,
+      total_units: totalUnits,
+      currency: CURRENCY,
+      line_items: lineItems,
+      ...this.price(plan, totalUnits, billableOverageUnits)
+    };
+  }
+
+  // Open statements are recalculated; closed ones are returned as stored
+  async getStatement(user, period = toPeriod()) {
+    if (!/^\d{4}-\d{2}$/.test(period)) {
+      throw badRequest('Period must look like YYYY-MM', 'INVALID_PERIOD');
+    }
+    if (period > toPeriod()) {
+      throw notFound('No statement exists for that period yet', 'STATEMENT_NOT_FOUND');
+    }
+
+    const existing = await UsageStatement.findOne({ userId: user._id, period });
+    if (existing && existing.status !== 'open') {
+      return existing;
+    }
+
+    return UsageStatement.findOneAndUpdate(
+      { userId: user._id, period },
+      { $set: await this.buildStatement(user, period) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async listStatements(user, { limit = 12 } = {}) {
+    return UsageStatement.find({ userId: user._id })
+      .select('-line_items')
+      .sort({ period: -1 })
+      .limit(limit);
+  }
+
+  // Straight-line projection of this month's usage to the end of the month
+  async projectBill(user, now = new Date()) {
+    const period = toPeriod(now);
+    const { start, end } = periodBounds(period);
+    const statement = await this.buildStatement(user, period);
+
+    const elapsed = Math.max(now - start, 60 * 60 * 1000); // avoid wild projections in the first hour
+    const fraction = Math.min(1, elapsed / (end - start));
+    const projectedUnits = Math.round(statement.total_units / fraction);
+    const { overage } = getPlanPricing(user.plan);
+
+    return {
+      period,
+      period_start: start,
+      period_end: end,
+      plan: user.plan,
+      currency: CURRENCY,
+      overage_enabled: user.allowsOverage(),
+      overage_rate: overage
+        ? { cents_per_block: overage.cents_per_block, block_units: overage.block_units }
+        : null,
+      to_date: {
+        requests: statement.total_requests,
+        units: statement.total_units,
+        ...this.price(statement.plan, statement.total_units, statement.overage_units)
+      },
+      // The rest of the month is billed on the current plan and overage setting
+      projected: {
+        units: projectedUnits,
+        ...this.price(
+          user.plan,
+          projectedUnits,
+          user.allowsOverage() ? Infinity : statement.overage_units
+        )
+      }
+    };
+  }
+
+  // Finalize a user's statement and bill any overage through Stripe
+  async finalizeStatement(user, period) {
+    const statement = await this.getStatement(user, period);
+    if (statement.status !== 'open') {
+      return statement;
+    }
+
+    // Invoice first: if Stripe fails the statement stays open and is retried.
+    // The invoice item is created with an idempotency key, so a retry after a
+    // failed save cannot bill twice. Only usage made while the user had
+    // overage billing on is in overage_amount_cents (see billingBasis).
+    if (statement.overage_amount_cents > 0 && user.billing.customer_id) {
+      const item = await billingService.createOverageInvoiceItem(user, statement);
+      statement.stripe_invoice_item_id = item.id;
+      statement.status = 'invoiced';
+    } else {
+      statement.status = 'finalized';
+    }
+
+    statement.finalized_at = new Date();
+    await statement.save();
+
+    logger.logBusiness('Usage Statement Finalized', {
+      userId: user._id,
+      period,
+      units: statement.total_units,
+      overageUnits: statement.overage_units,
+      unbilledOverageUnits: statement.unbilled_overage_units,
+      overageCents: statement.overage_amount_cents
+    });
+
+    return statement;
+  }
+
+  // Close every statement for a finished month
+  async finalizePeriod(period) {
+    if (period >= toPeriod()) {
+      throw badRequest('Only past periods can be finalized', 'PERIOD_NOT_CLOSED');
+    }
+
+    const { fromDay, toDay } = periodBounds(period);
+    const userIds = await UsageRecord.distinct('userId', { day: { $gte: fromDay, $lte: toDay } });
+
+    const summary = { period, users: userIds.length, finalized: 0, invoiced: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      try {
+        const user = await User.findById(userId);
+        if (!user) continue;
+
+        const statement = await this.finalizeStatement(user, period);
+        summary.finalized += 1;
+        if (statement.status === 'invoiced') summary.invoiced += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.logError(error, null, { operation: 'finalize_usage_statement', userId, period });
+      }
+    }
+
+    return summary;
+  }
+
+  async closePreviousPeriod() {
+    const period = previousPeriod();
+    if (this.lastClosedPeriod === period) return null;
+
+    const summary = await this.finalizePeriod(period);
+    if (summary.failed === 0) {
+      this.lastClosedPeriod = period;
+    }
+    return summary;
+  }
+}
+
+// Create singleton instance
+const meteringService = new MeteringService();
+
+export default meteringService;
@@ -0,0 +1,202 @@
+import PromptTemplate from '../models/PromptTemplate.js';
+import Fact from '../models/Fact.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { badRequest, conflict, notFound } from '../utils/errors.js';
+import {
+  PROMPT_TEMPLATES,
+  PROMPT_NAMES,
+  PROMPT_VARIABLE_DEFAULTS,
+  templateVariables,
+  renderTemplate,
+  languageName
+} from '../config/aiPrompts.js';
+
+const builtIn = (name) => ({
+  version: 0,
+  system: PROMPT_TEMPLATES[name].system,
+  user: PROMPT_TEMPLATES[name].user,
+  built_in: true
+});
+
+// The version in use for each template, keyed by name
+const toSnapshot = (docs) => Object.fromEntries(PROMPT_NAMES.map((name) => {
+  const doc = docs.find(candidate => candidate.name === name);
+  const active = doc?.versions.find(version => version.version === doc.active_version);
+  return [name, active ? { version: active.version, system: active.system, user: active.user } : builtIn(name)];
+}));
+
+/**
+ * Editable AI prompt templates with version history.
+ *
+ * Each edit is stored as a new version and becomes the active one; a
+ * rollback makes an earlier version (or the built-in one, version 0) active
+ * again. Active versions are cached in memory and reloaded every
+ * `ai.settingsRefreshMs`, like model selections. Generated facts record the
+ * version they were made with in `ai_prompt`.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.active = toSnapshot([]);
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async getActive(name) {
+    if (Date.now() - this.loadedAt >= config.ai.settingsRefreshMs && !this.loading) {
+      this.loading = PromptTemplate.find({}).lean()
+        .then((docs) => {
+          this.active = toSnapshot(docs);
+        })
+        .catch((error) => {
+          // Keep the last known prompts rather than failing AI calls
+          logger.logError(error, null, { operation: 'loadPromptTemplates' });
+        })
+        .finally(() => {
+          this.loadedAt = Date.now();
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+    return this.active[name];
+  }
+
+  /**
+   * Chat messages for a template with `values` filled in, and the template
+   * version used. Variables left out get PROMPT_VARIABLE_DEFAULTS; the
+   * language is given as a code ("en") and written out as its name.
+   */
+  async render(name, values = {}) {
+    const template = await this.getActive(name);
+    const filled = {
+      ...PROMPT_VARIABLE_DEFAULTS,
+      ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null))
+    };
+    filled.language = languageName(filled.language);
+
+    const system = [template.system, PROMPT_TEMPLATES[name].response_format]
+      .map(text => renderTemplate(text, filled))
+      .join('\n\n');
+
+    return {
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: renderTemplate(template.user, filled) }
+      ],
+      prompt: { name, version: template.version }
+    };
+  }
+
+  async list() {
+    const docs = await PromptTemplate.find({}).select('-versions.system -versions.user').lean();
+
+    return PROMPT_NAMES.map((name) => {
+      const doc = docs.find(candidate => candidate.name === name);
+      return {
+        name,
+        description: PROMPT_TEMPLATES[name].description,
+        variables: PROMPT_TEMPLATES[name].variables,
+        active_version: doc?.active_version || 0,
+        latest_version: doc?.versions.length ? doc.versions[doc.versions.length - 1].version : 0,
+        updated_at: doc?.updated_at || null
+      };
+    });
+  }
+
+  // A template with every version, each with how the facts it generated fared
+  async get(name) {
+    const [doc, outcomes] = await Promise.all([
+      PromptTemplate.findOne({ name }).lean(),
+      Fact.aggregate([
+        { $match: { 'ai_prompt.name': name } },
+        {
+          $group: {
+            _id: '$ai_prompt.version',
+            generated: { $sum: 1 },
+            verified: { $sum: { $cond: ['$verified', 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$moderation_status', 'rejected'] }, 1, 0] } },
+            likes: { $sum: '$likes' },
+            dislikes: { $sum: '$dislikes' }
+          }
+        }
+      ])
+    ]);
+
+    const facts = (version) => {
+      const { _id, ...counts } = outcomes.find(outcome => outcome._id === version)
+        || { generated: 0, verified: 0, rejected: 0, likes: 0, dislikes: 0 };
+      return counts;
+    };
+
+    return {
+      name,
+      description: PROMPT_TEMPLATES[name].description,
+      variables: PROMPT_TEMPLATES[name].variables,
+      response_format: PROMPT_TEMPLATES[name].response_format,
+      active_version: doc?.active_version || 0,
+      versions: [builtIn(name), ...(doc?.versions || [])]
+        .map(version => ({ ...version, facts: facts(version.version) }))
+    };
+  }
+
+  // Store an edited template as a new version and start using it
+  async createVersion(name, { system, user, note }, userId) {
+    const allowed = PROMPT_TEMPLATES[name].variables;
+    const unknown = templateVariables(`${system}\n${user}`).filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      throw badRequest(
+        `Unknown variables in the ${name} prompt: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`,
+        'UNKNOWN_PROMPT_VARIABLE'
+      );
+    }
+
+    const current = await PromptTemplate.findOne({ name }).select('versions.version').lean();
+    const version = (current?.versions.length || 0) + 1;
+
+    // Fails on a concurrent edit that took the same version number
+    let doc;
+    try {
+      doc = await PromptTemplate.findOneAndUpdate(
+        { name, 'versions.version': { $ne: version } },
+        {
+          $push: { versions: { version, system, user, note, created_by: userId } },
+          $set: { active_version: version, updated_by: userId }
+        },
+        { new: true, upsert: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw conflict('The prompt was edited at the same time; reload it and try again', 'PROMPT_VERSION_CONFLICT');
+      }
+      throw error;
+    }
+
+    this.loadedAt = 0;
+    logger.logBusiness('AI Prompt Version Created', { name, version, userId });
+    return { name, active_version: doc.active_version, version: doc.versions[doc.versions.length - 1] };
+  }
+
+  // Make an earlier version, or the built-in one (0), active again
+  async rollback(name, version, userId) {
+    const doc = await PromptTemplate.findOne({ name }).select('versions.version').lean();
+    if (version !== 0 && !doc?.versions.some(candidate => candidate.version === version)) {
+      throw notFound(`The ${name} prompt has no version ${version}`, 'PROMPT_VERSION_NOT_FOUND');
+    }
+
+    await PromptTemplate.updateOne(
+      { name },
+      { $set: { active_version: version, updated_by: userId } },
+      { upsert: true }
+    );
+
+    this.loadedAt = 0;
+    logger.logBusiness('AI Prompt Rolled Back', { name, version, userId });
+    return { name, active_version: version };
+  }
+}
+
+// Create singleton instance
+const promptTemplateService = new PromptTemplateService();
+
+export default promptTemplateService;
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { cache } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sliding-window rate limiting shared by every instance through Redis.
+ *
+ * Each hit is stored as a member of a sorted set scored by its timestamp; a Lua
+ * script prunes expired hits, counts the rest and records the new hit in one
+ * atomic step, so concurrent requests on different replicas cannot overshoot
+ * the limit and there is no burst at fixed window edges.
+ *
+ * Fallback: when Redis is unreachable, hits are counted in this process's
+ * memory with the same sliding-window semantics. Limits then apply per
+ * instance, so with N replicas a client can make up to N times the configured
+ * number of requests until Redis is back. Requests are never rejected because
+ * the limiter itself failed.
+ */
+class RateLimitService {
+  constructor() {
+    this.keyPrefix = 'rl:';
+    this.memoryWindows = new Map();
+    this.usingFallback = false;
+
+    // Drop idle in-memory windows so the fallback cannot grow without bound
+    this.sweepTimer = setInterval(() => this.sweepMemoryWindows(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Count a request against `key`. Resolves to
+   * { allowed, count, limit, remaining, resetTime, retryAfterMs, member, store }.
+   */
+  async hit(key, { windowMs, max }) {
+    const storeKey = `${this.keyPrefix}${key}`;
+    const member = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+    const result = await cache.slidingWindowHit(storeKey, windowMs, max, member);
+    if (result) {
+      if (this.usingFallback) {
+        this.usingFallback = false;
+        logger.info('Rate limiter using Redis again');
+      }
+      return this.buildResult(result, { windowMs, max, member, store: 'redis' });
+    }
+
+    if (!this.usingFallback) {
+      this.usingFallback = true;
+      logger.warn('Redis unavailable, rate limiter falling back to per-process memory');
+    }
+
+    return this.buildResult(this.hitMemory(storeKey, windowMs, max, member), {
+      windowMs,
+      max,
+      member,
+      store: 'memory'
+    });
+  }
+
+  // Undo a recorded hit (used to skip counting successful requests)
+  async release(key, hit) {
+    const storeKey = `${this.keyPrefix}${key}`;
+
+    if (hit.store === 'redis') {
+      return cache.slidingWindowRemove(storeKey, hit.member);
+    }
+
+    const entries = this.memoryWindows.get(storeKey);
+    if (entries) {
+      this.memoryWindows.set(storeKey, entries.filter(entry => entry.member !== hit.member));
+    }
+    return true;
+  }
+
+  hitMemory(storeKey, windowMs, max, member) {
+    const now = Date.now();
+    const entries = (this.memoryWindows.get(storeKey) || []).filter(entry => entry.timestamp > now - windowMs);
+
+    let allowed = false;
+    if (entries.length < max) {
+      entries.push({ timestamp: now, member });
+      allowed = true;
+    }
+    this.memoryWindows.set(storeKey, entries);
+
+    return {
+      allowed,
+      count: entries.length,
+      oldestTimestamp: entries.length > 0 ? entries[0].timestamp : now,
+      now
+    };
+  }
+
+  buildResult({ allowed, count, oldestTimestamp, now }, { windowMs, max, member, store }) {
+    const resetAt = oldestTimestamp + windowMs;
+
+    return {
+      allowed,
+      count,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetTime: new Date(resetAt),
+      retryAfterMs: allowed ? 0 : Math.max(0, resetAt - now),
+      member,
+      store
+    };
+  }
+
+  sweepMemoryWindows() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [key, entries] of this.memoryWindows) {
+      if (entries.length === 0 || entries[entries.length - 1].timestamp < cutoff) {
+        this.memoryWindows.delete(key);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      store: this.usingFallback ? 'memory' : 'redis',
+      memory_windows: this.memoryWindows.size
+    };
+  }
+}
+
+// Create singleton instance
+const rateLimitService = new RateLimitService();
+
+export default rateLimitService;
@@ -0,0 +1,178 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError, notFound } from '../utils/errors.js';
+
+// Rough "Browser on OS" label for the sessions list
+function describeDevice(userAgent = '') {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const os = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 60);
+}
+
+class SessionService {
+  // Decoded access token lifetime in seconds, for `expires_in`
+  getAccessTokenTtl(token) {
+    const { exp, iat } = jwt.decode(token);
+    return exp - iat;
+  }
+
+  /**
+   * Start a session for a user who has just proven who they are.
+   * Resolves to { token, refresh_token, expires_in, session_id }.
+   */
+  async createSession(user, requestMeta = {}) {
+    const session = new Session({
+      userId: user._id,
+      metadata: {
+        ip_address: requestMeta.ip,
+        user_agent: requestMeta.userAgent,
+        device: describeDevice(requestMeta.userAgent),
+        last_ip_address: requestMeta.ip
+      },
+      expires_at: new Date(Date.now() + config.jwt.refreshTokenTtlMs)
+    });
+
+    const refreshToken = session.issueRefreshToken();
+    await session.save();
+
+    logger.logSecurity('Session Created', {
+      userId: user._id,
+      sessionId: session._id,
+      ip: requestMeta.ip
+    });
+
+    return this.buildTokens(user, session, refreshToken);
+  }
+
+  buildTokens(user, session, refreshToken) {
+    const token = user.generateJWT(session._id);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: this.getAccessTokenTtl(token),
+      session_id: session._id
+    };
+  }
+
+  // Exchange a refresh token for a new access token and refresh token
+  async refresh(refreshToken, requestMeta = {}) {
+    const parsed = Session.parseRefreshToken(refreshToken);
+    const invalid = new AppError('Refresh token is invalid or has expired', 401, 'INVALID_REFRESH_TOKEN');
+
+    if (!parsed) {
+      throw invalid;
+    }
+
+    const session = await Session.findById(parsed.sessionId).select('+refresh_token_hash +previous_token_hashes');
+    if (!session || !session.isActive) {
+      throw invalid;
+    }
+
+    const match = session.checkRefreshSecret(parsed.secret);
+
+    if (match === 'reused') {
+      await this.endReusedSession(session, requestMeta);
+      throw invalid;
+    }
+
+    if (match !== 'current') {
+      throw invalid;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || user.status !== 'active' || user.isAccountLocked()) {
+      await session.revoke('logout');
+      throw new AppError('Account is not active', 403, 'INACTIVE_ACCOUNT');
+    }
+
+    const newRefreshToken = await session.rotateRefreshToken(parsed.secret, requestMeta.ip);
+    if (!newRefreshToken) {
+      // Another request exchanged the same token in the meantime
+      await this.endReusedSession(session, requestMeta);
+      throw invalid;
+    }
+
+    return this.buildTokens(user, session, newRefreshToken);
+  }
+
+  // Someone is replaying a token that was already exchanged: end the session
+  async endReusedSession(session, requestMeta) {
+    await session.revoke('token_reuse');
+    logger.logSecurity('Refresh Token Reuse Detected', {
+      userId: session.userId,
+      sessionId: session._id,
+      ip: requestMeta.ip,
+      severity: 'high'
+    });
+  }
+
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      ...session.toJSON(),
+      current: String(session._id) === String(currentSessionId)
+    }));
+  }
+
+  async revokeSession(userId, sessionId, reason = 'revoked_by_user') {
+    const session = await Session.findOne({ _id: sessionId, userId, revoked_at: null });
+    if (!session) {
+      throw notFound('Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    await session.revoke(reason);
+
+    logger.logSecurity('Session Revoked', { userId, sessionId, reason });
+
+    return session;
+  }
+
+  /**
+   * End every session and invalidate all access tokens already issued by
+   * bumping the user's token version.
+   */
+  async revokeAllSessions(user, reason = 'logout_all') {
+    user.security.token_version = (user.security.token_version || 0) + 1;
+    await user.save();
+
+    const result = await Session.revokeAllForUser(user._id, reason);
+
+    logger.logSecurity('All Sessions Revoked', {
+      userId: user._id,
+      reason,
+      sessions: result.modifiedCount
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
@@ -0,0 +1,141 @@
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { databaseHealthCheck } from '../config/database.js';
+import aiService from './aiService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const LEVELS = ['healthy', 'elevated', 'high', 'critical'];
+
+/**
+ * Samples event-loop lag, MongoDB latency and the AI error rate, and turns
+ * them into a load level that the adaptive rate limiter uses to scale plan
+ * limits. Lower plans are squeezed first; platinum keeps its full allowance
+ * until load is high.
+ *
+ * The level rises as soon as any signal crosses a threshold but falls one
+ * step per healthy sample, so limits relax gradually instead of flapping.
+ */
+class SystemLoadService {
+  constructor() {
+    this.settings = config.adaptiveRateLimit;
+    this.level = 'healthy';
+    this.signals = {
+      event_loop_lag_ms: 0,
+      mongo_latency_ms: 0,
+      ai_error_rate: 0
+    };
+    this.lastSampledAt = null;
+    this.timer = null;
+    this.histogram = null;
+  }
+
+  start() {
+    if (this.timer || !this.settings.enabled) {
+      return;
+    }
+
+    this.histogram = monitorEventLoopDelay({ resolution: 20 });
+    this.histogram.enable();
+
+    this.timer = setInterval(() => {
+      this.sample().catch(error => logger.logError(error, null, { operation: 'systemLoadSample' }));
+    }, this.settings.sampleIntervalMs);
+    this.timer.unref();
+
+    logger.info('System load monitor started', { intervalMs: this.settings.sampleIntervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.histogram) {
+      this.histogram.disable();
+      this.histogram = null;
+    }
+  }
+
+  async sample() {
+    // Event loop lag (p99 over the last interval, nanoseconds -> ms)
+    if (this.histogram) {
+      this.signals.event_loop_lag_ms = Math.round(this.histogram.percentile(99) / 1e6);
+      this.histogram.reset();
+    }
+
+    // MongoDB round-trip latency; an unhealthy database counts as maximum pressure
+    const startTime = Date.now();
+    const dbHealth = await databaseHealthCheck();
+    this.signals.mongo_latency_ms = dbHealth.status === 'healthy'
+      ? Date.now() - startTime
+      : this.settings.thresholds.mongoLatencyMs.critical;
+
+    // AI provider error rate, ignored until there are enough calls to be meaningful
+    const aiErrors = aiService.getErrorRate();
+    this.signals.ai_error_rate = aiErrors.total >= this.settings.minAiSamples ? aiErrors.rate : 0;
+
+    const observedLevel = this.classify();
+    const previousLevel = this.level;
+    const currentIndex = LEVELS.indexOf(this.level);
+    const observedIndex = LEVELS.indexOf(observedLevel);
+
+    if (observedIndex > currentIndex) {
+      this.level = observedLevel;
+    } else if (observedIndex < currentIndex) {
+      this.level = LEVELS[currentIndex - 1];
+    }
+
+    this.lastSampledAt = new Date();
+
+    if (this.level !== previousLevel) {
+      logger.logBusiness('Adaptive Rate Limit Level Changed', {
+        from: previousLevel,
+        to: this.level,
+        signals: { ...this.signals }
+      });
+    }
+
+    return this.getStatus();
+  }
+
+  // Worst level across all signals
+  classify() {
+    const { thresholds } = this.settings;
+    const levels = [
+      this.levelFor(this.signals.event_loop_lag_ms, thresholds.eventLoopLagMs),
+      this.levelFor(this.signals.mongo_latency_ms, thresholds.mongoLatencyMs),
+      this.levelFor(this.signals.ai_error_rate, thresholds.aiErrorRate)
+    ];
+
+    return levels.reduce((worst, level) =>
+      LEVELS.indexOf(level) > LEVELS.indexOf(worst) ? level : worst, 'healthy');
+  }
+
+  levelFor(value, limits) {
+    if (value >= limits.critical) return 'critical';
+    if (value >= limits.high) return 'high';
+    if (value >= limits.elevated) return 'elevated';
+    return 'healthy';
+  }
+
+  getMultiplier(plan) {
+    const multipliers = this.settings.multipliers[this.level];
+    return multipliers[plan] ?? multipliers.basic;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.settings.enabled,
+      level: this.level,
+      signals: { ...this.signals },
+      multipliers: { ...this.settings.multipliers[this.level] },
+      thresholds: this.settings.thresholds,
+      last_sampled_at: this.lastSampledAt
+    };
+  }
+}
+
+// Create singleton instance
+const systemLoadService = new SystemLoadService();
+
+export default systemLoadService;
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import sessionService from './sessionService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError, notFound, conflict, badRequest, forbidden } from '../utils/errors.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} from '../utils/totp.js';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.toLowerCase()).digest('hex');
+
+class TwoFactorService {
+  // Recovery codes look like `3f9a-c21e`
+  generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+  }
+
+  // Start enrolment: store a pending secret and return it with an otpauth URI
+  async beginSetup(user) {
+    if (user.security.two_factor_enabled) {
+      throw conflict('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateSecret();
+    user.security.two_factor_pending_secret = encryptSecret(secret, config.twoFactor.encryptionKey);
+    await user.save();
+
+    logger.logSecurity('Two-Factor Setup Started', { userId: user._id });
+
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: config.twoFactor.issuer
+      })
+    };
+  }
+
+  // Finish enrolment with a code from the authenticator app
+  async confirmSetup(user, code) {
+    if (user.security.two_factor_enabled) {
+      throw conflict('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.security.two_factor_pending_secret) {
+      throw badRequest('Start two-factor setup first', 'TWO_FACTOR_SETUP_NOT_STARTED');
+    }
+
+    const secret = decryptSecret(user.security.two_factor_pending_secret, config.twoFactor.encryptionKey);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      throw badRequest('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.security.two_factor_enabled = true;
+    user.security.two_factor_secret = user.security.two_factor_pending_secret;
+    user.security.two_factor_pending_secret = undefined;
+    user.security.two_factor_recovery_codes = recoveryCodes.map(hashCode);
+    user.security.two_factor_last_step = step;
+    user.security.two_factor_enabled_at = new Date();
+    await user.save();
+
+    logger.logSecurity('Two-Factor Enabled', { userId: user._id });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code. Recovery codes are consumed
+   * and TOTP steps cannot be reused. Saves the user when it returns true.
+   */
+  async verifyCode(user, code) {
+    const value = String(code || '').trim();
+
+    if (/^\d{6}$/.test(value)) {
+      const secret = decryptSecret(user.security.two_factor_secret, config.twoFactor.encryptionKey);
+      const step = verifyTotp(secret, value);
+
+      if (step === null || step <= (user.security.two_factor_last_step ?? -1)) {
+        return false;
+      }
+
+      user.security.two_factor_last_step = step;
+      await user.save();
+      return true;
+    }
+
+    const index = user.security.two_factor_recovery_codes.indexOf(hashCode(value));
+    if (index === -1) {
+      return false;
+    }
+
+    user.security.two_factor_recovery_codes.splice(index, 1);
+    await user.save();
+
+    logger.logSecurity('Two-Factor Recovery Code Used', {
+      userId: user._id,
+      remaining: user.security.two_factor_recovery_codes.length
+    });
+    return true;
+  }
+
+  // Second login step: exchange a challenge token and code for a session
+  async completeLogin(challengeToken, code, requestMeta = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, config.jwt.secret);
+    } catch (error) {
+      throw new AppError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+    }
+
+    if (decoded.type !== '2fa_challenge') {
+      throw new AppError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.security.two_factor_enabled) {
+      throw new AppError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+    }
+
+    if (user.isAccountLocked()) {
+      throw new AppError('Account is temporarily locked, please try again later', 423, 'ACCOUNT_LOCKED');
+    }
+
+    // The account may have been suspended since the password step
+    if (user.status !== 'active') {
+      logger.logSecurity('Two-Factor Login On Inactive Account', { userId: user._id, status: user.status, ip: requestMeta.ip });
+      throw new AppError('Account is not active', 403, 'INACTIVE_ACCOUNT');
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      await user.recordFailedLogin();
+      logger.logSecurity('Failed Two-Factor Login', {
+        userId: user._id,
+        attempts: user.security.login_attempts,
+        ip: requestMeta.ip
+      });
+      throw new AppError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await user.recordSuccessfulLogin();
+
+    logger.logSecurity('User Logged In', { userId: user._id, ip: requestMeta.ip, twoFactor: true });
+
+    return { user, tokens: await sessionService.createSession(user, requestMeta) };
+  }
+
+  // Turn 2FA off; needs the password and a current code
+  async disable(user, { password, code }) {
+    if (!user.security.two_factor_enabled) {
+      throw badRequest('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (user.isTwoFactorRequired()) {
+      throw forbidden('Two-factor authentication is required for your account', 'TWO_FACTOR_REQUIRED');
+    }
+
+    const withPassword = await User.findById(user._id).select('+password');
+    if (!(await withPassword.comparePassword(password)) || !(await this.verifyCode(user, code))) {
+      throw new AppError('Invalid password or authentication code', 401, 'INVALID_CREDENTIALS');
+    }
+
+    user.security.two_factor_enabled = false;
+    user.security.two_factor_secret = undefined;
+    user.security.two_factor_recovery_codes = [];
+    user.security.two_factor_last_step = undefined;
+    user.security.two_factor_enabled_at = undefined;
+    await user.save();
+
+    logger.logSecurity('Two-Factor Disabled', { userId: user._id });
+  }
+
+  // Replace all recovery codes; needs a current TOTP code
+  async regenerateRecoveryCodes(user, code) {
+    if (!user.security.two_factor_enabled) {
+      throw badRequest('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!/^\d{6}$/.test(String(code)) || !(await this.verifyCode(user, code))) {
+      throw new AppError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.security.two_factor_recovery_codes = recoveryCodes.map(hashCode);
+    await user.save();
+
+    logger.logSecurity('Two-Factor Recovery Codes Regenerated', { userId: user._id });
+
+    return { recoveryCodes };
+  }
+
+  // Require (or stop requiring) 2FA for an account. Moderators may only
+  // change regular users; admins may change anyone.
+  async setRequirement(actor, userId, required) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw notFound('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (actor.role !== 'admin' && user.role !== 'user') {
+      throw forbidden('Only administrators can change 2FA requirements for staff accounts', 'INSUFFICIENT_PRIVILEGES');
+    }
+
+    user.security.two_factor_required = required;
+    await user.save();
+
+    logger.logSecurity('Two-Factor Requirement Changed', {
+      userId: user._id,
+      changedBy: actor._id,
+      required
+    });
+
+    return {
+      user_id: user._id,
+      two_factor_required: user.isTwoFactorRequired(),
+      two_factor_enabled: user.security.two_factor_enabled
+    };
+  }
+
+  getStatus(user) {
+    return {
+      enabled: user.security.two_factor_enabled,
+      required: user.isTwoFactorRequired(),
+      enabled_at: user.security.two_factor_enabled_at,
+      recovery_codes_remaining: user.security.two_factor_enabled
+        ? user.security.two_factor_recovery_codes.length
+        : 0
+    };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import UsageEvent from '../models/UsageEvent.js';
+import UsageRecord from '../models/UsageRecord.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import webhookService from './webhookService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest range per interval, so a series stays a sensible size
+const MAX_RANGE_MS = {
+  hour: 7 * DAY_MS,
+  day: 90 * DAY_MS
+};
+
+const DEFAULT_RANGE_MS = {
+  hour: DAY_MS,
+  day: 30 * DAY_MS
+};
+
+// Each part of a batch is written, and retried, on its own, so a failed part
+// never repeats the parts that succeeded. The writes are unordered bulk
+// writes: when some of their operations fail, only those are retried.
+const WRITERS = {
+  events: (entries) => UsageEvent.insertMany(entries, { ordered: false, lean: true }),
+  usageRecords: (entries) => UsageRecord.recordBatch(entries),
+  users: (entries) => User.applyUsageBatch(entries),
+  apiKeys: (entries) => ApiKey.applyUsageBatch(entries)
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// The entries of a failed write to retry. A bulk write error lists the
+// operations that failed; the others were applied. After any other error
+// (e.g. the connection dropped mid-write) what was applied is unknown and
+// every entry is retried, so counters are written at least once, and may be
+// counted twice in that case.
+const failedEntries = (error, entries) => {
+  if (!(error instanceof mongoose.mongo.MongoBulkWriteError)) return entries;
+
+  const failed = new Set([].concat(error.writeErrors || []).map(writeError => writeError.index));
+  return entries.filter((entry, index) => failed.has(index));
+};
+
+/**
+ * Buffers one event per authenticated request and writes them in batches:
+ * the raw events (for latency and error analytics), the daily metering
+ * records, and the user and API key counters. The request path only pushes
+ * to an array; everything reaches MongoDB within `usageEvents.flushIntervalMs`.
+ */
+class UsageEventService {
+  constructor() {
+    this.buffer = [];
+    this.retry = Object.fromEntries(Object.keys(WRITERS).map(part => [part, []]));
+    this.timer = null;
+    this.flushing = null;
+    this.stats = {
+      flushed: 0,
+      dropped: 0,
+      last_flush_at: null,
+      last_error: null
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.flush(), config.usageEvents.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  // Stop the timer and write whatever is still buffered
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+
+  record(event) {
+    this.buffer.push(event);
+
+    if (this.buffer.length > config.usageEvents.maxBufferedEvents) {
+      this.buffer.shift();
+      this.stats.dropped += 1;
+    }
+
+    if (this.buffer.length >= config.usageEvents.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  // One flush at a time; concurrent callers share the running one. Never rejects.
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.writeBuffered().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async writeBuffered() {
+    const batch = this.aggregate(this.buffer.splice(0));
+
+    await Promise.all(Object.entries(WRITERS).map(async ([part, write]) => {
+      const entries = [...this.retry[part], ...batch[part]];
+      this.retry[part] = [];
+      if (entries.length === 0) return;
+
+      let failed = [];
+      try {
+        await write(entries);
+      } catch (error) {
+        failed = failedEntries(error, entries);
+        this.stats.last_error = error.message;
+        logger.logError(error, null, { operation: 'flush_usage_events', part, count: entries.length, retried: failed.length });
+        this.requeue(part, failed);
+      }
+
+      const written = entries.length - failed.length;
+      if (written === 0) return;
+      if (part === 'events') this.stats.flushed += written;
+      // Counters just moved; announce any allowance threshold crossed. Not awaited.
+      if (part === 'users') webhookService.checkUsageThresholds(entries.map(entry => entry.userId));
+    }));
+
+    this.stats.last_flush_at = new Date();
+  }
+
+  requeue(part, entries) {
+    const overflow = entries.length - config.usageEvents.maxBufferedEvents;
+    if (overflow > 0) {
+      this.stats.dropped += overflow;
+      entries = entries.slice(overflow);
+    }
+    this.retry[part] = entries;
+  }
+
+  // Turn raw events into the four kinds of writes
+  aggregate(events) {
+    const usageRecords = new Map();
+    const users = new Map();
+    const apiKeys = new Map();
+
+    for (const event of events) {
+      const failed = event.status_code >= 400;
+
+      if (event.category) {
+        const day = UsageRecord.toDay(event.timestamp);
+        const endpoint = `${event.method} ${event.endpoint}`;
+        const key = `${event.userId}|${event.apiKeyId}|${day}|${endpoint}`;
+        const record = usageRecords.get(key) || {
+          userId: event.userId,
+          apiKeyId: event.apiKeyId,
+          day,
+          endpoint,
+          category: event.category,
+          requests: 0,
+          units: 0,
+          failed_requests: 0,
+          overage_enabled_units: 0,
+          plan_units: {}
+        };
+        if (failed) {
+          record.failed_requests += 1;
+        } else {
+          record.requests += 1;
+          record.units += event.units;
+          if (event.overage_enabled) record.overage_enabled_units += event.units;
+          if (event.plan) record.plan_units[event.plan] = (record.plan_units[event.plan] || 0) + event.units;
+        }
+        usageRecords.set(key, record);
+
+        // Only successful metered requests count against the plan allowance
+        if (!failed) {
+          const userKey = String(event.userId);
+          const user = users.get(userKey) || { userId: event.userId, requests: 0, units: 0, lastRequest: event.timestamp };
+          user.requests += 1;
+          user.units += event.units;
+          if (event.timestamp > user.lastRequest) user.lastRequest = event.timestamp;
+          users.set(userKey, user);
+        }
+      }
+
+      if (event.apiKeyId) {
+        const apiKeyKey = String(event.apiKeyId);
+        const apiKey = apiKeys.get(apiKeyKey) || { apiKeyId: event.apiKeyId, requests: 0, errors: 0, lastUsed: event.timestamp };
+        if (failed) {
+          apiKey.errors += 1;
+        } else {
+          apiKey.requests += 1;
+        }
+        if (event.timestamp > apiKey.lastUsed) apiKey.lastUsed = event.timestamp;
+        apiKeys.set(apiKeyKey, apiKey);
+      }
+    }
+
+    return {
+      events: events.map(({ userId, apiKeyId, method, endpoint, status_code, response_time_ms, timestamp }) => ({
+        userId, apiKeyId, method, endpoint, status_code, response_time_ms, timestamp
+      })),
+      usageRecords: [...usageRecords.values()],
+      users: [...users.values()],
+      apiKeys: [...apiKeys.values()]
+    };
+  }
+
+  getStatus() {
+    return {
+      buffered: this.buffer.length,
+      awaiting_retry: Object.fromEntries(Object.entries(this.retry).map(([part, entries]) => [part, entries.length])),
+      ...this.stats
+    };
+  }
+
+  parseWindow({ interval = 'hour', from, to } = {}) {
+    if (!MAX_RANGE_MS[interval]) {
+      throw badRequest('interval must be hour or day', 'INVALID_INTERVAL');
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS[interval]);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw badRequest('"from" must be a date before "to"', 'INVALID_DATE_RANGE');
+    }
+    if (end - start > MAX_RANGE_MS[interval]) {
+      throw badRequest(`Ranges by ${interval} can span at most ${MAX_RANGE_MS[interval] / DAY_MS} days`, 'RANGE_TOO_LARGE');
+    }
+
+    return { interval, from: start, to: end };
+  }
+
+  // Time series, totals and busiest endpoints for one key
+  async getKeyAnalytics(apiKey, query) {
+    const window = this.parseWindow(query);
+    const match = { apiKeyId: toObjectId(apiKey._id) };
+
+    const [series, [totals], endpoints] = await Promise.all([
+      UsageEvent.timeSeries(match, window),
+      UsageEvent.totals(match, window),
+      UsageEvent.totals(match, window, 'endpoint', 20)
+    ]);
+
+    return {
+      api_key: {
+        id: apiKey._id,
+        name: apiKey.name,
+        masked_key: apiKey.key_prefix ? `${apiKey.key_prefix}...` : undefined
+      },
+      ...window,
+      totals: totals || { requests: 0, errors: 0, error_rate: 0, p50_ms: null, p95_ms: null },
+      series,
+      endpoints
+    };
+  }
+
+  // One row per key the user made requests with in the range
+  async getKeysOverview(userId, query) {
+    const window = this.parseWindow(query);
+    const rows = await UsageEvent.totals({ userId: toObjectId(userId) }, window, 'apiKeyId');
+
+    const keys = await ApiKey.find({ _id: { $in: rows.map(row => row.apiKeyId).filter(Boolean) } })
+      .select('name key_prefix status');
+    const byId = Object.fromEntries(keys.map(key => [String(key._id), key]));
+
+    return {
+      ...window,
+      keys: rows.map(row => ({
+        ...row,
+        name: row.apiKeyId ? byId[String(row.apiKeyId)]?.name || 'Deleted key' : 'User session',
+        status: row.apiKeyId ? byId[String(row.apiKeyId)]?.status || 'deleted' : undefined
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const usageEventService = new UsageEventService();
+
+export default usageEventService;
@@ -1,56 +1,332 @@
 import User from '../models/User.js';
-import ApiKey from '../models/ApiKey.js';
+import apiKeyService from './apiKeyService.js';
+import emailService from './emailService.js';
+import sessionService from './sessionService.js';
+import logger from '../utils/logger.js';
+import { AppError, notFound, conflict } from '../utils/errors.js';
 
-// Function to register a new user
-export const registerUser = async (userData) => {
-    const user = new User(userData);
-    await user.save();
-    return user;
-};
+class UserService {
+  constructor() {
+    // Profile fields a user may change on their own account
+    this.profileFields = ['firstName', 'lastName', 'company', 'bio'];
+    this.preferenceFields = ['email_notifications', 'marketing_emails', 'preferred_categories', 'default_language'];
+  }
+
+  /**
+   * Create an account together with a first API key and email a verification
+   * link. The account stays in `pending_verification` (and its API key
+   * unusable) until the link is followed.
+   * Resolves to { user, apiKey, key } where `key` is the plaintext API key; it
+   * is not stored and cannot be shown again.
+   */
+  async register(data, requestMeta = {}) {
+    try {
+      const existing = await User.findOne({
+        $or: [{ email: data.email.toLowerCase() }, { username: data.username }]
+      });
+
+      if (existing) {
+        const field = existing.email === data.email.toLowerCase() ? 'email' : 'username';
+        throw conflict(`An account with this ${field} already exists`, 'USER_EXISTS');
+      }
+
+      const user = new User({
+        username: data.username,
+        email: data.email,
+        password: data.password,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        company: data.company,
+        status: 'pending_verification',
+        metadata: {
+          ip_address: requestMeta.ip,
+          user_agent: requestMeta.userAgent,
+          referral_source: data.referral_source
+        }
+      });
+      user.updatePlanLimits();
+      const verificationToken = user.createEmailVerificationToken();
 
-// Function to authenticate a user
-export const authenticateUser = async (email, password) => {
-    const user = await User.findOne({ email });
-    if (!user || !(await user.comparePassword(password))) {
-        throw new Error('Invalid credentials');
+      try {
+        await user.save();
+      } catch (error) {
+        // Lost a race with a concurrent registration
+        if (error.code === 11000) {
+          throw conflict('An account with this email or username already exists', 'USER_EXISTS');
+        }
+        throw error;
+      }
+
+      let created;
+      try {
+        created = await apiKeyService.createKey(
+          user,
+          { name: 'Default key' },
+          requestMeta
+        );
+      } catch (error) {
+        // An account without its key can't be used, and would keep the email
+        // and username taken when the client retries
+        await User.deleteOne({ _id: user._id }).catch((cleanupError) => {
+          logger.logError(cleanupError, null, { operation: 'registerUserCleanup', userId: user._id });
+        });
+        throw error;
+      }
+      const { apiKey, key } = created;
+
+      logger.logBusiness('User Registered', {
+        userId: user._id,
+        plan: user.plan
+      });
+
+      // The account exists either way; a failed send can be retried via resend
+      await emailService.sendVerificationEmail(user, verificationToken).catch(() => {});
+
+      return { user, apiKey, key };
+    } catch (error) {
+      logger.logError(error, null, { operation: 'registerUser' });
+      throw error;
     }
-    return user;
-};
+  }
+
+  /**
+   * Check credentials. Resolves to { user, tokens } for a finished login, or to
+   * { user, twoFactor: 'challenge' | 'setup', twoFactorToken } when the user
+   * must still enter a 2FA code or enrol in 2FA first.
+   */
+  async authenticate(email, password, requestMeta = {}) {
+    const user = await User.findByEmail(email).select('+password');
 
-// Function to track API usage
-export const trackUsage = async (userId) => {
-    const user = await User.findById(userId);
     if (!user) {
-        throw new Error('User not found');
+      logger.logSecurity('Failed Login', { reason: 'unknown_email', ip: requestMeta.ip });
+      throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    if (user.isAccountLocked()) {
+      logger.logSecurity('Login Attempt On Locked Account', { userId: user._id, ip: requestMeta.ip });
+      throw new AppError('Account is temporarily locked, please try again later', 423, 'ACCOUNT_LOCKED');
+    }
+
+    if (!(await user.comparePassword(password))) {
+      await user.recordFailedLogin();
+
+      logger.logSecurity('Failed Login', {
+        userId: user._id,
+        reason: 'wrong_password',
+        attempts: user.security.login_attempts,
+        locked: user.isAccountLocked(),
+        ip: requestMeta.ip
+      });
+
+      throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    if (user.status === 'pending_verification') {
+      throw new AppError('Please confirm your email address before logging in', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    if (user.status !== 'active') {
+      throw new AppError('Account is not active', 403, 'INACTIVE_ACCOUNT');
+    }
+
+    // Password is right but a code is still needed; attempts are reset once it is given
+    if (user.security.two_factor_enabled) {
+      return { user, twoFactor: 'challenge', twoFactorToken: user.generateTwoFactorToken('2fa_challenge') };
+    }
+
+    await user.recordSuccessfulLogin();
+
+    if (user.isTwoFactorRequired()) {
+      logger.logSecurity('Two-Factor Enrolment Required At Login', { userId: user._id, ip: requestMeta.ip });
+      return { user, twoFactor: 'setup', twoFactorToken: user.generateTwoFactorToken('2fa_setup') };
+    }
+
+    logger.logSecurity('User Logged In', { userId: user._id, ip: requestMeta.ip });
+
+    return { user, tokens: await sessionService.createSession(user, requestMeta) };
+  }
+
+  // Confirm an email address and activate the account
+  async verifyEmail(token, requestMeta = {}) {
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      throw new AppError('Verification link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    await user.markEmailVerified();
+
+    logger.logBusiness('Email Verified', { userId: user._id });
+
+    return { user, tokens: await sessionService.createSession(user, requestMeta) };
+  }
+
+  // Send a fresh verification link. Silent for unknown or verified addresses
+  // so the endpoint cannot be used to discover accounts.
+  async resendVerification(email) {
+    const user = await User.findByEmail(email);
+    if (!user || user.verification.email_verified || user.status !== 'pending_verification') {
+      return;
     }
-    user.usageCount += 1; // Increment usage count
+
+    const token = user.createEmailVerificationToken();
     await user.save();
-    return user.usageCount;
-};
 
-// Function to get user details
-export const getUserDetails = async (userId) => {
-    const user = await User.findById(userId);
+    // Not awaited: how long SMTP takes must not reveal whether the account exists
+    emailService.sendVerificationEmail(user, token).catch(() => {});
+  }
+
+  // Email a password reset link. Silent for unknown addresses.
+  async requestPasswordReset(email, requestMeta = {}) {
+    const user = await User.findByEmail(email);
+    if (!user || ['suspended', 'deleted'].includes(user.status)) {
+      logger.logSecurity('Password Reset Requested For Unknown Account', { ip: requestMeta.ip });
+      return;
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    logger.logSecurity('Password Reset Requested', { userId: user._id, ip: requestMeta.ip });
+
+    // Not awaited, as above; the send logs its own failures
+    emailService.sendPasswordResetEmail(user, token).catch(() => {});
+  }
+
+  async resetPassword(token, password, requestMeta = {}) {
+    const user = await User.findByPasswordResetToken(token);
     if (!user) {
-        throw new Error('User not found');
+      throw new AppError('Password reset link is invalid or has expired', 400, 'INVALID_TOKEN');
     }
+
+    // The link was delivered to the account's address, which proves ownership
+    if (user.status === 'pending_verification') {
+      user.verification.email_verified = true;
+      user.status = 'active';
+    }
+
+    await user.resetPassword(password);
+    await sessionService.revokeAllSessions(user, 'password_change');
+
+    logger.logSecurity('Password Reset Completed', { userId: user._id, ip: requestMeta.ip });
+
+    await emailService.sendPasswordChangedEmail(user).catch(() => {});
+
     return user;
-};
+  }
 
-// Function to update user information
-export const updateUser = async (userId, updateData) => {
-    const user = await User.findByIdAndUpdate(userId, updateData, { new: true });
+  /**
+   * Change the password of a logged-in user. Every existing session and
+   * access token is revoked; a fresh session is started for this device.
+   */
+  async changePassword(userId, currentPassword, newPassword, requestMeta = {}) {
+    const user = await User.findById(userId).select('+password');
     if (!user) {
-        throw new Error('User not found');
+      throw notFound('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      logger.logSecurity('Password Change Failed', { userId, reason: 'wrong_password', ip: requestMeta.ip });
+      throw new AppError('Current password is incorrect', 401, 'INVALID_CREDENTIALS');
     }
-    return user;
-};
 
-// Function to delete a user
-export const deleteUser = async (userId) => {
-    const user = await User.findByIdAndDelete(userId);
+    user.password = newPassword;
+    await user.save();
+    await sessionService.revokeAllSessions(user, 'password_change');
+
+    logger.logSecurity('Password Changed', { userId, ip: requestMeta.ip });
+
+    await emailService.sendPasswordChangedEmail(user).catch(() => {});
+
+    return { user, tokens: await sessionService.createSession(user, requestMeta) };
+  }
+
+  async getUser(userId) {
+    const user = await User.findById(userId);
     if (!user) {
-        throw new Error('User not found');
+      throw notFound('User not found', 'USER_NOT_FOUND');
     }
     return user;
-};
\ No newline at end of file
+  }
+
+  // Apply whitelisted profile and preference changes
+  async updateProfile(userId, updates) {
+    try {
+      const user = await this.getUser(userId);
+
+      for (const field of this.profileFields) {
+        if (updates[field] !== undefined) {
+          user[field] = updates[field];
+        }
+      }
+
+      if (updates.preferences) {
+        for (const field of this.preferenceFields) {
+          if (updates.preferences[field] !== undefined) {
+            user.preferences[field] = updates.preferences[field];
+          }
+        }
+      }
+
+      await user.save();
+
+      logger.logBusiness('User Profile Updated', {
+        userId,
+        fields: Object.keys(updates)
+      });
+
+      return user;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'updateProfile', userId });
+      throw error;
+    }
+  }
+
+  // Monthly quota and lifetime usage for a user
+  async getUsage(userId) {
+    const user = await this.getUser(userId);
+    const activeKeys = await apiKeyService.countActiveKeys(userId);
+    const unlimited = user.planLimits.monthly_requests === -1;
+
+    return {
+      plan: user.plan,
+      monthly_limit: unlimited ? null : user.planLimits.monthly_requests,
+      unlimited,
+      monthly_requests: user.usage.monthly_requests,
+      monthly_units: user.usage.monthly_units,
+      overage_enabled: user.allowsOverage(),
+      remainingRequests: user.remainingRequests,
+      usagePercentage: Math.round(user.usagePercentage * 100) / 100,
+      total_requests: user.usage.total_requests,
+      last_request: user.usage.last_request,
+      reset_date: user.usage.monthly_reset_date,
+      active_api_keys: activeKeys,
+      api_key_limit: apiKeyService.getPlanKeyLimit(user.plan)
+    };
+  }
+
+  // Account totals across all users (admin)
+  async getUserStats() {
+    const [byPlan, byStatus, total] = await Promise.all([
+      User.getUserStats(),
+      User.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      User.countDocuments()
+    ]);
+
+    return {
+      total_users: total,
+      by_plan: byPlan.reduce((acc, { _id, count, total_requests }) => {
+        acc[_id] = { count, total_requests };
+        return acc;
+      }, {}),
+      by_status: byStatus.reduce((acc, { _id, count }) => {
+        acc[_id] = count;
+        return acc;
+      }, {})
+    };
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+export default userService;
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { createQueue, createWorker } from '../config/queue.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { notFound, conflict } from '../utils/errors.js';
+import { assertPublicWebhookUrl, guardedLookup } from '../utils/webhookUrl.js';
+
+const QUEUE_NAME = 'webhooks';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_PENDING_MS = 5 * 60 * 1000;
+const USER_AGENT = 'RandomFactGenerator-Webhooks/1.0';
+
+// Receivers compute the same HMAC over `${timestamp}.${body}` to verify a delivery
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Outbound webhooks. Each API key can register one URL; events for the key's
+ * owner are stored as WebhookDelivery documents and POSTed by a BullMQ worker,
+ * signed with the key's webhook secret and retried with exponential backoff.
+ */
+class WebhookService {
+  constructor() {
+    this.queue = null;
+    this.worker = null;
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      this.queue = createQueue(QUEUE_NAME, {
+        attempts: config.webhooks.maxAttempts,
+        backoff: { type: 'exponential', delay: config.webhooks.backoffDelayMs }
+      });
+    }
+    return this.queue;
+  }
+
+  // Start the delivery worker and the periodic scan (expiring keys, stuck deliveries)
+  async start() {
+    if (this.worker) return;
+
+    this.worker = createWorker(QUEUE_NAME, (job) => {
+      if (job.name === 'scan') {
+        return this.scan();
+      }
+      return this.deliver(job);
+    });
+
+    await this.getQueue().add('scan', {}, {
+      jobId: 'scan',
+      repeat: { every: config.webhooks.expiryScanIntervalMs },
+      attempts: 1
+    });
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Queue `event` for every webhook of `userId` subscribed to it. Never
+   * throws: a webhook problem must not fail the request that raised the event.
+   * Resolves to the number of deliveries created.
+   */
+  async emit(userId, event, data) {
+    if (!userId) return 0;
+
+    try {
+      const targets = await ApiKey.findWebhookTargets(userId, event);
+      if (targets.length === 0) return 0;
+
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const payload = JSON.stringify({
+        id: eventId,
+        event,
+        created_at: new Date().toISOString(),
+        data
+      });
+
+      const deliveries = await WebhookDelivery.insertMany(targets.map(apiKey => ({
+        apiKeyId: apiKey._id,
+        userId,
+        event,
+        event_id: eventId,
+        url: apiKey.metadata.webhook_url,
+        payload
+      })));
+
+      await Promise.all(deliveries.map(delivery => this.enqueue(delivery)));
+
+      logger.logBusiness('Webhook Event Emitted', { userId, event, eventId, deliveries: deliveries.length });
+
+      return deliveries.length;
+    } catch (error) {
+      logger.logError(error, null, { operation: 'emitWebhook', userId, event });
+      return 0;
+    }
+  }
+
+  // A delivery left pending because Redis was unavailable is picked up by the next scan
+  async enqueue(delivery, options = {}) {
+    try {
+      await this.getQueue().add('deliver', { deliveryId: String(delivery._id) }, {
+        jobId: String(delivery._id),
+        ...options
+      });
+    } catch (error) {
+      logger.logError(error, null, { operation: 'enqueueWebhook', deliveryId: delivery._id });
+    }
+  }
+
+  // Worker: one attempt at one delivery. Throws on failure so BullMQ retries.
+  async deliver(job) {
+    const delivery = await WebhookDelivery.findById(job.data.deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const final = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    const apiKey = await ApiKey.findById(delivery.apiKeyId).select('+webhook.secret');
+
+    if (!apiKey || apiKey.status !== 'active' || !apiKey.webhook.secret) {
+      await delivery.recordAttempt({ error: 'Webhook is no longer configured' }, { delivered: false, final: true });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date() };
+
+    try {
+      // The URL was checked when it was set; its host may resolve elsewhere now
+      await assertPublicWebhookUrl(delivery.url);
+
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(apiKey.webhook.secret, timestamp, delivery.payload)}`
+        },
+        timeout: config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        lookup: guardedLookup,
+        transformRequest: [body => body],
+        validateStatus: () => true
+      });
+
+      attempt.status_code = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Receiver responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    attempt.duration_ms = Date.now() - attempt.at.getTime();
+    const delivered = !attempt.error;
+
+    await delivery.recordAttempt(attempt, { delivered, final });
+    await ApiKey.updateOne({ _id: apiKey._id }, delivered
+      ? { $set: { 'webhook.consecutive_failures': 0, 'webhook.last_delivery_at': attempt.at } }
+      : { $inc: { 'webhook.consecutive_failures': 1 } });
+
+    if (!delivered) {
+      if (final) {
+        logger.logBusiness('Webhook Delivery Failed', {
+          deliveryId: delivery._id,
+          apiKeyId: apiKey._id,
+          event: delivery.event,
+          attempts: delivery.attempts.length
+        });
+      }
+      throw new Error(attempt.error);
+    }
+  }
+
+  // Send a past delivery again, to the key's current URL, as a single attempt
+  async redeliver(userId, deliveryId) {
+    const original = await this.getDelivery(userId, deliveryId);
+
+    const apiKey = await ApiKey.findOne({ _id: original.apiKeyId, userId, status: 'active' });
+    if (!apiKey || !apiKey.metadata.webhook_url) {
+      throw conflict('The API key for this delivery no longer has an active webhook', 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      apiKeyId: original.apiKeyId,
+      userId,
+      event: original.event,
+      event_id: original.event_id,
+      url: apiKey.metadata.webhook_url,
+      payload: original.payload,
+      redelivery_of: original._id
+    });
+
+    await this.enqueue(delivery, { attempts: 1 });
+
+    logger.logBusiness('Webhook Redelivery Requested', { userId, deliveryId: original._id, redeliveryId: delivery._id });
+
+    return delivery;
+  }
+
+  async listDeliveries(userId, { page = 1, limit = 20, status, event, api_key_id } = {}) {
+    const query = { userId };
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (api_key_id) query.apiKeyId = api_key_id;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-attempts')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getDelivery(userId, deliveryId) {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, userId });
+    if (!delivery) {
+      throw notFound('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+    return delivery;
+  }
+
+  async scan(now = new Date()) {
+    const [expiring, requeued] = await Promise.all([
+      this.notifyExpiringKeys(now),
+      this.requeueStalled(now)
+    ]);
+    return { expiring, requeued };
+  }
+
+  // key.expiring, once per key, `expiryNoticeDays` before it expires
+  async notifyExpiringKeys(now = new Date()) {
+    const keys = await ApiKey.find({
+      status: 'active',
+      expiry: { $gt: now, $lte: new Date(now.getTime() + config.webhooks.expiryNoticeDays * DAY_MS) },
+      'webhook.expiry_notified_at': null
+    });
+
+    let notified = 0;
+    for (const apiKey of keys) {
+      // Claim the notice first so two workers cannot both send it
+      const { modifiedCount } = await ApiKey.updateOne(
+        { _id: apiKey._id, 'webhook.expiry_notified_at': null },
+        { $set: { 'webhook.expiry_notified_at': now } }
+      );
+      if (modifiedCount === 0) continue;
+
+      await this.emit(apiKey.userId, 'key.expiring', {
+        api_key: {
+          id: apiKey._id,
+          name: apiKey.name,
+          masked_key: `${apiKey.key_prefix}...`
+        },
+        expires_at: apiKey.expiry,
+        days_until_expiry: apiKey.days_until_expiry
+      });
+      notified += 1;
+    }
+    return notified;
+  }
+
+  async requeueStalled(now = new Date()) {
+    const stalled = await WebhookDelivery.find({
+      status: 'pending',
+      'attempts.0': { $exists: false },
+      created_at: { $lt: new Date(now.getTime() - STALE_PENDING_MS) }
+    }).limit(500);
+
+    await Promise.all(stalled.map(delivery =>
+      this.enqueue(delivery, delivery.redelivery_of ? { attempts: 1 } : {})
+    ));
+    return stalled.length;
+  }
+
+  /**
+   * usage.threshold_reached when a user's metered units cross one of
+   * `webhooks.usageThresholds` percent of the plan allowance. Each threshold
+   * is sent once per month. Never rejects.
+   */
+  async checkUsageThresholds(userIds) {
+    try {
+      const users = await User.find({ _id: { $in: userIds } }).select('plan planLimits usage billing');
+
+      for (const user of users) {
+        const limit = user.planLimits.monthly_requests;
+        if (!limit || limit === -1) continue;
+
+        const units = user.usage.monthly_units || 0;
+        const percentage = (units / limit) * 100;
+        const notified = user.usage.thresholds_notified || [];
+
+        for (const threshold of config.webhooks.usageThresholds) {
+          if (percentage < threshold || notified.includes(threshold)) continue;
+
+          const { modifiedCount } = await User.updateOne(
+            { _id: user._id, 'usage.thresholds_notified': { $ne: threshold } },
+            { $addToSet: { 'usage.thresholds_notified': threshold } }
+          );
+          if (modifiedCount === 0) continue;
+
+          await this.emit(user._id, 'usage.threshold_reached', {
+            threshold,
+            plan: user.plan,
+            monthly_units: units,
+            monthly_limit: limit,
+            usage_percentage: Math.round(percentage * 100) / 100,
+            overage_enabled: user.allowsOverage(),
+            resets_at: user.usage.monthly_reset_date
+          });
+        }
+      }
+    } catch (error) {
+      logger.logError(error, null, { operation: 'checkUsageThresholds' });
+    }
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+export default webhookService;
@@ -0,0 +1,105 @@
+import Joi from 'joi';
+import Fact from '../models/Fact.js';
+
+// Parsing and validation of structured (JSON) replies from AI models
+
+const CATEGORIES = Fact.schema.path('category').enumValues;
+
+/**
+ * A model reply that could not be used. `reasons` lists what was wrong
+ * (invalid JSON, each schema violation) for logs and repair prompts.
+ */
+export class AIOutputError extends Error {
+  constructor(message, reasons = []) {
+    super(message);
+    this.name = 'AIOutputError';
+    this.reasons = reasons;
+  }
+}
+
+// Text inside the first ``` fence, or the text itself without one
+export const stripCodeFences = (text) => {
+  const fenced = text.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/);
+  return (fenced ? fenced[1] : text).trim();
+};
+
+// The JSON object or array in a reply, dropping any prose around it
+export const extractJson = (text) => {
+  const stripped = stripCodeFences(text);
+  const start = stripped.search(/[[{]/);
+  if (start === -1) return stripped;
+
+  const close = stripped[start] === '{' ? '}' : ']';
+  const end = stripped.lastIndexOf(close);
+  return end > start ? stripped.slice(start, end + 1) : stripped.slice(start);
+};
+
+// Parse a reply and validate it against a Joi schema, resolving with the
+// validated (converted, unknown keys stripped) value
+export const parseStructured = (content, schema) => {
+  if (!content || !content.trim()) {
+    throw new AIOutputError('Reply is empty', ['empty reply']);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(extractJson(content));
+  } catch (error) {
+    throw new AIOutputError('Reply is not valid JSON', [`invalid JSON: ${error.message}`]);
+  }
+
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true, convert: true });
+  if (error) {
+    throw new AIOutputError('Reply does not match the expected format', error.details.map(detail => detail.message));
+  }
+  return value;
+};
+
+// Fact text must fit the Fact model and must not be leftover markup
+const factText = Joi.string().trim().min(10).max(1000)
+  .pattern(/```|^\s*[{[]/, { invert: true, name: 'plain text' });
+
+export const AI_OUTPUT_SCHEMAS = {
+  generate: Joi.object({
+    fact: factText.required(),
+    category: Joi.string().lowercase().valid(...CATEGORIES),
+    source_context: Joi.string().allow('').max(500),
+    verification_level: Joi.string().lowercase().valid('high', 'medium', 'low').default('medium'),
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).default([])
+  }),
+
+  moderate: Joi.object({
+    approved: Joi.boolean().required(),
+    confidence: Joi.number().min(0).max(1).required(),
+    issues: Joi.array().items(Joi.string()).default([]),
+    recommendation: Joi.string().allow('').default('')
+  }),
+
+  suggest: Joi.array().min(1).max(20).items(Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    category: Joi.string().lowercase().valid(...CATEGORIES).default('general').failover('general'),
+    complexity: Joi.string().lowercase().valid('simple', 'intermediate', 'advanced').default('intermediate').failover('intermediate'),
+    estimated_interest: Joi.number().integer().min(1).max(10).default(5).failover(5)
+  })),
+
+  analyze: Joi.object({
+    category: Joi.string().lowercase().valid(...CATEGORIES).required(),
+    confidence: Joi.number().min(0).max(1).default(0.5),
+    keywords: Joi.array().items(Joi.string().trim().lowercase().max(30)).default([]),
+    summary: Joi.string().trim().allow('').default('')
+  }),
+
+  extractClaims: Joi.object({
+    claims: Joi.array().items(Joi.string().trim().min(1)).min(1).required()
+  }),
+
+  judgeClaims: Joi.object({
+    results: Joi.array().items(Joi.object({
+      claim: Joi.number().integer().min(1).required(),
+      verdict: Joi.string().lowercase().valid('supported', 'contradicted', 'unverifiable').required(),
+      confidence: Joi.number().min(0).max(1).default(0.5),
+      evidence: Joi.array().items(Joi.string()).default([]),
+      explanation: Joi.string().allow('').default('')
+    })).required()
+  })
+};
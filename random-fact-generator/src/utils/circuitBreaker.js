@@ -0,0 +1,99 @@
+import logger from './logger.js';
+
+/**
+ * Circuit breaker for calls to a dependency that can go down.
+ *
+ * Closed: calls go through, and `failureThreshold` failures in a row open
+ * it. Open: calls are refused until `resetTimeoutMs` has passed; it is then
+ * half-open and lets a single trial call through. The trial succeeding
+ * closes it, failing opens it again. State is per process.
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold, resetTimeoutMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.timesOpened = 0;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+  }
+
+  // An open breaker becomes half-open once its reset timeout has passed
+  currentState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      return 'half_open';
+    }
+    return this.state;
+  }
+
+  // Whether a call would be let through now, without claiming the trial
+  isAvailable() {
+    const state = this.currentState();
+    return state === 'closed' || (state === 'half_open' && !this.trialInFlight);
+  }
+
+  // Claim the right to make one call; false while the breaker is open
+  acquire() {
+    const state = this.currentState();
+    if (state === 'closed') return true;
+    if (state === 'half_open' && !this.trialInFlight) {
+      this.state = 'half_open';
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // The call ended without telling anything about the dependency (e.g. the
+  // caller cancelled it)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit breaker closed', { breaker: this.name });
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    // Calls still in flight when it opened don't extend the open period
+    if (this.state === 'half_open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.timesOpened++;
+      logger.warn('Circuit breaker opened', {
+        breaker: this.name,
+        consecutiveFailures: this.consecutiveFailures,
+        resetTimeoutMs: this.resetTimeoutMs,
+        error: error.message
+      });
+    }
+  }
+
+  getStatus() {
+    const state = this.currentState();
+    return {
+      state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeoutMs,
+      opened_at: this.openedAt && state !== 'closed' ? new Date(this.openedAt).toISOString() : null,
+      retry_at: state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      times_opened: this.timesOpened,
+      last_failure: this.lastFailure
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,89 @@
+/**
+ * Transactional email templates. Each template takes the data it needs and
+ * returns { subject, text, html }.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px; margin-top: 32px;">Random Fact Generator API</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #2563eb; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>
+    <p style="font-size: 12px;">Or paste this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+const greeting = (username) => `Hi ${username},`;
+
+const formatDuration = (ms) => {
+  const hours = Math.round(ms / (60 * 60 * 1000));
+  return hours >= 1 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${Math.round(ms / 60000)} minutes`;
+};
+
+export const templates = {
+  verifyEmail: ({ username, url, expiresInMs }) => ({
+    subject: 'Confirm your email address',
+    text: [
+      greeting(username),
+      '',
+      'Thanks for signing up. Confirm your email address to activate your account and API keys:',
+      url,
+      '',
+      `This link expires in ${formatDuration(expiresInMs)}. If you did not create an account, ignore this email.`
+    ].join('\n'),
+    html: layout('Confirm your email address', `
+    <p>${escapeHtml(greeting(username))}</p>
+    <p>Thanks for signing up. Confirm your email address to activate your account and API keys.</p>
+    ${button(url, 'Confirm email')}
+    <p>This link expires in ${formatDuration(expiresInMs)}. If you did not create an account, ignore this email.</p>`)
+  }),
+
+  passwordReset: ({ username, url, expiresInMs }) => ({
+    subject: 'Reset your password',
+    text: [
+      greeting(username),
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      url,
+      '',
+      `This link expires in ${formatDuration(expiresInMs)}. If you did not ask for a reset, ignore this email; your password will not change.`
+    ].join('\n'),
+    html: layout('Reset your password', `
+    <p>${escapeHtml(greeting(username))}</p>
+    <p>We received a request to reset your password.</p>
+    ${button(url, 'Choose a new password')}
+    <p>This link expires in ${formatDuration(expiresInMs)}. If you did not ask for a reset, ignore this email; your password will not change.</p>`)
+  }),
+
+  passwordChanged: ({ username }) => ({
+    subject: 'Your password was changed',
+    text: [
+      greeting(username),
+      '',
+      'The password for your account was just changed. If this was not you, reset your password immediately and contact support.'
+    ].join('\n'),
+    html: layout('Your password was changed', `
+    <p>${escapeHtml(greeting(username))}</p>
+    <p>The password for your account was just changed. If this was not you, reset your password immediately and contact support.</p>`)
+  })
+};
+
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+export default renderTemplate;
@@ -0,0 +1,26 @@
+/**
+ * Application error carrying an HTTP status and a machine-readable error code.
+ * Services throw these; the global error handler turns them into responses.
+ */
+export class AppError extends Error {
+  constructor(message, statusCode = 500, errorCode = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+  }
+}
+
+export const notFound = (message = 'Resource not found', errorCode = 'NOT_FOUND') =>
+  new AppError(message, 404, errorCode);
+
+export const badRequest = (message, errorCode = 'BAD_REQUEST') =>
+  new AppError(message, 400, errorCode);
+
+export const conflict = (message, errorCode = 'CONFLICT') =>
+  new AppError(message, 409, errorCode);
+
+export const forbidden = (message, errorCode = 'FORBIDDEN') =>
+  new AppError(message, 403, errorCode);
+
+export default AppError;
@@ -0,0 +1,125 @@
+// Serializers for streaming fact exports (JSON, NDJSON, CSV)
+
+export const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+export const EXPORT_FIELDS = [
+  '_id',
+  'fact',
+  'category',
+  'source',
+  'source_url',
+  'verified',
+  'moderation_status',
+  'ai_generated',
+  'ai_model',
+  'tags',
+  'difficulty_level',
+  'language',
+  'view_count',
+  'likes',
+  'dislikes',
+  'created_at',
+  'updated_at'
+];
+
+const ACCEPT_TYPES = {
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'text/csv': 'csv',
+  'application/json': 'json'
+};
+
+/**
+ * Pick the export format from an explicit `format` value, falling back to the
+ * Accept header and finally JSON.
+ */
+export function resolveExportFormat(format, acceptHeader = '') {
+  if (format) {
+    return EXPORT_FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+  }
+
+  const accepted = acceptHeader
+    .split(',')
+    .map(type => type.split(';')[0].trim().toLowerCase());
+
+  for (const type of accepted) {
+    if (ACCEPT_TYPES[type]) {
+      return ACCEPT_TYPES[type];
+    }
+  }
+
+  return 'json';
+}
+
+function pickExportFields(doc) {
+  const record = {};
+  for (const field of EXPORT_FIELDS) {
+    const value = doc[field];
+    if (value === undefined || value === null) {
+      record[field] = null;
+    } else if (value instanceof Date) {
+      record[field] = value.toISOString();
+    } else if (field === '_id') {
+      record[field] = value.toString();
+    } else {
+      record[field] = value;
+    }
+  }
+  return record;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a serializer for the given format. Each serializer exposes the pieces
+ * of the output stream: an opening chunk, one chunk per record and a closing chunk.
+ */
+export function createExportSerializer(format) {
+  switch (format) {
+    case 'ndjson':
+      return {
+        contentType: 'application/x-ndjson',
+        extension: 'ndjson',
+        header: () => '',
+        item: (doc) => `${JSON.stringify(pickExportFields(doc))}\n`,
+        footer: () => ''
+      };
+
+    case 'csv':
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        header: () => `${EXPORT_FIELDS.join(',')}\n`,
+        item: (doc) => {
+          const record = pickExportFields(doc);
+          return `${EXPORT_FIELDS.map(field => escapeCsvValue(record[field])).join(',')}\n`;
+        },
+        footer: () => ''
+      };
+
+    case 'json':
+    default:
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        header: () => '[',
+        item: (doc, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(pickExportFields(doc))}`,
+        footer: (count) => (count > 0 ? '\n]\n' : ']\n')
+      };
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  resolveExportFormat,
+  createExportSerializer
+};
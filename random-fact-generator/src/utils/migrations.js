@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { connectToDatabase, disconnectFromDatabase } from '../config/database.js';
+import ApiKey from '../models/ApiKey.js';
+import Fact from '../models/Fact.js';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Replace plaintext API keys with their hash and lookup prefix.
+ * Existing `rfg_` keys keep working: clients present the same value and it is
+ * matched against the stored hash. Safe to run more than once.
+ */
+async function hashApiKeys() {
+  // The old unique index on the plaintext key would reject every document
+  // once the field is removed (they would all index as null)
+  if (await ApiKey.dropLegacyKeyIndex()) {
+    logger.info('🗑️  Replaced legacy unique index key_1 with a sparse one');
+  }
+
+  const cursor = ApiKey.find({ key: { $exists: true, $ne: null } })
+    .select('+key')
+    .cursor();
+
+  let migrated = 0;
+  for await (const apiKey of cursor) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      {
+        $set: {
+          key_hash: ApiKey.hashKey(apiKey.key),
+          key_prefix: ApiKey.getKeyPrefix(apiKey.key)
+        },
+        $unset: { key: '' }
+      }
+    );
+    migrated++;
+  }
+
+  await ApiKey.syncIndexes();
+
+  logger.info(`🔐 Hashed ${migrated} plaintext API keys`);
+  return { migrated };
+}
+
+/**
+ * Give facts stored before the moderation workflow a moderation_status.
+ * Verified facts count as approved; the rest join the moderation queue.
+ * Safe to run more than once.
+ */
+async function backfillModerationStatus() {
+  const unset = { moderation_status: { $exists: false } };
+
+  const approved = await Fact.updateMany(
+    { ...unset, verified: true },
+    { $set: { moderation_status: 'approved' } }
+  );
+  const pending = await Fact.updateMany(
+    { ...unset, verified: { $ne: true } },
+    { $set: { moderation_status: 'pending' } }
+  );
+
+  logger.info(`🛡️  Set moderation status on ${approved.modifiedCount} approved and ${pending.modifiedCount} pending facts`);
+  return { approved: approved.modifiedCount, pending: pending.modifiedCount };
+}
+
+// Registered migrations, run in order
+const migrations = [
+  { name: 'hash-api-keys', run: hashApiKeys },
+  { name: 'backfill-moderation-status', run: backfillModerationStatus }
+];
+
+async function runMigrations(selected = []) {
+  const pending = selected.length > 0
+    ? migrations.filter(migration => selected.includes(migration.name))
+    : migrations;
+
+  const unknown = selected.filter(name => !migrations.some(migration => migration.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown migrations: ${unknown.join(', ')}`);
+  }
+
+  const results = {};
+  for (const migration of pending) {
+    logger.info(`🚚 Running migration ${migration.name}...`);
+    results[migration.name] = await migration.run();
+  }
+  return results;
+}
+
+async function main() {
+  let exitCode = 0;
+  try {
+    await connectToDatabase();
+    logger.info('✅ Connected to database');
+
+    await runMigrations(process.argv.slice(2));
+    logger.info('🎉 Migrations completed');
+  } catch (error) {
+    logger.error('❌ Migration failed:', error);
+    exitCode = 1;
+  } finally {
+    await disconnectFromDatabase();
+    logger.info('🔌 Disconnected from database');
+    process.exit(exitCode);
+  }
+}
+
+// Run migrations if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { migrations, runMigrations };
+export default runMigrations;
@@ -0,0 +1,101 @@
+// Plain text statistics used where an AI model is unavailable or too costly:
+// tokenizing, TF-IDF weighting, cosine similarity and sentence splitting.
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from',
+  'has', 'have', 'had', 'its', 'their', 'than', 'into', 'about', 'which',
+  'can', 'not', 'but', 'also', 'more', 'most', 'been', 'they', 'them',
+  'there', 'these', 'those', 'when', 'what', 'who', 'will', 'would', 'could',
+  'each', 'other', 'some', 'such', 'only', 'over', 'after', 'before', 'while',
+  'very', 'many', 'much', 'one', 'two', 'all', 'any', 'our', 'his', 'her',
+  'she', 'him', 'you', 'your', 'may', 'might', 'does', 'did', 'how', 'why',
+  'where', 'then', 'because', 'between', 'during', 'through', 'being',
+  'too', 'like', 'just', 'even', 'well', 'still', 'make', 'made', 'known',
+  'called', 'named', 'used', 'same', 'own', 'way', 'out', 'now', 'yet'
+]);
+
+// Lowercase words and numbers of three or more characters, without stopwords
+export const tokenize = (text = '') =>
+  (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+    .map(word => word.replace(/'[a-z]+$/, ''))
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+export const contentWords = (text) => new Set(tokenize(text));
+
+// Share of the words of `text` that also appear in `other`
+export const wordOverlap = (text, other) => {
+  const words = contentWords(text);
+  if (words.size === 0) return 0;
+
+  const otherWords = contentWords(other);
+  let shared = 0;
+  for (const word of words) {
+    if (otherWords.has(word)) shared++;
+  }
+  return shared / words.size;
+};
+
+export const splitSentences = (text = '') =>
+  (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+
+/**
+ * Inverse document frequencies of the terms in `documents` (arrays of
+ * tokens), smoothed so unseen terms get the highest weight.
+ */
+export const buildIdf = (documents) => {
+  const documentFrequency = new Map();
+  for (const tokens of documents) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const total = documents.length;
+  const idf = new Map();
+  for (const [term, frequency] of documentFrequency) {
+    idf.set(term, Math.log((total + 1) / (frequency + 1)) + 1);
+  }
+
+  return { idf, unseen: Math.log(total + 1) + 1 };
+};
+
+// TF-IDF weights of a token list as a Map, scaled to unit length
+export const tfidfVector = (tokens, { idf, unseen }) => {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  const vector = new Map();
+  for (const [term, count] of counts) {
+    vector.set(term, (count / tokens.length) * (idf.get(term) ?? unseen));
+  }
+  return normalize(vector);
+};
+
+export const normalize = (vector) => {
+  const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  if (length === 0) return vector;
+
+  for (const [term, weight] of vector) {
+    vector.set(term, weight / length);
+  }
+  return vector;
+};
+
+// Cosine similarity of two unit-length vectors
+export const cosine = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return dot;
+};
+
+// The `limit` heaviest terms of a vector; ties keep first-seen order
+export const topTerms = (vector, limit) =>
+  [...vector.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
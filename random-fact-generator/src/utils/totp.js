@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second
+ * steps), compatible with Google Authenticator, 1Password, Authy and others.
+ * Also holds the helpers that keep TOTP secrets encrypted at rest.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded (160 bits as recommended by RFC 4226)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+// HOTP value for a counter (RFC 4226)
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+export const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, currentStep(timestamp));
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching step, or null. Callers should
+ * store the step and reject codes at or before it to stop replays.
+ */
+export const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const step = currentStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHotp(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(String(code)))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for QR codes (Key URI Format)
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// AES-256-GCM so a database leak alone does not expose TOTP secrets
+const deriveKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+export const encryptSecret = (secret, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptSecret = (payload, key) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+export default {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+};
@@ -1,5 +1,8 @@
 import { body, param, query } from 'express-validator';
 import mongoose from 'mongoose';
+import { isValidScope } from '../config/permissions.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookDelivery.js';
+import { PROMPT_NAMES } from '../config/aiPrompts.js';
 
 // Fact validation rules
 export const factValidators = {
@@ -75,8 +78,7 @@ export const factValidators = {
         return true;
       }),
     body('category')
-      .notEmpty()
-      .withMessage('Category is required')
+      .optional()
       .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
       .withMessage('Invalid category'),
     body('source')
@@ -154,12 +156,48 @@ export const factValidators = {
       .isLength({ min: 10, max: 1000 })
       .withMessage('Each fact must be between 10 and 1000 characters'),
     body('facts.*.category')
-      .notEmpty()
-      .withMessage('Each fact must have a category')
+      .optional()
       .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
       .withMessage('Invalid category in facts array')
   ],
 
+  // Bulk export validation
+  bulkExport: [
+    body('format')
+      .optional()
+      .isIn(['json', 'ndjson', 'csv'])
+      .withMessage('Format must be one of: json, ndjson, csv'),
+    body('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category'),
+    body('verified')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Verified must be a boolean'),
+    body('ai_generated')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('ai_generated must be a boolean'),
+    body('created_from')
+      .optional()
+      .isISO8601()
+      .withMessage('created_from must be an ISO 8601 date'),
+    body('created_to')
+      .optional()
+      .isISO8601()
+      .withMessage('created_to must be an ISO 8601 date'),
+    body('tags')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Tags must be an array with maximum 50 items'),
+    body('tags.*')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Each tag must be between 1 and 30 characters')
+  ],
+
   // Fact interaction validation
   interaction: [
     param('id')
@@ -176,10 +214,52 @@ export const factValidators = {
       .optional()
       .isLength({ max: 500 })
       .withMessage('Reason must be less than 500 characters')
+  ],
+
+  // Moderation queue validation
+  moderationQueue: [
+    query('source')
+      .optional()
+      .isIn(['all', 'ai', 'user'])
+      .withMessage('Source must be one of: all, ai, user'),
+    query('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category'),
+    query('verification')
+      .optional()
+      .isIn(['supported', 'contradicted', 'unverified', 'none'])
+      .withMessage('Verification must be one of: supported, contradicted, unverified, none'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
   ]
 };
 
 // AI validation rules
+// Variables filled into AI prompt templates (see config/aiPrompts.js)
+const promptVariableValidators = [
+  body('difficulty')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Difficulty must be beginner, intermediate or advanced'),
+  body('language')
+    .optional()
+    .matches(/^[a-z]{2}$/)
+    .withMessage('Language must be a two-letter ISO 639-1 code'),
+  body('audience')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Audience must be between 3 and 100 characters')
+];
+
 export const aiValidators = {
   // Generate fact validation
   generateFact: [
@@ -191,6 +271,7 @@ export const aiValidators = {
       .optional()
       .isLength({ min: 3, max: 200 })
       .withMessage('Specific request must be between 3 and 200 characters'),
+    ...promptVariableValidators,
     body('temperature')
       .optional()
       .isFloat({ min: 0, max: 2 })
@@ -215,7 +296,8 @@ export const aiValidators = {
     body('count')
       .optional()
       .isInt({ min: 1, max: 20 })
-      .withMessage('Count must be between 1 and 20')
+      .withMessage('Count must be between 1 and 20'),
+    ...promptVariableValidators
   ],
 
   // Content moderation validation
@@ -239,7 +321,11 @@ export const aiValidators = {
     body('requests.*.specific_request')
       .optional()
       .isLength({ min: 3, max: 200 })
-      .withMessage('Specific request must be between 3 and 200 characters')
+      .withMessage('Specific request must be between 3 and 200 characters'),
+    body('save_to_database')
+      .optional()
+      .isBoolean()
+      .withMessage('save_to_database must be a boolean')
   ],
 
   // Switch model validation
@@ -247,8 +333,122 @@ export const aiValidators = {
     body('model')
       .notEmpty()
       .withMessage('Model is required')
-      .isIn(['xai/grok-3', 'meta-llama/Llama-3.2-11B-Vision-Instruct', 'openai/gpt-4o-mini'])
-      .withMessage('Invalid model selection')
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Invalid model selection'),
+    body('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category')
+  ],
+
+  // AI usage statistics
+  stats: [
+    query(['from', 'to'])
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Dates must look like YYYY-MM-DD'),
+    query('group_by')
+      .optional()
+      .custom(value => String(value).split(',').every(field => ['model', 'operation', 'day', 'userId', 'apiKeyId'].includes(field)))
+      .withMessage('group_by must be a comma-separated list of: model, operation, day, userId, apiKeyId'),
+    query('user_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+
+  // Reference sources for fact verification
+  createReference: [
+    body('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('content')
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Content must be between 10 and 2000 characters'),
+    body('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('URL must be a valid HTTP/HTTPS URL'),
+    body('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category'),
+    body('tags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Tags must be an array with at most 10 items')
+  ],
+
+  listReferences: [
+    query('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('active must be a boolean'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  referenceId: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid reference source ID')
+  ],
+
+  // Prompt templates
+  promptName: [
+    param('name')
+      .isIn(PROMPT_NAMES)
+      .withMessage(`Prompt must be one of: ${PROMPT_NAMES.join(', ')}`)
+  ],
+
+  updatePrompt: [
+    param('name')
+      .isIn(PROMPT_NAMES)
+      .withMessage(`Prompt must be one of: ${PROMPT_NAMES.join(', ')}`),
+    body('system')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 8000 })
+      .withMessage('System prompt must be between 1 and 8000 characters'),
+    body('user')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('User prompt must be between 1 and 2000 characters'),
+    body('note')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Note must be less than 500 characters')
+  ],
+
+  rollbackPrompt: [
+    param('name')
+      .isIn(PROMPT_NAMES)
+      .withMessage(`Prompt must be one of: ${PROMPT_NAMES.join(', ')}`),
+    body('version')
+      .isInt({ min: 0 })
+      .withMessage('Version must be a non-negative integer')
+      .toInt()
+  ],
+
+  // Category model override
+  categoryModel: [
+    param('category')
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category')
   ]
 };
 
@@ -279,7 +479,11 @@ export const userValidators = {
     body('lastName')
       .optional()
       .isLength({ max: 50 })
-      .withMessage('Last name must be less than 50 characters')
+      .withMessage('Last name must be less than 50 characters'),
+    body('company')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Company name must be less than 100 characters')
   ],
 
   // Login validation
@@ -293,6 +497,91 @@ export const userValidators = {
       .withMessage('Password is required')
   ],
 
+  // Email verification token
+  verifyEmail: [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('A valid verification token is required')
+  ],
+
+  // Resend verification / forgot password
+  emailOnly: [
+    body('email')
+      .isEmail()
+      .withMessage('Valid email is required')
+      .normalizeEmail()
+  ],
+
+  // Password reset with emailed token
+  resetPassword: [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('A valid reset token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  ],
+
+  // Refresh token exchange
+  refreshToken: [
+    body('refresh_token')
+      .matches(/^[a-f0-9]{24}\.[a-f0-9]{64}$/)
+      .withMessage('A valid refresh token is required')
+  ],
+
+  // Session by ID
+  sessionId: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+
+  // Second login step
+  twoFactorLogin: [
+    body('challenge_token')
+      .isJWT()
+      .withMessage('A valid challenge token is required'),
+    body('code')
+      .isString()
+      .trim()
+      .isLength({ min: 6, max: 9 })
+      .withMessage('Authentication code or recovery code is required')
+  ],
+
+  // TOTP code (6 digits)
+  twoFactorCode: [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('A 6-digit authentication code is required')
+  ],
+
+  // Disable 2FA
+  disableTwoFactor: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .isString()
+      .trim()
+      .isLength({ min: 6, max: 9 })
+      .withMessage('Authentication code or recovery code is required')
+  ],
+
+  // Admin/moderator 2FA requirement
+  twoFactorRequirement: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('required')
+      .isBoolean()
+      .withMessage('required must be a boolean')
+      .toBoolean()
+  ],
+
   // Update profile validation
   updateProfile: [
     body('firstName')
@@ -306,7 +595,27 @@ export const userValidators = {
     body('bio')
       .optional()
       .isLength({ max: 500 })
-      .withMessage('Bio must be less than 500 characters')
+      .withMessage('Bio must be less than 500 characters'),
+    body('company')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Company name must be less than 100 characters'),
+    body('preferences.email_notifications')
+      .optional()
+      .isBoolean()
+      .withMessage('email_notifications must be a boolean'),
+    body('preferences.marketing_emails')
+      .optional()
+      .isBoolean()
+      .withMessage('marketing_emails must be a boolean'),
+    body('preferences.preferred_categories')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('preferred_categories must be an array of at most 20 categories'),
+    body('preferences.default_language')
+      .optional()
+      .isLength({ min: 2, max: 5 })
+      .withMessage('default_language must be a language code')
   ],
 
   // Change password validation
@@ -335,19 +644,43 @@ export const apiKeyValidators = {
       .optional()
       .isLength({ max: 500 })
       .withMessage('Description must be less than 500 characters'),
-    body('restrictions.domains')
+    body('permissions')
       .optional()
-      .isArray()
-      .withMessage('Domains must be an array'),
-    body('restrictions.domains.*')
+      .isArray({ min: 1 })
+      .withMessage('Permissions must be a non-empty array'),
+    body('permissions.*')
       .optional()
-      .isFQDN()
-      .withMessage('Invalid domain format'),
-    body('restrictions.ip_addresses')
+      .isIn(['facts', 'ai', 'users', 'analytics', 'admin'])
+      .withMessage('Invalid permission'),
+    body('scopes')
       .optional()
-      .isArray()
-      .withMessage('IP addresses must be an array'),
-    body('restrictions.ip_addresses.*')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .optional()
+      .custom(isValidScope)
+      .withMessage('Invalid scope'),
+    body('expires_at')
+      .optional()
+      .isISO8601()
+      .withMessage('expires_at must be an ISO 8601 date'),
+    body('environment')
+      .optional()
+      .isIn(['development', 'staging', 'production'])
+      .withMessage('Invalid environment'),
+    body('allowed_origins')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Allowed origins must be an array with maximum 50 items'),
+    body('allowed_origins.*')
+      .optional()
+      .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+      .withMessage('Each allowed origin must be a full URL such as https://example.com'),
+    body('ip_whitelist')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('IP whitelist must be an array with maximum 50 items'),
+    body('ip_whitelist.*')
       .optional()
       .isIP()
       .withMessage('Invalid IP address format')
@@ -369,7 +702,236 @@ export const apiKeyValidators = {
     body('status')
       .optional()
       .isIn(['active', 'suspended', 'revoked'])
-      .withMessage('Invalid status')
+      .withMessage('Invalid status'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .optional()
+      .custom(isValidScope)
+      .withMessage('Invalid scope')
+  ],
+
+  // Update IP whitelist / allowed origins validation
+  restrictions: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid API key ID'),
+    body()
+      .custom(value => value.ip_whitelist !== undefined || value.allowed_origins !== undefined)
+      .withMessage('Provide ip_whitelist and/or allowed_origins'),
+    body('allowed_origins')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Allowed origins must be an array with maximum 50 items'),
+    body('allowed_origins.*')
+      .optional()
+      .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+      .withMessage('Each allowed origin must be a full URL such as https://example.com'),
+    body('ip_whitelist')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('IP whitelist must be an array with maximum 50 items'),
+    body('ip_whitelist.*')
+      .optional()
+      .isIP()
+      .withMessage('Invalid IP address format')
+  ],
+
+  // Rotate / revoke validation
+  byId: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid API key ID')
+  ],
+
+  // Usage analytics validation
+  analytics: [
+    query('interval')
+      .optional()
+      .isIn(['hour', 'day'])
+      .withMessage('Interval must be hour or day'),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601')
+  ]
+};
+
+// Billing validation rules
+export const billingValidators = {
+  checkout: [
+    body('plan')
+      .isIn(['premium', 'platinum'])
+      .withMessage('Plan must be premium or platinum')
+  ],
+
+  overage: [
+    body('enabled')
+      .isBoolean()
+      .withMessage('enabled must be true or false')
+      .toBoolean()
+  ],
+
+  usage: [
+    query(['from', 'to'])
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Dates must look like YYYY-MM-DD'),
+    query('group_by')
+      .optional()
+      .isIn(['endpoint', 'day', 'key', 'category'])
+      .withMessage('group_by must be endpoint, day, key or category')
+  ],
+
+  period: [
+    param('period')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Period must look like YYYY-MM')
+  ]
+};
+
+// Webhook validation rules
+export const webhookValidators = {
+  update: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid API key ID'),
+    body()
+      .custom(value => value.url !== undefined || value.events !== undefined)
+      .withMessage('Provide url and/or events'),
+    body('url')
+      .optional()
+      .isURL({ require_protocol: true, protocols: ['http', 'https'], require_tld: false })
+      .withMessage('url must be a full http(s) URL')
+      .isLength({ max: 2048 })
+      .withMessage('url must be at most 2048 characters'),
+    body('events')
+      .optional()
+      .isArray()
+      .withMessage('events must be an array'),
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`)
+  ],
+
+  deliveries: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'delivered', 'failed'])
+      .withMessage('Status must be pending, delivered or failed'),
+    query('event')
+      .optional()
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage('Invalid event'),
+    query('api_key_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid API key ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  deliveryId: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid delivery ID')
+  ]
+};
+
+// Background job validation rules
+export const jobValidators = {
+  generation: [
+    body('categories')
+      .isArray({ min: 1, max: 12 })
+      .withMessage('Categories must be an array with 1-12 items'),
+    body('categories.*')
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category in categories array'),
+    body('count_per_category')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('count_per_category must be between 1 and 50')
+      .toInt(),
+    body('themes')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Themes must be an array with maximum 50 items'),
+    body('themes.*')
+      .isString()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Each theme must be between 3 and 200 characters'),
+    body('save_to_database')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('save_to_database must be a boolean')
+  ],
+
+  import: [
+    body('facts')
+      .isArray({ min: 1, max: 10000 })
+      .withMessage('Facts must be an array with 1-10000 items'),
+    body('facts.*.fact')
+      .notEmpty()
+      .withMessage('Each fact must have fact text')
+      .isLength({ min: 10, max: 1000 })
+      .withMessage('Each fact must be between 10 and 1000 characters'),
+    body('facts.*.category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category in facts array')
+  ],
+
+  moderationBackfill: [
+    body('category')
+      .optional()
+      .isIn(['science', 'history', 'technology', 'nature', 'space', 'animals', 'geography', 'sports', 'entertainment', 'health', 'food', 'general'])
+      .withMessage('Invalid category'),
+    body('moderation_status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected'])
+      .withMessage('moderation_status must be pending, approved or rejected'),
+    body(['only_unscored', 'auto_reject'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('only_unscored and auto_reject must be booleans'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 5000 })
+      .withMessage('Limit must be between 1 and 5000')
+      .toInt()
+  ],
+
+  list: [
+    query('type')
+      .optional()
+      .isIn(['bulk_generation', 'bulk_import', 'export', 'moderation_backfill'])
+      .withMessage('Invalid job type'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'running', 'completed', 'failed', 'cancelled'])
+      .withMessage('Invalid job status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  byId: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid job ID')
   ]
 };
 
@@ -409,6 +971,9 @@ export default {
   aiValidators,
   userValidators,
   apiKeyValidators,
+  billingValidators,
+  webhookValidators,
+  jobValidators,
   paginationValidators,
   validateObjectId,
   validateFactInput,
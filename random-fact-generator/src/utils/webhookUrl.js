@@ -0,0 +1,92 @@
+import dns from 'dns';
+import net from 'net';
+import config from '../config/index.js';
+import { badRequest } from './errors.js';
+
+/**
+ * Keeps webhooks from reaching this server or its private network (SSRF).
+ *
+ * A webhook URL is checked when it is configured and again before each
+ * delivery, and deliveries resolve the host through `guardedLookup`, so a
+ * name that later resolves to a blocked address (DNS rebinding) is refused
+ * when the connection is made. `WEBHOOK_ALLOW_PRIVATE_URLS=true` turns the
+ * checks off for local development.
+ */
+
+// Loopback, private (RFC 1918), carrier-grade NAT, link-local (including
+// cloud metadata at 169.254.169.254), multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 rules.
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (host, address) => {
+  const error = new Error(`${host} resolves to ${address}, which webhooks may not reach`);
+  error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+  return error;
+};
+
+/**
+ * Throw unless every address the URL's host resolves to is public. Errors
+ * are 400s, so the webhook API can pass them on as they are.
+ */
+export const assertPublicWebhookUrl = async (url) => {
+  if (config.webhooks.allowPrivateUrls) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw badRequest(`Webhook host ${host} could not be resolved`, 'WEBHOOK_HOST_UNRESOLVED');
+    }
+  }
+
+  const address = addresses.find(isBlockedAddress);
+  if (address) {
+    throw badRequest(blockedError(host, address).message, 'WEBHOOK_URL_NOT_ALLOWED');
+  }
+};
+
+// dns.lookup for outgoing deliveries that fails on a blocked address
+export const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || config.webhooks.allowPrivateUrls) {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blockedAddress = addresses.find(isBlockedAddress);
+    if (blockedAddress) {
+      return callback(blockedError(hostname, blockedAddress));
+    }
+    callback(null, address, family);
+  });
+};
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../../src/app.js';
+import Fact from '../../src/models/Fact.js';
+import User from '../../src/models/User.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import webhookService from '../../src/services/webhookService.js';
+import config from '../../src/config/index.js';
+
+// An access token without a session ID skips the session lookup
+const tokenFor = (user) => jwt.sign({ id: String(user._id), type: 'access' }, config.jwt.secret, { expiresIn: '5m' });
+
+const buildUser = (role) => new User({
+  username: role,
+  email: `${role}@example.com`,
+  password: 'placeholder',
+  role,
+  status: 'active'
+});
+
+describe('app', () => {
+  let moderator;
+  let member;
+
+  beforeEach(() => {
+    moderator = buildUser('moderator');
+    member = buildUser('user');
+    const users = new Map([[String(moderator._id), moderator], [String(member._id), member]]);
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: () => Promise.resolve(users.get(String(id)) || null)
+    }));
+    jest.spyOn(webhookService, 'emit').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mounts every route and answers health checks', async () => {
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('healthy');
+  });
+
+  it('requires authentication for the moderation endpoints', async () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    await request(app).get('/api/v1/facts/moderation/queue').expect(401);
+    await request(app).post(`/api/v1/facts/${id}/verify`).expect(401);
+    await request(app).post(`/api/v1/facts/${id}/reject`).expect(401);
+  });
+
+  it('lets moderators list the queue and approve a fact', async () => {
+    const fact = new Fact({ fact: 'Octopuses have three hearts.', category: 'animals', source: 'Reader submission' });
+    jest.spyOn(fact, 'save').mockResolvedValue(fact);
+    jest.spyOn(Fact, 'getModerationQueue').mockResolvedValue([[fact], 1]);
+    jest.spyOn(Fact, 'findById').mockResolvedValue(fact);
+
+    const queue = await request(app)
+      .get('/api/v1/facts/moderation/queue?source=user')
+      .set('Authorization', `Bearer ${tokenFor(moderator)}`);
+    expect(queue.status).toBe(200);
+    expect(queue.body.pagination).toMatchObject({ total: 1, pages: 1 });
+    expect(Fact.getModerationQueue).toHaveBeenCalledWith(expect.objectContaining({ source: 'user' }));
+
+    const verified = await request(app)
+      .post(`/api/v1/facts/${fact._id}/verify`)
+      .set('Authorization', `Bearer ${tokenFor(moderator)}`)
+      .send({ reason: 'Checked against the source' });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({ verified: true, moderation_status: 'approved' });
+  });
+
+  it('does not let regular users moderate', async () => {
+    const response = await request(app)
+      .post('/api/v1/facts/507f1f77bcf86cd799439011/reject')
+      .set('Authorization', `Bearer ${tokenFor(member)}`)
+      .send({ reason: 'Spam' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses AI moderation and verification once the AI budget is spent', async () => {
+    jest.spyOn(aiUsageService, 'getBudgetStatus').mockResolvedValue({ exceeded: true, budget_usd: 5, spent_usd: 5.1 });
+    const auth = `Bearer ${tokenFor(moderator)}`;
+
+    const moderation = await request(app)
+      .post('/api/v1/ai/moderate/content')
+      .set('Authorization', auth)
+      .send({ content: 'Octopuses have three hearts.' });
+    expect(moderation.status).toBe(429);
+    expect(moderation.body.error_code).toBe('AI_BUDGET_EXCEEDED');
+
+    const verification = await request(app)
+      .post('/api/v1/facts/507f1f77bcf86cd799439011/ai-verification')
+      .set('Authorization', auth);
+    expect(verification.status).toBe(429);
+    expect(verification.body.error_code).toBe('AI_BUDGET_EXCEEDED');
+  });
+});
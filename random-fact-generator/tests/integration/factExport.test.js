@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { bulkExportFacts } from '../../src/controllers/factController.js';
+import factService from '../../src/services/factService.js';
+import { EXPORT_FIELDS, resolveExportFormat } from '../../src/utils/factExport.js';
+
+const FACTS = [
+  {
+    _id: '507f1f77bcf86cd799439011',
+    fact: 'Honey never spoils.',
+    category: 'food',
+    source: 'Smithsonian',
+    verified: true,
+    tags: ['honey', 'archaeology'],
+    view_count: 3,
+    created_at: new Date('2026-01-02T03:04:05Z')
+  },
+  {
+    _id: '507f1f77bcf86cd799439012',
+    fact: 'A "jiffy" is an actual unit of time, 1/100th of a second, used in physics, chemistry, etc.',
+    category: 'science',
+    source: 'Line one\nline two',
+    verified: false,
+    tags: [],
+    created_at: new Date('2026-01-03T00:00:00Z')
+  }
+];
+
+// A stand-in for the Mongoose cursor the service returns
+const cursorOver = (docs) => ({
+  close: jest.fn().mockResolvedValue(undefined),
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/export', bulkExportFacts);
+  app.use((error, req, res, next) => res.status(500).json({ message: error.message }));
+  return app;
+};
+
+describe('bulk fact export', () => {
+  beforeEach(() => {
+    jest.spyOn(factService, 'exportFacts').mockImplementation(() => cursorOver(FACTS));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams a JSON array of the export fields', async () => {
+    const response = await request(buildApp()).post('/export').send({ format: 'json' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('application/json');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="facts-export-.*\.json"$/);
+    expect(response.body).toHaveLength(2);
+    expect(Object.keys(response.body[0])).toEqual(EXPORT_FIELDS);
+    expect(response.body[0]).toMatchObject({
+      _id: '507f1f77bcf86cd799439011',
+      created_at: '2026-01-02T03:04:05.000Z',
+      ai_model: null
+    });
+  });
+
+  it('writes an empty array when nothing matches', async () => {
+    factService.exportFacts.mockImplementation(() => cursorOver([]));
+
+    const response = await request(buildApp()).post('/export').send({ format: 'json' });
+
+    expect(response.text).toBe('[]\n');
+  });
+
+  it('streams one JSON document per line for NDJSON', async () => {
+    const response = await request(buildApp()).post('/export').set('Accept', 'application/x-ndjson').send({});
+
+    expect(response.headers['content-type']).toMatch('application/x-ndjson');
+    const lines = response.text.trimEnd().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1]).source).toBe('Line one\nline two');
+  });
+
+  it('quotes CSV values containing commas, quotes and line breaks', async () => {
+    const response = await request(buildApp()).post('/export').send({ format: 'csv' });
+
+    expect(response.headers['content-type']).toMatch('text/csv');
+    const [header, first, ...rest] = response.text.split('\n');
+    expect(header).toBe(EXPORT_FIELDS.join(','));
+    expect(first).toBe('507f1f77bcf86cd799439011,Honey never spoils.,food,Smithsonian,,true,,,,honey;archaeology,,,3,,,2026-01-02T03:04:05.000Z,');
+    expect(rest.join('\n')).toBe(
+      '507f1f77bcf86cd799439012,"A ""jiffy"" is an actual unit of time, 1/100th of a second, used in physics, chemistry, etc.",' +
+      'science,"Line one\nline two",,false,,,,,,,,,,2026-01-03T00:00:00.000Z,\n'
+    );
+  });
+
+  it('passes the filters to the query', async () => {
+    await request(buildApp()).post('/export').send({
+      format: 'ndjson',
+      category: 'Science',
+      verified: true,
+      tags: ['physics']
+    });
+
+    expect(factService.exportFacts).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'science',
+      verified: true,
+      tags: ['physics']
+    }));
+  });
+
+  it('rejects unknown formats before querying', async () => {
+    const response = await request(buildApp()).post('/export').send({ format: 'xml' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error_code).toBe('INVALID_EXPORT_FORMAT');
+    expect(factService.exportFacts).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['CSV', '', 'csv'],
+    [undefined, 'text/csv;q=0.9, application/json', 'csv'],
+    [undefined, 'application/ndjson', 'ndjson'],
+    [undefined, 'text/html', 'json'],
+    [undefined, '', 'json'],
+    ['yaml', 'text/csv', null]
+  ])('format %s with Accept "%s" is %s', (format, accept, expected) => {
+    expect(resolveExportFormat(format, accept)).toBe(expected);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createRateLimiter } from '../../src/middleware/rateLimiter.js';
+
+// Without Redis the limiter counts in process memory, with the same rules
+const byHeader = (req) => `client:${req.get('X-Client') || 'anonymous'}`;
+
+const buildApp = (routes) => {
+  const app = express();
+  for (const [path, limiter] of Object.entries(routes)) {
+    app.get(path, limiter, (req, res) => res.json({ status: 'success' }));
+  }
+  return app;
+};
+
+describe('createRateLimiter', () => {
+  it('requires a name', () => {
+    expect(() => createRateLimiter({ windowMs: 60000, max: 5 })).toThrow('createRateLimiter needs a unique name');
+  });
+
+  it('rejects requests past the limit with a 429 and rate limit headers', async () => {
+    const app = buildApp({
+      '/limited': createRateLimiter({ name: 'test_headers', windowMs: 60000, max: 2, keyGenerator: byHeader })
+    });
+
+    const first = await request(app).get('/limited').set('X-Client', 'a');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+
+    await request(app).get('/limited').set('X-Client', 'a').expect(200);
+
+    const rejected = await request(app).get('/limited').set('X-Client', 'a');
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error_code).toBe('RATE_LIMIT_EXCEEDED');
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other clients have their own allowance
+    await request(app).get('/limited').set('X-Client', 'b').expect(200);
+  });
+
+  it('keeps separate counters for limiters with the same window and max', async () => {
+    const options = { windowMs: 60000, max: 1, keyGenerator: byHeader };
+    const app = buildApp({
+      '/search': createRateLimiter({ name: 'test_search', ...options }),
+      '/export': createRateLimiter({ name: 'test_export', ...options })
+    });
+
+    await request(app).get('/search').set('X-Client', 'a').expect(200);
+    await request(app).get('/search').set('X-Client', 'a').expect(429);
+    await request(app).get('/export').set('X-Client', 'a').expect(200);
+  });
+
+  it('shares counters between limiters given the same name', async () => {
+    const options = { name: 'test_shared', windowMs: 60000, max: 1, keyGenerator: byHeader };
+    const app = buildApp({
+      '/one': createRateLimiter(options),
+      '/two': createRateLimiter(options)
+    });
+
+    await request(app).get('/one').set('X-Client', 'a').expect(200);
+    await request(app).get('/two').set('X-Client', 'a').expect(429);
+  });
+
+  it('takes the limit from a function of the request', async () => {
+    const app = buildApp({
+      '/dynamic': createRateLimiter({
+        name: 'test_dynamic',
+        windowMs: 60000,
+        max: async (req) => (req.get('X-Client') === 'premium' ? 3 : 1),
+        keyGenerator: byHeader
+      })
+    });
+
+    await request(app).get('/dynamic').set('X-Client', 'basic').expect(200);
+    await request(app).get('/dynamic').set('X-Client', 'basic').expect(429);
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/dynamic').set('X-Client', 'premium').expect(200);
+    }
+    await request(app).get('/dynamic').set('X-Client', 'premium').expect(429);
+  });
+});
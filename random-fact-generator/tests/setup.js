@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+import logger from '../src/utils/logger.js';
+
+// Tests run without MongoDB or Redis. A query a test forgot to stub fails at
+// once instead of waiting for a connection that never comes.
+mongoose.set('bufferCommands', false);
+
+// Services log every outcome; keep the test output to the test results
+logger.transports.forEach((transport) => {
+  transport.silent = true;
+});
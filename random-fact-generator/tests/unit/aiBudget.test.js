@@ -0,0 +1,180 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AISettings from '../../src/models/AISettings.js';
+import AIUsage from '../../src/models/AIUsage.js';
+import Fact from '../../src/models/Fact.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import User from '../../src/models/User.js';
+import { aiBudgetLimit } from '../../src/middleware/rateLimiter.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import factAnalysisService from '../../src/services/factAnalysisService.js';
+import factService from '../../src/services/factService.js';
+import { createProvider } from '../../src/services/aiProviders/index.js';
+import config from '../../src/config/index.js';
+
+const userId = new mongoose.Types.ObjectId();
+const actor = { userId };
+
+// Verified facts the local classifier learns from
+const TRAINING_FACTS = [
+  { fact: 'The Sun is a star at the centre of the solar system.', category: 'space', tags: ['space'] },
+  { fact: 'Jupiter is the largest planet orbiting the Sun.', category: 'space', tags: ['space'] },
+  { fact: 'Honey never spoils and was found in ancient tombs.', category: 'food', tags: ['food'] },
+  { fact: 'Bananas are berries but strawberries are not.', category: 'food', tags: ['food'] }
+];
+
+describe('AI budgets', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('aiBudgetLimit', () => {
+    const run = async (status) => {
+      jest.spyOn(aiUsageService, 'getBudgetStatus').mockResolvedValue(status);
+      const req = { user: { _id: userId, plan: 'premium' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn(), set: jest.fn() };
+      const next = jest.fn();
+
+      await aiBudgetLimit(req, res, next);
+      return { res, next };
+    };
+
+    it('answers 429 once the month\'s budget is spent', async () => {
+      const resetsAt = new Date('2026-11-01T00:00:00Z');
+      const { res, next } = await run({ exceeded: true, budget_usd: 5, spent_usd: 5.02, remaining_usd: 0, resets_at: resetsAt });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error_code: 'AI_BUDGET_EXCEEDED',
+        budget_usd: 5,
+        spent_usd: 5.02,
+        reset_date: resetsAt,
+        upgrade_url: '/upgrade'
+      }));
+    });
+
+    it('reports the remaining budget and lets the request through', async () => {
+      const { res, next } = await run({ exceeded: false, budget_usd: 5, spent_usd: 1.5, remaining_usd: 3.5 });
+
+      expect(next).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith({ 'X-AI-Budget-Limit': '5.00', 'X-AI-Budget-Remaining': '3.50' });
+    });
+
+    it('sends no budget headers on unlimited plans', async () => {
+      const { res, next } = await run({ exceeded: false, budget_usd: null, spent_usd: 120, remaining_usd: null });
+
+      expect(next).toHaveBeenCalled();
+      expect(res.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hasBudgetLeft', () => {
+    const spent = (usd) => jest.spyOn(AIUsage, 'summarize').mockResolvedValue([{ cost_micros: usd * 1e6 }]);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ _id: userId, plan: 'premium' }) }) });
+    });
+
+    it('compares the month\'s spend with the plan\'s budget', async () => {
+      spent(config.ai.monthlyBudgets.premium - 0.01);
+      await expect(aiUsageService.hasBudgetLeft(actor)).resolves.toBe(true);
+
+      spent(config.ai.monthlyBudgets.premium);
+      await expect(aiUsageService.hasBudgetLeft(actor)).resolves.toBe(false);
+    });
+
+    it('does not limit calls made for no user', async () => {
+      await expect(aiUsageService.hasBudgetLeft({})).resolves.toBe(true);
+      await expect(aiUsageService.hasBudgetLeft()).resolves.toBe(true);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('allows the call when the spend cannot be looked up', async () => {
+      jest.spyOn(AIUsage, 'summarize').mockRejectedValue(new Error('connection reset'));
+
+      await expect(aiUsageService.hasBudgetLeft(actor)).resolves.toBe(true);
+    });
+  });
+
+  describe('AI work done inside other requests', () => {
+    const { ai } = config;
+    const flags = { enabled: ai.enabled, fallbackEnabled: ai.fallbackEnabled, contentModerationEnabled: ai.contentModerationEnabled };
+    let complete;
+
+    beforeAll(() => {
+      Object.assign(ai, { enabled: true, fallbackEnabled: true, contentModerationEnabled: true });
+    });
+
+    afterAll(() => {
+      Object.assign(ai, flags);
+    });
+
+    beforeEach(() => {
+      // The offline mock provider answers every AI call
+      aiService.provider = createProvider('mock');
+      aiService.isInitialized = true;
+      complete = jest.spyOn(aiService.provider, 'complete');
+      jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+      jest.spyOn(PromptTemplate, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+      jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ _id: userId, plan: 'premium' }) }) });
+      jest.spyOn(Fact.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(factService, 'clearFactCaches').mockResolvedValue(undefined);
+    });
+
+    const spent = (usd) => jest.spyOn(AIUsage, 'summarize').mockResolvedValue([{ cost_micros: usd * 1e6 }]);
+    const operations = () => complete.mock.calls.map(([request]) => request.operation);
+
+    it('skips the random fact AI fallback over budget', async () => {
+      spent(config.ai.monthlyBudgets.premium);
+      jest.spyOn(Fact, 'aggregate').mockResolvedValue([]);
+
+      await expect(factService.getRandomFact({ forceNew: true, actor })).rejects.toThrow('No facts available');
+
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('skips the category AI fallback over budget', async () => {
+      const usage = spent(config.ai.monthlyBudgets.premium);
+      jest.spyOn(Fact, 'findOne').mockReturnValue({ lean: async () => null });
+
+      await expect(factService.getFactByCategory('space', { skipCache: true, actor }))
+        .rejects.toThrow('No facts found for category: space');
+      expect(complete).not.toHaveBeenCalled();
+
+      usage.mockResolvedValue([{ cost_micros: 0 }]);
+      const fact = await factService.getFactByCategory('space', { skipCache: true, actor });
+      expect(fact).toMatchObject({ category: 'space', ai_model: 'mock/fact-model' });
+      expect(operations()).toEqual(['generate']);
+    });
+
+    it('categorizes a submission locally and leaves it unscored for a moderator', async () => {
+      spent(config.ai.monthlyBudgets.premium);
+      factAnalysisService.model = null;
+      jest.spyOn(Fact, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ select: () => ({ lean: async () => TRAINING_FACTS }) }) })
+      });
+
+      const fact = await factService.addFact({ fact: 'Saturn is a planet with rings around the Sun.', created_by: userId });
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(fact).toMatchObject({ category: 'space', moderation_status: 'pending' });
+      expect(fact.moderation_score).toBeUndefined();
+    });
+
+    it('uses the AI for submissions while budget is left', async () => {
+      spent(1);
+
+      const fact = await factService.addFact({ fact: 'In history, honey found in Egyptian tombs was still edible.', created_by: userId });
+
+      expect(operations()).toEqual(['analyze', 'moderate']);
+      expect(fact).toMatchObject({ category: 'history', moderation_score: 0.95 });
+      expect(fact.meta.keywords).toContain('egyptian');
+    });
+  });
+});
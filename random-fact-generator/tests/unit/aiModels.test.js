@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import AISettings from '../../src/models/AISettings.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import aiModelService from '../../src/services/aiModelService.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import { createProvider } from '../../src/services/aiProviders/index.js';
+import { getModelSpec } from '../../src/config/aiModels.js';
+
+describe('AI model selection with the mock provider', () => {
+  let stored;
+
+  beforeEach(() => {
+    aiService.provider = createProvider('mock');
+    aiService.isInitialized = true;
+    aiModelService.settings = { active_model: null, category_models: {}, updated_at: null };
+    aiModelService.loadedAt = 0;
+
+    // The provider's AISettings document, as MongoDB would keep it
+    stored = null;
+    jest.spyOn(AISettings, 'findOne').mockImplementation(() => ({ lean: async () => stored }));
+    jest.spyOn(AISettings, 'findOneAndUpdate').mockImplementation((filter, { $set = {}, $unset = {} }) => ({
+      lean: async () => {
+        stored = { ...filter, category_models: {}, ...stored };
+        Object.entries($set).forEach(([field, value]) => {
+          const [root, key] = field.split('.');
+          if (key) stored[root] = { ...stored[root], [key]: value };
+          else stored[field] = value;
+        });
+        Object.keys($unset).forEach((field) => {
+          const [root, key] = field.split('.');
+          const { [key]: removed, ...rest } = stored[root];
+          stored[root] = rest;
+        });
+        return stored;
+      }
+    }));
+    jest.spyOn(PromptTemplate, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the provider\'s models with their registry details', async () => {
+    const models = await aiService.listModels();
+
+    expect(models.map(model => [model.id, model.active])).toEqual([
+      ['mock/fact-model', true],
+      ['mock/fact-model-mini', false]
+    ]);
+    expect(models[1]).toMatchObject({
+      registered: true,
+      limits: { max_output_tokens: 256 },
+      capabilities: expect.not.arrayContaining(['moderate'])
+    });
+  });
+
+  it('switches the active model for every instance', async () => {
+    const selection = await aiService.switchModel('mock/fact-model-mini', 'admin_1');
+
+    expect(selection).toMatchObject({
+      provider: 'mock',
+      previous_model: 'mock/fact-model',
+      model: 'mock/fact-model-mini',
+      active_model: 'mock/fact-model-mini'
+    });
+    expect(stored).toMatchObject({ provider: 'mock', active_model: 'mock/fact-model-mini', updated_by: 'admin_1' });
+
+    const fact = await aiService.generateFact('science', { forceNew: true });
+    expect(fact.ai_model).toBe('mock/fact-model-mini');
+  });
+
+  it('picks up a switch made on another instance once the cache expires', async () => {
+    await aiModelService.getSettings();
+    stored = { provider: 'mock', active_model: 'mock/fact-model-mini', category_models: {} };
+
+    expect(aiService.getActiveModel()).toBe('mock/fact-model');
+    aiModelService.loadedAt = 0;
+    await aiModelService.getSettings();
+    expect(aiService.getActiveModel()).toBe('mock/fact-model-mini');
+  });
+
+  it('uses a category\'s model for that category only, until it is reset', async () => {
+    await aiService.switchModel('mock/fact-model-mini', 'admin_1', { category: 'history' });
+
+    expect((await aiService.generateFact('history', { forceNew: true })).ai_model).toBe('mock/fact-model-mini');
+    expect((await aiService.generateFact('science', { forceNew: true })).ai_model).toBe('mock/fact-model');
+
+    const selection = await aiService.resetCategoryModel('history', 'admin_1');
+
+    expect(selection).toMatchObject({ previous_model: 'mock/fact-model-mini', model: 'mock/fact-model', category_models: {} });
+    expect((await aiService.generateFact('history', { forceNew: true })).ai_model).toBe('mock/fact-model');
+  });
+
+  it('hands operations a model cannot do to the provider default', async () => {
+    await aiService.switchModel('mock/fact-model-mini', 'admin_1');
+
+    expect(aiService.modelFor('generate')).toBe('mock/fact-model-mini');
+    expect(aiService.modelFor('moderate')).toBe('mock/fact-model');
+  });
+
+  it('caps the completion size at the model\'s output limit', async () => {
+    const complete = jest.spyOn(aiService.provider, 'complete');
+    await aiService.switchModel('mock/fact-model-mini', 'admin_1');
+
+    await aiService.generateFact('science', { forceNew: true, maxTokens: 4000 });
+
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'mock/fact-model-mini',
+      maxTokens: getModelSpec('mock/fact-model-mini').limits.max_output_tokens
+    }));
+  });
+
+  it('refuses models the provider does not offer', async () => {
+    await expect(aiService.switchModel('openai/gpt-4o-mini', 'admin_1'))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'UNKNOWN_MODEL' });
+    expect(AISettings.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
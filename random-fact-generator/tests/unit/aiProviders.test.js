@@ -0,0 +1,99 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import http from 'http';
+import { once } from 'events';
+import AISettings from '../../src/models/AISettings.js';
+import aiService from '../../src/services/aiService.js';
+import { OpenAICompatibleProvider } from '../../src/services/aiProviders/openaiCompatibleProvider.js';
+import config from '../../src/config/index.js';
+
+describe('OpenAI-compatible provider', () => {
+  const { openaiCompatible, resilience } = config.ai;
+  const { baseUrl } = openaiCompatible;
+  const { timeoutsMs } = resilience;
+  let server;
+  let respond;
+
+  beforeAll(async () => {
+    // A local server standing in for vLLM, Ollama and the like
+    server = http.createServer((req, res) => respond(req, res));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    openaiCompatible.baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+  });
+
+  afterAll(async () => {
+    openaiCompatible.baseUrl = baseUrl;
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    resilience.timeoutsMs = { ...timeoutsMs, models: 200 };
+  });
+
+  afterEach(() => {
+    resilience.timeoutsMs = timeoutsMs;
+    jest.restoreAllMocks();
+  });
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  it('sends chat completions and normalizes the usage', async () => {
+    let received;
+    respond = async (req, res) => {
+      received = { url: req.url, body: JSON.parse((await req.toArray()).join('')) };
+      json(res, 200, {
+        model: 'llama3.1',
+        choices: [{ message: { content: 'Honey never spoils.' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 5 }
+      });
+    };
+
+    const reply = await new OpenAICompatibleProvider().complete({
+      messages: [{ role: 'user', content: 'A fact, please' }],
+      model: 'llama3.1',
+      maxTokens: 100
+    });
+
+    expect(received).toEqual({
+      url: '/v1/chat/completions',
+      body: { messages: [{ role: 'user', content: 'A fact, please' }], model: 'llama3.1', max_tokens: 100 }
+    });
+    expect(reply).toEqual({
+      content: 'Honey never spoils.',
+      model: 'llama3.1',
+      usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }
+    });
+  });
+
+  it('turns error answers into provider errors', async () => {
+    respond = (req, res) => json(res, 503, { error: { message: 'model is loading' } });
+
+    await expect(new OpenAICompatibleProvider().complete({ messages: [], model: 'llama3.1' }))
+      .rejects.toMatchObject({ name: 'ProviderError', status: 503, message: 'AI API Error: model is loading' });
+  });
+
+  it('lists the models the server offers', async () => {
+    respond = (req, res) => json(res, 200, { data: [{ id: 'llama3.1', owned_by: 'library' }, { id: 'qwen2.5' }] });
+
+    await expect(new OpenAICompatibleProvider().listModels()).resolves.toEqual([
+      { id: 'llama3.1', name: 'llama3.1', provider: 'openai-compatible', owned_by: 'library' },
+      { id: 'qwen2.5', name: 'qwen2.5', provider: 'openai-compatible', owned_by: undefined }
+    ]);
+  });
+
+  it('gives up on a model list that never arrives', async () => {
+    // Accept the request and never answer
+    respond = () => {};
+    aiService.provider = new OpenAICompatibleProvider();
+    aiService.isInitialized = true;
+    jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+
+    const started = Date.now();
+    await expect(aiService.listModels()).rejects.toMatchObject({ statusCode: 502, errorCode: 'AI_PROVIDER_ERROR' });
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
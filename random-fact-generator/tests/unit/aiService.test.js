@@ -0,0 +1,145 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import AISettings from '../../src/models/AISettings.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import { createProvider, ProviderError } from '../../src/services/aiProviders/index.js';
+import { CircuitBreaker } from '../../src/utils/circuitBreaker.js';
+import config from '../../src/config/index.js';
+
+const unavailable = { statusCode: 503, errorCode: 'AI_UNAVAILABLE' };
+
+describe('aiService with the mock provider', () => {
+  const { resilience } = config.ai;
+  const { retryBaseDelayMs } = resilience;
+
+  beforeAll(() => {
+    // Retry without waiting
+    resilience.retryBaseDelayMs = 1;
+  });
+
+  afterAll(() => {
+    resilience.retryBaseDelayMs = retryBaseDelayMs;
+  });
+
+  beforeEach(() => {
+    aiService.provider = createProvider('mock');
+    aiService.isInitialized = true;
+    aiService.breaker = new CircuitBreaker('ai-provider', { failureThreshold: 3, resetTimeoutMs: 60000 });
+
+    // No stored settings or prompt versions: defaults and built-in prompts
+    jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(PromptTemplate, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const providerDown = () => new ProviderError('Service unavailable', { status: 503, provider: 'mock' });
+
+  it('generates a fact from the mock provider and records its usage', async () => {
+    const actor = { userId: 'user_1' };
+
+    const fact = await aiService.generateFact('science', { actor, forceNew: true });
+
+    expect(fact).toMatchObject({
+      category: 'science',
+      source_context: 'Mock AI provider',
+      tags: ['science', 'mock'],
+      ai_model: 'mock/fact-model',
+      ai_prompt: { version: 0 }
+    });
+    expect(fact.fact).toContain('Mock fact');
+    expect(aiUsageService.record).toHaveBeenCalledWith(expect.objectContaining({
+      actor,
+      model: 'mock/fact-model',
+      operation: 'generate',
+      success: true
+    }));
+  });
+
+  it('streams the fact token by token', async () => {
+    const tokens = [];
+
+    const fact = await aiService.streamFact('history', {}, { onToken: token => tokens.push(token) });
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(JSON.parse(tokens.join(''))).toMatchObject({ fact: fact.fact, category: 'history' });
+  });
+
+  describe('callProvider', () => {
+    it('retries a provider that is down and returns its answer', async () => {
+      const call = jest.fn()
+        .mockRejectedValueOnce(providerDown())
+        .mockRejectedValueOnce(providerDown())
+        .mockResolvedValue({ content: 'OK' });
+
+      await expect(aiService.callProvider('health', call)).resolves.toEqual({ content: 'OK' });
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(aiService.breaker.currentState()).toBe('closed');
+    });
+
+    it('gives up after maxRetries', async () => {
+      const call = jest.fn().mockRejectedValue(providerDown());
+
+      await expect(aiService.callProvider('health', call)).rejects.toBeInstanceOf(ProviderError);
+      expect(call).toHaveBeenCalledTimes(resilience.maxRetries + 1);
+    });
+
+    it('does not retry errors caused by the request', async () => {
+      const call = jest.fn().mockRejectedValue(new ProviderError('Bad request', { status: 400, provider: 'mock' }));
+
+      await expect(aiService.callProvider('health', call)).rejects.toMatchObject({ status: 400 });
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(aiService.breaker.getStatus().consecutive_failures).toBe(0);
+    });
+
+    it('does not retry a call that timed out', async () => {
+      const { health } = resilience.timeoutsMs;
+      resilience.timeoutsMs.health = 20;
+      const call = jest.fn(() => new Promise(() => {}));
+
+      try {
+        await expect(aiService.callProvider('health', call)).rejects.toMatchObject({ timeout: true });
+      } finally {
+        resilience.timeoutsMs.health = health;
+      }
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('stops calling the provider once it has failed too often', async () => {
+      const complete = jest.spyOn(aiService.provider, 'complete').mockRejectedValue(providerDown());
+
+      // Three failed attempts (the first call and two retries) open the breaker
+      await expect(aiService.generateFact('science', { forceNew: true })).rejects.toThrow('Failed to generate AI fact');
+      expect(complete).toHaveBeenCalledTimes(3);
+      expect(aiService.isAvailable()).toBe(false);
+
+      await expect(aiService.generateFact('science', { forceNew: true })).rejects.toMatchObject(unavailable);
+      expect(complete).toHaveBeenCalledTimes(3);
+    });
+
+    it('rejects streamed generation with the same 503 while open', async () => {
+      jest.spyOn(aiService.provider, 'complete').mockRejectedValue(providerDown());
+      const stream = jest.spyOn(aiService.provider, 'stream');
+      await expect(aiService.generateFact('science', { forceNew: true })).rejects.toThrow('Failed to generate AI fact');
+
+      await expect(aiService.streamFact('science', {}, {})).rejects.toMatchObject(unavailable);
+      expect(stream).not.toHaveBeenCalled();
+    });
+
+    it('does not retry a stream that already sent text', async () => {
+      const stream = jest.spyOn(aiService.provider, 'stream').mockImplementation(async ({ onToken }) => {
+        onToken('{"fact": ');
+        throw providerDown();
+      });
+
+      await expect(aiService.streamFact('science', {}, { onToken: () => {} })).rejects.toThrow('Failed to generate AI fact');
+      expect(stream).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { KEY_PREFIX_LENGTH } from '../../src/models/ApiKey.js';
+
+// find()/findOne() chains as the model uses them: .select().populate()
+const query = (result) => ({ select: () => ({ populate: () => Promise.resolve(result) }) });
+
+describe('ApiKey', () => {
+  let now = Date.now();
+
+  beforeEach(() => {
+    // Each test starts after the last "plaintext keys left?" answer expired
+    now += 10 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buildKey = () => new ApiKey({ name: 'CI', userId: new mongoose.Types.ObjectId() });
+
+  describe('hashing', () => {
+    it('stores the SHA-256 of the key and a non-secret prefix', () => {
+      const apiKey = buildKey();
+      const key = apiKey.issueKey();
+
+      expect(key).toMatch(/^rfg_[a-z0-9]+_[a-f0-9]{40}$/);
+      expect(apiKey.key_hash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+      expect(apiKey.key_prefix).toBe(key.slice(0, KEY_PREFIX_LENGTH));
+      expect(apiKey.key).toBeUndefined();
+      expect(apiKey.$locals.plainKey).toBe(key);
+    });
+
+    it('issues the key when a new document is validated', async () => {
+      const apiKey = buildKey();
+
+      await apiKey.validate();
+
+      expect(apiKey.key_hash).toHaveLength(64);
+      expect(apiKey.matchesKey(apiKey.$locals.plainKey)).toBe(true);
+    });
+
+    it('matches only the exact key', () => {
+      const apiKey = buildKey();
+      const key = apiKey.issueKey();
+
+      expect(apiKey.matchesKey(key)).toBe(true);
+      expect(apiKey.matchesKey(`${key}0`)).toBe(false);
+      expect(apiKey.matchesKey(key.toUpperCase())).toBe(false);
+      expect(new ApiKey({ name: 'Empty' }).matchesKey(key)).toBe(false);
+    });
+  });
+
+  describe('findByKey', () => {
+    let stored;
+    let key;
+
+    beforeEach(() => {
+      stored = buildKey();
+      key = stored.issueKey();
+    });
+
+    it('looks keys up by prefix and compares the hash', async () => {
+      const other = buildKey();
+      other.key_prefix = stored.key_prefix;
+      const find = jest.spyOn(ApiKey, 'find').mockReturnValue(query([other, stored]));
+      jest.spyOn(ApiKey, 'exists').mockResolvedValue(null);
+
+      await expect(ApiKey.findByKey(key)).resolves.toBe(stored);
+      expect(find).toHaveBeenCalledWith({ key_prefix: key.slice(0, KEY_PREFIX_LENGTH), status: 'active' });
+      expect(ApiKey.exists).not.toHaveBeenCalled();
+    });
+
+    it('ignores values too short to carry a prefix', async () => {
+      const find = jest.spyOn(ApiKey, 'find');
+
+      await expect(ApiKey.findByKey('rfg_short')).resolves.toBeNull();
+      await expect(ApiKey.findByKey(undefined)).resolves.toBeNull();
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('upgrades a plaintext key to a hash the first time it is used', async () => {
+      const legacy = buildKey();
+      legacy.key = 'rfg_legacyplaintextkey_0123456789';
+      jest.spyOn(legacy, 'save').mockResolvedValue(legacy);
+      jest.spyOn(ApiKey, 'find').mockReturnValue(query([]));
+      jest.spyOn(ApiKey, 'exists').mockResolvedValue({ _id: legacy._id });
+      const findOne = jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(legacy));
+
+      await expect(ApiKey.findByKey('rfg_legacyplaintextkey_0123456789')).resolves.toBe(legacy);
+
+      expect(findOne).toHaveBeenCalledWith({ key: 'rfg_legacyplaintextkey_0123456789', status: 'active' });
+      expect(legacy.key).toBeUndefined();
+      expect(legacy.matchesKey('rfg_legacyplaintextkey_0123456789')).toBe(true);
+      expect(legacy.save).toHaveBeenCalled();
+    });
+
+    it('checks for plaintext keys at most once a minute', async () => {
+      jest.spyOn(ApiKey, 'find').mockReturnValue(query([]));
+      const exists = jest.spyOn(ApiKey, 'exists').mockResolvedValue({ _id: stored._id });
+      jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(null));
+
+      await ApiKey.findByKey(`${key}a`);
+      await ApiKey.findByKey(`${key}b`);
+      now += 59 * 1000;
+      await ApiKey.findByKey(`${key}c`);
+      expect(exists).toHaveBeenCalledTimes(1);
+
+      now += 1000;
+      await ApiKey.findByKey(`${key}d`);
+      expect(exists).toHaveBeenCalledTimes(2);
+    });
+
+    // Runs last: once no plaintext keys are left the answer is kept for good
+    it('stops the plaintext lookup once every key is hashed', async () => {
+      jest.spyOn(ApiKey, 'find').mockReturnValue(query([]));
+      const exists = jest.spyOn(ApiKey, 'exists').mockResolvedValue(null);
+      const findOne = jest.spyOn(ApiKey, 'findOne');
+
+      await expect(ApiKey.findByKey(`${key}garbage`)).resolves.toBeNull();
+      now += 60 * 60 * 1000;
+      await expect(ApiKey.findByKey(`${key}garbage`)).resolves.toBeNull();
+
+      expect(exists).toHaveBeenCalledTimes(1);
+      expect(exists).toHaveBeenCalledWith({ key: { $exists: true, $ne: null } });
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import ApiKey from '../../src/models/ApiKey.js';
+import User from '../../src/models/User.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+
+const buildUser = (username, { plan = 'basic', role = 'user' } = {}) =>
+  new User({ username, email: `${username}@example.com`, password: 'placeholder', plan, role });
+
+describe('apiKeyService', () => {
+  let keys;
+  let owner;
+  let stranger;
+
+  beforeEach(() => {
+    // Keys live in an array; lookups apply the service's owner filter
+    keys = [];
+    jest.spyOn(ApiKey.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      if (!keys.includes(this)) keys.push(this);
+      return this;
+    });
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ _id, userId }) =>
+      keys.find(key => String(key._id) === String(_id) && String(key.userId) === String(userId)) || null
+    );
+    jest.spyOn(ApiKey, 'countDocuments').mockImplementation(async ({ userId }) =>
+      keys.filter(key => String(key.userId) === String(userId) && key.status !== 'revoked').length
+    );
+
+    owner = buildUser('owner');
+    stranger = buildUser('stranger');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const notFound = { statusCode: 404, errorCode: 'API_KEY_NOT_FOUND' };
+
+  describe('createKey', () => {
+    it('returns the plaintext key once and stores only its hash', async () => {
+      const { apiKey, key } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      expect(key).toMatch(/^rfg_/);
+      expect(apiKey.key).toBeUndefined();
+      expect(apiKey.key_hash).toBe(ApiKey.hashKey(key));
+      expect(apiKey.matchesKey(key)).toBe(true);
+      expect(apiKey.scopes).toEqual(['facts:read']);
+      expect(String(apiKey.userId)).toBe(String(owner._id));
+    });
+
+    it('turns the older endpoint groups into scopes', async () => {
+      const { apiKey } = await apiKeyService.createKey(owner, { name: 'Legacy', permissions: ['facts', 'ai'] });
+
+      expect(apiKey.scopes).toEqual(['facts:read', 'ai:generate']);
+      expect(apiKey.permissions.endpoints).toEqual(['facts', 'ai']);
+    });
+
+    it('refuses scopes the owner\'s role does not have', async () => {
+      await expect(apiKeyService.createKey(owner, { name: 'Moderation', scopes: ['facts:read', 'facts:moderate'] }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SCOPE_NOT_ALLOWED', message: expect.stringContaining('facts:moderate') });
+
+      const moderator = buildUser('mod', { role: 'moderator' });
+      await expect(apiKeyService.createKey(moderator, { name: 'Moderation', scopes: ['facts:moderate'] })).resolves.toBeDefined();
+    });
+
+    it('enforces the plan\'s key limit', async () => {
+      await apiKeyService.createKey(owner, { name: 'One' });
+      await apiKeyService.createKey(owner, { name: 'Two' });
+
+      await expect(apiKeyService.createKey(owner, { name: 'Three' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'API_KEY_LIMIT_REACHED' });
+    });
+
+    it('rejects an expiry in the past', async () => {
+      await expect(apiKeyService.createKey(owner, { name: 'Old', expires_at: '2000-01-01T00:00:00Z' }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_EXPIRY' });
+    });
+  });
+
+  describe('rotateKey', () => {
+    it('replaces the secret so only the new key matches', async () => {
+      const { apiKey, key: oldKey } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      const { key: newKey } = await apiKeyService.rotateKey(owner._id, apiKey._id);
+
+      expect(newKey).not.toBe(oldKey);
+      expect(apiKey.matchesKey(newKey)).toBe(true);
+      expect(apiKey.matchesKey(oldKey)).toBe(false);
+      expect(apiKey.key_prefix).toBe(ApiKey.getKeyPrefix(newKey));
+    });
+
+    it('only rotates the caller\'s own active keys', async () => {
+      const { apiKey } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      await expect(apiKeyService.rotateKey(stranger._id, apiKey._id)).rejects.toMatchObject(notFound);
+
+      await apiKeyService.revokeKey(owner._id, apiKey._id);
+      await expect(apiKeyService.rotateKey(owner._id, apiKey._id))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'API_KEY_REVOKED' });
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('revokes once and frees the plan slot', async () => {
+      const { apiKey } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      await apiKeyService.revokeKey(owner._id, apiKey._id);
+
+      expect(apiKey.status).toBe('revoked');
+      await expect(apiKeyService.countActiveKeys(owner._id)).resolves.toBe(0);
+      await expect(apiKeyService.revokeKey(owner._id, apiKey._id))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'API_KEY_REVOKED' });
+    });
+
+    it('cannot revoke someone else\'s key', async () => {
+      const { apiKey } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      await expect(apiKeyService.revokeKey(stranger._id, apiKey._id)).rejects.toMatchObject(notFound);
+      expect(apiKey.status).toBe('active');
+    });
+  });
+
+  describe('updateKey', () => {
+    it('changes scopes within the owner\'s role and suspends keys', async () => {
+      const { apiKey } = await apiKeyService.createKey(owner, { name: 'CI' });
+
+      await apiKeyService.updateKey(owner, apiKey._id, { scopes: ['facts:read', 'facts:create'], status: 'suspended' });
+
+      expect(apiKey.scopes).toEqual(['facts:read', 'facts:create']);
+      expect(apiKey.status).toBe('suspended');
+      await expect(apiKeyService.updateKey(owner, apiKey._id, { scopes: ['admin'] }))
+        .rejects.toMatchObject({ errorCode: 'SCOPE_NOT_ALLOWED' });
+      await expect(apiKeyService.updateKey(stranger, apiKey._id, { name: 'Mine now' })).rejects.toMatchObject(notFound);
+    });
+  });
+});
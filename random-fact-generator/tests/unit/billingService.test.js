@@ -0,0 +1,214 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import Stripe from 'stripe';
+import User from '../../src/models/User.js';
+import billingService from '../../src/services/billingService.js';
+import config from '../../src/config/index.js';
+
+const fixture = (name) => readFileSync(new URL(`../fixtures/stripe/${name}.json`, import.meta.url), 'utf8');
+
+const WEBHOOK_SECRET = 'whsec_test_billing';
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Stripe's own signing helpers; nothing here talks to the network
+const { webhooks } = new Stripe('sk_test_billing', { apiVersion: config.stripe.apiVersion });
+
+const sign = (payload, secret = WEBHOOK_SECRET) => webhooks.generateTestHeaderString({ payload, secret });
+
+// The subscription as it stands after checkout, before any change
+const premiumSubscription = () => {
+  const subscription = JSON.parse(fixture('customer.subscription.updated')).data.object;
+  subscription.items.data[0].price.id = 'price_test_premium';
+  subscription.metadata.plan = 'premium';
+  return subscription;
+};
+
+describe('billingService', () => {
+  const originalStripeConfig = { ...config.stripe, prices: { ...config.stripe.prices } };
+  let user;
+  let subscriptions;
+
+  beforeAll(() => {
+    config.stripe.secretKey = 'sk_test_billing';
+    config.stripe.webhookSecret = WEBHOOK_SECRET;
+    config.stripe.prices = { premium: 'price_test_premium', platinum: 'price_test_platinum' };
+  });
+
+  afterAll(() => {
+    Object.assign(config.stripe, originalStripeConfig);
+    billingService.setClient(null);
+  });
+
+  beforeEach(() => {
+    // What Stripe currently holds, by subscription ID
+    subscriptions = new Map([['sub_test_ada', premiumSubscription()]]);
+    billingService.setClient({
+      webhooks,
+      subscriptions: {
+        retrieve: jest.fn(async id => structuredClone(subscriptions.get(id)))
+      }
+    });
+
+    user = new User({ _id: USER_ID, username: 'ada', email: 'ada@example.com', password: 'placeholder' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockImplementation(async id => (String(id) === USER_ID ? user : null));
+    jest.spyOn(User, 'findOne').mockImplementation(async filter =>
+      (filter['billing.customer_id'] === user.billing.customer_id ? user : null)
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Verify a fixture's signature the way the webhook route does, then handle it
+  const deliver = (name) => {
+    const payload = fixture(name);
+    return billingService.handleEvent(billingService.constructEvent(Buffer.from(payload), sign(payload)));
+  };
+
+  const subscribe = async () => {
+    await deliver('checkout.session.completed');
+    subscriptions.set('sub_test_ada', JSON.parse(fixture('customer.subscription.updated')).data.object);
+  };
+
+  describe('constructEvent', () => {
+    it('returns the event when the signature matches the raw body', () => {
+      const payload = fixture('invoice.payment_failed');
+
+      expect(billingService.constructEvent(Buffer.from(payload), sign(payload))).toMatchObject({
+        id: 'evt_test_invoice_payment_failed',
+        type: 'invoice.payment_failed'
+      });
+    });
+
+    it.each([
+      ['a tampered body', payload => [payload.replace('2900', '1'), sign(payload)]],
+      ['another secret', payload => [payload, sign(payload, 'whsec_someone_else')]],
+      ['no signature', payload => [payload, undefined]]
+    ])('rejects %s', (description, build) => {
+      const [body, signature] = build(fixture('invoice.payment_failed'));
+
+      expect(() => billingService.constructEvent(Buffer.from(body), signature))
+        .toThrow(expect.objectContaining({ statusCode: 400, errorCode: 'INVALID_SIGNATURE' }));
+    });
+
+    it('refuses events while billing is not configured', () => {
+      const payload = fixture('invoice.payment_failed');
+      config.stripe.webhookSecret = undefined;
+
+      try {
+        expect(() => billingService.constructEvent(Buffer.from(payload), sign(payload)))
+          .toThrow(expect.objectContaining({ statusCode: 503, errorCode: 'BILLING_NOT_CONFIGURED' }));
+      } finally {
+        config.stripe.webhookSecret = WEBHOOK_SECRET;
+      }
+    });
+  });
+
+  describe('handleEvent', () => {
+    it('puts the user on the paid plan once checkout completes', async () => {
+      await deliver('checkout.session.completed');
+
+      expect(user.plan).toBe('premium');
+      expect(user.billing).toMatchObject({
+        customer_id: 'cus_test_ada',
+        subscription_id: 'sub_test_ada',
+        payment_status: 'active',
+        next_billing_date: new Date(1767225600 * 1000)
+      });
+    });
+
+    it('follows a plan change', async () => {
+      await subscribe();
+
+      await deliver('customer.subscription.updated');
+
+      expect(user.plan).toBe('platinum');
+      expect(user.billing.payment_status).toBe('active');
+      expect(user.billing.next_billing_date).toEqual(new Date(1767225600 * 1000));
+    });
+
+    it('drops back to basic when the subscription is cancelled', async () => {
+      await subscribe();
+      subscriptions.set('sub_test_ada', JSON.parse(fixture('customer.subscription.deleted')).data.object);
+
+      await deliver('customer.subscription.deleted');
+
+      expect(user.plan).toBe('basic');
+      expect(user.billing.payment_status).toBe('canceled');
+      expect(user.billing.subscription_id).toBeUndefined();
+      expect(user.billing.next_billing_date).toBeUndefined();
+    });
+
+    it('keeps the plan while a failed payment is retried', async () => {
+      await subscribe();
+      await deliver('customer.subscription.updated');
+
+      await deliver('invoice.payment_failed');
+
+      expect(user.plan).toBe('platinum');
+      expect(user.billing.payment_status).toBe('past_due');
+    });
+
+    it('applies the current subscription, not a late event', async () => {
+      await subscribe();
+      subscriptions.set('sub_test_ada', JSON.parse(fixture('customer.subscription.deleted')).data.object);
+      await deliver('customer.subscription.deleted');
+
+      // The upgrade was sent before the cancellation but arrives after it
+      await deliver('customer.subscription.updated');
+
+      expect(billingService.getClient().subscriptions.retrieve).toHaveBeenLastCalledWith('sub_test_ada');
+      expect(user.plan).toBe('basic');
+      expect(user.billing.payment_status).toBe('canceled');
+    });
+
+    it('ignores events it does not handle', async () => {
+      await expect(billingService.handleEvent({ type: 'charge.refunded', data: { object: {} } })).resolves.toBeNull();
+    });
+  });
+
+  describe('syncSubscription', () => {
+    const subscription = (changes = {}) => ({ ...premiumSubscription(), ...changes });
+
+    it.each([
+      ['active', 'premium', 'active'],
+      ['trialing', 'premium', 'active'],
+      ['past_due', 'premium', 'past_due'],
+      ['incomplete', 'basic', 'past_due'],
+      ['unpaid', 'basic', 'unpaid'],
+      ['canceled', 'basic', 'canceled'],
+      ['incomplete_expired', 'basic', 'canceled']
+    ])('subscription status %s leaves the user on %s with payment status %s', async (status, plan, paymentStatus) => {
+      await billingService.syncSubscription(subscription({ status }));
+
+      expect(user.plan).toBe(plan);
+      expect(user.billing.payment_status).toBe(paymentStatus);
+    });
+
+    it('keeps the subscription of an unpaid account so it can be paid', async () => {
+      await billingService.syncSubscription(subscription());
+      await billingService.syncSubscription(subscription({ status: 'unpaid' }));
+
+      expect(user.billing.subscription_id).toBe('sub_test_ada');
+      expect(user.billing.next_billing_date).toBeUndefined();
+    });
+
+    it('does not let an older subscription being cancelled undo a newer one', async () => {
+      await billingService.syncSubscription(subscription({ id: 'sub_test_new' }));
+
+      await billingService.syncSubscription(subscription({ status: 'canceled' }));
+
+      expect(user.plan).toBe('premium');
+      expect(user.billing.subscription_id).toBe('sub_test_new');
+    });
+
+    it('ignores subscriptions of unknown customers', async () => {
+      const stranger = subscription({ customer: 'cus_test_unknown', metadata: {} });
+
+      await expect(billingService.syncSubscription(stranger)).resolves.toBeNull();
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+});
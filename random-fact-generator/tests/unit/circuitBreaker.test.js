@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { CircuitBreaker } from '../../src/utils/circuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = () => {
+    breaker.acquire();
+    breaker.recordFailure(new Error('provider down'));
+  };
+
+  it('stays closed until failures in a row reach the threshold', () => {
+    fail();
+    fail();
+    breaker.recordSuccess();
+    fail();
+    fail();
+
+    expect(breaker.currentState()).toBe('closed');
+    expect(breaker.acquire()).toBe(true);
+
+    fail();
+    expect(breaker.currentState()).toBe('open');
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.acquire()).toBe(false);
+  });
+
+  it('lets a single trial call through once the reset timeout has passed', () => {
+    fail();
+    fail();
+    fail();
+
+    now += 29999;
+    expect(breaker.acquire()).toBe(false);
+
+    now += 1;
+    expect(breaker.currentState()).toBe('half_open');
+    expect(breaker.acquire()).toBe(true);
+    // Only one trial at a time
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.acquire()).toBe(false);
+  });
+
+  it('closes when the trial succeeds', () => {
+    fail();
+    fail();
+    fail();
+    now += 30000;
+
+    breaker.acquire();
+    breaker.recordSuccess();
+
+    expect(breaker.currentState()).toBe('closed');
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', consecutive_failures: 0, opened_at: null });
+  });
+
+  it('opens again for a full timeout when the trial fails', () => {
+    fail();
+    fail();
+    fail();
+    now += 30000;
+
+    fail();
+
+    expect(breaker.currentState()).toBe('open');
+    expect(breaker.getStatus()).toMatchObject({
+      times_opened: 2,
+      retry_at: new Date(now + 30000).toISOString(),
+      last_failure: { message: 'provider down' }
+    });
+  });
+
+  it('frees the trial when the call is cancelled', () => {
+    fail();
+    fail();
+    fail();
+    now += 30000;
+
+    breaker.acquire();
+    breaker.release();
+
+    expect(breaker.currentState()).toBe('half_open');
+    expect(breaker.acquire()).toBe(true);
+  });
+
+  it('does not extend the open period for calls that were already in flight', () => {
+    fail();
+    fail();
+    fail();
+    const openedAt = breaker.openedAt;
+
+    now += 10000;
+    breaker.recordFailure(new Error('late failure'));
+
+    expect(breaker.openedAt).toBe(openedAt);
+    expect(breaker.timesOpened).toBe(1);
+  });
+});
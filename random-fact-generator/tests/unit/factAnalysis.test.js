@@ -0,0 +1,167 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import AISettings from '../../src/models/AISettings.js';
+import Fact from '../../src/models/Fact.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import aiController from '../../src/controllers/aiController.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import factAnalysisService from '../../src/services/factAnalysisService.js';
+import { createProvider } from '../../src/services/aiProviders/index.js';
+import config from '../../src/config/index.js';
+
+// Verified facts the local classifier learns from
+const TRAINING_FACTS = [
+  { fact: 'Jupiter is the largest planet orbiting the Sun.', category: 'space', tags: ['planets'] },
+  { fact: 'A day on Venus is longer than its year around the Sun.', category: 'space', tags: ['planets'] },
+  { fact: 'Octopuses have three hearts and blue blood.', category: 'animals', tags: ['ocean'] },
+  { fact: 'Sea otters hold hands while they sleep in the ocean.', category: 'animals', tags: ['ocean'] },
+  { fact: 'The Great Pyramid was the tallest building for nearly four thousand years.', category: 'history', tags: ['egypt'] }
+];
+
+describe('fact analysis', () => {
+  const { ai } = config;
+  const enabled = ai.enabled;
+  let complete;
+
+  beforeAll(() => {
+    ai.enabled = true;
+  });
+
+  afterAll(() => {
+    ai.enabled = enabled;
+  });
+
+  beforeEach(() => {
+    // The offline mock provider answers every AI call
+    aiService.provider = createProvider('mock');
+    aiService.isInitialized = true;
+    complete = jest.spyOn(aiService.provider, 'complete');
+    jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(PromptTemplate, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+
+    factAnalysisService.model = null;
+    jest.spyOn(Fact, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: () => ({ lean: async () => TRAINING_FACTS }) }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('analyze', () => {
+    it('asks the model to choose among the fact categories', async () => {
+      const result = await factAnalysisService.analyze('Penguins are animals that cannot fly. They swim instead.');
+
+      expect(result).toMatchObject({
+        category: 'animals',
+        confidence: 0.8,
+        summary: 'Penguins are animals that cannot fly.',
+        method: 'ai',
+        model: 'mock/fact-model'
+      });
+      expect(result.keywords).toEqual(['penguins', 'animals', 'instead', 'cannot']);
+      expect(complete).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'analyze',
+        context: expect.objectContaining({ categories: Fact.schema.path('category').enumValues })
+      }));
+    });
+
+    it('uses the local classifier when the caller does not allow AI', async () => {
+      const result = await factAnalysisService.analyze('Saturn is a planet with rings, orbiting the Sun.', { ai: false });
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ category: 'space', method: 'tfidf' });
+      expect(result.confidence).toBeGreaterThan(0.5);
+      expect(result.keywords).toEqual(expect.arrayContaining(['saturn', 'rings']));
+    });
+
+    it('falls back to the local classifier when the model\'s reply is unusable', async () => {
+      complete.mockResolvedValue({ content: 'I think it is about the ocean.', model: 'mock/fact-model', usage: null });
+
+      const result = await factAnalysisService.analyze('Dolphins sleep with one eye open in the ocean.');
+
+      expect(result).toMatchObject({ category: 'animals', method: 'tfidf' });
+      expect(complete).toHaveBeenCalledTimes(config.ai.repairAttempts + 1);
+    });
+
+    it('summarizes longer texts locally with their most specific sentences', async () => {
+      const text = 'It is true. Jupiter has dozens of moons orbiting it. It is big. Venus spins backwards compared with most planets.';
+
+      const { summary } = await factAnalysisService.analyze(text, { ai: false });
+
+      expect(summary).toBe('Jupiter has dozens of moons orbiting it. Venus spins backwards compared with most planets.');
+    });
+
+    it('answers "general" for text unlike anything it was trained on', async () => {
+      const result = await factAnalysisService.analyze('Quokkas smile.', { ai: false });
+
+      expect(result).toMatchObject({ category: 'general', confidence: 0 });
+    });
+  });
+
+  describe('enrich', () => {
+    it('fills in the category, tags and keywords a submission left out', async () => {
+      const { factData, filled, analysis } = await factAnalysisService.enrich({ fact: 'Octopuses are animals with three hearts.' });
+
+      expect(filled).toEqual(['category', 'tags', 'keywords']);
+      expect(analysis.method).toBe('ai');
+      expect(factData.category).toBe('animals');
+      expect(factData.meta.keywords).toEqual(analysis.keywords);
+      expect(factData.tags[0]).toBe('animals');
+      expect(factData.tags.length).toBeLessThanOrEqual(5);
+    });
+
+    it('keeps what the submission has and skips the AI when the category is given', async () => {
+      const { factData, filled } = await factAnalysisService.enrich({
+        fact: 'Sea otters hold hands while they sleep.',
+        category: 'nature',
+        meta: { keywords: ['otters'] }
+      });
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(filled).toEqual(['tags']);
+      expect(factData).toMatchObject({ category: 'nature', meta: { keywords: ['otters'] } });
+      expect(factData.tags[0]).toBe('nature');
+    });
+
+    it('leaves complete submissions alone', async () => {
+      const submission = { fact: 'Honey never spoils.', category: 'food', tags: ['honey'], meta: { keywords: ['honey'] } };
+
+      await expect(factAnalysisService.enrich(submission)).resolves.toEqual({ factData: submission, filled: [] });
+      expect(Fact.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('data processing tasks', () => {
+    const data = [
+      { id: 'a', content: 'Octopuses are animals with three hearts.' },
+      { id: 'b', content: 'Sea otters are animals that hold hands.' },
+      { id: 'c', content: 'Jupiter is the largest planet in space.' }
+    ];
+
+    it('suggests a category per item', async () => {
+      const { categorized_items: items } = await aiController.handleDataProcessing({ operation: 'categorize', data }, {});
+
+      expect(items).toEqual([
+        { id: 'a', suggested_category: 'animals', confidence: 0.8, method: 'ai', prompt_version: 0 },
+        { id: 'b', suggested_category: 'animals', confidence: 0.8, method: 'ai', prompt_version: 0 },
+        { id: 'c', suggested_category: 'space', confidence: 0.8, method: 'ai', prompt_version: 0 }
+      ]);
+    });
+
+    it('ranks keywords by how many items share them', async () => {
+      const result = await aiController.handleDataProcessing({ operation: 'extract_keywords', data }, {});
+
+      expect(result.keywords[0]).toBe('animals');
+      expect(result.items.map(item => item.id)).toEqual(['a', 'b', 'c']);
+      expect(result.processed_items).toBe(3);
+    });
+
+    it('refuses unknown operations', async () => {
+      await expect(aiController.handleDataProcessing({ operation: 'translate', data }, {}))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_OPERATION' });
+    });
+  });
+});
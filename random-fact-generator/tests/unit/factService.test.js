@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Fact from '../../src/models/Fact.js';
+import factService from '../../src/services/factService.js';
+
+const buildFact = (moderationStatus, createdBy) => new Fact({
+  fact: 'Bananas are berries, but strawberries are not.',
+  category: 'food',
+  source: 'Reader submission',
+  moderation_status: moderationStatus,
+  created_by: createdBy
+});
+
+describe('factService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getFactById', () => {
+    const notFound = { statusCode: 404, errorCode: 'FACT_NOT_FOUND' };
+
+    it('returns approved facts to anyone', async () => {
+      const fact = buildFact('approved');
+      jest.spyOn(Fact, 'findById').mockResolvedValue(fact);
+
+      await expect(factService.getFactById(fact._id)).resolves.toBe(fact);
+    });
+
+    it('shows pending and rejected facts only to their creator', async () => {
+      const creatorId = new mongoose.Types.ObjectId();
+      const fact = buildFact('pending', creatorId);
+      jest.spyOn(Fact, 'findById').mockResolvedValue(fact);
+
+      await expect(factService.getFactById(fact._id, creatorId)).resolves.toBe(fact);
+      await expect(factService.getFactById(fact._id)).rejects.toMatchObject(notFound);
+      await expect(factService.getFactById(fact._id, new mongoose.Types.ObjectId())).rejects.toMatchObject(notFound);
+
+      fact.moderation_status = 'rejected';
+      await expect(factService.getFactById(fact._id)).rejects.toMatchObject(notFound);
+    });
+
+    it('answers 404 for unknown facts', async () => {
+      jest.spyOn(Fact, 'findById').mockResolvedValue(null);
+
+      await expect(factService.getFactById('507f1f77bcf86cd799439011')).rejects.toMatchObject(notFound);
+    });
+  });
+
+  describe('incrementViews', () => {
+    it('counts views of approved facts with an atomic increment', async () => {
+      const fact = buildFact('approved');
+      const update = jest.spyOn(Fact, 'findOneAndUpdate').mockResolvedValue(fact);
+
+      await expect(factService.incrementViews(fact._id)).resolves.toBe(fact);
+      expect(update).toHaveBeenCalledWith(
+        { _id: fact._id, moderation_status: 'approved' },
+        { $inc: { view_count: 1 } },
+        { new: true }
+      );
+    });
+
+    it('answers 404 for facts that are not served', async () => {
+      jest.spyOn(Fact, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(factService.incrementViews('507f1f77bcf86cd799439011'))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'FACT_NOT_FOUND' });
+    });
+  });
+});
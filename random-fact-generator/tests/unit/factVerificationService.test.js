@@ -0,0 +1,205 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AISettings from '../../src/models/AISettings.js';
+import Fact from '../../src/models/Fact.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import ReferenceSource from '../../src/models/ReferenceSource.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import factVerificationService from '../../src/services/factVerificationService.js';
+import { createProvider } from '../../src/services/aiProviders/index.js';
+import { MOCK_REJECT_MARKER } from '../../src/services/aiProviders/mockProvider.js';
+import config from '../../src/config/index.js';
+
+const CLAIM = 'Honey never spoils';
+
+// Evidence as findEvidence lists it for the model
+const evidence = [
+  { id: 'E1', source_type: 'reference', source_id: 'ref_1', title: 'Food science', text: 'Honey never spoils when sealed.', overlap: 1 },
+  { id: 'E2', source_type: 'fact', source_id: 'fact_1', title: 'Verified food fact', text: 'Honey is made by bees.', overlap: 0.5 }
+];
+
+const verdict = (fields) => ({ verdict: 'supported', confidence: 0.9, explanation: 'The reference says so', evidence_ids: [], ...fields });
+
+const claimResult = (verdictName, confidence) => ({ claim: `A ${verdictName} claim`, verdict: verdictName, confidence, explanation: 'Because' });
+
+describe('factVerificationService', () => {
+  const { recommendThreshold } = config.ai.verification;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calibrate', () => {
+    it.each([
+      ['fully covered', ['E1'], 0.9],
+      ['half covered', ['E2'], 0.68],
+      ['best of several', ['E2', 'E1'], 0.9]
+    ])('scales the model\'s confidence by how much of the claim the cited evidence covers (%s)', (label, ids, confidence) => {
+      const result = factVerificationService.calibrate({ claim: CLAIM, evidence }, verdict({ evidence_ids: ids }));
+
+      expect(result).toMatchObject({ verdict: 'supported', confidence, model_confidence: 0.9 });
+      expect(result.evidence.map(item => item.source_id)).toEqual(evidence.filter(item => ids.includes(item.id)).map(item => item.source_id));
+    });
+
+    it.each(['supported', 'contradicted'])('downgrades a %s verdict that cites no evidence to unverifiable', (verdictName) => {
+      const result = factVerificationService.calibrate({ claim: CLAIM, evidence }, verdict({ verdict: verdictName, evidence_ids: ['E9'] }));
+
+      expect(result).toMatchObject({
+        verdict: 'unverifiable',
+        confidence: 0.5,
+        model_confidence: 0.9,
+        explanation: 'The reference says so (no evidence from the reference corpus was cited)',
+        evidence: []
+      });
+    });
+
+    it('caps unverifiable verdicts at 0.5', () => {
+      const low = factVerificationService.calibrate({ claim: CLAIM, evidence }, verdict({ verdict: 'unverifiable', confidence: 0.3 }));
+      const high = factVerificationService.calibrate({ claim: CLAIM, evidence }, verdict({ verdict: 'unverifiable', confidence: 0.95 }));
+
+      expect(low.confidence).toBe(0.3);
+      expect(high.confidence).toBe(0.5);
+    });
+
+    it('keeps an excerpt of long evidence', () => {
+      const long = [{ ...evidence[0], text: 'Honey '.repeat(100) }];
+
+      const [cited] = factVerificationService.calibrate({ claim: CLAIM, evidence: long }, verdict({ evidence_ids: ['E1'] })).evidence;
+
+      expect(cited.excerpt).toHaveLength(301);
+      expect(cited.excerpt.endsWith('…')).toBe(true);
+      expect(cited).not.toHaveProperty('text');
+    });
+  });
+
+  describe('summarize', () => {
+    const summarize = claims => factVerificationService.summarize(claims, { model: 'mock/fact-model', corpus: ['facts'] });
+
+    it.each([
+      ['approves', 'supported', recommendThreshold, 'approve'],
+      ['reviews', 'supported', recommendThreshold - 0.01, 'review'],
+      ['rejects', 'contradicted', recommendThreshold, 'reject'],
+      ['reviews', 'contradicted', recommendThreshold - 0.01, 'review']
+    ])('%s a %s fact at confidence %s', (label, verdictName, confidence, recommendation) => {
+      expect(summarize([claimResult(verdictName, confidence)])).toMatchObject({ status: verdictName, recommendation });
+    });
+
+    it('is only as confident in a supported fact as in its weakest claim', () => {
+      expect(summarize([claimResult('supported', 0.95), claimResult('supported', 0.7)]))
+        .toMatchObject({ status: 'supported', confidence: 0.7, recommendation: 'review', summary: '2 of 2 claims supported by the reference corpus' });
+    });
+
+    it('rejects a fact on its most confidently contradicted claim', () => {
+      const result = summarize([claimResult('supported', 0.95), claimResult('contradicted', 0.6), claimResult('contradicted', 0.8)]);
+
+      expect(result).toMatchObject({ status: 'contradicted', confidence: 0.8, recommendation: 'reject' });
+      expect(result.summary).toBe('Contradicted: "A contradicted claim" (Because)');
+    });
+
+    it('never recommends a fact with an unverifiable claim', () => {
+      expect(summarize([claimResult('supported', 1), claimResult('unverifiable', 0.5)]))
+        .toMatchObject({ status: 'unverified', confidence: 0.75, recommendation: 'review', summary: '1 of 2 claims supported by the reference corpus' });
+    });
+
+    it('reports facts without checkable claims', () => {
+      expect(summarize([])).toEqual({
+        status: 'unverified',
+        confidence: 0,
+        recommendation: 'review',
+        summary: 'No checkable claims found',
+        claims: [],
+        model: 'mock/fact-model',
+        corpus: ['facts']
+      });
+    });
+  });
+
+  describe('verifyText', () => {
+    it('judges each claim against the evidence found for it', async () => {
+      jest.spyOn(aiService, 'extractClaims').mockResolvedValue({ claims: ['Honey never spoils', 'Honey is made by bees'], model: 'mock/fact-model' });
+      jest.spyOn(Fact, 'searchEvidence').mockResolvedValue([{ _id: 'fact_1', fact: 'Honey is made by bees.', category: 'food', source: 'Unknown' }]);
+      jest.spyOn(ReferenceSource, 'searchEvidence').mockResolvedValue([{ _id: 'ref_1', title: 'Food science', content: 'Honey never spoils when sealed.' }]);
+      jest.spyOn(aiService, 'judgeClaims').mockImplementation(async items => ({
+        model: 'mock/fact-model',
+        verdicts: items.map(item => verdict({ evidence_ids: [item.evidence[0].id] }))
+      }));
+
+      const result = await factVerificationService.verifyText('Honey never spoils. It is made by bees.', { excludeId: 'fact_9' });
+
+      const [items] = aiService.judgeClaims.mock.calls[0];
+      expect(items.map(item => item.evidence.map(({ id, source_id }) => `${id}:${source_id}`))).toEqual([
+        ['E1:ref_1', 'E2:fact_1'],
+        ['E3:fact_1', 'E4:ref_1']
+      ]);
+      expect(Fact.searchEvidence).toHaveBeenCalledWith('Honey never spoils', { excludeId: 'fact_9', limit: config.ai.verification.evidencePerClaim });
+      expect(result).toMatchObject({ status: 'supported', confidence: 0.9, recommendation: 'approve' });
+      expect(result.claims[1].evidence[0]).toMatchObject({ title: 'Verified food fact', overlap: 1 });
+    });
+
+    it('does not ask the model to judge claims nothing in the corpus mentions', async () => {
+      jest.spyOn(aiService, 'extractClaims').mockResolvedValue({ claims: ['Octopuses have three hearts'], model: 'mock/fact-model' });
+      jest.spyOn(Fact, 'searchEvidence').mockResolvedValue([]);
+      jest.spyOn(ReferenceSource, 'searchEvidence').mockResolvedValue([{ _id: 'ref_1', title: 'Food science', content: 'Honey never spoils.' }]);
+      const judgeClaims = jest.spyOn(aiService, 'judgeClaims');
+
+      const result = await factVerificationService.verifyText('Octopuses have three hearts.');
+
+      expect(judgeClaims).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'unverified', confidence: 0, recommendation: 'review' });
+      expect(result.claims[0]).toMatchObject({ verdict: 'unverifiable', explanation: 'No evidence found in the reference corpus' });
+    });
+  });
+
+  describe('verifyFact with the mock provider', () => {
+    const references = [
+      { _id: 'ref_1', title: 'Food science', content: 'Honey never spoils because it holds so little water.' },
+      { _id: 'ref_2', title: 'Astronomy basics', content: 'The moon is made of rock, not cheese.' }
+    ];
+    const moderatorId = new mongoose.Types.ObjectId();
+    let fact;
+
+    beforeEach(() => {
+      aiService.provider = createProvider('mock');
+      aiService.isInitialized = true;
+      jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+      jest.spyOn(PromptTemplate, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+      jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+
+      jest.spyOn(Fact, 'searchEvidence').mockResolvedValue([]);
+      jest.spyOn(ReferenceSource, 'searchEvidence').mockResolvedValue(references);
+      jest.spyOn(Fact, 'findById').mockImplementation(async () => fact);
+    });
+
+    const verify = async (text) => {
+      fact = new Fact({ fact: text, category: 'food' });
+      jest.spyOn(fact, 'save').mockResolvedValue(fact);
+      await factVerificationService.verifyFact(fact._id, { userId: moderatorId });
+      return fact.ai_verification;
+    };
+
+    it('recommends approving a fact the references restate', async () => {
+      const verification = await verify('Honey never spoils.');
+
+      expect(verification).toMatchObject({ status: 'supported', recommendation: 'approve', model: 'mock/fact-model', requested_by: moderatorId });
+      expect(verification.claims[0]).toMatchObject({ verdict: 'supported', model_confidence: 0.85, confidence: 0.85 });
+      expect(verification.claims[0].evidence.map(item => item.title)).toEqual(['Food science']);
+      expect(fact.save).toHaveBeenCalled();
+    });
+
+    it('flags a contradicted claim for rejection', async () => {
+      const verification = await verify(`Honey never spoils. The moon is made of cheese ${MOCK_REJECT_MARKER}.`);
+
+      expect(verification.status).toBe('contradicted');
+      expect(verification.claims.map(claim => claim.verdict)).toEqual(['supported', 'contradicted']);
+      expect(verification.summary).toMatch(/^Contradicted: "The moon is made of cheese/);
+    });
+
+    it('leaves claims the references do not cover unverifiable', async () => {
+      const verification = await verify('Honey never spoils. Octopuses have three hearts and blue blood.');
+
+      expect(verification).toMatchObject({ status: 'unverified', recommendation: 'review' });
+      expect(verification.claims[1]).toMatchObject({ verdict: 'unverifiable', evidence: [] });
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Job from '../../src/models/Job.js';
+import aiService from '../../src/services/aiService.js';
+import jobService from '../../src/services/jobService.js';
+
+// The subset of MongoDB's update operators the service uses
+const applyUpdate = (job, { $set = {}, $inc = {}, $push = {} }) => {
+  Object.entries($set).forEach(([field, value]) => job.set(field, value));
+  Object.entries($inc).forEach(([field, amount]) => job.set(field, job.get(field) + amount));
+  Object.entries($push).forEach(([field, { $each, $slice }]) => job.set(field, [...job.get(field), ...$each].slice(0, $slice)));
+  return job;
+};
+
+describe('jobService', () => {
+  let jobs;
+  let owner;
+
+  beforeEach(() => {
+    // Jobs live in a Map instead of MongoDB
+    jobs = new Map();
+    const matches = (job, filter) => job && Object.entries(filter).every(([field, value]) =>
+      field === '_id' ? String(job._id) === String(value) : job.get(field) === value
+    );
+    jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const job = jobs.get(String(filter._id));
+      return matches(job, filter) ? applyUpdate(job, update) : null;
+    });
+    jest.spyOn(Job, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      const job = jobs.get(String(id));
+      return job ? applyUpdate(job, update) : null;
+    });
+    jest.spyOn(Job, 'updateOne').mockImplementation(async ({ _id }, update) => {
+      const job = jobs.get(String(_id));
+      if (job) applyUpdate(job, update);
+      return { modifiedCount: job ? 1 : 0 };
+    });
+    jest.spyOn(Job, 'findById').mockImplementation(id => ({
+      select: () => Promise.resolve(jobs.get(String(id)) || null)
+    }));
+
+    jobService.queue = { add: jest.fn().mockResolvedValue({}), remove: jest.fn().mockResolvedValue(1) };
+    owner = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  });
+
+  afterEach(() => {
+    jobService.queue = null;
+    jest.restoreAllMocks();
+  });
+
+  const addJob = (fields) => {
+    const job = new Job({ type: 'bulk_generation', userId: owner._id, params: { categories: ['science'], count_per_category: 3 }, ...fields });
+    jobs.set(String(job._id), job);
+    return job;
+  };
+
+  describe('run', () => {
+    it('claims a queued job and records its outcome', async () => {
+      jest.spyOn(aiService, 'generateFact').mockResolvedValue({ fact: 'Octopuses have three hearts.', category: 'science' });
+      const job = addJob();
+
+      await jobService.run(String(job._id));
+
+      expect(job.status).toBe('completed');
+      expect(job.started_at).toBeInstanceOf(Date);
+      expect(job.finished_at).toBeInstanceOf(Date);
+      expect(job.progress.toObject()).toEqual({ total: 0, processed: 3, succeeded: 3, failed: 0 });
+      expect(job.results).toHaveLength(3);
+      expect(job.result).toEqual({ saved: 0 });
+    });
+
+    it('skips a job that is no longer queued', async () => {
+      const generateFact = jest.spyOn(aiService, 'generateFact');
+      const job = addJob({ status: 'cancelled' });
+
+      await jobService.run(String(job._id));
+
+      expect(generateFact).not.toHaveBeenCalled();
+      expect(job.status).toBe('cancelled');
+    });
+
+    it('fails a job whose earlier run was interrupted instead of running it twice', async () => {
+      const generateFact = jest.spyOn(aiService, 'generateFact');
+      const job = addJob({ status: 'running' });
+
+      await jobService.run(String(job._id));
+
+      expect(generateFact).not.toHaveBeenCalled();
+      expect(job.status).toBe('failed');
+      expect(job.error_message).toBe('Job was interrupted before it finished');
+    });
+
+    it('stops at the next progress report once cancellation is requested', async () => {
+      const job = addJob();
+      jest.spyOn(aiService, 'generateFact').mockImplementation(async () => {
+        job.cancel_requested = true;
+        return { fact: 'Bananas are berries.', category: 'science' };
+      });
+
+      await jobService.run(String(job._id));
+
+      expect(aiService.generateFact).toHaveBeenCalledTimes(1);
+      expect(job.status).toBe('cancelled');
+      expect(job.progress.processed).toBe(1);
+    });
+
+    it('marks the job failed when the processor throws', async () => {
+      const job = addJob({ type: 'bulk_import', params: {} });
+
+      await expect(jobService.run(String(job._id))).rejects.toThrow();
+
+      expect(job.status).toBe('failed');
+      expect(job.error_message).toBeDefined();
+      expect(job.finished_at).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels a queued job at once and takes it off the queue', async () => {
+      const job = addJob();
+
+      const cancelled = await jobService.cancel(owner, job._id);
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.finished_at).toBeInstanceOf(Date);
+      expect(jobService.queue.remove).toHaveBeenCalledWith(String(job._id));
+    });
+
+    it('asks a running job to stop', async () => {
+      const job = addJob({ status: 'running' });
+
+      const running = await jobService.cancel(owner, job._id);
+
+      expect(running.status).toBe('running');
+      expect(running.cancel_requested).toBe(true);
+      expect(jobService.queue.remove).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['completed', 'Job has already completed'],
+      ['failed', 'Job has already failed'],
+      ['cancelled', 'Job has already been cancelled']
+    ])('refuses a %s job', async (status, message) => {
+      const job = addJob({ status });
+
+      await expect(jobService.cancel(owner, job._id)).rejects.toMatchObject({ statusCode: 409, errorCode: 'JOB_FINISHED', message });
+    });
+
+    it('only lets the owner or an admin cancel', async () => {
+      const job = addJob();
+
+      await expect(jobService.cancel({ _id: new mongoose.Types.ObjectId(), role: 'user' }, job._id))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'JOB_NOT_FOUND' });
+      await expect(jobService.cancel({ _id: new mongoose.Types.ObjectId(), role: 'admin' }, job._id))
+        .resolves.toMatchObject({ status: 'cancelled' });
+    });
+  });
+
+  describe('failInterrupted', () => {
+    it('fails only running jobs', async () => {
+      const running = addJob({ status: 'running' });
+      const completed = addJob({ status: 'completed' });
+
+      await expect(jobService.failInterrupted(String(running._id), 'job stalled more than allowable limit')).resolves.toBe(true);
+      await expect(jobService.failInterrupted(String(completed._id), 'job stalled more than allowable limit')).resolves.toBe(false);
+
+      expect(running.status).toBe('failed');
+      expect(running.error_message).toBe('job stalled more than allowable limit');
+      expect(completed.status).toBe('completed');
+    });
+  });
+
+  describe('create', () => {
+    it('records a failed job when the queue is down', async () => {
+      jest.spyOn(Job, 'create').mockImplementation(async fields => addJob(fields));
+      jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jobService.queue.add.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:6379'));
+
+      await expect(jobService.create(owner, 'export', { format: 'csv' }))
+        .rejects.toMatchObject({ statusCode: 503, errorCode: 'JOB_QUEUE_UNAVAILABLE' });
+
+      const [job] = jobs.values();
+      expect(job.status).toBe('failed');
+      expect(job.error_message).toBe('Job queue unavailable');
+    });
+  });
+});
@@ -0,0 +1,275 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Fact from '../../src/models/Fact.js';
+import aiService from '../../src/services/aiService.js';
+import factService from '../../src/services/factService.js';
+import runBulkGeneration from '../../src/jobs/bulkGeneration.js';
+import runBulkImport from '../../src/jobs/bulkImport.js';
+import runExport from '../../src/jobs/export.js';
+import runModerationBackfill from '../../src/jobs/moderationBackfill.js';
+import config from '../../src/config/index.js';
+
+// A JobContext that keeps its reports in memory; `cancelAfter` requests
+// cancellation once that many progress reports were made
+const createContext = (params, { batchSize = 2, cancelAfter = Infinity } = {}) => {
+  const ctx = {
+    jobId: '64b7f0c2a1b2c3d4e5f607a1',
+    userId: '64b7f0c2a1b2c3d4e5f60718',
+    params,
+    batchSize,
+    cancelled: false,
+    progress: { total: 0, processed: 0, succeeded: 0, failed: 0 },
+    results: [],
+    failures: [],
+    setTotal: jest.fn(async (total) => {
+      ctx.progress.total = total;
+    }),
+    report: jest.fn(async ({ succeeded = 0, failed = 0, results = [], failures = [] }) => {
+      ctx.progress.processed += succeeded + failed;
+      ctx.progress.succeeded += succeeded;
+      ctx.progress.failed += failed;
+      ctx.results.push(...results);
+      ctx.failures.push(...failures);
+      ctx.cancelled = ctx.report.mock.calls.length >= cancelAfter;
+      return ctx.cancelled;
+    })
+  };
+  return ctx;
+};
+
+// A stand-in for the Mongoose cursor factService.exportFacts returns
+const cursorOver = (docs) => ({
+  close: jest.fn().mockResolvedValue(undefined),
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bulk generation job', () => {
+  beforeEach(() => {
+    jest.spyOn(aiService, 'generateFact').mockImplementation(async (category, { specificRequest }) => ({
+      fact: `A fact about ${specificRequest || category}.`,
+      category
+    }));
+  });
+
+  it('generates the requested number per category, cycling through the themes', async () => {
+    const ctx = createContext({ categories: ['science', 'history'], count_per_category: 3, themes: ['space', 'oceans'] });
+
+    await expect(runBulkGeneration(ctx)).resolves.toEqual({ saved: 0 });
+
+    expect(aiService.generateFact.mock.calls.map(([category, { specificRequest }]) => `${category}/${specificRequest}`)).toEqual([
+      'science/space', 'science/oceans', 'science/space',
+      'history/space', 'history/oceans', 'history/space'
+    ]);
+    expect(aiService.generateFact).toHaveBeenCalledWith('science', expect.objectContaining({ forceNew: true, actor: { userId: ctx.userId } }));
+    expect(ctx.progress).toMatchObject({ processed: 6, succeeded: 6 });
+  });
+
+  it('generates one fact per explicit request', async () => {
+    const ctx = createContext({ requests: [{ category: 'food', specific_request: 'cheese' }, { specific_request: 'volcanoes' }] });
+
+    await runBulkGeneration(ctx);
+
+    expect(ctx.results.map(result => [result.category, result.theme])).toEqual([['food', 'cheese'], ['general', 'volcanoes']]);
+  });
+
+  it('stores the facts unverified when asked to', async () => {
+    jest.spyOn(factService, 'addFact').mockImplementation(async fact => ({ _id: 'fact_1', ...fact }));
+    const ctx = createContext({ categories: ['science'], count_per_category: 2, save_to_database: true });
+
+    await expect(runBulkGeneration(ctx)).resolves.toEqual({ saved: 2 });
+
+    expect(factService.addFact).toHaveBeenCalledWith(expect.objectContaining({
+      created_by: ctx.userId,
+      verified: false,
+      ai_generated: true
+    }));
+    expect(ctx.results[0].database_id).toBe('fact_1');
+  });
+
+  it('reports a failed generation and carries on', async () => {
+    aiService.generateFact.mockRejectedValueOnce(new Error('Provider unavailable'));
+    const ctx = createContext({ categories: ['science'], count_per_category: 3 });
+
+    await runBulkGeneration(ctx);
+
+    expect(ctx.failures).toEqual([{ item: 'science#1', message: 'Provider unavailable' }]);
+    expect(ctx.progress).toMatchObject({ processed: 3, succeeded: 2, failed: 1 });
+  });
+
+  it('stops once cancelled', async () => {
+    const ctx = createContext({ categories: ['science'], count_per_category: 10 }, { cancelAfter: 2 });
+
+    await runBulkGeneration(ctx);
+
+    expect(aiService.generateFact).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('bulk import job', () => {
+  const facts = ['one', '', 'three', 'four', 'five'].map(fact => ({ fact, category: 'general' }));
+
+  beforeEach(() => {
+    // Empty facts fail validation, like the real import
+    jest.spyOn(factService, 'bulkImportFacts').mockImplementation(async (batch) => {
+      const errors = batch.flatMap((fact, index) => (fact.fact ? [] : [{ index, error: 'Fact text is required' }]));
+      const imported = batch.filter(fact => fact.fact).map((fact, i) => ({ _id: `${fact.fact}_${i}`, category: fact.category }));
+      return { successful: imported.length, errors, imported };
+    });
+  });
+
+  it('imports in batches and reports invalid facts by their index in the whole import', async () => {
+    const ctx = createContext({ facts });
+
+    await expect(runBulkImport(ctx)).resolves.toEqual({ imported: 4 });
+
+    expect(factService.bulkImportFacts.mock.calls.map(([batch]) => batch.length)).toEqual([2, 2, 1]);
+    expect(ctx.failures).toEqual([{ item: 1, message: 'Fact text is required' }]);
+    expect(ctx.results).toHaveLength(4);
+  });
+
+  it('fails a whole batch the database refused', async () => {
+    factService.bulkImportFacts.mockRejectedValueOnce(new Error('connection reset'));
+    const ctx = createContext({ facts });
+
+    await runBulkImport(ctx);
+
+    expect(ctx.failures[0]).toEqual({ item: '0-1', message: 'connection reset' });
+    expect(ctx.progress).toMatchObject({ processed: 5, succeeded: 3, failed: 2 });
+  });
+
+  it('stops after the batch during which it was cancelled', async () => {
+    const ctx = createContext({ facts }, { cancelAfter: 1 });
+
+    await expect(runBulkImport(ctx)).resolves.toEqual({ imported: 1 });
+    expect(factService.bulkImportFacts).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('export job', () => {
+  const docs = ['Honey never spoils.', 'Octopuses have three hearts.', 'Bananas are berries.']
+    .map((fact, i) => ({ _id: `64b7f0c2a1b2c3d4e5f6070${i}`, fact, category: 'science', verified: true }));
+  const exportDir = config.jobs.exportDir;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fact-export-'));
+    config.jobs.exportDir = dir;
+  });
+
+  afterAll(() => {
+    config.jobs.exportDir = exportDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  let cursor;
+
+  beforeEach(() => {
+    cursor = cursorOver(docs);
+    jest.spyOn(factService, 'exportFacts').mockReturnValue(cursor);
+    jest.spyOn(Fact, 'countDocuments').mockResolvedValue(docs.length);
+  });
+
+  it('writes every matching fact to a file and reports progress in batches', async () => {
+    const ctx = createContext({ format: 'ndjson', filters: { category: 'science' } });
+
+    const result = await runExport(ctx);
+
+    expect(factService.exportFacts).toHaveBeenCalledWith({ category: 'science' });
+    expect(Fact.countDocuments).toHaveBeenCalledWith(factService.buildFactQuery({ category: 'science' }));
+    expect(ctx.progress).toMatchObject({ total: 3, succeeded: 3 });
+    expect(ctx.report.mock.calls.map(([report]) => report.succeeded)).toEqual([2, 1]);
+
+    expect(result).toMatchObject({
+      file: path.join(dir, `${ctx.jobId}.ndjson`),
+      format: 'ndjson',
+      content_type: 'application/x-ndjson',
+      count: 3,
+      bytes: fs.statSync(result.file).size
+    });
+    expect(result.filename).toMatch(/^facts-export-.+\.ndjson$/);
+    const lines = fs.readFileSync(result.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.fact)).toEqual(docs.map(doc => doc.fact));
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('writes a valid JSON array by default', async () => {
+    const result = await runExport(createContext({}));
+
+    expect(JSON.parse(fs.readFileSync(result.file, 'utf8'))).toHaveLength(3);
+  });
+
+  it('removes the partial file when cancelled', async () => {
+    const ctx = createContext({ format: 'csv' }, { cancelAfter: 1 });
+
+    await expect(runExport(ctx)).resolves.toEqual({ count: 2 });
+
+    expect(fs.existsSync(path.join(dir, `${ctx.jobId}.csv`))).toBe(false);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+});
+
+describe('moderation backfill job', () => {
+  let facts;
+
+  beforeEach(() => {
+    facts = new Map(['Honey never spoils.', 'The moon is made of cheese.', 'Buy cheap watches now!'].map((text) => {
+      const fact = new Fact({ fact: text, category: 'general' });
+      jest.spyOn(fact, 'save').mockResolvedValue(fact);
+      return [String(fact._id), fact];
+    }));
+    jest.spyOn(Fact, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: () => ({ lean: async () => [...facts.values()].map(({ _id }) => ({ _id })) }) }) })
+    });
+    jest.spyOn(Fact, 'findById').mockImplementation(async id => facts.get(String(id)) || null);
+    jest.spyOn(factService, 'rejectFact').mockResolvedValue({});
+
+    const verdicts = {
+      'Honey never spoils.': { approved: true, confidence: 0.95, requiresManualReview: false, issues: [] },
+      'The moon is made of cheese.': { approved: false, confidence: 0.55, requiresManualReview: true, issues: ['inaccurate'] },
+      'Buy cheap watches now!': { approved: false, confidence: 0.92, requiresManualReview: false, issues: ['spam'], recommendation: 'Spam' }
+    };
+    jest.spyOn(aiService, 'moderateContent').mockImplementation(async text => verdicts[text]);
+  });
+
+  it('scores unscored pending facts without deciding anything', async () => {
+    const ctx = createContext({ category: 'general' });
+
+    await expect(runModerationBackfill(ctx)).resolves.toEqual({ rejected: 0 });
+
+    expect(Fact.find).toHaveBeenCalledWith({ moderation_status: 'pending', category: 'general', moderation_score: { $exists: false } });
+    expect(ctx.progress).toMatchObject({ total: 3, succeeded: 3 });
+    expect([...facts.values()].map(fact => fact.moderation_score)).toEqual([0.95, 0.55, 0.92]);
+    expect(ctx.results.map(result => result.action)).toEqual(['scored', 'scored', 'scored']);
+    expect(factService.rejectFact).not.toHaveBeenCalled();
+  });
+
+  it('rejects only confident rejections when auto_reject is on', async () => {
+    const ctx = createContext({ auto_reject: true });
+
+    await expect(runModerationBackfill(ctx)).resolves.toEqual({ rejected: 1 });
+
+    const [spam] = [...facts.values()].slice(2);
+    expect(factService.rejectFact).toHaveBeenCalledTimes(1);
+    expect(factService.rejectFact).toHaveBeenCalledWith(spam._id, ctx.userId, 'Automated moderation: Spam');
+    expect(ctx.results.map(result => result.action)).toEqual(['scored', 'scored', 'rejected']);
+  });
+
+  it('reports facts deleted since the job started', async () => {
+    const [first] = facts.keys();
+    Fact.findById.mockImplementation(async id => (String(id) === first ? null : facts.get(String(id))));
+    const ctx = createContext({});
+
+    await runModerationBackfill(ctx);
+
+    expect(ctx.failures).toEqual([{ item: facts.get(first)._id, message: 'Fact no longer exists' }]);
+    expect(ctx.progress).toMatchObject({ succeeded: 2, failed: 1 });
+  });
+});
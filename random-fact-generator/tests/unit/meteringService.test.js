@@ -0,0 +1,193 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import UsageRecord from '../../src/models/UsageRecord.js';
+import UsageStatement from '../../src/models/UsageStatement.js';
+import meteringService from '../../src/services/meteringService.js';
+import billingService from '../../src/services/billingService.js';
+import config from '../../src/config/index.js';
+import { classifyEndpoint, calculateOverageCents } from '../../src/config/metering.js';
+
+// Premium: 100,000 units included, then 10 cents per started 1,000 units
+const PREMIUM_ALLOWANCE = 100000;
+
+const day = (n, units, overageEnabledUnits, plan = 'premium') => ({
+  day: `2026-09-${String(n).padStart(2, '0')}`,
+  units,
+  overage_enabled_units: overageEnabledUnits,
+  plan_units: { [plan]: units }
+});
+
+const buildUser = (plan, billing = {}) => new User({
+  username: 'ada',
+  email: 'ada@example.com',
+  password: 'placeholder',
+  plan,
+  billing: { customer_id: 'cus_123', payment_status: 'active', ...billing }
+});
+
+describe('metering', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('classifyEndpoint', () => {
+    it.each([
+      ['GET', '/api/v1/facts/random', 'fact_read'],
+      ['POST', '/api/v1/facts', 'fact_write'],
+      ['POST', '/api/v1/facts/bulk/export', 'bulk'],
+      ['POST', '/api/v1/ai/generate/fact', 'ai_generation'],
+      ['POST', '/api/v1/ai/moderate-content', 'ai_moderation'],
+      ['POST', '/api/v1/facts/:id/ai-verification', 'ai_verification'],
+      ['GET', '/api/v1/facts/moderation/queue', null],
+      ['POST', '/api/v1/facts/:id/verify', null],
+      ['GET', '/api/v1/users/me', null]
+    ])('%s %s is %s', (method, path, category) => {
+      expect(classifyEndpoint(method, path)).toBe(category);
+    });
+  });
+
+  describe('price', () => {
+    it('charges overage per started block past the allowance', () => {
+      expect(calculateOverageCents('premium', 1)).toBe(10);
+      expect(calculateOverageCents('premium', 2500)).toBe(30);
+      expect(calculateOverageCents('basic', 2500)).toBe(0);
+
+      expect(meteringService.price('premium', PREMIUM_ALLOWANCE + 2500)).toMatchObject({
+        included_units: PREMIUM_ALLOWANCE,
+        overage_units: 2500,
+        unbilled_overage_units: 0,
+        base_amount_cents: 1000,
+        overage_amount_cents: 30,
+        total_amount_cents: 1030
+      });
+    });
+
+    it('reports overage it may not bill as unbilled', () => {
+      expect(meteringService.price('premium', PREMIUM_ALLOWANCE + 2500, 1000)).toMatchObject({
+        overage_units: 1000,
+        unbilled_overage_units: 1500,
+        overage_amount_cents: 10
+      });
+    });
+
+    it('never charges overage on unlimited plans', () => {
+      expect(meteringService.price('platinum', 10 ** 7)).toMatchObject({
+        included_units: null,
+        overage_units: 0,
+        total_amount_cents: 5000
+      });
+    });
+  });
+
+  describe('billingBasis', () => {
+    const stubDays = (days) => jest.spyOn(UsageRecord, 'dailyBillingTotals').mockResolvedValue(days);
+
+    it('bills only overage used while overage billing was on', async () => {
+      // 90k with overage off, then 20k with it on: 10k past the allowance, all opted in
+      stubDays([day(1, 90000, 0), day(2, 20000, 20000)]);
+
+      await expect(meteringService.billingBasis(buildUser('premium'), '2026-09-01', '2026-09-30'))
+        .resolves.toEqual({ plan: 'premium', billableOverageUnits: 10000 });
+    });
+
+    it('counts units used with overage off as the excess first', async () => {
+      // Day 2 goes 10k over: 6k of its units were made with overage off
+      stubDays([day(1, 95000, 0), day(2, 15000, 9000)]);
+
+      const { billableOverageUnits } = await meteringService.billingBasis(buildUser('premium'), '2026-09-01', '2026-09-30');
+      expect(billableOverageUnits).toBe(4000);
+    });
+
+    it('bills nothing past the allowance for users who never opted in', async () => {
+      stubDays([day(1, 150000, 0)]);
+
+      const { billableOverageUnits } = await meteringService.billingBasis(buildUser('premium'), '2026-09-01', '2026-09-30');
+      expect(billableOverageUnits).toBe(0);
+    });
+
+    it('uses the plan the last usage of the period was made on', async () => {
+      // Downgraded from platinum after the period ended
+      stubDays([day(1, 500000, 0, 'platinum')]);
+
+      await expect(meteringService.billingBasis(buildUser('basic'), '2026-09-01', '2026-09-30'))
+        .resolves.toEqual({ plan: 'platinum', billableOverageUnits: 0 });
+    });
+
+    it('falls back to the current plan for usage recorded without one', async () => {
+      stubDays([{ day: '2026-09-01', units: 120000, overage_enabled_units: 120000, plan_units: {} }]);
+
+      await expect(meteringService.billingBasis(buildUser('premium'), '2026-09-01', '2026-09-30'))
+        .resolves.toEqual({ plan: 'premium', billableOverageUnits: 20000 });
+    });
+  });
+
+  describe('finalizeStatement', () => {
+    const { secretKey } = config.stripe;
+    let stripe;
+    let statement;
+
+    beforeEach(() => {
+      // Fake Stripe client, so invoicing runs without the network
+      config.stripe.secretKey = 'sk_test_fake';
+      stripe = { invoiceItems: { create: jest.fn().mockResolvedValue({ id: 'ii_123' }) } };
+      billingService.setClient(stripe);
+
+      jest.spyOn(UsageStatement, 'findOne').mockResolvedValue(null);
+      jest.spyOn(UsageStatement, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        statement = new UsageStatement(update.$set);
+        jest.spyOn(statement, 'save').mockResolvedValue(statement);
+        return statement;
+      });
+    });
+
+    afterEach(() => {
+      billingService.setClient(null);
+      config.stripe.secretKey = secretKey;
+    });
+
+    const stubUsage = (days) => {
+      const units = days.reduce((sum, { units: dayUnits }) => sum + dayUnits, 0);
+      jest.spyOn(UsageRecord, 'summarize').mockResolvedValue([
+        { _id: { endpoint: 'GET /api/v1/facts/random' }, category: 'fact_read', requests: units, units }
+      ]);
+      jest.spyOn(UsageRecord, 'dailyBillingTotals').mockResolvedValue(days);
+    };
+
+    it('adds opted-in overage to the next invoice, once per period', async () => {
+      stubUsage([day(1, 90000, 0), day(2, 20000, 20000)]);
+      const user = buildUser('premium', { overage_enabled: true });
+
+      await meteringService.finalizeStatement(user, '2026-09');
+
+      expect(statement.status).toBe('invoiced');
+      expect(statement.stripe_invoice_item_id).toBe('ii_123');
+      expect(statement.overage_units).toBe(10000);
+      expect(statement.overage_amount_cents).toBe(100);
+      expect(stripe.invoiceItems.create).toHaveBeenCalledWith(
+        expect.objectContaining({ customer: 'cus_123', amount: 100, currency: 'usd' }),
+        { idempotencyKey: `overage-${user._id}-2026-09` }
+      );
+    });
+
+    it('caps the bill at the allowance when overage was never enabled', async () => {
+      stubUsage([day(1, 150000, 0)]);
+
+      await meteringService.finalizeStatement(buildUser('premium'), '2026-09');
+
+      expect(statement.status).toBe('finalized');
+      expect(statement.overage_amount_cents).toBe(0);
+      expect(statement.unbilled_overage_units).toBe(50000);
+      expect(stripe.invoiceItems.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves the statement open when Stripe fails, so it is retried', async () => {
+      stubUsage([day(1, 110000, 110000)]);
+      stripe.invoiceItems.create.mockRejectedValue(new Error('Stripe is down'));
+
+      await expect(meteringService.finalizeStatement(buildUser('premium', { overage_enabled: true }), '2026-09'))
+        .rejects.toMatchObject({ statusCode: 502, errorCode: 'BILLING_PROVIDER_ERROR' });
+      expect(statement.status).toBe('open');
+      expect(statement.save).not.toHaveBeenCalled();
+    });
+  });
+});
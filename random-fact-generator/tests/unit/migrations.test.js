@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import ApiKey from '../../src/models/ApiKey.js';
+import Fact from '../../src/models/Fact.js';
+import factService from '../../src/services/factService.js';
+import { runMigrations } from '../../src/utils/migrations.js';
+
+describe('migrations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects unknown migration names', async () => {
+    await expect(runMigrations(['no-such-migration'])).rejects.toThrow('Unknown migrations: no-such-migration');
+  });
+
+  describe('hash-api-keys', () => {
+    it('replaces each plaintext key with its hash and prefix', async () => {
+      const plaintext = [
+        { _id: 'key_1', key: 'rfg_lq2x9k1a_3f9c0b1aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' },
+        { _id: 'key_2', key: 'rfg_lq2x9k1b_bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb' }
+      ];
+      jest.spyOn(ApiKey, 'dropLegacyKeyIndex').mockResolvedValue(true);
+      const find = jest.spyOn(ApiKey, 'find').mockReturnValue({
+        select: () => ({
+          async *cursor() {
+            yield* plaintext;
+          }
+        })
+      });
+      const updateOne = jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+      jest.spyOn(ApiKey, 'syncIndexes').mockResolvedValue([]);
+
+      await expect(runMigrations(['hash-api-keys'])).resolves.toEqual({ 'hash-api-keys': { migrated: 2 } });
+
+      expect(find).toHaveBeenCalledWith({ key: { $exists: true, $ne: null } });
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'key_1' }, {
+        $set: { key_hash: ApiKey.hashKey(plaintext[0].key), key_prefix: 'rfg_lq2x9k1a_3f9c0b1' },
+        $unset: { key: '' }
+      });
+      expect(ApiKey.syncIndexes).toHaveBeenCalled();
+    });
+  });
+
+  describe('backfill-moderation-status', () => {
+    it('approves verified facts and queues the rest, leaving moderated facts alone', async () => {
+      const updateMany = jest.spyOn(Fact, 'updateMany')
+        .mockResolvedValueOnce({ modifiedCount: 40 })
+        .mockResolvedValueOnce({ modifiedCount: 2 });
+
+      await expect(runMigrations(['backfill-moderation-status']))
+        .resolves.toEqual({ 'backfill-moderation-status': { approved: 40, pending: 2 } });
+
+      expect(updateMany).toHaveBeenCalledWith(
+        { moderation_status: { $exists: false }, verified: true },
+        { $set: { moderation_status: 'approved' } }
+      );
+      expect(updateMany).toHaveBeenCalledWith(
+        { moderation_status: { $exists: false }, verified: { $ne: true } },
+        { $set: { moderation_status: 'pending' } }
+      );
+    });
+  });
+
+  it('serves only approved facts as random facts', async () => {
+    const aggregate = jest.spyOn(Fact, 'aggregate').mockResolvedValue([{ fact: 'Honey never spoils.', verified: true }]);
+
+    await factService.getRandomFact({ forceNew: true });
+
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { moderation_status: 'approved' } });
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import userService from '../../src/services/userService.js';
+import sessionService from '../../src/services/sessionService.js';
+import emailService from '../../src/services/emailService.js';
+
+describe('password reset by email', () => {
+  let user;
+  let sendMail;
+
+  beforeEach(() => {
+    // The JSON transport builds each message without sending it
+    const transport = emailService.createTransport('json');
+    sendMail = jest.spyOn(transport, 'sendMail');
+    emailService.setTransport(transport);
+
+    user = new User({ username: 'ada', email: 'ada@example.com', password: 'placeholder', status: 'active' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findByEmail').mockImplementation(async email => (email === user.email ? user : null));
+    jest.spyOn(User, 'findOne').mockImplementation(async filter => (
+      filter['security.password_reset_token'] === user.security.password_reset_token &&
+      user.security.password_reset_expires > filter['security.password_reset_expires'].$gt
+        ? user
+        : null
+    ));
+    jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    emailService.setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  // Emails are sent in the background; let the pending send finish first
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  // The message the nth email sent would have delivered
+  const sentMessage = async (n = 0) => {
+    await flush();
+    return JSON.parse((await sendMail.mock.results[n].value).message);
+  };
+
+  const tokenFrom = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  it('emails a link whose token resets the password once', async () => {
+    await userService.requestPasswordReset('ada@example.com');
+
+    const message = await sentMessage();
+    expect(message.to).toEqual([{ address: 'ada@example.com', name: '' }]);
+    const token = tokenFrom(message);
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    // Only the hash is stored
+    expect(user.security.password_reset_token).not.toBe(token);
+
+    await userService.resetPassword(token, 'N3w-password!');
+
+    // Hashed by the save hook, which the stubbed save skips
+    expect(user.password).toBe('N3w-password!');
+    expect(user.save).toHaveBeenCalledTimes(2);
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(user, 'password_change');
+    expect((await sentMessage(1)).subject).toMatch(/password/i);
+
+    await expect(userService.resetPassword(token, 'An0ther-password!'))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_TOKEN' });
+  });
+
+  it('does not accept an expired link', async () => {
+    await userService.requestPasswordReset('ada@example.com');
+    user.security.password_reset_expires = new Date(Date.now() - 1000);
+
+    await expect(userService.resetPassword(tokenFrom(await sentMessage()), 'N3w-password!'))
+      .rejects.toMatchObject({ errorCode: 'INVALID_TOKEN' });
+  });
+
+  it('sends nothing for unknown or suspended accounts', async () => {
+    await userService.requestPasswordReset('nobody@example.com');
+    user.status = 'suspended';
+    await userService.requestPasswordReset('ada@example.com');
+
+    await flush();
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('does not wait for or fail on the mail server', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP unavailable'));
+
+    await expect(userService.requestPasswordReset('ada@example.com')).resolves.toBeUndefined();
+    expect(user.security.password_reset_token).toBeDefined();
+
+    user.status = 'pending_verification';
+    await expect(userService.resendVerification('ada@example.com')).resolves.toBeUndefined();
+
+    await flush();
+    expect(sendMail).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import ApiKey from '../../src/models/ApiKey.js';
+import AuthMiddleware from '../../src/middleware/auth.js';
+import {
+  expandLegacyEndpoints,
+  grants,
+  isValidScope,
+  resolvePermission,
+  roleHasPermission
+} from '../../src/config/permissions.js';
+
+describe('permissions', () => {
+  it.each([
+    ['user', 'facts:read', true],
+    ['user', 'facts:create', true],
+    ['user', 'facts:moderate', false],
+    ['user', 'facts:export', false],
+    ['user', 'ai:moderate', false],
+    ['user', 'admin', false],
+    ['moderator', 'facts:moderate', true],
+    ['moderator', 'facts:export', true],
+    ['moderator', 'facts:delete', false],
+    ['moderator', 'facts:import', false],
+    ['moderator', 'ai:manage', false],
+    ['admin', 'facts:delete', true],
+    ['admin', 'ai:manage', true],
+    ['admin', 'admin', true],
+    ['unknown-role', 'facts:read', true],
+    ['unknown-role', 'facts:moderate', false]
+  ])('role %s has %s: %s', (role, permission, expected) => {
+    expect(roleHasPermission(role, permission)).toBe(expected);
+  });
+
+  it.each([
+    ['create_facts', 'facts:create'],
+    ['edit_facts', 'facts:update'],
+    ['delete_facts', 'facts:delete'],
+    ['moderate_facts', 'facts:moderate'],
+    ['bulk_import', 'facts:import'],
+    ['bulk_export', 'facts:export'],
+    ['moderate_content', 'ai:moderate'],
+    ['facts', 'facts:read'],
+    ['ai', 'ai:generate'],
+    ['users', 'users:read'],
+    ['analytics', 'analytics:read'],
+    ['facts:update', 'facts:update']
+  ])('resolves %s to %s', (alias, permission) => {
+    expect(resolvePermission(alias)).toBe(permission);
+  });
+
+  it.each([
+    [['facts:read'], 'facts:read', true],
+    [['facts:read'], 'facts:create', false],
+    [['facts:*'], 'facts:moderate', true],
+    [['facts:*'], 'ai:generate', false],
+    [['*'], 'ai:manage', true],
+    [['admin'], 'facts:delete', true],
+    [['facts:create'], 'create_facts', true],
+    [['ai:generate'], 'moderate_content', false],
+    [[], 'facts:read', false]
+  ])('scopes %j grant %s: %s', (scopes, permission, expected) => {
+    expect(grants(scopes, permission)).toBe(expected);
+  });
+
+  it.each([
+    [['facts'], ['facts:read']],
+    [['facts', 'ai', 'facts'], ['facts:read', 'ai:generate']],
+    [['users', 'analytics'], ['users:read', 'analytics:read']],
+    [['admin'], ['*']],
+    [['unknown'], []],
+    [undefined, []]
+  ])('expands legacy endpoints %j to %j', (endpoints, scopes) => {
+    expect(expandLegacyEndpoints(endpoints)).toEqual(scopes);
+  });
+
+  it.each([
+    ['facts:read', true],
+    ['facts:*', true],
+    ['*', true],
+    ['admin', true],
+    ['facts:fly', false],
+    ['billing:*', false]
+  ])('scope %s is valid: %s', (scope, expected) => {
+    expect(isValidScope(scope)).toBe(expected);
+  });
+});
+
+describe('AuthMiddleware.requirePermission', () => {
+  const check = (permission, { role = 'user', key } = {}) => {
+    const req = { user: { _id: 'user_1', role }, originalUrl: '/api/v1/facts' };
+    if (key) {
+      req.apiKey = new ApiKey({ name: 'Test', userId: '507f1f77bcf86cd799439011', ...key });
+    }
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    AuthMiddleware.requirePermission(permission)(req, res, next);
+
+    return { allowed: next.mock.calls.length === 1, res };
+  };
+
+  it.each([
+    ['a user', 'facts:create', {}, true],
+    ['a user', 'facts:moderate', {}, false],
+    ['a moderator', 'moderate_facts', { role: 'moderator' }, true],
+    ['a key with the scope', 'facts:create', { key: { scopes: ['facts:read', 'facts:create'] } }, true],
+    ['a key without the scope', 'facts:create', { key: { scopes: ['facts:read'] } }, false],
+    ['a key scoped beyond its owner\'s role', 'facts:moderate', { key: { scopes: ['facts:*'] } }, false],
+    ['a moderator\'s wildcard key', 'facts:moderate', { role: 'moderator', key: { scopes: ['facts:*'] } }, true],
+    ['a legacy key for its endpoint', 'facts', { key: { permissions: { endpoints: ['facts'] } } }, true],
+    ['a legacy key outside its endpoints', 'ai:generate', { key: { permissions: { endpoints: ['facts'] } } }, false],
+    ['an admin legacy key of a user', 'facts:delete', { key: { permissions: { endpoints: ['admin'] } } }, false],
+    ['an admin with an admin legacy key', 'facts:delete', { role: 'admin', key: { permissions: { endpoints: ['admin'] } } }, true]
+  ])('%s asking for %s (%j) is allowed: %s', (description, permission, credentials, expected) => {
+    expect(check(permission, credentials).allowed).toBe(expected);
+  });
+
+  it('names the missing key scope when the role would allow it', () => {
+    const { res } = check('create_facts', { key: { scopes: ['facts:read'] } });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'API key is missing the required scope: facts:create',
+      error_code: 'INSUFFICIENT_PERMISSIONS',
+      required_permission: 'facts:create',
+      granted: ['facts:read']
+    }));
+  });
+
+  it('requires a logged-in user', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    AuthMiddleware.requirePermission('facts:read')({}, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,173 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AISettings from '../../src/models/AISettings.js';
+import Fact from '../../src/models/Fact.js';
+import PromptTemplate from '../../src/models/PromptTemplate.js';
+import ReferenceSource from '../../src/models/ReferenceSource.js';
+import aiService from '../../src/services/aiService.js';
+import aiUsageService from '../../src/services/aiUsageService.js';
+import factAnalysisService from '../../src/services/factAnalysisService.js';
+import factVerificationService from '../../src/services/factVerificationService.js';
+import promptTemplateService from '../../src/services/promptTemplateService.js';
+import { createProvider } from '../../src/services/aiProviders/index.js';
+import config from '../../src/config/index.js';
+
+describe('AI prompt templates', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  let templates;
+  let complete;
+
+  beforeEach(() => {
+    // PromptTemplate documents by name, instead of MongoDB
+    templates = new Map();
+    const found = ({ name }) => {
+      const doc = templates.get(name) || null;
+      return { select: () => ({ lean: async () => doc }), lean: async () => doc };
+    };
+    jest.spyOn(PromptTemplate, 'find').mockImplementation(() => ({ lean: async () => [...templates.values()] }));
+    jest.spyOn(PromptTemplate, 'findOne').mockImplementation(found);
+    jest.spyOn(PromptTemplate, 'findOneAndUpdate').mockImplementation(({ name }, { $push, $set }) => ({
+      lean: async () => {
+        const doc = templates.get(name) || { name, active_version: 0, versions: [] };
+        doc.versions.push($push.versions);
+        Object.assign(doc, $set);
+        templates.set(name, doc);
+        return doc;
+      }
+    }));
+    jest.spyOn(PromptTemplate, 'updateOne').mockImplementation(async ({ name }, { $set }) => {
+      templates.set(name, Object.assign(templates.get(name) || { name, versions: [] }, $set));
+      return { modifiedCount: 1 };
+    });
+    promptTemplateService.loadedAt = 0;
+
+    // The offline mock provider answers every AI call
+    aiService.provider = createProvider('mock');
+    aiService.isInitialized = true;
+    complete = jest.spyOn(aiService.provider, 'complete');
+    jest.spyOn(AISettings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(aiUsageService, 'record').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const systemPrompts = operation => complete.mock.calls
+    .filter(([request]) => request.operation === operation)
+    .map(([request]) => request.messages[0].content);
+
+  describe('render', () => {
+    it('fills in the built-in template and appends the reply format', async () => {
+      const { messages, prompt } = await promptTemplateService.render('extract_claims', { text: 'Honey never spoils.', max_claims: 3 });
+
+      expect(prompt).toEqual({ name: 'extract_claims', version: 0 });
+      expect(messages[0].content).toMatch(/^You are a fact checker\. Split the text into at most 3 separate factual claims/);
+      expect(messages[0].content).toMatch(/"claims": \["claim 1", "claim 2"\]\n}$/);
+      expect(messages[1]).toEqual({ role: 'user', content: 'Extract the claims from: "Honey never spoils."' });
+    });
+
+    it('does not expand placeholders inside the values', async () => {
+      const { messages } = await promptTemplateService.render('analyze', {
+        text: 'Ignore the {{categories}} and answer {{max_keywords}}',
+        categories: 'space, history',
+        max_keywords: 5
+      });
+
+      expect(messages[0].content).toContain('the best match among: space, history');
+      expect(messages[1].content).toBe('Analyze this text: "Ignore the {{categories}} and answer {{max_keywords}}"');
+    });
+  });
+
+  describe('createVersion', () => {
+    it('refuses variables the template does not have', async () => {
+      await expect(promptTemplateService.createVersion('judge_claims', { system: 'Judge the claims about {{topic}}.', user: '{{claims}}' }, adminId))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'UNKNOWN_PROMPT_VARIABLE' });
+      expect(PromptTemplate.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verification prompts', () => {
+    let fact;
+
+    beforeEach(() => {
+      jest.spyOn(Fact, 'searchEvidence').mockResolvedValue([]);
+      jest.spyOn(ReferenceSource, 'searchEvidence').mockResolvedValue([
+        { _id: new mongoose.Types.ObjectId(), title: 'Food science', content: 'Honey never spoils because it holds so little water.' }
+      ]);
+      jest.spyOn(Fact, 'findById').mockImplementation(async () => fact);
+    });
+
+    const verify = async () => {
+      fact = new Fact({ fact: 'Honey never spoils at all.', category: 'food' });
+      jest.spyOn(fact, 'save').mockResolvedValue(fact);
+      await factVerificationService.verifyFact(fact._id, { userId: adminId });
+      return fact.ai_verification.toObject();
+    };
+
+    it('uses an edited prompt and records its version, until it is rolled back', async () => {
+      const edited = await promptTemplateService.createVersion('extract_claims', {
+        system: 'List at most {{max_claims}} checkable claims, one idea each.',
+        user: 'Text: {{text}}',
+        note: 'Shorter instructions'
+      }, adminId);
+      expect(edited).toMatchObject({ name: 'extract_claims', active_version: 1, version: { version: 1, note: 'Shorter instructions' } });
+
+      let verification = await verify();
+
+      expect(verification.status).toBe('supported');
+      expect(verification.prompts).toEqual([{ name: 'extract_claims', version: 1 }, { name: 'judge_claims', version: 0 }]);
+      expect(systemPrompts('verify')[0]).toMatch(/^List at most 5 checkable claims, one idea each\.\n\nRespond with JSON/);
+
+      await expect(promptTemplateService.rollback('extract_claims', 0, adminId)).resolves.toEqual({ name: 'extract_claims', active_version: 0 });
+      complete.mockClear();
+
+      verification = await verify();
+
+      expect(verification.prompts[0]).toEqual({ name: 'extract_claims', version: 0 });
+      expect(systemPrompts('verify')[0]).toMatch(/^You are a fact checker\. Split the text/);
+    });
+
+    it('rolls back to earlier versions only', async () => {
+      await promptTemplateService.createVersion('judge_claims', { system: 'Judge strictly.', user: '{{claims}}' }, adminId);
+      await promptTemplateService.createVersion('judge_claims', { system: 'Judge leniently.', user: '{{claims}}' }, adminId);
+
+      await expect(promptTemplateService.rollback('judge_claims', 3, adminId))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'PROMPT_VERSION_NOT_FOUND' });
+      await promptTemplateService.rollback('judge_claims', 1, adminId);
+
+      const verification = await verify();
+
+      expect(verification.prompts[1]).toEqual({ name: 'judge_claims', version: 1 });
+      expect(systemPrompts('verify')[1]).toMatch(/^Judge strictly\./);
+    });
+  });
+
+  describe('analysis prompt', () => {
+    const enabled = config.ai.enabled;
+
+    beforeAll(() => {
+      config.ai.enabled = true;
+    });
+
+    afterAll(() => {
+      config.ai.enabled = enabled;
+    });
+
+    it('records the version that chose a submission\'s category', async () => {
+      await promptTemplateService.createVersion('analyze', {
+        system: 'Pick one of {{categories}} and at most {{max_keywords}} keywords.',
+        user: '{{text}}'
+      }, adminId);
+
+      const { factData } = await factAnalysisService.enrich({ fact: 'Octopuses are animals with three hearts.' });
+
+      expect(factData).toMatchObject({
+        category: 'animals',
+        ai_analysis: { model: 'mock/fact-model', prompt: { name: 'analyze', version: 1 } }
+      });
+      expect(systemPrompts('analyze')[0]).toMatch(/^Pick one of science, history, .+, general and at most 10 keywords\./);
+      expect(new Fact(factData).ai_analysis.prompt.toObject()).toEqual({ name: 'analyze', version: 1 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+import emailService from '../../src/services/emailService.js';
+import userService from '../../src/services/userService.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('userService.register', () => {
+  const data = { username: 'ada', email: 'Ada@example.com', password: 'S3cure-password!' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(apiKeyService, 'createKey').mockImplementation(async user => ({
+      apiKey: { userId: user._id },
+      key: 'rfg_lq2x9k1a_3f9c0b1aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+    }));
+    jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a pending account with its first API key', async () => {
+    const { user, key } = await userService.register(data);
+
+    expect(user.status).toBe('pending_verification');
+    expect(user.email).toBe('ada@example.com');
+    expect(key).toMatch(/^rfg_/);
+    expect(apiKeyService.createKey).toHaveBeenCalledWith(user, { name: 'Default key' }, {});
+    expect(emailService.sendVerificationEmail).toHaveBeenCalledWith(user, expect.any(String));
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses a taken email or username', async () => {
+    User.findOne.mockResolvedValue(new User({ username: 'ada', email: 'other@example.com', password: 'placeholder' }));
+
+    await expect(userService.register(data))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'USER_EXISTS', message: expect.stringContaining('username') });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('reports a concurrent registration of the same account as USER_EXISTS', async () => {
+    User.prototype.save.mockRejectedValue(duplicateKeyError());
+
+    await expect(userService.register(data)).rejects.toMatchObject({ statusCode: 409, errorCode: 'USER_EXISTS' });
+    expect(apiKeyService.createKey).not.toHaveBeenCalled();
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('removes the account when its API key cannot be created', async () => {
+    const failure = new Error('connection reset');
+    apiKeyService.createKey.mockRejectedValue(failure);
+
+    await expect(userService.register(data)).rejects.toBe(failure);
+
+    const [user] = User.prototype.save.mock.contexts;
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: user._id });
+    expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('does not mistake a duplicate API key for an existing account', async () => {
+    const failure = duplicateKeyError();
+    apiKeyService.createKey.mockRejectedValue(failure);
+
+    await expect(userService.register(data)).rejects.toBe(failure);
+    expect(User.deleteOne).toHaveBeenCalled();
+  });
+
+  it('still reports the key failure when the cleanup fails too', async () => {
+    const failure = new Error('connection reset');
+    apiKeyService.createKey.mockRejectedValue(failure);
+    User.deleteOne.mockRejectedValue(new Error('still down'));
+
+    await expect(userService.register(data)).rejects.toBe(failure);
+  });
+
+  it('registers even when the verification email cannot be sent', async () => {
+    emailService.sendVerificationEmail.mockRejectedValue(new Error('SMTP unavailable'));
+
+    await expect(userService.register(data)).resolves.toMatchObject({ key: expect.any(String) });
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import sessionService from '../../src/services/sessionService.js';
+import config from '../../src/config/index.js';
+
+describe('sessionService refresh tokens', () => {
+  let sessions;
+  let user;
+
+  beforeEach(() => {
+    // Sessions live in a Map instead of MongoDB
+    sessions = new Map();
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      sessions.set(String(this._id), this);
+      return this;
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(id => ({
+      select: () => Promise.resolve(sessions.get(String(id)) || null)
+    }));
+    // Applies the rotation only while the filter still matches, as MongoDB would
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const session = sessions.get(String(filter._id));
+      if (!session || session.revoked_at || session.refresh_token_hash !== filter.refresh_token_hash) {
+        return null;
+      }
+      const { $each, $slice } = update.$push.previous_token_hashes;
+      session.set(update.$set);
+      session.previous_token_hashes = [...session.previous_token_hashes, ...$each].slice($slice);
+      return session;
+    });
+
+    user = new User({ username: 'ada', email: 'ada@example.com', password: 'placeholder' });
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const refreshError = { statusCode: 401, errorCode: 'INVALID_REFRESH_TOKEN' };
+
+  it('starts a session with an access token bound to it', async () => {
+    const tokens = await sessionService.createSession(user, { ip: '203.0.113.7', userAgent: 'curl/8.0' });
+
+    expect(tokens.refresh_token).toMatch(new RegExp(`^${tokens.session_id}\\.[a-f0-9]{64}$`));
+    expect(jwt.verify(tokens.token, config.jwt.secret)).toMatchObject({
+      id: String(user._id),
+      sid: String(tokens.session_id),
+      type: 'access'
+    });
+
+    const session = sessions.get(String(tokens.session_id));
+    expect(session.metadata.device).toBe('curl');
+    // Only the hash of the refresh token is stored
+    expect(JSON.stringify(session.toObject())).not.toContain(tokens.refresh_token.split('.')[1]);
+  });
+
+  it('rotates the refresh token on every exchange', async () => {
+    const first = await sessionService.createSession(user);
+    const second = await sessionService.refresh(first.refresh_token, { ip: '198.51.100.2' });
+    expect(sessions.get(String(first.session_id)).metadata.last_ip_address).toBe('198.51.100.2');
+    const third = await sessionService.refresh(second.refresh_token);
+
+    expect(second.refresh_token).not.toBe(first.refresh_token);
+    expect(third.refresh_token).not.toBe(second.refresh_token);
+    expect(third.session_id).toEqual(first.session_id);
+  });
+
+  it('ends the session when an exchanged token is used again', async () => {
+    const first = await sessionService.createSession(user);
+    const second = await sessionService.refresh(first.refresh_token);
+
+    await expect(sessionService.refresh(first.refresh_token)).rejects.toMatchObject(refreshError);
+
+    const session = sessions.get(String(first.session_id));
+    expect(session.revoked_reason).toBe('token_reuse');
+    expect(session.isActive).toBe(false);
+    // The thief and the owner are both logged out
+    await expect(sessionService.refresh(second.refresh_token)).rejects.toMatchObject(refreshError);
+  });
+
+  it('lets only one of two concurrent exchanges of a token through', async () => {
+    const { refresh_token, session_id } = await sessionService.createSession(user);
+
+    const results = await Promise.allSettled([
+      sessionService.refresh(refresh_token),
+      sessionService.refresh(refresh_token)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject(refreshError);
+    expect(sessions.get(String(session_id)).revoked_reason).toBe('token_reuse');
+  });
+
+  it('rotates with a write conditional on the presented token', async () => {
+    const { refresh_token, session_id } = await sessionService.createSession(user);
+    const currentHash = sessions.get(String(session_id)).refresh_token_hash;
+
+    await sessionService.refresh(refresh_token, { ip: '198.51.100.2' });
+
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: session_id, refresh_token_hash: currentHash, revoked_at: null },
+      expect.objectContaining({
+        $push: { previous_token_hashes: { $each: [currentHash], $slice: -20 } }
+      }),
+      { new: true }
+    );
+  });
+
+  it('rejects malformed, unknown and expired tokens', async () => {
+    const { refresh_token, session_id } = await sessionService.createSession(user);
+    const [, secret] = refresh_token.split('.');
+
+    await expect(sessionService.refresh('garbage')).rejects.toMatchObject(refreshError);
+    await expect(sessionService.refresh(`${session_id}.${'0'.repeat(64)}`)).rejects.toMatchObject(refreshError);
+    await expect(sessionService.refresh(`507f1f77bcf86cd799439011.${secret}`)).rejects.toMatchObject(refreshError);
+
+    sessions.get(String(session_id)).expires_at = new Date(Date.now() - 1000);
+    await expect(sessionService.refresh(refresh_token)).rejects.toMatchObject(refreshError);
+  });
+
+  it('ends the session of an account that is no longer active', async () => {
+    const { refresh_token, session_id } = await sessionService.createSession(user);
+    user.status = 'suspended';
+
+    await expect(sessionService.refresh(refresh_token))
+      .rejects.toMatchObject({ statusCode: 403, errorCode: 'INACTIVE_ACCOUNT' });
+    expect(sessions.get(String(session_id)).isActive).toBe(false);
+  });
+});
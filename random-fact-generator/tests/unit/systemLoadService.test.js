@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import databaseConnection from '../../src/config/database.js';
+import aiService from '../../src/services/aiService.js';
+import systemLoadService from '../../src/services/systemLoadService.js';
+
+describe('systemLoadService', () => {
+  let signals;
+
+  beforeEach(() => {
+    signals = { lagMs: 0, mongoMs: 0, mongoHealthy: true, aiRate: 0, aiCalls: 0 };
+
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    // The health check takes as long as the signal says
+    jest.spyOn(databaseConnection, 'healthCheck').mockImplementation(async () => {
+      now += signals.mongoMs;
+      return { status: signals.mongoHealthy ? 'healthy' : 'unhealthy' };
+    });
+    jest.spyOn(aiService, 'getErrorRate').mockImplementation(() => ({ rate: signals.aiRate, total: signals.aiCalls }));
+
+    // Event loop histogram in nanoseconds
+    systemLoadService.histogram = { percentile: () => signals.lagMs * 1e6, reset: jest.fn() };
+    systemLoadService.level = 'healthy';
+  });
+
+  afterEach(() => {
+    systemLoadService.histogram = null;
+    systemLoadService.level = 'healthy';
+    jest.restoreAllMocks();
+  });
+
+  const multipliers = () => ['basic', 'premium', 'platinum'].map(plan => systemLoadService.getMultiplier(plan));
+
+  it.each([
+    ['nothing', {}, 'healthy', [1, 1, 1]],
+    ['event loop lag of 120ms', { lagMs: 120 }, 'elevated', [0.5, 0.8, 1]],
+    ['Mongo latency of 300ms', { mongoMs: 300 }, 'high', [0.25, 0.5, 0.9]],
+    ['an unreachable database', { mongoHealthy: false }, 'critical', [0.1, 0.25, 0.6]],
+    ['an AI error rate of 30%', { aiRate: 0.3, aiCalls: 20 }, 'high', [0.25, 0.5, 0.9]],
+    ['an AI error rate from too few calls', { aiRate: 1, aiCalls: 5 }, 'healthy', [1, 1, 1]],
+    ['several signals at once', { lagMs: 120, mongoMs: 150, aiRate: 0.6, aiCalls: 50 }, 'critical', [0.1, 0.25, 0.6]]
+  ])('with %s the level is %s', async (description, observed, level, expected) => {
+    Object.assign(signals, observed);
+
+    const status = await systemLoadService.sample();
+
+    expect(status.level).toBe(level);
+    expect(multipliers()).toEqual(expected);
+  });
+
+  it('reports the signals it measured', async () => {
+    Object.assign(signals, { lagMs: 42, mongoMs: 17, aiRate: 0.05, aiCalls: 40 });
+
+    const { signals: measured } = await systemLoadService.sample();
+
+    expect(measured).toEqual({ event_loop_lag_ms: 42, mongo_latency_ms: 17, ai_error_rate: 0.05 });
+    expect(systemLoadService.histogram.reset).toHaveBeenCalled();
+  });
+
+  it('rises at once but recovers one level per healthy sample', async () => {
+    signals.mongoHealthy = false;
+    await systemLoadService.sample();
+    signals.mongoHealthy = true;
+
+    const levels = [];
+    for (let i = 0; i < 4; i++) {
+      levels.push((await systemLoadService.sample()).level);
+    }
+
+    expect(levels).toEqual(['high', 'elevated', 'healthy', 'healthy']);
+  });
+
+  it('treats unknown plans like basic', () => {
+    systemLoadService.level = 'high';
+
+    expect(systemLoadService.getMultiplier('enterprise')).toBe(0.25);
+  });
+});
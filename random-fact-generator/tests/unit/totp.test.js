@@ -0,0 +1,71 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  currentStep,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} from '../../src/utils/totp.js';
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890", last 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('totp', () => {
+  it('encodes and decodes base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv')).toEqual(base32Decode('GEZDGNBV'));
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  it('accepts codes one step either side and returns their step', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = currentStep(timestamp);
+
+    expect(verifyTotp(RFC_SECRET, '081804', { timestamp })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp - 30000), { timestamp })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp + 30000), { timestamp })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window and malformed codes', () => {
+    const timestamp = 1111111109 * 1000;
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp - 90000), { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '81804', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { timestamp })).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, account: 'ada@example.com', issuer: 'Facts' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Facts:ada@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+
+  it('encrypts secrets so only the same key decrypts them', () => {
+    const encrypted = encryptSecret(RFC_SECRET, 'key-one');
+
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(encryptSecret(RFC_SECRET, 'key-one')).not.toBe(encrypted);
+    expect(decryptSecret(encrypted, 'key-one')).toBe(RFC_SECRET);
+    expect(() => decryptSecret(encrypted, 'key-two')).toThrow();
+  });
+});
@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../../src/models/User.js';
+import userService from '../../src/services/userService.js';
+import twoFactorService from '../../src/services/twoFactorService.js';
+import sessionService from '../../src/services/sessionService.js';
+import config from '../../src/config/index.js';
+import { generateSecret, generateTotp, encryptSecret } from '../../src/utils/totp.js';
+
+const PASSWORD = 'correct horse battery staple';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+const TOKENS = { token: 'access-token', refresh_token: 'refresh-token' };
+
+// A user with 2FA on, kept in memory: saves resolve without a database
+const buildUser = (secret) => {
+  const user = new User({ username: 'ada', email: 'ada@example.com', password: 'placeholder' });
+  user.password = PASSWORD_HASH;
+  user.security.two_factor_enabled = true;
+  user.security.two_factor_secret = encryptSecret(secret, config.twoFactor.encryptionKey);
+  user.security.two_factor_recovery_codes = [];
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+describe('two-factor login', () => {
+  let secret;
+  let user;
+
+  beforeEach(() => {
+    secret = generateSecret();
+    user = buildUser(secret);
+    jest.spyOn(User, 'findByEmail').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(sessionService, 'createSession').mockResolvedValue(TOKENS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const challenge = async () => {
+    const result = await userService.authenticate('ada@example.com', PASSWORD, { ip: '203.0.113.7' });
+    expect(result.twoFactor).toBe('challenge');
+    return result.twoFactorToken;
+  };
+
+  it('asks for a code after the password instead of issuing tokens', async () => {
+    const result = await userService.authenticate('ada@example.com', PASSWORD);
+
+    expect(result.tokens).toBeUndefined();
+    expect(jwt.verify(result.twoFactorToken, config.jwt.secret)).toMatchObject({
+      id: String(user._id),
+      type: '2fa_challenge'
+    });
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong password before any 2FA step', async () => {
+    await expect(userService.authenticate('ada@example.com', 'wrong password'))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: 'INVALID_CREDENTIALS' });
+    expect(user.security.login_attempts).toBe(1);
+  });
+
+  it('issues tokens for the current code', async () => {
+    const token = await challenge();
+    user.security.login_attempts = 2;
+
+    const result = await twoFactorService.completeLogin(token, generateTotp(secret), { ip: '203.0.113.7' });
+
+    expect(result.tokens).toBe(TOKENS);
+    expect(sessionService.createSession).toHaveBeenCalledWith(user, { ip: '203.0.113.7' });
+    expect(user.security.login_attempts).toBe(0);
+  });
+
+  it('does not accept the same code twice', async () => {
+    const code = generateTotp(secret);
+    await twoFactorService.completeLogin(await challenge(), code);
+
+    await expect(twoFactorService.completeLogin(await challenge(), code))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: 'INVALID_TWO_FACTOR_CODE' });
+    expect(sessionService.createSession).toHaveBeenCalledTimes(1);
+    expect(user.security.login_attempts).toBe(1);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const [recoveryCode] = twoFactorService.generateRecoveryCodes();
+    // Stored hashed, as confirmSetup stores them
+    user.security.two_factor_recovery_codes = [crypto.createHash('sha256').update(recoveryCode).digest('hex')];
+
+    await twoFactorService.completeLogin(await challenge(), recoveryCode);
+    expect(user.security.two_factor_recovery_codes).toHaveLength(0);
+
+    await expect(twoFactorService.completeLogin(await challenge(), recoveryCode))
+      .rejects.toMatchObject({ errorCode: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  it('refuses accounts suspended after the password step', async () => {
+    const token = await challenge();
+    user.status = 'suspended';
+
+    await expect(twoFactorService.completeLogin(token, generateTotp(secret)))
+      .rejects.toMatchObject({ statusCode: 403, errorCode: 'INACTIVE_ACCOUNT' });
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+    // The code was not used up
+    expect(user.security.two_factor_last_step).toBeUndefined();
+  });
+
+  it('refuses locked accounts', async () => {
+    const token = await challenge();
+    user.security.locked_until = new Date(Date.now() + 60 * 1000);
+
+    await expect(twoFactorService.completeLogin(token, generateTotp(secret)))
+      .rejects.toMatchObject({ statusCode: 423, errorCode: 'ACCOUNT_LOCKED' });
+  });
+
+  it('only accepts challenge tokens', async () => {
+    const setupToken = user.generateTwoFactorToken('2fa_setup');
+    const forged = jwt.sign({ id: user._id, type: '2fa_challenge' }, 'another secret');
+
+    for (const token of [setupToken, forged, 'not a token']) {
+      await expect(twoFactorService.completeLogin(token, generateTotp(secret)))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: 'INVALID_CHALLENGE' });
+    }
+  });
+
+  it('locks the account after five wrong codes', async () => {
+    const token = await challenge();
+    const wrongCode = String((Number(generateTotp(secret)) + 500000) % 1000000).padStart(6, '0');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(twoFactorService.completeLogin(token, wrongCode))
+        .rejects.toMatchObject({ errorCode: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    expect(user.isAccountLocked()).toBeTruthy();
+    await expect(twoFactorService.completeLogin(token, generateTotp(secret)))
+      .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+  });
+});
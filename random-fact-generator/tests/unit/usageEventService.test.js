@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import ApiKey from '../../src/models/ApiKey.js';
+import UsageEvent from '../../src/models/UsageEvent.js';
+import UsageRecord from '../../src/models/UsageRecord.js';
+import User from '../../src/models/User.js';
+import usageEventService from '../../src/services/usageEventService.js';
+import webhookService from '../../src/services/webhookService.js';
+
+const ADA = '64b7f0c2a1b2c3d4e5f60718';
+const GRACE = '64b7f0c2a1b2c3d4e5f60719';
+const ADA_KEY = '64b7f0c2a1b2c3d4e5f6071a';
+
+const event = (changes = {}) => ({
+  userId: ADA,
+  apiKeyId: ADA_KEY,
+  method: 'GET',
+  endpoint: '/api/v1/facts/random',
+  status_code: 200,
+  response_time_ms: 12,
+  timestamp: new Date('2026-03-14T09:00:00Z'),
+  category: 'facts',
+  units: 1,
+  plan: 'premium',
+  overage_enabled: false,
+  ...changes
+});
+
+// An unordered bulk write in which the operations at `indexes` failed
+const bulkWriteError = (indexes) => new mongoose.mongo.MongoBulkWriteError({
+  message: 'E11000 duplicate key error',
+  code: 11000,
+  writeErrors: indexes.map(index => ({ index, code: 11000, errmsg: 'E11000 duplicate key error' }))
+}, {});
+
+describe('usageEventService', () => {
+  let writes;
+
+  beforeEach(() => {
+    // Every entry each writer was handed, per call
+    writes = { events: [], usageRecords: [], users: [], apiKeys: [] };
+    jest.spyOn(UsageEvent, 'insertMany').mockImplementation(async entries => writes.events.push(entries));
+    jest.spyOn(UsageRecord, 'recordBatch').mockImplementation(async entries => writes.usageRecords.push(entries));
+    jest.spyOn(User, 'applyUsageBatch').mockImplementation(async entries => writes.users.push(entries));
+    jest.spyOn(ApiKey, 'applyUsageBatch').mockImplementation(async entries => writes.apiKeys.push(entries));
+    jest.spyOn(webhookService, 'checkUsageThresholds').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    usageEventService.buffer = [];
+    usageEventService.retry = { events: [], usageRecords: [], users: [], apiKeys: [] };
+    jest.restoreAllMocks();
+  });
+
+  describe('aggregate', () => {
+    it('sums requests per user, key, day and endpoint', () => {
+      const { usageRecords, users, apiKeys, events } = usageEventService.aggregate([
+        event(),
+        event({ units: 5, overage_enabled: true, timestamp: new Date('2026-03-14T10:00:00Z') }),
+        event({ status_code: 500 }),
+        event({ endpoint: '/api/v1/ai/generate', method: 'POST', category: 'ai', units: 10 }),
+        event({ timestamp: new Date('2026-03-15T08:00:00Z') })
+      ]);
+
+      expect(events).toHaveLength(5);
+      expect(events[0]).not.toHaveProperty('units');
+
+      expect(usageRecords).toHaveLength(3);
+      expect(usageRecords[0]).toEqual({
+        userId: ADA,
+        apiKeyId: ADA_KEY,
+        day: '2026-03-14',
+        endpoint: 'GET /api/v1/facts/random',
+        category: 'facts',
+        requests: 2,
+        units: 6,
+        failed_requests: 1,
+        overage_enabled_units: 5,
+        plan_units: { premium: 6 }
+      });
+      expect(usageRecords.map(record => `${record.day} ${record.endpoint}`)).toEqual([
+        '2026-03-14 GET /api/v1/facts/random',
+        '2026-03-14 POST /api/v1/ai/generate',
+        '2026-03-15 GET /api/v1/facts/random'
+      ]);
+
+      // Failed requests do not count against the allowance
+      expect(users).toEqual([
+        { userId: ADA, requests: 4, units: 17, lastRequest: new Date('2026-03-15T08:00:00Z') }
+      ]);
+      expect(apiKeys).toEqual([
+        { apiKeyId: ADA_KEY, requests: 4, errors: 1, lastUsed: new Date('2026-03-15T08:00:00Z') }
+      ]);
+    });
+
+    it('keeps unmetered requests and session requests out of the counters they do not touch', () => {
+      const { usageRecords, users, apiKeys, events } = usageEventService.aggregate([
+        event({ category: undefined }),
+        event({ userId: GRACE, apiKeyId: undefined })
+      ]);
+
+      expect(events).toHaveLength(2);
+      expect(usageRecords).toHaveLength(1);
+      expect(users.map(user => user.userId)).toEqual([GRACE]);
+      expect(apiKeys.map(apiKey => apiKey.apiKeyId)).toEqual([ADA_KEY]);
+    });
+  });
+
+  describe('flush', () => {
+    it('writes each part of the batch and announces the users whose counters moved', async () => {
+      usageEventService.record(event());
+      usageEventService.record(event({ userId: GRACE, apiKeyId: undefined }));
+
+      await usageEventService.flush();
+
+      expect(writes.events[0]).toHaveLength(2);
+      expect(writes.usageRecords[0]).toHaveLength(2);
+      expect(writes.users[0]).toHaveLength(2);
+      expect(writes.apiKeys[0]).toHaveLength(1);
+      expect(webhookService.checkUsageThresholds).toHaveBeenCalledWith([ADA, GRACE]);
+      expect(usageEventService.getStatus()).toMatchObject({
+        buffered: 0,
+        awaiting_retry: { events: 0, usageRecords: 0, users: 0, apiKeys: 0 }
+      });
+    });
+
+    it('retries only the operations a bulk write reports as failed', async () => {
+      const inserted = [];
+      UsageEvent.insertMany
+        .mockImplementationOnce(async (entries) => {
+          inserted.push(entries[0], entries[2]);
+          throw bulkWriteError([1, 3]);
+        })
+        .mockImplementation(async entries => inserted.push(...entries));
+      const timestamps = [1, 2, 3, 4].map(minute => new Date(`2026-03-14T09:0${minute}:00Z`));
+      timestamps.forEach(timestamp => usageEventService.record(event({ timestamp })));
+
+      await usageEventService.flush();
+
+      expect(usageEventService.getStatus().awaiting_retry.events).toBe(2);
+      // The other parts were written once and are not repeated
+      expect(writes.usageRecords).toHaveLength(1);
+
+      await usageEventService.flush();
+
+      expect(UsageEvent.insertMany).toHaveBeenCalledTimes(2);
+      expect(UsageEvent.insertMany.mock.calls[1][0].map(entry => entry.timestamp)).toEqual([timestamps[1], timestamps[3]]);
+      expect(inserted.map(entry => entry.timestamp).sort((a, b) => a - b)).toEqual(timestamps);
+      expect(UsageRecord.recordBatch).toHaveBeenCalledTimes(1);
+      expect(usageEventService.getStatus().awaiting_retry.events).toBe(0);
+    });
+
+    it('retries the whole part when it cannot tell what was written', async () => {
+      User.applyUsageBatch.mockRejectedValueOnce(new Error('connection reset'));
+      usageEventService.record(event());
+      usageEventService.record(event({ userId: GRACE }));
+
+      await usageEventService.flush();
+
+      expect(usageEventService.getStatus()).toMatchObject({
+        awaiting_retry: { events: 0, usageRecords: 0, users: 2, apiKeys: 0 },
+        last_error: 'connection reset'
+      });
+      expect(webhookService.checkUsageThresholds).not.toHaveBeenCalled();
+
+      // Retried entries go out together with the next batch
+      usageEventService.record(event({ timestamp: new Date('2026-03-14T11:00:00Z') }));
+      await usageEventService.flush();
+
+      expect(User.applyUsageBatch.mock.calls[1][0].map(entry => entry.userId)).toEqual([ADA, GRACE, ADA]);
+    });
+
+    it('never rejects', async () => {
+      UsageEvent.insertMany.mockRejectedValue(bulkWriteError([0]));
+      usageEventService.record(event());
+
+      await expect(usageEventService.flush()).resolves.toBeUndefined();
+    });
+  });
+});
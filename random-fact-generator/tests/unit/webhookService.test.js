@@ -0,0 +1,156 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import crypto from 'crypto';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import ApiKey from '../../src/models/ApiKey.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import webhookService, { signPayload } from '../../src/services/webhookService.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+import { isBlockedAddress, assertPublicWebhookUrl } from '../../src/utils/webhookUrl.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', event: 'fact.verified', data: { id: 'fact_1' } });
+
+// How a receiver checks the X-Webhook-Signature header
+const verifySignature = (header, body, secret) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+};
+
+describe('webhooks', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signPayload', () => {
+    it('is an HMAC-SHA256 of the timestamp and body', () => {
+      const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${PAYLOAD}`).digest('hex');
+
+      expect(signPayload(SECRET, 1700000000, PAYLOAD)).toBe(expected);
+    });
+
+    it('changes with the secret, the timestamp and the body', () => {
+      const signature = signPayload(SECRET, 1700000000, PAYLOAD);
+
+      expect(signPayload('whsec_other', 1700000000, PAYLOAD)).not.toBe(signature);
+      expect(signPayload(SECRET, 1700000001, PAYLOAD)).not.toBe(signature);
+      expect(signPayload(SECRET, 1700000000, `${PAYLOAD} `)).not.toBe(signature);
+    });
+
+    it('generates secrets receivers can tell apart', () => {
+      expect(webhookService.generateSecret()).toMatch(/^whsec_[a-f0-9]{48}$/);
+      expect(webhookService.generateSecret()).not.toBe(webhookService.generateSecret());
+    });
+  });
+
+  describe('deliver', () => {
+    let apiKey;
+    let delivery;
+
+    const job = { data: {}, attemptsMade: 0, opts: { attempts: 8 } };
+
+    beforeEach(() => {
+      const userId = new mongoose.Types.ObjectId();
+      apiKey = new ApiKey({ name: 'Integration', userId, webhook: { secret: SECRET } });
+      delivery = new WebhookDelivery({
+        apiKeyId: apiKey._id,
+        userId,
+        event: 'fact.verified',
+        event_id: 'evt_1',
+        url: 'https://93.184.216.34/hooks/facts',
+        payload: PAYLOAD
+      });
+      job.data.deliveryId = String(delivery._id);
+
+      jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(delivery);
+      jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+      jest.spyOn(ApiKey, 'findById').mockReturnValue({ select: () => Promise.resolve(apiKey) });
+      jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+    });
+
+    it('posts the payload with a signature the receiver can verify', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+
+      await webhookService.deliver(job);
+
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe(delivery.url);
+      expect(body).toBe(PAYLOAD);
+      expect(options.maxRedirects).toBe(0);
+      expect(options.headers).toMatchObject({
+        'X-Webhook-Id': 'evt_1',
+        'X-Webhook-Event': 'fact.verified'
+      });
+      expect(options.headers['X-Webhook-Signature']).toMatch(`t=${options.headers['X-Webhook-Timestamp']},v1=`);
+      expect(verifySignature(options.headers['X-Webhook-Signature'], body, SECRET)).toBe(true);
+      expect(verifySignature(options.headers['X-Webhook-Signature'], body, 'whsec_other')).toBe(false);
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts[0].status_code).toBe(204);
+    });
+
+    it('throws on a failed attempt so the queue retries it', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 500 });
+
+      await expect(webhookService.deliver(job)).rejects.toThrow('Receiver responded with 500');
+      expect(delivery.status).toBe('pending');
+      expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: apiKey._id }, { $inc: { 'webhook.consecutive_failures': 1 } });
+    });
+
+    it('does not send anything to a private address', async () => {
+      jest.spyOn(axios, 'post');
+      delivery.url = 'http://169.254.169.254/latest/meta-data';
+
+      await expect(webhookService.deliver(job)).rejects.toThrow('which webhooks may not reach');
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery.attempts[0].error).toContain('169.254.169.254');
+    });
+  });
+
+  describe('webhook URLs', () => {
+    it.each([
+      ['127.0.0.1', true],
+      ['10.20.30.40', true],
+      ['172.16.0.1', true],
+      ['192.168.1.10', true],
+      ['169.254.169.254', true],
+      ['100.64.0.1', true],
+      ['0.0.0.0', true],
+      ['::1', true],
+      ['::ffff:127.0.0.1', true],
+      ['fd12:3456::1', true],
+      ['fe80::1', true],
+      ['not an address', true],
+      ['93.184.216.34', false],
+      ['172.32.0.1', false],
+      ['2606:4700:4700::1111', false]
+    ])('%s is blocked: %s', (address, blocked) => {
+      expect(isBlockedAddress(address)).toBe(blocked);
+    });
+
+    it('rejects URLs whose host resolves to a private address', async () => {
+      await expect(assertPublicWebhookUrl('http://localhost:3000/hook'))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'WEBHOOK_URL_NOT_ALLOWED' });
+      await expect(assertPublicWebhookUrl('http://[::1]/hook'))
+        .rejects.toMatchObject({ errorCode: 'WEBHOOK_URL_NOT_ALLOWED' });
+      await expect(assertPublicWebhookUrl('https://93.184.216.34/hook')).resolves.toBeUndefined();
+    });
+
+    it('are checked when a webhook is configured', async () => {
+      const apiKey = new ApiKey({ name: 'Integration', userId: new mongoose.Types.ObjectId() });
+      jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: () => Promise.resolve(apiKey) });
+      jest.spyOn(apiKey, 'save').mockResolvedValue(apiKey);
+
+      await expect(apiKeyService.updateWebhook(apiKey.userId, apiKey._id, { url: 'http://127.0.0.1:6379/' }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'WEBHOOK_URL_NOT_ALLOWED' });
+      expect(apiKey.save).not.toHaveBeenCalled();
+
+      const { secret } = await apiKeyService.updateWebhook(apiKey.userId, apiKey._id, {
+        url: 'https://93.184.216.34/hook'
+      });
+      expect(secret).toMatch(/^whsec_/);
+      expect(apiKey.metadata.webhook_url).toBe('https://93.184.216.34/hook');
+    });
+  });
+});